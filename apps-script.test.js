@@ -0,0 +1,591 @@
+/**
+ * Tests for google-apps-script.js, run through its own doGet/doPost against
+ * the stand-ins in lib/apps-script-sandbox.js
+ * Run: npm test
+ */
+
+const { DEFAULT_PROCESSING_FEE } = require("./lib/pricing");
+const { signRequest } = require("./lib/apps-script");
+const { createMemorySheet, createMemorySpreadsheet, createAppsScriptSandbox } = require("./lib/apps-script-sandbox");
+const { checkStripeSignature, relayStripeEvent, createWebhookRelayServer } = require("./lib/webhook-relay");
+
+// ─── Fixtures ────────────────────────────────────────────────────────────────
+
+// pricing.json with one campaign ("test") open now; overrides are its own keys
+function openCampaignCatalog(overrides = {}) {
+  const catalog = JSON.parse(require("fs").readFileSync(require("path").join(__dirname, "pricing.json"), "utf-8"));
+  const day = 24 * 60 * 60 * 1000;
+  const opens = new Date(Date.now() - day).toISOString();
+  const closes = new Date(Date.now() + 30 * day).toISOString();
+  catalog.campaigns = { test: { name: "Test", opens, closes, ...overrides } };
+  return catalog;
+}
+
+// What the form posts for an order of black men's jackets
+function orderSubmission(items = [{}], fields = {}) {
+  const item = { product: "Better Sweater Jacket", style: "Mens", size: "M", color: "Black", logo: "Option 1", embroideredName: "", threadColor: "" };
+  return {
+    name: "Ana Lee",
+    phone: "555-0100",
+    email: "ana@example.com",
+    position: "Resident",
+    campaign: "test",
+    items: items.map((overrides) => ({ ...item, ...overrides })),
+    ...fields,
+  };
+}
+
+// An Orders sheet (empty, or holding rows), and the web app running against it
+function setupOrdersSheet({ rows = [], ...options } = {}) {
+  const sheet = createMemorySheet(rows, "Orders");
+  const sandbox = createAppsScriptSandbox({ spreadsheet: createMemorySpreadsheet([sheet]), catalog: openCampaignCatalog(), ...options });
+  const column = (name) => sheet.table.slice(1).map((row) => row[sheet.table[0].indexOf(name)] ?? "");
+  return { sheet, sandbox, column };
+}
+
+// ─── Order Edit Tests ────────────────────────────────────────────────────────
+
+describe("Apps Script order edits and cancellations", () => {
+  it("marks rows an edit drops as cancelled, so no row moves", () => {
+    const { sandbox, column } = setupOrdersSheet();
+    const ana = sandbox.doPost(orderSubmission([{ size: "S" }, { size: "M" }, { size: "L" }]));
+    sandbox.doPost(orderSubmission([{ size: "XL" }], { name: "Ben", email: "ben@example.com" }));
+
+    const edited = sandbox.doPost(orderSubmission([{ size: "XS" }], { editToken: ana.editToken }));
+    expect(edited).toMatchObject({ status: "ok", orderId: ana.orderId, editToken: ana.editToken });
+    expect(column("Size")).toEqual(["XS", "M", "L", "XL"]);
+    expect(column("Cancelled").map(Boolean)).toEqual([false, true, true, false]);
+    expect(sandbox.doGet({ action: "order", token: ana.editToken }).order.items.map((item) => item.size)).toEqual(["XS"]);
+
+    // Items added back are appended; the cancelled rows stay cancelled
+    sandbox.doPost(orderSubmission([{ size: "XS" }, { size: "XXL" }], { editToken: ana.editToken }));
+    expect(column("Size")).toEqual(["XS", "M", "L", "XL", "XXL"]);
+    expect(column("Cancelled").map(Boolean)).toEqual([false, true, true, false, false]);
+  });
+
+  it("cancels an order by marking its rows, after which its link finds nothing", () => {
+    const { sheet, sandbox, column } = setupOrdersSheet();
+    const ana = sandbox.doPost(orderSubmission([{ size: "S" }, { size: "M" }]));
+    sandbox.doPost(orderSubmission([{ size: "XL" }], { name: "Ben", email: "ben@example.com" }));
+
+    expect(sandbox.doPost({ action: "cancelOrder", editToken: ana.editToken })).toEqual({ status: "ok", removedRows: 2 });
+    expect(sheet.getLastRow()).toBe(4);
+    expect(column("Cancelled").map(Boolean)).toEqual([true, true, false]);
+    expect(column("Email")).toEqual(["ana@example.com", "ana@example.com", "ben@example.com"]);
+    expect(sandbox.doPost({ action: "cancelOrder", editToken: ana.editToken }).code).toBe("not_found");
+    expect(sandbox.doGet({ action: "order", token: ana.editToken }).code).toBe("not_found");
+  });
+
+  it("leaves cancelled rows out of invoice ID updates and the duplicate check", () => {
+    const { sheet, sandbox, column } = setupOrdersSheet({ properties: { ADMIN_KEY: "admin-key" } });
+    const first = sandbox.doPost(orderSubmission());
+    sandbox.doPost(orderSubmission());
+    expect(sandbox.script.findDuplicateOrders(sheet.getDataRange().getValues(), "test")).toHaveLength(1);
+
+    sandbox.doPost({ action: "cancelOrder", editToken: first.editToken });
+    expect(sandbox.script.findDuplicateOrders(sheet.getDataRange().getValues(), "test")).toHaveLength(0);
+
+    const body = JSON.stringify({ action: "updateInvoiceId", email: "ana@example.com", invoiceId: "in_1" });
+    expect(sandbox.doPost(body, signRequest("admin-key", "updateInvoiceId", body))).toEqual({ status: "ok", updatedRows: 1 });
+    expect(column("Invoice ID")).toEqual(["", "in_1"]);
+  });
+});
+
+// ─── Confirmation Email Tests ────────────────────────────────────────────────
+
+describe("Apps Script confirmation emails", () => {
+  let warned;
+  beforeEach(() => {
+    warned = jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+  afterEach(() => {
+    warned.mockRestore();
+  });
+
+  it("emails each order's confirmation", () => {
+    const { sandbox } = setupOrdersSheet();
+    const reply = sandbox.doPost(orderSubmission());
+    expect(reply.emailed).toBe(true);
+    expect(sandbox.sent).toHaveLength(1);
+    expect(sandbox.sent[0].to).toBe("ana@example.com");
+    expect(sandbox.sent[0].body).toContain(`?order=${reply.editToken}`);
+  });
+
+  it("estimates the default card fee when the catalog has none, like the form and invoice.js", () => {
+    const catalog = openCampaignCatalog();
+    delete catalog.processingFee;
+    const { sandbox } = setupOrdersSheet({ catalog });
+    sandbox.doPost(orderSubmission());
+    expect(sandbox.sent[0].body).toContain("Card processing (covers 2.9% + $0.30): ");
+
+    const html = require("fs").readFileSync(require("path").join(__dirname, "index.html"), "utf-8");
+    const formDefault = html.match(/const DEFAULT_PROCESSING_FEE = (\{[^}]*\});/)[1];
+    expect(require("vm").runInNewContext(`(${formDefault})`)).toEqual(DEFAULT_PROCESSING_FEE);
+    expect(JSON.parse(require("vm").runInContext("JSON.stringify(DEFAULT_PROCESSING_FEE)", sandbox.script))).toEqual(
+      DEFAULT_PROCESSING_FEE
+    );
+  });
+
+  it("stops emailing one address after 5 confirmations, but still takes the orders", () => {
+    const { sandbox, column } = setupOrdersSheet();
+    const replies = Array.from({ length: 7 }, () => sandbox.doPost(orderSubmission()));
+    expect(replies.map((reply) => reply.status)).toEqual(Array(7).fill("ok"));
+    expect(replies.map((reply) => reply.emailed)).toEqual([true, true, true, true, true, false, false]);
+    expect(sandbox.sent).toHaveLength(5);
+    expect(new Set(column("Order ID")).size).toBe(7);
+
+    expect(sandbox.doPost(orderSubmission([{}], { email: "ben@example.com" })).emailed).toBe(true);
+  });
+
+  it("stops emailing for one order after 5 confirmations, whatever address it is changed to", () => {
+    const { sandbox } = setupOrdersSheet();
+    const { editToken } = sandbox.doPost(orderSubmission([{}], { email: "a0@example.com" }));
+    const edits = [1, 2, 3, 4, 5].map((n) => sandbox.doPost(orderSubmission([{}], { email: `a${n}@example.com`, editToken })));
+    expect(edits.map((reply) => reply.emailed)).toEqual([true, true, true, true, false]);
+    expect(sandbox.sent.map((message) => message.to)).toEqual(["a0@example.com", "a1@example.com", "a2@example.com", "a3@example.com", "a4@example.com"]);
+  });
+
+  it("leaves the last of the daily email quota alone", () => {
+    const { sandbox } = setupOrdersSheet({ mailQuota: 11 });
+    expect(sandbox.doPost(orderSubmission()).emailed).toBe(true);
+    expect(sandbox.doPost(orderSubmission([{}], { email: "ben@example.com" }))).toMatchObject({ status: "ok", emailed: false });
+    expect(sandbox.sent).toHaveLength(1);
+    expect(warned).toHaveBeenCalledWith(expect.stringContaining("daily email quota"));
+  });
+
+  it("keeps the order when sending fails", () => {
+    const { sandbox, column } = setupOrdersSheet();
+    const failed = jest.spyOn(console, "error").mockImplementation(() => {});
+    sandbox.script.MailApp.sendEmail = () => {
+      throw new Error("Invalid email: ana@example.com");
+    };
+    expect(sandbox.doPost(orderSubmission())).toMatchObject({ status: "ok", emailed: false });
+    expect(column("Email")).toEqual(["ana@example.com"]);
+    expect(failed).toHaveBeenCalledWith(expect.stringContaining("Invalid email"));
+    failed.mockRestore();
+  });
+});
+
+// ─── Submission Check Tests ──────────────────────────────────────────────────
+
+describe("Apps Script submission checks", () => {
+  const validate = (data, overrides) => {
+    const { script } = setupOrdersSheet().sandbox;
+    return script.validateSubmission(script.resolveCampaignCatalog(openCampaignCatalog(overrides), "test"), data);
+  };
+  const fields = (errors) => errors.map((error) => error.field);
+
+  it("accepts an order the catalog offers", () => {
+    expect(validate(orderSubmission([{}, { style: "Womens", size: "XXS", color: "Birch White", embroideredName: "Dr. Lee", threadColor: "White" }]))).toEqual([]);
+  });
+
+  it("rejects products, styles, colors and sizes the catalog doesn't have", () => {
+    const errors = validate(
+      orderSubmission([
+        { product: "Nano Puff Jacket" },
+        { style: "Kids" },
+        { color: "Teal" },
+        { size: "5XL" },
+        { style: "Womens", size: "3XL", color: "Stonewash" },
+      ])
+    );
+    expect(errors).toEqual([
+      { field: "items[0].product", message: "Choose a product." },
+      { field: "items[1].style", message: "Choose a style." },
+      { field: "items[2].color", message: "Choose a color offered in Men's." },
+      { field: "items[3].size", message: "Choose a Men's size." },
+      { field: "items[4].size", message: "Choose a Women's size." },
+      { field: "items[4].color", message: "Choose a color offered in Women's." },
+    ]);
+  });
+
+  it("checks logos and colors against the campaign's own lists", () => {
+    const overrides = {
+      logos: [{ value: "Option 3", label: "Skyline Logo" }],
+      colors: { Black: { swatch: "#1a1a1a" } },
+    };
+    expect(validate(orderSubmission([{ logo: "Option 3" }]), overrides)).toEqual([]);
+    expect(fields(validate(orderSubmission([{ logo: "Option 1" }, { logo: "Option 3", color: "New Navy" }]), overrides))).toEqual([
+      "items[0].logo",
+      "items[1].color",
+    ]);
+
+    // Through the web app, the open campaign's lists apply
+    const { sandbox, sheet } = setupOrdersSheet({ catalog: openCampaignCatalog(overrides) });
+    const reply = sandbox.doPost(orderSubmission([{ logo: "Option 1" }]));
+    expect(reply).toMatchObject({ status: "error", code: "invalid", errors: [{ field: "items[0].logo", message: "Choose a logo." }] });
+    expect(sheet.getLastRow()).toBe(0);
+  });
+
+  it("stores text that Sheets would read as a formula as plain text", () => {
+    const { sandbox, column } = setupOrdersSheet();
+    expect(sandbox.script.sheetText(' =HYPERLINK("http://x.example","Pay here")')).toBe(`'=HYPERLINK("http://x.example","Pay here")`);
+    const reply = sandbox.doPost(
+      orderSubmission([{ embroideredName: "@Ana", threadColor: "White" }], {
+        name: "=IMPORTXML(\"http://x.example\",\"//a\")",
+        phone: "+1 555 010 0100",
+        position: "-Resident",
+        taxExempt: "=1+1",
+      })
+    );
+    expect(reply.status).toBe("ok");
+    expect(column("Name")).toEqual(["'=IMPORTXML(\"http://x.example\",\"//a\")"]);
+    expect(column("Phone")).toEqual(["'+1 555 010 0100"]);
+    expect(column("Position")).toEqual(["'-Resident"]);
+    expect(column("Tax Exempt")).toEqual(["'=1+1"]);
+    expect(column("Embroidered Name")).toEqual(["'@Ana"]);
+  });
+
+  it("names each field so the form can show the message under it", () => {
+    const html = require("fs").readFileSync(require("path").join(__dirname, "index.html"), "utf-8");
+    const serverFields = Object.fromEntries(
+      [...html.match(/const SERVER_FIELDS = \{([^}]*)\}/)[1].matchAll(/(\w+): "(\w+)"/g)].map((m) => [m[1], m[2]])
+    );
+    const cardFields = new Set([...html.matchAll(/data-field="(\w+)"/g)].map((m) => m[1]));
+
+    const errors = validate({
+      name: "",
+      phone: "12",
+      email: "ana@example",
+      position: 7,
+      taxExempt: 5,
+      paymentMethod: "cash",
+      items: [{ product: "Parka", style: "Kids", logo: "Option 9", embroideredName: "x".repeat(21), threadColor: "Gold" }],
+    });
+    expect(fields(errors)).toEqual([
+      "name",
+      "position",
+      "email",
+      "phone",
+      "taxExempt",
+      "paymentMethod",
+      "items[0].product",
+      "items[0].style",
+      "items[0].logo",
+      "items[0].embroideredName",
+      "items[0].threadColor",
+    ]);
+    for (const { field, message } of errors) {
+      expect(typeof message).toBe("string");
+      const item = /^items\[(\d+)\]\.(\w+)$/.exec(field);
+      if (item) expect(cardFields.has(item[2])).toBe(true);
+      else expect(html).toContain(`id="${serverFields[field]}"`);
+    }
+
+    // Problems with the order as a whole have no field on the form; it shows them as a toast
+    expect(validate(orderSubmission([]))).toEqual([{ field: "items", message: "Add at least one item." }]);
+    expect(fields(validate(orderSubmission([{}], { submissionId: "x" })))).toEqual(["submissionId"]);
+  });
+});
+
+// ─── Submission Replay Tests ─────────────────────────────────────────────────
+
+describe("Apps Script submission replays", () => {
+  const submissionId = "b1f2c3d4-0000-4000-8000-000000000001";
+
+  it("repeats the cached reply to a retried submission and writes nothing", () => {
+    const { sheet, sandbox } = setupOrdersSheet();
+    const first = sandbox.doPost(orderSubmission([{}], { submissionId }));
+    const retry = sandbox.doPost(orderSubmission([{}], { submissionId }));
+    expect(retry).toEqual({ ...first, replayed: true });
+    expect(retry.editToken).toBeTruthy();
+    expect(sheet.getLastRow()).toBe(2);
+    expect(sandbox.sent).toHaveLength(1);
+  });
+
+  it("finds the order in the sheet once the cached reply is gone", () => {
+    const { sheet, sandbox } = setupOrdersSheet();
+    const first = sandbox.doPost(orderSubmission([{}, { size: "L" }], { submissionId }));
+    sandbox.cache.clear();
+
+    // The sheet holds the edit token only hashed, so the replay can't include it
+    expect(sandbox.script.findSubmissionReply(sheet, submissionId)).toEqual({
+      status: "ok",
+      campaign: "test",
+      orderId: first.orderId,
+      emailed: false,
+      replayed: true,
+    });
+    sandbox.cache.put("catalog", JSON.stringify(openCampaignCatalog()), 21600);
+    expect(sandbox.doPost(orderSubmission([{}, { size: "L" }], { submissionId }))).toEqual({
+      status: "ok",
+      campaign: "test",
+      orderId: first.orderId,
+      emailed: false,
+      replayed: true,
+    });
+    expect(sheet.getLastRow()).toBe(3);
+  });
+
+  it("answers a different order sent under a used submission ID with the first reply", () => {
+    const { sheet, sandbox, column } = setupOrdersSheet();
+    const first = sandbox.doPost(orderSubmission([{}], { submissionId }));
+    const other = sandbox.doPost(orderSubmission([{ size: "XL" }, { size: "S" }], { submissionId, name: "Ben", email: "ben@example.com" }));
+    expect(other).toEqual({ ...first, replayed: true });
+    expect(column("Email")).toEqual(["ana@example.com"]);
+    expect(column("Size")).toEqual(["M"]);
+
+    sandbox.cache.clear();
+    expect(sandbox.script.findSubmissionReply(sheet, submissionId).orderId).toBe(first.orderId);
+  });
+
+  it("only remembers and looks up well-formed submission IDs", () => {
+    const { sheet, sandbox } = setupOrdersSheet();
+    sandbox.script.rememberSubmissionReply("short", { status: "ok", orderId: "X" });
+    expect(sandbox.cache.get("submission:short")).toBeNull();
+    expect(sandbox.script.findSubmissionReply(sheet, "short")).toBeNull();
+    expect(sandbox.script.findSubmissionReply(sheet, undefined)).toBeNull();
+
+    sandbox.script.rememberSubmissionReply(submissionId, { status: "ok", orderId: "X" });
+    expect(JSON.parse(sandbox.cache.get(`submission:${submissionId}`))).toEqual({ status: "ok", orderId: "X" });
+    expect(sandbox.script.findSubmissionReply(sheet, "b1f2c3d4-0000-4000-8000-000000000002")).toBeNull();
+  });
+
+  it("flags orders with the same items submitted separately", () => {
+    const { script } = setupOrdersSheet().sandbox;
+    const data = [
+      ["Email", "Order ID", "Timestamp", "Campaign", "Product", "Style", "Size", "Color", "Logo", "Embroidered Name", "Thread Color"],
+      ["ana@example.com", "A1", "", "test", "Better Sweater Jacket", "Mens", "M", "Black", "Option 1", "", ""],
+      ["ana@example.com", "A1", "", "test", "Better Sweater Jacket", "Mens", "L", "Black", "Option 1", "", ""],
+      // Same items in another order, different case
+      ["Ana@Example.com ", "A2", "", "test", "better sweater jacket", "Mens", "L", "Black", "Option 1", "", ""],
+      ["ana@example.com", "A2", "", "test", "Better Sweater Jacket", "Mens", "M", "Black", "Option 1", "", ""],
+      // One item short, so not the same order
+      ["ana@example.com", "A3", "", "test", "Better Sweater Jacket", "Mens", "M", "Black", "Option 1", "", ""],
+      // Another campaign
+      ["ana@example.com", "A4", "", "2026-fall", "Better Sweater Jacket", "Mens", "M", "Black", "Option 1", "", ""],
+      // From before Order IDs, grouped by Timestamp
+      ["ben@example.com", "", "2026-09-01 10:00", "test", "Better Sweater Jacket", "Womens", "S", "Black", "Option 1", "", ""],
+      ["ben@example.com", "", "2026-09-02 10:00", "test", "Better Sweater Jacket", "Womens", "S", "Black", "Option 1", "", ""],
+    ];
+    const plain = (value) => JSON.parse(JSON.stringify(value));
+    expect(plain(script.findDuplicateOrders(data, "test"))).toEqual([
+      { email: "ana@example.com", orderId: "A2", rows: [4, 5], duplicateOf: { orderId: "A1", rows: [2, 3] } },
+      { email: "ben@example.com", orderId: "", rows: [9], duplicateOf: { orderId: "", rows: [8] } },
+    ]);
+    expect(plain(script.findDuplicateOrders(data)).map((d) => d.orderId)).toEqual(["A2", "A4", ""]);
+  });
+});
+
+// ─── Admin Signature Tests ───────────────────────────────────────────────────
+
+describe("Apps Script admin signatures", () => {
+  const key = "admin-key";
+  const body = JSON.stringify({ action: "updateInvoiceId", email: "ana@example.com", invoiceId: "in_1" });
+  const check = (parameter, action = "updateInvoiceId", raw = body, properties = { ADMIN_KEY: key }) =>
+    setupOrdersSheet({ properties }).sandbox.script.checkAdminSignature({ parameter }, action, raw);
+
+  it("accepts a request signed with the admin key", () => {
+    expect(check(signRequest(key, "updateInvoiceId", body))).toBeNull();
+    expect(check(signRequest(key, "export", ""), "export", "")).toBeNull();
+    // Within the window either way, for clocks a little off
+    expect(check(signRequest(key, "updateInvoiceId", body, new Date(Date.now() - 290 * 1000)))).toBeNull();
+    expect(check(signRequest(key, "updateInvoiceId", body, new Date(Date.now() + 290 * 1000)))).toBeNull();
+  });
+
+  it("refuses signatures more than five minutes old or ahead", () => {
+    const expired = "The request's signature has expired. Check this computer's clock.";
+    expect(check(signRequest(key, "updateInvoiceId", body, new Date(Date.now() - 301 * 1000)))).toBe(expired);
+    expect(check(signRequest(key, "updateInvoiceId", body, new Date(Date.now() + 301 * 1000)))).toBe(expired);
+    expect(check({ ...signRequest(key, "updateInvoiceId", body), ts: "soon" })).toBe(expired);
+  });
+
+  it("refuses a signature for another body, action or key", () => {
+    const mismatch = "The request is not signed with this sheet's admin key.";
+    const signed = signRequest(key, "updateInvoiceId", body);
+    expect(check(signed, "updateInvoiceId", body.replace("in_1", "in_2"))).toBe(mismatch);
+    expect(check(signed, "export", "")).toBe(mismatch);
+    expect(check(signRequest("other-key", "updateInvoiceId", body))).toBe(mismatch);
+    expect(check({ ...signed, ts: String(Number(signed.ts) - 1) })).toBe(mismatch);
+  });
+
+  it("refuses unsigned requests, and everything when no admin key is set up", () => {
+    const unsigned = "This action needs a request signed with the admin key.";
+    const { ts, sig } = signRequest(key, "updateInvoiceId", body);
+    expect(check({ ts })).toBe(unsigned);
+    expect(check({ sig })).toBe(unsigned);
+    expect(check({})).toBe(unsigned);
+    expect(check({ ts, sig }, "updateInvoiceId", body, {})).toBe(
+      "No admin key is set up. In the sheet, run Order Tools → Create Admin Key."
+    );
+  });
+
+  it("agrees with signRequest through the web app", () => {
+    const { sheet, sandbox, column } = setupOrdersSheet({ properties: { ADMIN_KEY: key } });
+    sandbox.doPost(orderSubmission());
+
+    // GET: the signed message is "<ts>\nexport\n"
+    const exported = sandbox.doGet({ action: "export", ...signRequest(key, "export") });
+    expect(exported.orders.map((order) => order.Email)).toEqual(["ana@example.com"]);
+    expect(sandbox.doGet({ action: "export", ...signRequest(key, "export", "{}") })).toMatchObject({
+      status: "error",
+      code: "unauthorized",
+    });
+
+    // POST: the signed message is "<ts>\nupdateInvoiceId\n<raw body>"
+    expect(sandbox.doPost(body, signRequest(key, "updateInvoiceId", body))).toEqual({ status: "ok", updatedRows: 1 });
+    const reformatted = JSON.stringify(JSON.parse(body), null, 2);
+    expect(sandbox.doPost(reformatted, signRequest(key, "updateInvoiceId", body)).code).toBe("unauthorized");
+    expect(column("Invoice ID")).toEqual(["in_1"]);
+    expect(sheet.getLastRow()).toBe(2);
+  });
+});
+
+// ─── Stripe Webhook Tests ────────────────────────────────────────────────────
+
+describe("Apps Script Stripe webhooks", () => {
+  const paidEvent = {
+    id: "evt_1QAnaPaid00000000000001",
+    object: "event",
+    type: "invoice.paid",
+    data: { object: { id: "in_ana", object: "invoice" } },
+  };
+  const failedEvent = { ...paidEvent, id: "evt_1QAnaFailed0000000000002", type: "invoice.payment_failed" };
+
+  // Ana's two rows are on in_ana; the web app fetches each event back from "Stripe"
+  function setup(events = [paidEvent, failedEvent], properties = { STRIPE_API_KEY: "sk_test_1" }) {
+    const fetched = [];
+    const { sheet, sandbox } = setupOrdersSheet({
+      rows: [
+        ["Email", "Invoice ID"],
+        ["ana@example.com", "in_ana"],
+        ["ana@example.com", "in_ana"],
+        ["ben@example.com", "in_ben"],
+      ],
+      properties,
+      fetch: (url, params) => {
+        fetched.push({ url, authorization: params.headers.Authorization });
+        const event = events.find((e) => url === `https://api.stripe.com/v1/events/${e.id}`);
+        return event ? { code: 200, body: JSON.stringify(event) } : { code: 404 };
+      },
+    });
+    return { sheet, sandbox, fetched };
+  }
+  const statuses = (sheet) => sheet.getDataRange().getValues().slice(1).map((row) => [row[2], row[3]]);
+
+  it("applies an event fetched back from Stripe, not the one posted", () => {
+    const { sheet, sandbox, fetched } = setup();
+    // A forged post can only name an event; its contents are ignored
+    const forged = { ...paidEvent, data: { object: { id: "in_ben", object: "invoice" } } };
+    expect(sandbox.doPost(forged)).toEqual({ status: "ok", updatedRows: 2 });
+    expect(fetched).toEqual([{ url: "https://api.stripe.com/v1/events/evt_1QAnaPaid00000000000001", authorization: "Bearer sk_test_1" }]);
+    expect(statuses(sheet)).toEqual([["✓", "Paid"], ["✓", "Paid"], ["", ""]]);
+  });
+
+  it("never lets a late payment_failed overwrite Paid", () => {
+    const { sheet, sandbox } = setup();
+    sandbox.doPost(paidEvent);
+    expect(sandbox.doPost(failedEvent)).toEqual({ status: "ok", updatedRows: 0 });
+    expect(statuses(sheet)).toEqual([["✓", "Paid"], ["✓", "Paid"], ["", ""]]);
+  });
+
+  it("rejects events Stripe doesn't have, and ignores types it doesn't handle", () => {
+    const { sheet, sandbox } = setup([]);
+    const logged = jest.spyOn(console, "error").mockImplementation(() => {});
+    expect(sandbox.doPost(paidEvent)).toEqual({ status: "error", message: "Unknown Stripe event" });
+    expect(logged).toHaveBeenCalledWith(expect.stringContaining("could not be fetched (404)"));
+    logged.mockRestore();
+    expect(sandbox.doPost({ ...paidEvent, type: "customer.created" })).toEqual({ status: "ok", ignored: "customer.created" });
+    expect(sandbox.doPost({ ...paidEvent, id: "in_not_an_event" })).toEqual({ status: "error", message: "Not a Stripe event" });
+    expect(sheet.getLastColumn()).toBe(2);
+  });
+
+  it("needs the Stripe API key", () => {
+    const { sandbox, fetched } = setup([paidEvent], {});
+    expect(sandbox.doPost(paidEvent).message).toMatch(/No Stripe API key/);
+    expect(fetched).toHaveLength(0);
+  });
+});
+
+describe("Stripe webhook relay", () => {
+  const secret = "whsec_test_relay";
+  const event = {
+    id: "evt_1QAnaPaid00000000000001",
+    object: "event",
+    type: "invoice.paid",
+    data: { object: { id: "in_ana", object: "invoice" } },
+  };
+  const payload = JSON.stringify(event, null, 2);
+  // Signed the way Stripe signs, by the stripe SDK
+  const stripeSignature = (body, timestamp) =>
+    require("stripe").webhooks.generateTestHeaderString({ payload: body, secret, ...(timestamp && { timestamp }) });
+
+  // The web app, with Ana's rows on in_ana and the event to fetch back from "Stripe"
+  function setup() {
+    const { sheet, sandbox } = setupOrdersSheet({
+      rows: [
+        ["Email", "Invoice ID"],
+        ["ana@example.com", "in_ana"],
+      ],
+      properties: { STRIPE_API_KEY: "sk_test_1" },
+      fetch: (url) => (url.endsWith(event.id) ? { code: 200, body: JSON.stringify(event) } : { code: 404 }),
+    });
+    const forwarded = [];
+    const forward = async (body) => {
+      forwarded.push(body);
+      return sandbox.doPost(body);
+    };
+    return { sheet, forward, forwarded };
+  }
+
+  it("checks signatures the way Stripe makes them", () => {
+    expect(checkStripeSignature(payload, stripeSignature(payload), secret)).toBeNull();
+    expect(checkStripeSignature(payload, stripeSignature(payload), "whsec_other")).toMatch(/doesn't match/);
+    expect(checkStripeSignature(JSON.stringify(event), stripeSignature(payload), secret)).toMatch(/doesn't match/);
+    const old = Math.floor(Date.now() / 1000) - 301;
+    expect(checkStripeSignature(payload, stripeSignature(payload, old), secret)).toMatch(/outside the tolerance/);
+    expect(checkStripeSignature(payload, "", secret)).toMatch(/Missing/);
+    // While a secret is being rolled, Stripe sends a v1 for each
+    const [timestamp, v1] = stripeSignature(payload).split(",");
+    expect(checkStripeSignature(payload, `${timestamp},v1=${"0".repeat(64)},${v1}`, secret)).toBeNull();
+  });
+
+  it("passes signed events on to the web app and answers Stripe 200 once applied", async () => {
+    const { sheet, forward, forwarded } = setup();
+    const result = await relayStripeEvent({ payload, signature: stripeSignature(payload) }, { secret, forward });
+    expect(result).toEqual({ code: 200, reply: { status: "ok", updatedRows: 1 } });
+    expect(forwarded).toEqual([payload]);
+    expect(sheet.table[1]).toEqual(["ana@example.com", "in_ana", "✓", "Paid"]);
+  });
+
+  it("refuses unsigned events without passing them on, and has Stripe retry what the web app fails", async () => {
+    const { forward, forwarded } = setup();
+    expect((await relayStripeEvent({ payload }, { secret, forward })).code).toBe(400);
+    expect(forwarded).toHaveLength(0);
+
+    const failing = async () => ({ status: "error", message: "No Stripe API key set" });
+    expect(await relayStripeEvent({ payload, signature: stripeSignature(payload) }, { secret, forward: failing })).toEqual({
+      code: 502,
+      reply: { status: "error", message: "No Stripe API key set" },
+    });
+    const unreachable = async () => {
+      throw new Error("fetch failed");
+    };
+    const result = await relayStripeEvent({ payload, signature: stripeSignature(payload) }, { secret, forward: unreachable });
+    expect(result).toMatchObject({ code: 502, reply: { message: "Could not reach the Apps Script: fetch failed" } });
+  });
+
+  it("serves deliveries over HTTP", async () => {
+    const { sheet, forward } = setup();
+    const relayed = [];
+    const server = createWebhookRelayServer({ secret, forward }, (...args) => relayed.push(args));
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}/stripe`;
+    try {
+      const post = (headers) => fetch(url, { method: "POST", headers: { "Content-Type": "application/json", ...headers }, body: payload });
+      const delivered = await post({ "Stripe-Signature": stripeSignature(payload) });
+      expect(delivered.status).toBe(200);
+      expect(await delivered.json()).toEqual({ status: "ok", updatedRows: 1 });
+      expect(sheet.table[1][3]).toBe("Paid");
+
+      expect((await post({})).status).toBe(400);
+      expect((await fetch(url)).status).toBe(405);
+      expect(relayed.map(([relayedEvent, { code }]) => [relayedEvent?.id ?? null, code])).toEqual([
+        [event.id, 200],
+        [null, 400],
+      ]);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
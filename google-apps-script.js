@@ -9,49 +9,640 @@
  * 5. Select "Web app"
  * 6. Set "Execute as" = Me, "Who has access" = Anyone
  * 7. Copy the deployment URL and paste it into index.html (APPS_SCRIPT_URL)
+ * 8. For invoice.js, run Order Tools → Create Admin Key and put the key in .env
  */
 
-// ─── PRICING CONFIG ───────────────────────────────────────────────────────────
-// Matches pricing.json — update here if prices change
-const PRICING = {
-  "Better Sweater Jacket": { 6: 175.00, 18: 173.58, 50: 162.68, 72: 159.68 },
-  "Better Sweater Vest": { 6: 132.88, 18: 131.28, 50: 123.58, 72: 119.88 },
-  "Better Sweater Quarter Zip": { 6: 155.00, 18: 152.00, 50: 142.68, 72: 139.58 },
-};
-const EMBROIDERY_FEE = 8.00;
-const TAX_RATE = 0.0725;
+// ─── CATALOG ──────────────────────────────────────────────────────────────────
+// Prices, fees, styles, colors and logos all live in pricing.json, served by
+// GitHub Pages alongside the form. Override with a CATALOG_URL script property.
+const CATALOG_URL = "https://cmc-em.github.io/pricing.json";
+const CATALOG_CACHE_SECONDS = 600;
+
+// ──────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Returns the catalog (pricing.json), cached for CATALOG_CACHE_SECONDS.
+ */
+function getCatalog() {
+  const cache = CacheService.getScriptCache();
+  const cached = cache.get("catalog");
+  if (cached) {
+    return JSON.parse(cached);
+  }
+
+  const url = PropertiesService.getScriptProperties().getProperty("CATALOG_URL") || CATALOG_URL;
+  const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
+  if (response.getResponseCode() !== 200) {
+    throw new Error("Could not load catalog from " + url + " (" + response.getResponseCode() + ")");
+  }
+
+  const body = response.getContentText();
+  cache.put("catalog", body, CATALOG_CACHE_SECONDS);
+  return JSON.parse(body);
+}
+
+// ─── CAMPAIGNS ────────────────────────────────────────────────────────────────
+// Each order round is an entry under "campaigns" in pricing.json with an
+// "opens"/"closes" window; any other keys override the top-level catalog.
+// With no campaigns defined, orders are always open.
 
-// Colors that count as "Gray" for grouping purposes
-const GRAY_COLORS = ["Birch White", "Stonewash"];
+/**
+ * Returns true if the campaign window contains `now` (opens <= now < closes).
+ */
+function isCampaignOpen(campaign, now) {
+  return new Date(campaign.opens) <= now && now < new Date(campaign.closes);
+}
+
+/**
+ * Returns the ID of the campaign accepting orders at `now`, or null.
+ */
+function findOpenCampaignId(catalog, now) {
+  const campaigns = catalog.campaigns || {};
+  const ids = Object.keys(campaigns);
+  for (var i = 0; i < ids.length; i++) {
+    if (isCampaignOpen(campaigns[ids[i]], now)) return ids[i];
+  }
+  return null;
+}
+
+/**
+ * Returns the campaign the Summary tab should describe: the open one, or else
+ * the one that opened most recently. Null if no campaign has opened yet.
+ */
+function findCurrentCampaignId(catalog, now) {
+  const openId = findOpenCampaignId(catalog, now);
+  if (openId) return openId;
+
+  const campaigns = catalog.campaigns || {};
+  var latestId = null;
+  Object.keys(campaigns).forEach(function(id) {
+    var opens = new Date(campaigns[id].opens);
+    if (opens <= now && (!latestId || opens > new Date(campaigns[latestId].opens))) {
+      latestId = id;
+    }
+  });
+  return latestId;
+}
+
+/**
+ * Builds the effective catalog for a campaign: top-level keys overridden by
+ * the campaign's own keys, plus a `campaign` summary. Mirrors
+ * resolveCampaign() in lib/catalog.js.
+ */
+function resolveCampaignCatalog(catalog, campaignId) {
+  const resolved = {};
+  Object.keys(catalog).forEach(function(key) {
+    if (key !== "campaigns") resolved[key] = catalog[key];
+  });
+  resolved.campaign = null;
+
+  const campaign = campaignId && catalog.campaigns ? catalog.campaigns[campaignId] : null;
+  if (!campaign) return resolved;
+
+  Object.keys(campaign).forEach(function(key) {
+    if (key !== "name" && key !== "opens" && key !== "closes") resolved[key] = campaign[key];
+  });
+  resolved.campaign = {
+    id: campaignId,
+    name: campaign.name || campaignId,
+    opens: campaign.opens,
+    closes: campaign.closes,
+  };
+  return resolved;
+}
+
+// ─── ORDERS SHEET ─────────────────────────────────────────────────────────────
+
+// Columns written for each line item. Columns added later (Invoice ID, Paid)
+// are appended after these, so rows are always written by header name.
+const ORDER_COLUMNS = [
+  "Timestamp",
+  "Name",
+  "Phone",
+  "Email",
+  "Position",
+  "Product",
+  "Style",
+  "Size",
+  "Color",
+  "Logo",
+  "Embroidered Name",
+  "Thread Color",
+  "Campaign",
+  "Tax Exempt",
+  "Payment Method",
+  "Order ID",
+  "Edit Key",
+  "Submission ID",
+];
+
+/**
+ * Appends any of `names` missing from the header row. Returns the header row.
+ */
+function ensureColumns(sheet, names) {
+  const lastCol = sheet.getLastColumn();
+  const headers = lastCol > 0 ? sheet.getRange(1, 1, 1, lastCol).getValues()[0] : [];
+  for (var i = 0; i < names.length; i++) {
+    if (headers.indexOf(names[i]) === -1) {
+      headers.push(names[i]);
+      sheet.getRange(1, headers.length).setValue(names[i]);
+    }
+  }
+  return headers;
+}
+
+// ─── SUBMISSION CHECKS ───────────────────────────────────────────────────────
+// The web app URL is public, so every submission is checked against the
+// catalog before anything is written. The rules follow lib/validation.js, but
+// what it only warns about (logo, embroidery length, thread color) is an error
+// here, since the person can still fix it on the form.
+
+// The form's limit for embroidered names (index.html maxlength)
+const EMBROIDERED_NAME_MAX_LENGTH = 20;
+// Loose on purpose, like lib/validation.js
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CONTACT_MAX_LENGTH = 100;
+const MAX_ITEMS = 50;
+
+/**
+ * Checks a submission against the catalog (resolved for the open campaign).
+ * Returns a list of { field, message }, empty if the submission is valid.
+ * field is "name", "email"... or "items[2].size" for the third item.
+ */
+function validateSubmission(catalog, data) {
+  const errors = [];
+  const error = function (field, message) {
+    errors.push({ field: field, message: message });
+  };
+  const text = function (value) {
+    return typeof value === "string" ? value.trim() : "";
+  };
+  const isText = function (value) {
+    return value === undefined || value === null || typeof value === "string";
+  };
+
+  [["name", "Name"], ["phone", "Phone"], ["email", "Email"], ["position", "Position"]].forEach(function (f) {
+    const value = data[f[0]];
+    if (!isText(value) || !text(value)) error(f[0], f[1] + " is required.");
+    else if (value.length > CONTACT_MAX_LENGTH) error(f[0], f[1] + " is too long (" + CONTACT_MAX_LENGTH + " characters at most).");
+  });
+  if (text(data.email) && !EMAIL_PATTERN.test(text(data.email))) {
+    error("email", "Enter a valid email address.");
+  }
+  if (text(data.phone) && (text(data.phone).match(/\d/g) || []).length < 7) {
+    error("phone", "Enter a phone number with at least 7 digits.");
+  }
+
+  if (data.taxExempt !== undefined && data.taxExempt !== true &&
+      (typeof data.taxExempt !== "string" || data.taxExempt.length > CONTACT_MAX_LENGTH)) {
+    error("taxExempt", "Enter the exemption certificate number (" + CONTACT_MAX_LENGTH + " characters at most).");
+  }
+  const feeMode = (catalog.processingFee || {}).mode;
+  if (data.paymentMethod !== undefined && data.paymentMethod !== "card" && data.paymentMethod !== "ach") {
+    error("paymentMethod", "Choose card or bank transfer.");
+  } else if (feeMode === "achFree" && !data.paymentMethod) {
+    error("paymentMethod", "Choose how you will pay.");
+  }
+
+  if (data.submissionId !== undefined &&
+      (typeof data.submissionId !== "string" || !SUBMISSION_ID_PATTERN.test(data.submissionId))) {
+    error("submissionId", "This order form sent a malformed submission ID. Please refresh the page and try again.");
+  }
+
+  if (!Array.isArray(data.items) || data.items.length === 0) {
+    error("items", "Add at least one item.");
+    return errors;
+  }
+  if (data.items.length > MAX_ITEMS) {
+    error("items", "An order can have at most " + MAX_ITEMS + " items.");
+    return errors;
+  }
+
+  const logos = (catalog.logos || []).map(function (l) { return l.value; });
+  const threads = (catalog.threadColors || []).map(function (t) { return t.value; });
+  data.items.forEach(function (item, i) {
+    const at = function (field) { return "items[" + i + "]." + field; };
+    if (!item || typeof item !== "object") {
+      error("items[" + i + "]", "Item " + (i + 1) + " is empty.");
+      return;
+    }
+    const style = typeof item.style === "string" ? catalog.styles[item.style] : null;
+
+    if (typeof item.product !== "string" || !catalog.products.hasOwnProperty(item.product)) {
+      error(at("product"), "Choose a product.");
+    }
+    if (!style || !catalog.styles.hasOwnProperty(item.style)) {
+      error(at("style"), "Choose a style.");
+    } else {
+      if ((style.sizes || []).indexOf(item.size) === -1) {
+        error(at("size"), "Choose a " + (style.label || item.style) + " size.");
+      }
+      if (!catalog.colors.hasOwnProperty(item.color) || (style.colors && style.colors.indexOf(item.color) === -1)) {
+        error(at("color"), "Choose a color offered in " + (style.label || item.style) + ".");
+      }
+    }
+    if (logos.indexOf(item.logo) === -1) error(at("logo"), "Choose a logo.");
+
+    if (!isText(item.embroideredName)) {
+      error(at("embroideredName"), "Enter the name as text.");
+    } else if (text(item.embroideredName).length > EMBROIDERED_NAME_MAX_LENGTH) {
+      error(at("embroideredName"), "Embroidered names are " + EMBROIDERED_NAME_MAX_LENGTH + " characters at most.");
+    }
+    if (text(item.embroideredName) && threads.indexOf(item.threadColor) === -1) {
+      error(at("threadColor"), "Choose a thread color for the embroidered name.");
+    } else if (!isText(item.threadColor)) {
+      error(at("threadColor"), "Choose a thread color.");
+    }
+  });
+  return errors;
+}
+
+/**
+ * Text for a cell from a person's input. A leading = + - or @ would make
+ * Sheets read it as a formula, so such text is stored as plain text.
+ */
+function sheetText(value) {
+  const s = String(value || "").trim();
+  return /^[=+\-@]/.test(s) ? "'" + s : s;
+}
+
+// ─── ORDER EDITS ──────────────────────────────────────────────────────────────
+// Each submission gets an Order ID and a private edit token. The token goes
+// back to the person who ordered (as a link to the form) and only its SHA-256
+// hash is stored, in the Edit Key column, so the sheet can't be used to edit
+// someone else's order. With the token, the order can be loaded, replaced or
+// cancelled until its campaign closes or it is invoiced.
+
+/**
+ * Returns the Edit Key stored for an edit token.
+ */
+function hashEditToken(token) {
+  return toHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(token)));
+}
+
+/**
+ * Finds the rows of the order with this edit token.
+ * Returns { headers, rows: [{ row, values }] }, row being the sheet row number.
+ */
+function findOrderRows(sheet, token) {
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0] || [];
+  const keyIdx = headers.indexOf("Edit Key");
+  const rows = [];
+  if (!token || keyIdx === -1) return { headers: headers, rows: rows };
+
+  const key = hashEditToken(token);
+  for (var i = 1; i < data.length; i++) {
+    if (String(data[i][keyIdx]) === key && !isCancelledRow(headers, data[i])) rows.push({ row: i + 1, values: data[i] });
+  }
+  return { headers: headers, rows: rows };
+}
+
+/**
+ * Why an order can no longer be changed, or null if it can.
+ */
+function getOrderLockReason(catalog, headers, rows) {
+  const campaignIdx = headers.indexOf("Campaign");
+  const invoiceIdx = headers.indexOf("Invoice ID");
+  const hasCampaigns = Object.keys(catalog.campaigns || {}).length > 0;
+  const campaignId = campaignIdx === -1 ? "" : String(rows[0].values[campaignIdx]);
+
+  if (hasCampaigns && campaignId !== findOpenCampaignId(catalog, new Date())) {
+    return "Orders for this campaign are closed.";
+  }
+  for (var i = 0; i < rows.length; i++) {
+    if (invoiceIdx !== -1 && rows[i].values[invoiceIdx]) return "This order has already been invoiced.";
+  }
+  return null;
+}
+
+/**
+ * Turns an order's rows back into the form's payload shape.
+ */
+function readOrder(headers, rows) {
+  const first = rows[0].values;
+  const cell = function (values, name) {
+    const idx = headers.indexOf(name);
+    return idx === -1 ? "" : String(values[idx]);
+  };
+  const taxExempt = cell(first, "Tax Exempt");
+  const paymentMethod = cell(first, "Payment Method");
+
+  return {
+    orderId: cell(first, "Order ID"),
+    name: cell(first, "Name"),
+    phone: cell(first, "Phone"),
+    email: cell(first, "Email"),
+    position: cell(first, "Position"),
+    campaign: cell(first, "Campaign"),
+    taxExempt: isTaxExemptValue(taxExempt) ? (taxExempt === "Yes" ? true : taxExempt) : undefined,
+    paymentMethod: paymentMethod ? paymentMethod.toLowerCase() : undefined,
+    items: rows.map(function (r) {
+      return {
+        product: cell(r.values, "Product"),
+        style: cell(r.values, "Style"),
+        size: cell(r.values, "Size"),
+        color: cell(r.values, "Color"),
+        logo: cell(r.values, "Logo"),
+        embroideredName: cell(r.values, "Embroidered Name"),
+        threadColor: cell(r.values, "Thread Color"),
+      };
+    }),
+  };
+}
+
+/**
+ * Response for an edit token that matches no rows.
+ */
+function orderNotFound() {
+  return jsonResponse({ status: "error", code: "not_found", message: "We couldn't find that order. It may have been cancelled." });
+}
+
+/**
+ * True for a row of a cancelled order, or an item dropped from an edited one:
+ * its Cancelled cell holds when that happened.
+ */
+function isCancelledRow(headers, values) {
+  const idx = headers.indexOf("Cancelled");
+  return idx !== -1 && String(values[idx]).trim() !== "";
+}
+
+/**
+ * Marks rows cancelled instead of deleting them: invoice.js, Stripe invoices
+ * (metadata.rows) and invoice ID updates refer to rows by number, so no row
+ * may move. Cancelled rows are skipped everywhere (the Summary tab, edits,
+ * invoice.js). Adds the Cancelled column if needed.
+ */
+function cancelRows(sheet, rows) {
+  if (rows.length === 0) return;
+  const headers = ensureColumns(sheet, ["Cancelled"]);
+  const col = headers.indexOf("Cancelled") + 1;
+  const cancelledAt = new Date().toISOString();
+  rows.forEach(function (r) { sheet.getRange(r.row, col).setValue(cancelledAt); });
+}
+
+/**
+ * Runs fn while holding the script lock, so requests that read row numbers
+ * and then write them don't interleave.
+ */
+function withScriptLock(fn) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  try {
+    return fn();
+  } finally {
+    lock.releaseLock();
+  }
+}
 
 // ──────────────────────────────────────────────────────────────────────────────
 
 /**
- * Normalizes color for grouping: Birch White and Stonewash → "Gray"
+ * Normalizes color to its family from catalog.colorFamilies
+ * (e.g. Birch White and Stonewash → "Gray").
  */
-function normalizeColor(color) {
-  if (GRAY_COLORS.indexOf(color) !== -1) {
-    return "Gray";
+function normalizeColor(color, colorFamilies) {
+  const families = colorFamilies || {};
+  const names = Object.keys(families);
+  for (var i = 0; i < names.length; i++) {
+    if (families[names[i]].indexOf(color) !== -1) return names[i];
   }
   return color;
 }
 
 /**
- * Get the price tier based on total quantity of a product
+ * Key an item counts toward for tier pricing, per catalog.tierGrouping:
+ * "productColor" (default), "product" or "order". Mirrors lib/pricing.js.
+ */
+function getTierGroupKey(product, color, catalog) {
+  const grouping = catalog.tierGrouping || "productColor";
+  if (grouping === "order") return "*|*";
+  if (grouping === "product") return product + "|*";
+  return product + "|" + normalizeColor(color, catalog.colorFamilies);
+}
+
+// ─── DUPLICATE SUBMISSIONS ───────────────────────────────────────────────────
+// The form sends a submission ID with each order, and sends the same ID again
+// when it retries the same order (a double click, or a retry after a slow
+// reply). A submission whose ID is already in the sheet is not written again:
+// the reply it got the first time is repeated instead. Orders that are the
+// same but were submitted separately are only flagged, on the Summary tab.
+
+// How long the reply to a submission is kept for replays (the cache's maximum)
+const SUBMISSION_CACHE_SECONDS = 21600;
+const SUBMISSION_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+/**
+ * The reply to repeat for a submission ID already recorded, or null if it is
+ * new. Replies are cached with their edit token, which the sheet only holds
+ * hashed; after SUBMISSION_CACHE_SECONDS the reply has the order ID only.
+ */
+function findSubmissionReply(sheet, submissionId) {
+  if (typeof submissionId !== "string" || !SUBMISSION_ID_PATTERN.test(submissionId)) return null;
+
+  const cached = CacheService.getScriptCache().get("submission:" + submissionId);
+  if (cached) {
+    const reply = JSON.parse(cached);
+    reply.replayed = true;
+    return reply;
+  }
+
+  if (!sheet) return null;
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0] || [];
+  const idIdx = headers.indexOf("Submission ID");
+  if (idIdx === -1) return null;
+  for (var i = 1; i < data.length; i++) {
+    if (String(data[i][idIdx]) === submissionId) {
+      return {
+        status: "ok",
+        campaign: String(data[i][headers.indexOf("Campaign")] || ""),
+        orderId: String(data[i][headers.indexOf("Order ID")]),
+        emailed: false,
+        replayed: true,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Keeps the reply to a submission for findSubmissionReply.
+ */
+function rememberSubmissionReply(submissionId, reply) {
+  if (typeof submissionId !== "string" || !SUBMISSION_ID_PATTERN.test(submissionId)) return;
+  CacheService.getScriptCache().put("submission:" + submissionId, JSON.stringify(reply), SUBMISSION_CACHE_SECONDS);
+}
+
+/**
+ * Orders from the same email with exactly the same items, in campaignId if
+ * given. Rows from before Order IDs are grouped by Timestamp. Mirrors
+ * findDuplicateOrders in lib/pricing.js.
+ * Returns [{ email, orderId, rows, duplicateOf: { orderId, rows } }], rows
+ * being sheet row numbers.
+ */
+function findDuplicateOrders(data, campaignId) {
+  const headers = data[0] || [];
+  const col = function (name) { return headers.indexOf(name); };
+  const itemColumns = ["Product", "Style", "Size", "Color", "Logo", "Embroidered Name", "Thread Color"].map(col);
+  const orders = {};
+  const keys = [];
+
+  for (var i = 1; i < data.length; i++) {
+    const row = data[i];
+    const email = String(row[col("Email")] || "").trim().toLowerCase();
+    const orderId = col("Order ID") === -1 ? "" : String(row[col("Order ID")]).trim();
+    const timestamp = col("Timestamp") === -1 ? "" : String(row[col("Timestamp")]).trim();
+    if (!email || !row[col("Product")] || (!orderId && !timestamp)) continue;
+    if (isCancelledRow(headers, row)) continue;
+    if (campaignId && col("Campaign") !== -1 && String(row[col("Campaign")]).trim() !== campaignId) continue;
+
+    const key = email + "|" + (orderId || timestamp);
+    if (!orders[key]) {
+      orders[key] = { email: email, orderId: orderId, rows: [], items: [] };
+      keys.push(key);
+    }
+    orders[key].rows.push(i + 1);
+    orders[key].items.push(itemColumns.map(function (c) {
+      return c === -1 ? "" : String(row[c]).trim().toLowerCase();
+    }).join("|"));
+  }
+
+  const seen = {};
+  const duplicates = [];
+  keys.forEach(function (key) {
+    const order = orders[key];
+    const signature = order.email + "\n" + order.items.sort().join("\n");
+    const first = seen[signature];
+    if (first) {
+      duplicates.push({
+        email: order.email,
+        orderId: order.orderId,
+        rows: order.rows,
+        duplicateOf: { orderId: first.orderId, rows: first.rows },
+      });
+    } else {
+      seen[signature] = order;
+    }
+  });
+  return duplicates;
+}
+
+/**
+ * "Order 3F2A9B1C (rows 5–6)", or "Rows 5–6" for rows without an Order ID.
+ */
+function describeOrderRows(orderId, rows) {
+  const span = rows.length > 1 && rows[rows.length - 1] - rows[0] === rows.length - 1
+    ? rows[0] + "–" + rows[rows.length - 1]
+    : rows.join(", ");
+  const label = (rows.length > 1 ? "rows " : "row ") + span;
+  if (!orderId) return label.charAt(0).toUpperCase() + label.slice(1);
+  return "Order " + orderId + " (" + label + ")";
+}
+
+// ─── MONEY ────────────────────────────────────────────────────────────────────
+// Catalog amounts are dollars; totals are kept in integer cents and tax is
+// rounded per line item, matching lib/pricing.js and Stripe's invoices.
+
+/**
+ * Rounds fractional cents half up, ignoring float noise.
+ */
+function roundCents(value) {
+  return Math.round(Number(value.toFixed(6)));
+}
+
+/**
+ * Converts a catalog dollar amount to integer cents.
+ */
+function toCents(dollars) {
+  return roundCents(dollars * 100);
+}
+
+/**
+ * Formats integer cents for display (e.g. "$173.58").
+ */
+function formatCents(cents) {
+  return (cents < 0 ? "-$" : "$") + (Math.abs(cents) / 100).toFixed(2);
+}
+
+/**
+ * Extended-size upcharge in cents for a product/size. A product's own
+ * sizeUpcharges take precedence over the catalog-wide ones. Mirrors lib/pricing.js.
+ */
+function getSizeUpcharge(catalog, product, size) {
+  const productInfo = catalog.products[product] || {};
+  const productUpcharges = productInfo.sizeUpcharges || {};
+  if (productUpcharges.hasOwnProperty(size)) return toCents(productUpcharges[size]);
+  return toCents((catalog.sizeUpcharges || {})[size] || 0);
+}
+
+// ─── TAX ──────────────────────────────────────────────────────────────────────
+// Rates come from catalog.tax.jurisdictions; the organizer can set a row's
+// "Tax Jurisdiction" column, otherwise catalog.tax.defaultJurisdiction applies.
+// Exemptions come from a row's "Tax Exempt" column or the "Tax Exempt" tab
+// (Email, Certificate), which stays in the sheet because it lists customers.
+
+const NOT_EXEMPT_VALUES = ["", "no", "n", "false", "0"];
+
+/**
+ * Tax rate for a jurisdiction code (blank for the default), or null if the
+ * code is not in the catalog. Mirrors lib/tax.js.
+ */
+function getTaxRate(catalog, code) {
+  const resolved = String(code || "").trim().toUpperCase() || catalog.tax.defaultJurisdiction;
+  const jurisdiction = catalog.tax.jurisdictions[resolved];
+  return jurisdiction ? jurisdiction.rate : null;
+}
+
+/**
+ * True if a "Tax Exempt" cell marks the row exempt (yes-like or a certificate number).
  */
-function getPriceTier(qty) {
-  if (qty >= 72) return 72;
-  if (qty >= 50) return 50;
-  if (qty >= 18) return 18;
-  return 6;
+function isTaxExemptValue(value) {
+  return NOT_EXEMPT_VALUES.indexOf(String(value || "").trim().toLowerCase()) === -1;
+}
+
+/**
+ * Reads the "Tax Exempt" tab as rows of { Email, Certificate }. Empty if the tab is missing.
+ */
+function readTaxExemptList(ss) {
+  const sheet = ss.getSheetByName("Tax Exempt");
+  if (!sheet) return [];
+  const data = sheet.getDataRange().getValues();
+  if (data.length <= 1) return [];
+  const emailIdx = data[0].indexOf("Email");
+  const certificateIdx = data[0].indexOf("Certificate");
+  if (emailIdx === -1) return [];
+  return data.slice(1)
+    .filter(function(row) { return String(row[emailIdx]).trim() !== ""; })
+    .map(function(row) {
+      return {
+        Email: String(row[emailIdx]).trim(),
+        Certificate: certificateIdx !== -1 ? String(row[certificateIdx]).trim() : "",
+      };
+    });
+}
+
+/**
+ * Get the price tier based on total quantity of a product.
+ * Tiers are sorted descending by minQty in the catalog.
+ */
+function getPriceTier(qty, tiers) {
+  for (var i = 0; i < tiers.length; i++) {
+    if (qty >= tiers[i].minQty) return tiers[i].minQty;
+  }
+  return tiers[tiers.length - 1].minQty;
 }
 
 /**
  * Creates or updates the Summary tab with item counts, pricing, and totals.
- * Pricing tier is determined per product+color combination.
+ * Pricing tier and the minimum are determined per tier group
+ * (catalog.tierGrouping); the table always breaks down by product+color.
  * Can be run manually from the Apps Script editor or via custom menu.
  */
 function updateSummary() {
+  const fullCatalog = getCatalog();
+  const campaignId = findCurrentCampaignId(fullCatalog, new Date());
+  const catalog = resolveCampaignCatalog(fullCatalog, campaignId);
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const ordersSheet = ss.getSheetByName("Orders") || ss.getSheets()[0];
 
@@ -74,34 +665,73 @@ function updateSummary() {
   const headers = data[0];
   const productIdx = headers.indexOf("Product");
   const colorIdx = headers.indexOf("Color");
+  const sizeIdx = headers.indexOf("Size");
   const embroideredNameIdx = headers.indexOf("Embroidered Name");
+  const campaignIdx = headers.indexOf("Campaign");
+  const emailIdx = headers.indexOf("Email");
+  const taxExemptIdx = headers.indexOf("Tax Exempt");
+  const jurisdictionIdx = headers.indexOf("Tax Jurisdiction");
 
-  // Count items by product+color (this is the key unit for pricing tiers)
-  const productColorData = {}; // { "Better Sweater Jacket|Black": { count: 5, embroideryCount: 2 } }
+  const exemptEmails = {};
+  readTaxExemptList(ss).forEach(function(entry) {
+    exemptEmails[entry.Email.toLowerCase()] = true;
+  });
+  var unknownJurisdictions = {};
+
+  // Count items by product+color for the table, and by tier group for pricing
+  const productColorData = {}; // { "Better Sweater Jacket|Black": { count: 5, embroideryCount: 2, items: [...] } }
+  const groupCounts = {}; // { "Better Sweater Jacket|Black": 5 } (keys depend on tierGrouping)
 
   for (var i = 1; i < data.length; i++) {
     var row = data[i];
     var product = row[productIdx];
-    var color = normalizeColor(row[colorIdx]);
+    var color = normalizeColor(row[colorIdx], catalog.colorFamilies);
     var embName = row[embroideredNameIdx];
 
-    if (!product) continue;
+    if (!product || isCancelledRow(headers, row)) continue;
+    if (campaignId && campaignIdx !== -1 && String(row[campaignIdx]).trim() !== campaignId) continue;
+
+    var groupKey = getTierGroupKey(product, row[colorIdx], catalog);
+    groupCounts[groupKey] = (groupCounts[groupKey] || 0) + 1;
 
     var key = product + "|" + color;
     if (!productColorData[key]) {
-      productColorData[key] = { product: product, color: color, count: 0, embroideryCount: 0 };
+      productColorData[key] = { product: product, color: color, groupKey: groupKey, count: 0, embroideryCount: 0, items: [] };
+    }
+    var embroidered = !!(embName && embName.toString().trim());
+    var exempt = (taxExemptIdx !== -1 && isTaxExemptValue(row[taxExemptIdx])) ||
+      (emailIdx !== -1 && exemptEmails[String(row[emailIdx]).trim().toLowerCase()] === true);
+    var jurisdiction = jurisdictionIdx !== -1 ? row[jurisdictionIdx] : "";
+    var taxRate = getTaxRate(catalog, jurisdiction);
+    if (taxRate === null) {
+      unknownJurisdictions[String(jurisdiction).trim()] = true;
+      taxRate = getTaxRate(catalog, "");
     }
     productColorData[key].count++;
-    if (embName && embName.toString().trim()) {
+    productColorData[key].items.push({
+      embroidered: embroidered,
+      upcharge: getSizeUpcharge(catalog, product, row[sizeIdx]),
+      taxRate: exempt ? 0 : taxRate,
+      exempt: exempt,
+    });
+    if (embroidered) {
       productColorData[key].embroideryCount++;
     }
   }
 
-  // Calculate totals
+  // Calculate totals (cents). Each row is one invoice line item, so tax is
+  // rounded per row exactly as Stripe rounds it.
+  var embroideryCents = toCents(catalog.embroideryFee);
+  var foldingCents = toCents(catalog.foldingFee || 0);
+  var grandTotalTax = 0;
   var grandTotalItems = 0;
   var grandTotalCost = 0;
   var grandTotalEmbroidery = 0;
+  var grandTotalFolding = 0;
+  var grandTotalUpcharges = 0;
+  var grandTotalExempt = 0;
   var hasUnfulfilled = false;
+  var minQty = catalog.tiers[catalog.tiers.length - 1].minQty;
 
   // Process each product+color combo
   var comboKeys = Object.keys(productColorData).sort();
@@ -109,13 +739,27 @@ function updateSummary() {
 
   for (var k = 0; k < comboKeys.length; k++) {
     var combo = productColorData[comboKeys[k]];
-    var tier = getPriceTier(combo.count);
-    var unitPrice = PRICING[combo.product] ? PRICING[combo.product][tier] : 0;
+    var groupCount = groupCounts[combo.groupKey];
+    var fulfilled = groupCount >= minQty;
+    var tier = getPriceTier(groupCount, catalog.tiers);
+    var productInfo = catalog.products[combo.product];
+    var unitPrice = productInfo ? toCents(productInfo.prices[tier]) : 0;
     var subtotal = combo.count * unitPrice;
-    var embFees = combo.embroideryCount * EMBROIDERY_FEE;
+    var embFees = combo.embroideryCount * embroideryCents;
+    var foldingFees = combo.count * foldingCents;
+    var upcharges = 0;
+    var comboTax = 0;
+    var comboExempt = 0;
+    for (var n = 0; n < combo.items.length; n++) {
+      var line = combo.items[n];
+      var lineCents = unitPrice + (line.embroidered ? embroideryCents : 0) + foldingCents + line.upcharge;
+      upcharges += line.upcharge;
+      comboTax += roundCents(lineCents * line.taxRate);
+      if (line.exempt) comboExempt++;
+    }
 
     var status = "";
-    if (combo.count < 6) {
+    if (!fulfilled) {
       status = "⚠️ NOT FULFILLED";
       hasUnfulfilled = true;
     } else {
@@ -123,12 +767,17 @@ function updateSummary() {
       grandTotalItems += combo.count;
       grandTotalCost += subtotal;
       grandTotalEmbroidery += embFees;
+      grandTotalFolding += foldingFees;
+      grandTotalUpcharges += upcharges;
+      grandTotalTax += comboTax;
+      grandTotalExempt += comboExempt;
     }
 
     comboRows.push({
       product: combo.product,
       color: combo.color,
       count: combo.count,
+      fulfilled: fulfilled,
       tier: tier,
       unitPrice: unitPrice,
       subtotal: subtotal,
@@ -143,13 +792,16 @@ function updateSummary() {
   var rowTracker = {}; // Track special rows for formatting
 
   // Header section
-  output.push(["ORDER SUMMARY", "", "", "", "", "", ""]);
+  var title = catalog.campaign ? "ORDER SUMMARY — " + catalog.campaign.name : "ORDER SUMMARY";
+  output.push([title, "", "", "", "", "", ""]);
   rowTracker.title = output.length;
 
   output.push(["", "", "", "", "", "", ""]);
 
   // Main breakdown table
-  output.push(["PRODUCT + COLOR BREAKDOWN (Tier is per combo)", "", "", "", "", "", ""]);
+  var groupingLabels = { productColor: "product+color combo", product: "product", order: "whole order" };
+  var groupingLabel = groupingLabels[catalog.tierGrouping || "productColor"];
+  output.push(["PRODUCT + COLOR BREAKDOWN (Tier is per " + groupingLabel + ")", "", "", "", "", "", ""]);
   rowTracker.tableTitle = output.length;
 
   output.push(["Product", "Color", "Qty", "Tier", "Unit Price", "Subtotal", "Status"]);
@@ -169,9 +821,9 @@ function updateSummary() {
       cr.product,
       cr.color,
       String(cr.count),
-      cr.count < 6 ? "N/A" : cr.tier + "+",
-      cr.count < 6 ? "-" : "$" + cr.unitPrice.toFixed(2),
-      cr.count < 6 ? "-" : "$" + cr.subtotal.toFixed(2),
+      cr.fulfilled ? cr.tier + "+" : "N/A",
+      cr.fulfilled ? formatCents(cr.unitPrice) : "-",
+      cr.fulfilled ? formatCents(cr.subtotal) : "-",
       cr.status
     ]);
   }
@@ -182,22 +834,44 @@ function updateSummary() {
   output.push(["TOTALS (fulfilled items only)", "", "", "", "", "", ""]);
   rowTracker.totalsTitle = output.length;
 
-  var subtotal = grandTotalCost + grandTotalEmbroidery;
-  var taxAmount = subtotal * TAX_RATE;
+  var subtotal = grandTotalCost + grandTotalEmbroidery + grandTotalFolding + grandTotalUpcharges;
 
-  output.push(["Total Items:", String(grandTotalItems), "", "Product Cost:", "$" + grandTotalCost.toFixed(2), "", ""]);
-  output.push(["", "", "", "Embroidery:", "$" + grandTotalEmbroidery.toFixed(2), "", ""]);
-  output.push(["", "", "", "Sales Tax (" + (TAX_RATE * 100).toFixed(2) + "%):", "$" + taxAmount.toFixed(2), "", ""]);
-  output.push(["", "", "", "GRAND TOTAL:", "$" + (subtotal + taxAmount).toFixed(2), "", ""]);
+  output.push(["Total Items:", String(grandTotalItems), "", "Product Cost:", formatCents(grandTotalCost), "", ""]);
+  output.push(["", "", "", "Embroidery:", formatCents(grandTotalEmbroidery), "", ""]);
+  output.push(["", "", "", "Folding:", formatCents(grandTotalFolding), "", ""]);
+  output.push(["", "", "", "Size Upcharges:", formatCents(grandTotalUpcharges), "", ""]);
+  var taxLabel = grandTotalExempt > 0 ? "Sales Tax (" + grandTotalExempt + " exempt items):" : "Sales Tax:";
+  output.push(["", "", "", taxLabel, formatCents(grandTotalTax), "", ""]);
+  output.push(["", "", "", "GRAND TOTAL:", formatCents(subtotal + grandTotalTax), "", ""]);
   rowTracker.grandTotal = output.length;
 
   // Warning if any unfulfilled
   if (hasUnfulfilled) {
     output.push(["", "", "", "", "", "", ""]);
-    output.push(["⚠️ WARNING: Combos marked 'NOT FULFILLED' are below the 6-item minimum and will not be ordered.", "", "", "", "", "", ""]);
+    output.push(["⚠️ WARNING: Rows marked 'NOT FULFILLED' belong to a " + groupingLabel + " below the " + minQty + "-item minimum and will not be ordered.", "", "", "", "", "", ""]);
     rowTracker.warning = output.length;
   }
 
+  var unknownCodes = Object.keys(unknownJurisdictions);
+  if (unknownCodes.length > 0) {
+    output.push(["", "", "", "", "", "", ""]);
+    output.push(["⚠️ WARNING: Unknown tax jurisdiction(s) " + unknownCodes.join(", ") + " — taxed at the default rate here; invoices will not be created for these customers.", "", "", "", "", "", ""]);
+    rowTracker.taxWarning = output.length;
+  }
+
+  // Same person, same items, submitted more than once
+  var duplicates = findDuplicateOrders(data, campaignId);
+  if (duplicates.length > 0) {
+    output.push(["", "", "", "", "", "", ""]);
+    output.push(["⚠️ POSSIBLE DUPLICATE ORDERS — the same items from the same person; if a repeat was not meant, put the date in its rows' Cancelled column (don't delete rows)", "", "", "", "", "", ""]);
+    rowTracker.duplicatesTitle = output.length;
+    output.push(["Email", "Order", "Repeats", "", "", "", ""]);
+    rowTracker.duplicatesHeader = output.length;
+    duplicates.forEach(function (d) {
+      output.push([d.email, describeOrderRows(d.orderId, d.rows), describeOrderRows(d.duplicateOf.orderId, d.duplicateOf.rows), "", "", "", ""]);
+    });
+  }
+
   // Write to sheet
   summarySheet.getRange(1, 1, output.length, 7).setValues(output);
 
@@ -211,6 +885,13 @@ function updateSummary() {
   if (rowTracker.warning) {
     summarySheet.getRange(rowTracker.warning, 1).setFontWeight("bold").setFontColor("#b5403a");
   }
+  if (rowTracker.taxWarning) {
+    summarySheet.getRange(rowTracker.taxWarning, 1).setFontWeight("bold").setFontColor("#b5403a");
+  }
+  if (rowTracker.duplicatesTitle) {
+    summarySheet.getRange(rowTracker.duplicatesTitle, 1).setFontWeight("bold").setFontColor("#b5403a");
+    summarySheet.getRange(rowTracker.duplicatesHeader, 1, 1, 3).setFontWeight("bold").setBackground("#e8e2da");
+  }
 
   // Auto-resize columns
   summarySheet.autoResizeColumns(1, 7);
@@ -225,12 +906,244 @@ function onOpen() {
   SpreadsheetApp.getUi()
     .createMenu("Order Tools")
     .addItem("Update Summary", "updateSummary")
+    .addItem("Create Confirmation Email Template", "createConfirmationTemplate")
     .addSeparator()
     .addItem("Set Stripe API Key", "setStripeApiKey")
     .addItem("Sync Payments from Stripe", "syncStripePayments")
+    .addSeparator()
+    .addItem("Create Admin Key", "createAdminKey")
     .addToUi();
 }
 
+// ─── CONFIRMATION EMAILS ─────────────────────────────────────────────────────
+// Each submission is confirmed by email: the items, the estimate the form's
+// review step shows, and the private link to change the order. The organizer
+// edits the wording on a "Confirmation Email" tab (Order Tools > Create
+// Confirmation Email Template); without it, DEFAULT_CONFIRMATION_EMAIL is
+// used. A CONFIRMATION_BCC script property copies the organizer, and
+// "confirmationEmail": false in pricing.json (top-level or in a campaign)
+// turns the emails off.
+//
+// The web app URL is public, so anyone could post orders to make it email
+// any address. Confirmations are limited per address and per order (Apps
+// Script doesn't see the sender's IP), and stop short of the account's daily
+// email quota. A confirmation that isn't sent never fails the order.
+
+// Where the form lives, for edit links. Override with a FORM_URL script property.
+const FORM_URL = "https://cmc-em.github.io/";
+const CONFIRMATION_TAB = "Confirmation Email";
+
+// At most this many confirmations to one address, or for one order, within
+// CONFIRMATION_WINDOW_SECONDS of the last one
+const CONFIRMATIONS_PER_WINDOW = 5;
+const CONFIRMATION_WINDOW_SECONDS = 3600;
+// Emails of the daily quota left for everything else the account sends
+const CONFIRMATION_QUOTA_RESERVE = 10;
+
+// {{placeholders}}: name, orderId, action ("received" or "updated"),
+// campaign, closes, items, estimate, editLink
+const DEFAULT_CONFIRMATION_EMAIL = {
+  subject: "Your {{campaign}} order {{orderId}} was {{action}}",
+  body: [
+    "Hi {{name}},",
+    "",
+    "Your order {{orderId}} was {{action}}. Here is what we have:",
+    "",
+    "{{items}}",
+    "",
+    "{{estimate}}",
+    "",
+    "The final price depends on how many items everyone orders. Your invoice will be emailed after orders close.",
+    "",
+    "To change or cancel your order until orders close ({{closes}}), use your private link:",
+    "{{editLink}}",
+  ].join("\n"),
+};
+
+/**
+ * Reads the Subject and Body rows of the Confirmation Email tab, falling back
+ * to DEFAULT_CONFIRMATION_EMAIL for either one.
+ */
+function readConfirmationTemplate(ss) {
+  const template = { subject: DEFAULT_CONFIRMATION_EMAIL.subject, body: DEFAULT_CONFIRMATION_EMAIL.body };
+  const sheet = ss.getSheetByName(CONFIRMATION_TAB);
+  if (!sheet || sheet.getLastRow() === 0) return template;
+
+  sheet.getDataRange().getValues().forEach(function (row) {
+    const key = String(row[0]).trim().toLowerCase();
+    if ((key === "subject" || key === "body") && String(row[1]).trim()) template[key] = String(row[1]);
+  });
+  return template;
+}
+
+/**
+ * Menu action: creates the Confirmation Email tab with the default wording.
+ */
+function createConfirmationTemplate() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  if (ss.getSheetByName(CONFIRMATION_TAB)) {
+    ss.toast("The " + CONFIRMATION_TAB + " tab already exists.", "Confirmation Email");
+    return;
+  }
+  const sheet = ss.insertSheet(CONFIRMATION_TAB);
+  sheet.getRange(1, 1, 2, 2).setValues([
+    ["Subject", DEFAULT_CONFIRMATION_EMAIL.subject],
+    ["Body", DEFAULT_CONFIRMATION_EMAIL.body],
+  ]);
+  sheet.getRange(4, 1).setValue("Placeholders: {{name}} {{orderId}} {{action}} {{campaign}} {{closes}} {{items}} {{estimate}} {{editLink}}");
+  sheet.setColumnWidth(2, 600);
+  ss.toast("Edit the Subject and Body, keeping the {{placeholders}}.", "Confirmation Email");
+}
+
+/**
+ * Replaces {{placeholders}}; unknown ones are left as they are.
+ */
+function fillTemplate(text, values) {
+  return text.replace(/\{\{(\w+)\}\}/g, function (match, key) {
+    return values.hasOwnProperty(key) ? values[key] : match;
+  });
+}
+
+/**
+ * Formats a cents range like the form: "$175.75–$180.00".
+ */
+function formatCentsRange(min, max) {
+  return formatCents(roundCents(min)) + "–" + formatCents(roundCents(max));
+}
+
+// Stripe's standard card rate, used when the catalog has no processingFee.
+// Mirrors DEFAULT_PROCESSING_FEE in lib/pricing.js and index.html.
+const DEFAULT_PROCESSING_FEE = { mode: "passThrough", percent: 0.029, fixed: 0.30 };
+
+/**
+ * The order's items and estimate as text, worked out like buildOrderSummary()
+ * in index.html: each item at the cheapest and dearest tier price, then
+ * embroidery, upcharges, folding, tax and the processing fee.
+ * Returns { items, estimate }.
+ */
+function describeOrderForEmail(catalog, data) {
+  var baseMin = 0;
+  var baseMax = 0;
+  var upchargeTotal = 0;
+  var embroideredCount = 0;
+
+  const items = data.items.map(function (item, i) {
+    const product = catalog.products[item.product] || {};
+    const prices = Object.keys(product.prices || {}).map(function (tier) { return toCents(product.prices[tier]); });
+    const min = prices.length > 0 ? Math.min.apply(null, prices) : 0;
+    const max = prices.length > 0 ? Math.max.apply(null, prices) : 0;
+    const upcharge = getSizeUpcharge(catalog, item.product, item.size);
+    const style = catalog.styles[item.style];
+    const logo = (catalog.logos || []).filter(function (l) { return l.value === item.logo; })[0];
+
+    baseMin += min;
+    baseMax += max;
+    upchargeTotal += upcharge;
+    if (item.embroideredName) embroideredCount++;
+
+    const lines = [
+      (i + 1) + ". " + (product.label || item.product) + " - " + item.size + "   " + formatCentsRange(min + upcharge, max + upcharge),
+      "   " + item.color + " · " + (style ? style.label : item.style),
+    ];
+    if (item.embroideredName) lines.push('   Embroidery: "' + item.embroideredName + '" (' + item.threadColor + " thread)");
+    if (upcharge) lines.push("   Size upcharge (" + item.size + "): +" + formatCents(upcharge));
+    lines.push("   Logo: " + (logo ? logo.label : item.logo));
+    return lines.join("\n");
+  });
+
+  const embroideryFee = toCents(catalog.embroideryFee || 0);
+  const foldingFee = toCents(catalog.foldingFee || 0);
+  const embroideryTotal = embroideryFee * embroideredCount;
+  const foldingTotal = foldingFee * data.items.length;
+  const subtotalMin = baseMin + embroideryTotal + foldingTotal + upchargeTotal;
+  const subtotalMax = baseMax + embroideryTotal + foldingTotal + upchargeTotal;
+  const taxRate = data.taxExempt ? 0 : getTaxRate(catalog, "");
+  const taxMin = subtotalMin * taxRate;
+  const taxMax = subtotalMax * taxRate;
+
+  // Card fee grossed up as in the form; none when absorbed or paid by ACH
+  const fee = catalog.processingFee || DEFAULT_PROCESSING_FEE;
+  const mode = fee.mode || DEFAULT_PROCESSING_FEE.mode;
+  const noFee = mode === "absorb" || (mode === "achFree" && data.paymentMethod === "ach");
+  const estimateFee = function (net) {
+    return noFee ? 0 : (net + toCents(fee.fixed)) / (1 - fee.percent) - net;
+  };
+  const feeMin = estimateFee(subtotalMin + taxMin);
+  const feeMax = estimateFee(subtotalMax + taxMax);
+
+  const estimate = ["Items subtotal: " + formatCentsRange(baseMin, baseMax)];
+  if (embroideredCount > 0) {
+    estimate.push("Embroidery (" + formatCents(embroideryFee) + "/item × " + embroideredCount + "): " + formatCents(embroideryTotal));
+  }
+  if (upchargeTotal > 0) estimate.push("Extended size upcharges: " + formatCents(upchargeTotal));
+  estimate.push("Folding fee (" + formatCents(foldingFee) + "/item × " + data.items.length + "): " + formatCents(foldingTotal));
+  estimate.push((data.taxExempt ? "Sales tax (exempt)" : "Sales tax (" + (taxRate * 100).toFixed(2) + "%)") + ": " + formatCentsRange(taxMin, taxMax));
+  if (feeMax > 0) {
+    estimate.push("Card processing (covers " + Math.round(fee.percent * 10000) / 100 + "% + " + formatCents(toCents(fee.fixed)) + "): " + formatCentsRange(feeMin, feeMax));
+  }
+  estimate.push("Estimated total: " + formatCentsRange(subtotalMin + taxMin + feeMin, subtotalMax + taxMax + feeMax));
+
+  return { items: items.join("\n\n"), estimate: estimate.join("\n") };
+}
+
+/**
+ * Whether a confirmation may go to this address for this order now (see
+ * CONFIRMATIONS_PER_WINDOW and CONFIRMATION_QUOTA_RESERVE). If so, counts it.
+ */
+function takeConfirmationAllowance(email, orderId) {
+  if (MailApp.getRemainingDailyQuota() <= CONFIRMATION_QUOTA_RESERVE) {
+    console.warn("Confirmation for order " + orderId + " not sent: the daily email quota is nearly used up");
+    return false;
+  }
+  const cache = CacheService.getScriptCache();
+  const keys = ["confirmations:email:" + String(email).trim().toLowerCase(), "confirmations:order:" + orderId];
+  const counts = keys.map(function (key) { return Number(cache.get(key)) || 0; });
+  if (counts[0] >= CONFIRMATIONS_PER_WINDOW || counts[1] >= CONFIRMATIONS_PER_WINDOW) {
+    console.warn("Confirmation for order " + orderId + " not sent: too many confirmations to " + email + " or for this order");
+    return false;
+  }
+  keys.forEach(function (key, i) { cache.put(key, String(counts[i] + 1), CONFIRMATION_WINDOW_SECONDS); });
+  return true;
+}
+
+/**
+ * Emails the confirmation for a new or changed order, unless the campaign's
+ * catalog turns confirmations off or takeConfirmationAllowance says no.
+ * Returns true if an email was sent.
+ */
+function sendConfirmationEmail(ss, catalog, data, orderId, editToken, updated) {
+  if (catalog.confirmationEmail === false) return false;
+  if (!takeConfirmationAllowance(data.email, orderId)) return false;
+
+  const props = PropertiesService.getScriptProperties();
+  const formUrl = props.getProperty("FORM_URL") || FORM_URL;
+  const bcc = props.getProperty("CONFIRMATION_BCC") || "";
+  const summary = describeOrderForEmail(catalog, data);
+  const closes = catalog.campaign
+    ? Utilities.formatDate(new Date(catalog.campaign.closes), Session.getScriptTimeZone(), "MMMM d, yyyy")
+    : "see the order form";
+  const values = {
+    name: data.name,
+    orderId: orderId,
+    action: updated ? "updated" : "received",
+    campaign: catalog.campaign ? catalog.campaign.name : "Patagonia",
+    closes: closes,
+    items: summary.items,
+    estimate: summary.estimate,
+    editLink: formUrl + (formUrl.indexOf("?") === -1 ? "?" : "&") + "order=" + encodeURIComponent(editToken),
+  };
+
+  const template = readConfirmationTemplate(ss);
+  const message = {
+    to: data.email,
+    subject: fillTemplate(template.subject, values),
+    body: fillTemplate(template.body, values),
+  };
+  if (bcc) message.bcc = bcc;
+  MailApp.sendEmail(message);
+  return true;
+}
+
 // ─── STRIPE PAYMENT SYNC ─────────────────────────────────────────────────────
 
 /**
@@ -258,7 +1171,9 @@ function setStripeApiKey() {
 
 /**
  * Syncs payment status from Stripe invoices.
- * Matches by Invoice ID column if present, otherwise by email.
+ * Matches by Invoice ID column if present, otherwise by email and campaign.
+ * Rows without an Invoice ID whose customer has invoiced rows are late
+ * orders waiting for a supplemental invoice, so they never match by email.
  * Adds "Invoice ID" and "Paid" columns if they don't exist.
  */
 function syncStripePayments() {
@@ -292,6 +1207,9 @@ function syncStripePayments() {
     headers.push("Invoice ID");
   }
 
+  var campaignIdx = headers.indexOf("Campaign");
+  var statusIdx = headers.indexOf("Invoice Status");
+
   // Find or create Paid column
   var paidIdx = headers.indexOf("Paid");
   if (paidIdx === -1) {
@@ -305,13 +1223,22 @@ function syncStripePayments() {
 
   // Build lookup maps
   var paidByInvoiceId = {}; // { "in_xxx": true }
-  var paidByEmail = {}; // { "email@example.com": "in_xxx" }
+  var paidByEmail = {}; // { "email@example.com|2026-fall": "in_xxx" }
 
   for (var i = 0; i < paidInvoices.length; i++) {
     var inv = paidInvoices[i];
     paidByInvoiceId[inv.id] = true;
     if (inv.customer_email) {
-      paidByEmail[inv.customer_email.toLowerCase()] = inv.id;
+      paidByEmail[inv.customer_email.toLowerCase() + "|" + inv.campaign] = inv.id;
+    }
+  }
+
+  // Customers with at least one invoiced row, per campaign
+  var hasInvoicedRows = {};
+  for (var h = 1; h < data.length; h++) {
+    if (data[h][invoiceIdIdx] && data[h][emailIdx]) {
+      var invoicedCampaign = campaignIdx !== -1 ? String(data[h][campaignIdx]).trim() : "";
+      hasInvoicedRows[data[h][emailIdx].toString().trim().toLowerCase() + "|" + invoicedCampaign] = true;
     }
   }
 
@@ -325,9 +1252,10 @@ function syncStripePayments() {
     var invoiceId = row[invoiceIdIdx] ? row[invoiceIdIdx].toString().trim() : "";
     var email = row[emailIdx] ? row[emailIdx].toString().trim().toLowerCase() : "";
     var currentPaidStatus = row[paidIdx] ? row[paidIdx].toString().trim() : "";
+    var emailKey = email + "|" + (campaignIdx !== -1 ? String(row[campaignIdx]).trim() : "");
 
-    // Skip if already marked paid
-    if (currentPaidStatus === "✓") {
+    // Skip if already marked paid, or cancelled (never billed)
+    if (currentPaidStatus === "✓" || isCancelledRow(headers, row)) {
       continue;
     }
 
@@ -340,10 +1268,10 @@ function syncStripePayments() {
       matchedInvoiceId = invoiceId;
       matchedByIdCount++;
     }
-    // Fall back to email matching
-    else if (email && paidByEmail[email]) {
+    // Fall back to email matching (rows from before Invoice IDs were recorded)
+    else if (!invoiceId && email && paidByEmail[emailKey] && !hasInvoicedRows[emailKey]) {
       isPaid = true;
-      matchedInvoiceId = paidByEmail[email];
+      matchedInvoiceId = paidByEmail[emailKey];
       matchedByEmailCount++;
     }
 
@@ -354,6 +1282,9 @@ function syncStripePayments() {
       }
       // Mark as paid
       sheet.getRange(r + 1, paidIdx + 1).setValue("✓");
+      if (statusIdx !== -1) {
+        sheet.getRange(r + 1, statusIdx + 1).setValue(STRIPE_EVENT_STATUSES["invoice.paid"]);
+      }
       updatedCount++;
     }
   }
@@ -370,7 +1301,8 @@ function syncStripePayments() {
 
 /**
  * Fetches all paid invoices from Stripe, handling pagination.
- * Returns array of invoice objects with id and customer_email.
+ * Returns array of invoice objects with id, customer_email and campaign
+ * (metadata.campaign, or "" for invoices from before campaigns).
  */
 function fetchPaidInvoices(apiKey) {
   var invoices = [];
@@ -401,6 +1333,7 @@ function fetchPaidInvoices(apiKey) {
       invoices.push({
         id: inv.id,
         customer_email: inv.customer_email,
+        campaign: (inv.metadata && inv.metadata.campaign) || "",
       });
     }
 
@@ -413,6 +1346,103 @@ function fetchPaidInvoices(apiKey) {
   return invoices;
 }
 
+// ─── STRIPE WEBHOOKS ─────────────────────────────────────────────────────────
+// Stripe invoice events reach the web app as they happen, so rows show
+// payments without waiting for "Sync Payments from Stripe". They come through
+// webhook-relay.js, which checks Stripe-Signature and answers Stripe with a
+// 2xx; Stripe can't post here directly, since Apps Script can't read request
+// headers and answers every POST with a redirect, which Stripe counts as a
+// failure. Subscribe the relay's endpoint to the events in STRIPE_EVENT_STATUSES.
+//
+// The web app doesn't trust the relay either: the posted event is only used
+// for its ID, and the event itself is fetched back from Stripe with the API
+// key, which a forged post can't fake. Rows are matched by Invoice ID, and an
+// event applied twice changes nothing, so Stripe's retries are harmless.
+
+// Invoice Status written for each handled event type
+const STRIPE_EVENT_STATUSES = {
+  "invoice.paid": "Paid",
+  "invoice.voided": "Void",
+  "invoice.payment_failed": "Payment failed",
+  "invoice.marked_uncollectible": "Uncollectible",
+};
+
+/**
+ * Handles a Stripe webhook post: fetches the event from Stripe by ID and
+ * applies it (see applyStripeEvent).
+ */
+function handleStripeWebhook(ss, posted) {
+  const apiKey = PropertiesService.getScriptProperties().getProperty("STRIPE_API_KEY");
+  if (!apiKey) {
+    return jsonResponse({ status: "error", message: "No Stripe API key set (Order Tools → Set Stripe API Key)" });
+  }
+  if (!STRIPE_EVENT_STATUSES[posted.type]) {
+    return jsonResponse({ status: "ok", ignored: posted.type });
+  }
+  if (!/^evt_\w+$/.test(String(posted.id))) {
+    return jsonResponse({ status: "error", message: "Not a Stripe event" });
+  }
+
+  const response = UrlFetchApp.fetch("https://api.stripe.com/v1/events/" + posted.id, {
+    headers: { Authorization: "Bearer " + apiKey },
+    muteHttpExceptions: true,
+  });
+  if (response.getResponseCode() !== 200) {
+    console.error("Stripe event " + posted.id + " could not be fetched (" + response.getResponseCode() + ")");
+    return jsonResponse({ status: "error", message: "Unknown Stripe event" });
+  }
+
+  const sheet = ss.getSheetByName("Orders") || ss.getSheets()[0];
+  const result = applyStripeEvent(sheet, JSON.parse(response.getContentText()));
+  return jsonResponse({ status: "ok", updatedRows: result.updatedRows });
+}
+
+/**
+ * Applies a Stripe invoice event to the rows holding its Invoice ID: sets
+ * Invoice Status, and marks Paid (or clears it when the invoice is void or
+ * uncollectible). A failed payment never overwrites "Paid", since Stripe
+ * doesn't promise to deliver events in order. Adds the Invoice Status and
+ * Paid columns if needed.
+ * Returns { invoiceId, status, updatedRows }; status is null for event types
+ * that aren't handled.
+ */
+function applyStripeEvent(sheet, event) {
+  const status = STRIPE_EVENT_STATUSES[event.type] || null;
+  const invoice = event.data && event.data.object;
+  const invoiceId = invoice && invoice.object === "invoice" ? String(invoice.id) : "";
+  if (!status || !invoiceId) {
+    return { invoiceId: invoiceId, status: null, updatedRows: 0 };
+  }
+
+  const data = sheet.getDataRange().getValues();
+  const invoiceIdIdx = (data[0] || []).indexOf("Invoice ID");
+  const statusIdx = (data[0] || []).indexOf("Invoice Status");
+  const rows = [];
+  for (var i = 1; i < data.length; i++) {
+    if (invoiceIdIdx !== -1 && String(data[i][invoiceIdIdx]).trim() === invoiceId) rows.push(i + 1);
+  }
+  if (rows.length === 0) {
+    return { invoiceId: invoiceId, status: status, updatedRows: 0 };
+  }
+
+  const headers = ensureColumns(sheet, ["Paid", "Invoice Status"]);
+  const paidCol = headers.indexOf("Paid") + 1;
+  const statusCol = headers.indexOf("Invoice Status") + 1;
+  var updatedRows = 0;
+  rows.forEach(function (row) {
+    const current = statusIdx === -1 ? "" : String(data[row - 1][statusIdx]);
+    if (status === "Payment failed" && current === "Paid") return;
+    sheet.getRange(row, statusCol).setValue(status);
+    if (status === "Paid") {
+      sheet.getRange(row, paidCol).setValue("✓");
+    } else if (status !== "Payment failed") {
+      sheet.getRange(row, paidCol).setValue("");
+    }
+    updatedRows++;
+  });
+  return { invoiceId: invoiceId, status: status, updatedRows: updatedRows };
+}
+
 // ─── AUTO-UPDATE ON CHANGE ───────────────────────────────────────────────────
 
 const DEBOUNCE_MS = 5000; // 5 second cooldown between auto-updates
@@ -463,20 +1493,135 @@ function setupChangeTrigger() {
   SpreadsheetApp.getActiveSpreadsheet().toast('Auto-update trigger installed!', 'Success');
 }
 
+// ─── ADMIN REQUESTS ──────────────────────────────────────────────────────────
+// The web app URL is public (index.html has it), so only the form's actions
+// are open: the catalog, looking up, submitting and cancelling an order with
+// its token. The order export and invoice ID updates are for invoice.js, and
+// must be signed with the admin key: HMAC-SHA256 over "<ts>\n<action>\n<body>"
+// (body being the raw POST body, "" for a GET), sent as ?ts=...&sig=...
+// See lib/apps-script.js.
+
+// Oldest signature accepted, in seconds; also allows for clock drift
+const ADMIN_SIGNATURE_MAX_AGE = 300;
+
+/**
+ * Menu: creates a new admin key, replacing any earlier one, and shows it once
+ * to copy into invoice.js's .env.
+ */
+function createAdminKey() {
+  const ui = SpreadsheetApp.getUi();
+  const props = PropertiesService.getScriptProperties();
+  if (props.getProperty("ADMIN_KEY")) {
+    const answer = ui.alert(
+      "Replace Admin Key",
+      "invoice.js will be refused until its .env has the new key. Continue?",
+      ui.ButtonSet.YES_NO
+    );
+    if (answer !== ui.Button.YES) return;
+  }
+
+  const key = Utilities.getUuid().replace(/-/g, "") + Utilities.getUuid().replace(/-/g, "");
+  props.setProperty("ADMIN_KEY", key);
+  ui.alert("Add this line to invoice.js's .env file. It is not shown again.\n\nAPPS_SCRIPT_ADMIN_KEY=" + key);
+}
+
+/**
+ * Bytes (as Utilities returns them, -128..127) as lowercase hex.
+ */
+function toHex(bytes) {
+  return bytes.map(function (b) {
+    return ("0" + (b & 0xff).toString(16)).slice(-2);
+  }).join("");
+}
+
+/**
+ * Compares two strings in time that doesn't depend on where they differ.
+ */
+function constantTimeEquals(a, b) {
+  if (a.length !== b.length) return false;
+  var diff = 0;
+  for (var i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Why an admin request is refused, or null if it is signed with the admin key
+ * and recent. body is the raw POST body, "" for a GET.
+ */
+function checkAdminSignature(e, action, body) {
+  const key = PropertiesService.getScriptProperties().getProperty("ADMIN_KEY");
+  if (!key) {
+    return "No admin key is set up. In the sheet, run Order Tools → Create Admin Key.";
+  }
+  const params = (e && e.parameter) || {};
+  if (!params.ts || !params.sig) {
+    return "This action needs a request signed with the admin key.";
+  }
+  const ts = Number(params.ts);
+  if (!isFinite(ts) || Math.abs(Date.now() / 1000 - ts) > ADMIN_SIGNATURE_MAX_AGE) {
+    return "The request's signature has expired. Check this computer's clock.";
+  }
+  const message = params.ts + "\n" + action + "\n" + body;
+  const expected = toHex(Utilities.computeHmacSha256Signature(message, key, Utilities.Charset.UTF_8));
+  if (!constantTimeEquals(expected, String(params.sig || ""))) {
+    return "The request is not signed with this sheet's admin key.";
+  }
+  return null;
+}
+
+/**
+ * Reply to a refused admin request.
+ */
+function unauthorized(reason) {
+  return jsonResponse({ status: "error", code: "unauthorized", message: reason });
+}
+
+// ─── WEB APP ──────────────────────────────────────────────────────────────────
+
 /**
- * GET endpoint — returns all orders as JSON for the invoice script.
- * Usage: fetch(APPS_SCRIPT_URL) returns { orders: [...] }
+ * GET endpoint.
+ * Public, for the form:
+ *   ?action=catalog returns { catalog: {...}, ordersOpen } for the open campaign
+ *   ?action=order&token=... returns { order: {...}, editable, reason }
+ * Admin, for invoice.js (signed, see checkAdminSignature):
+ *   ?action=export returns all orders: { orders: [...], taxExempt: [{ Email, Certificate }] }
  */
 function doGet(e) {
   try {
+    const action = e && e.parameter ? e.parameter.action : "";
+    if (action === "catalog") {
+      // The form gets the catalog of the open campaign; campaign is null when closed
+      const catalog = getCatalog();
+      const openId = findOpenCampaignId(catalog, new Date());
+      const hasCampaigns = Object.keys(catalog.campaigns || {}).length > 0;
+      return jsonResponse({
+        catalog: resolveCampaignCatalog(catalog, e.parameter.campaign || openId),
+        ordersOpen: !hasCampaigns || openId !== null,
+      });
+    }
+
     const ss = SpreadsheetApp.getActiveSpreadsheet();
+    if (action === "order") {
+      return handleOrderLookup(ss, e.parameter.token);
+    }
+    if (action !== "export") {
+      return jsonResponse({ status: "error", code: "unknown_action", message: "Unknown action: " + (action || "(none)") });
+    }
+
+    const denied = checkAdminSignature(e, "export", "");
+    if (denied) {
+      return unauthorized(denied);
+    }
+
     const sheet = ss.getSheetByName("Orders") || ss.getSheets()[0];
     const data = sheet.getDataRange().getValues();
 
+    const taxExempt = readTaxExemptList(ss);
+
     if (data.length <= 1) {
-      return ContentService.createTextOutput(
-        JSON.stringify({ orders: [] })
-      ).setMimeType(ContentService.MimeType.JSON);
+      return jsonResponse({ orders: [], taxExempt: taxExempt });
     }
 
     const headers = data[0];
@@ -488,38 +1633,60 @@ function doGet(e) {
       return order;
     });
 
-    return ContentService.createTextOutput(
-      JSON.stringify({ orders: orders })
-    ).setMimeType(ContentService.MimeType.JSON);
+    return jsonResponse({ orders: orders, taxExempt: taxExempt });
   } catch (err) {
-    return ContentService.createTextOutput(
-      JSON.stringify({ status: "error", message: err.toString() })
-    ).setMimeType(ContentService.MimeType.JSON);
+    return jsonResponse({ status: "error", message: err.toString() });
   }
 }
 
+/**
+ * Wraps an object as a JSON web app response.
+ */
+function jsonResponse(obj) {
+  return ContentService.createTextOutput(JSON.stringify(obj))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
 function doPost(e) {
   try {
     const data = JSON.parse(e.postData.contents);
     const ss = SpreadsheetApp.getActiveSpreadsheet();
 
-    // Route based on action type
+    // Route based on action type, one request at a time: invoice.js posts
+    // updates for several customers at once, and edits and cancellations
+    // rewrite or mark rows by number.
     if (data.action === "updateInvoiceId") {
-      return handleInvoiceIdUpdate(ss, data);
+      const denied = checkAdminSignature(e, "updateInvoiceId", e.postData.contents);
+      if (denied) {
+        return unauthorized(denied);
+      }
+      return withScriptLock(function () { return handleInvoiceIdUpdate(ss, data); });
+    }
+    if (data.action === "cancelOrder") {
+      return withScriptLock(function () { return handleOrderCancel(ss, data); });
+    }
+    if (data.object === "event") {
+      return withScriptLock(function () { return handleStripeWebhook(ss, data); });
     }
 
     // Default: handle order submission
-    return handleOrderSubmission(ss, data);
+    return withScriptLock(function () { return handleOrderSubmission(ss, data); });
   } catch (err) {
-    return ContentService.createTextOutput(
-      JSON.stringify({ status: "error", message: err.toString() })
-    ).setMimeType(ContentService.MimeType.JSON);
+    return jsonResponse({ status: "error", message: err.toString() });
   }
 }
 
 /**
  * Handles updating Invoice ID for rows matching an email address.
- * POST body: { action: "updateInvoiceId", email: "...", invoiceId: "in_xxx" }
+ * POST body: { action: "updateInvoiceId", email: "...", invoiceId: "in_xxx", rows: [2, 3] }
+ * Admin only: doPost checks the signature first.
+ * With rows (sheet row numbers), only those rows are updated, so a
+ * supplemental invoice does not overwrite the ID on earlier rows.
+ * An empty invoiceId marks rows uninvoiced again (after an amendment). A row
+ * whose ID changes loses its Paid mark and Invoice Status, which belonged to
+ * the old invoice.
+ * With currentInvoiceId, rows holding a different ID are left alone, so a
+ * rollback never clears an ID written by a later run.
  */
 function handleInvoiceIdUpdate(ss, data) {
   const sheet = ss.getSheetByName("Orders") || ss.getSheets()[0];
@@ -528,9 +1695,7 @@ function handleInvoiceIdUpdate(ss, data) {
 
   const emailIdx = headers.indexOf("Email");
   if (emailIdx === -1) {
-    return ContentService.createTextOutput(
-      JSON.stringify({ status: "error", message: "Email column not found" })
-    ).setMimeType(ContentService.MimeType.JSON);
+    return jsonResponse({ status: "error", message: "Email column not found" });
   }
 
   // Find or create Invoice ID column
@@ -540,28 +1705,129 @@ function handleInvoiceIdUpdate(ss, data) {
     sheet.getRange(1, invoiceIdIdx + 1).setValue("Invoice ID");
   }
 
-  // Update all rows matching the email
+  var paidIdx = headers.indexOf("Paid");
+  var statusIdx = headers.indexOf("Invoice Status");
+
+  // Update all rows matching the email (or just the listed ones). A customer
+  // merged from several emails sends them all in "emails".
   var updatedCount = 0;
-  var targetEmail = data.email.toLowerCase().trim();
+  var targetEmails = (data.emails || [data.email]).map(function (email) {
+    return String(email).toLowerCase().trim();
+  });
+  var onlyRows = data.rows || null;
+  var currentId = data.currentInvoiceId || null;
 
   for (var i = 1; i < allData.length; i++) {
+    if (onlyRows && onlyRows.indexOf(i + 1) === -1) continue;
+    if (isCancelledRow(headers, allData[i])) continue;
     var rowEmail = allData[i][emailIdx];
-    if (rowEmail && rowEmail.toString().toLowerCase().trim() === targetEmail) {
+    if (rowEmail && targetEmails.indexOf(rowEmail.toString().toLowerCase().trim()) !== -1) {
+      var previousId = invoiceIdIdx < allData[i].length ? String(allData[i][invoiceIdIdx]) : "";
+      if (currentId && previousId !== currentId) continue;
       sheet.getRange(i + 1, invoiceIdIdx + 1).setValue(data.invoiceId);
+      if (paidIdx !== -1 && previousId !== data.invoiceId) {
+        sheet.getRange(i + 1, paidIdx + 1).setValue("");
+      }
+      if (statusIdx !== -1 && previousId !== data.invoiceId) {
+        sheet.getRange(i + 1, statusIdx + 1).setValue("");
+      }
       updatedCount++;
     }
   }
 
-  return ContentService.createTextOutput(
-    JSON.stringify({ status: "ok", updatedRows: updatedCount })
-  ).setMimeType(ContentService.MimeType.JSON);
+  return jsonResponse({ status: "ok", updatedRows: updatedCount });
 }
 
 /**
- * Handles new order submissions from the order form.
- * POST body: { name, phone, email, position, items: [...] }
+ * Handles the form loading an order by its edit token.
+ * GET ?action=order&token=...
+ * Returns { status: "ok", order, editable, reason }; reason says why a
+ * found order can no longer be changed.
+ */
+function handleOrderLookup(ss, token) {
+  const sheet = ss.getSheetByName("Orders") || ss.getSheets()[0];
+  const found = findOrderRows(sheet, token);
+  if (found.rows.length === 0) {
+    return orderNotFound();
+  }
+
+  const reason = getOrderLockReason(getCatalog(), found.headers, found.rows);
+  return jsonResponse({
+    status: "ok",
+    order: readOrder(found.headers, found.rows),
+    editable: reason === null,
+    reason: reason,
+  });
+}
+
+/**
+ * Handles cancelling an order: its rows are marked cancelled (see cancelRows).
+ * POST body: { action: "cancelOrder", editToken }
+ */
+function handleOrderCancel(ss, data) {
+  const sheet = ss.getSheetByName("Orders") || ss.getSheets()[0];
+  const found = findOrderRows(sheet, data.editToken);
+  if (found.rows.length === 0) {
+    return orderNotFound();
+  }
+  const reason = getOrderLockReason(getCatalog(), found.headers, found.rows);
+  if (reason) {
+    return jsonResponse({ status: "error", code: "locked", message: reason });
+  }
+
+  cancelRows(sheet, found.rows);
+  return jsonResponse({ status: "ok", removedRows: found.rows.length });
+}
+
+/**
+ * Handles order submissions from the order form, new or edited.
+ * POST body: { name, phone, email, position, campaign, taxExempt, paymentMethod, items: [...], editToken }
+ * taxExempt is the customer's certificate number, true, or absent.
+ * paymentMethod ("card" or "ach") is sent when the catalog offers fee-free ACH.
+ * Rejected unless a campaign is open; rows are tagged with its ID.
+ * Invalid submissions are rejected with code "invalid" and
+ * errors: [{ field, message }] (see validateSubmission).
+ * A new order returns its orderId and editToken. With editToken, the items
+ * replace that order's rows: rows are rewritten in place, extra items are
+ * appended (copying the order's other columns, such as Tax Jurisdiction),
+ * and rows left over are marked cancelled.
+ * Either way a confirmation is emailed; "emailed" says whether it went. A
+ * failed email does not fail the order, which is already saved.
+ * A submissionId already recorded gets the first reply again, with
+ * replayed: true, and nothing is written (see findSubmissionReply).
  */
 function handleOrderSubmission(ss, data) {
+  const replay = findSubmissionReply(ss.getSheetByName("Orders") || ss.getSheets()[0], data.submissionId);
+  if (replay) {
+    return jsonResponse(replay);
+  }
+
+  const catalog = getCatalog();
+  const hasCampaigns = Object.keys(catalog.campaigns || {}).length > 0;
+  const campaignId = findOpenCampaignId(catalog, new Date());
+
+  if (hasCampaigns && !campaignId) {
+    return jsonResponse({ status: "error", code: "closed", message: "Orders are closed." });
+  }
+  if (data.campaign && data.campaign !== campaignId) {
+    return jsonResponse({
+      status: "error",
+      code: "campaign_mismatch",
+      message: "This order form is out of date. Please refresh the page and try again.",
+    });
+  }
+
+  const campaignCatalog = resolveCampaignCatalog(catalog, campaignId);
+  const errors = validateSubmission(campaignCatalog, data);
+  if (errors.length > 0) {
+    return jsonResponse({
+      status: "error",
+      code: "invalid",
+      message: "Please fix the highlighted fields.",
+      errors: errors,
+    });
+  }
+
   // Get or create Orders sheet
   let sheet = ss.getSheetByName("Orders");
   if (!sheet) {
@@ -574,45 +1840,75 @@ function handleOrderSubmission(ss, data) {
     }
   }
 
-  // Write header row if sheet is empty
-  if (sheet.getLastRow() === 0) {
-    sheet.appendRow([
-      "Timestamp",
-      "Name",
-      "Phone",
-      "Email",
-      "Position",
-      "Product",
-      "Style",
-      "Size",
-      "Color",
-      "Logo",
-      "Embroidered Name",
-      "Thread Color",
-    ]);
+  // Write any missing header columns (all of them if the sheet is empty)
+  const headers = ensureColumns(sheet, ORDER_COLUMNS);
+
+  var existing = [];
+  var orderId = Utilities.getUuid().replace(/-/g, "").slice(0, 8).toUpperCase();
+  var editToken = Utilities.getUuid().replace(/-/g, "") + Utilities.getUuid().replace(/-/g, "");
+  if (data.editToken) {
+    existing = findOrderRows(sheet, data.editToken).rows;
+    if (existing.length === 0) {
+      return orderNotFound();
+    }
+    const reason = getOrderLockReason(catalog, headers, existing);
+    if (reason) {
+      return jsonResponse({ status: "error", code: "locked", message: reason });
+    }
+    orderId = String(existing[0].values[headers.indexOf("Order ID")]);
+    editToken = data.editToken;
   }
 
   const timestamp = new Date().toISOString();
 
   // One row per line item, person info repeated
-  data.items.forEach(function (item) {
-    sheet.appendRow([
-      timestamp,
-      data.name,
-      data.phone,
-      data.email,
-      data.position,
-      item.product,
-      item.style,
-      item.size,
-      item.color,
-      item.logo,
-      item.embroideredName || "",
-      item.threadColor || "",
-    ]);
+  const rows = data.items.map(function (item) {
+    const values = {
+      "Timestamp": timestamp,
+      "Name": sheetText(data.name),
+      "Phone": sheetText(data.phone),
+      "Email": sheetText(data.email),
+      "Position": sheetText(data.position),
+      "Product": item.product,
+      "Style": item.style,
+      "Size": item.size,
+      "Color": item.color,
+      "Logo": item.logo,
+      "Embroidered Name": sheetText(item.embroideredName),
+      "Thread Color": item.threadColor || "",
+      "Campaign": campaignId || "",
+      "Tax Exempt": data.taxExempt === true ? "Yes" : sheetText(data.taxExempt),
+      "Payment Method": data.paymentMethod === "ach" ? "ACH" : (data.paymentMethod ? "Card" : ""),
+      "Order ID": orderId,
+      "Edit Key": hashEditToken(editToken),
+      "Submission ID": typeof data.submissionId === "string" ? data.submissionId : "",
+    };
+    return values;
   });
 
-  return ContentService.createTextOutput(
-    JSON.stringify({ status: "ok" })
-  ).setMimeType(ContentService.MimeType.JSON);
+  rows.forEach(function (values, i) {
+    // Columns the form doesn't write keep what the order's rows had
+    const base = existing.length > 0 ? existing[Math.min(i, existing.length - 1)].values : [];
+    const row = headers.map(function (h, col) {
+      if (values[h] !== undefined) return values[h];
+      return col < base.length ? base[col] : "";
+    });
+    if (i < existing.length) {
+      sheet.getRange(existing[i].row, 1, 1, row.length).setValues([row]);
+    } else {
+      sheet.appendRow(row);
+    }
+  });
+  cancelRows(sheet, existing.slice(rows.length));
+
+  var emailed = false;
+  try {
+    emailed = sendConfirmationEmail(ss, campaignCatalog, data, orderId, editToken, existing.length > 0);
+  } catch (err) {
+    console.error("Confirmation email to " + data.email + " failed: " + err);
+  }
+
+  const reply = { status: "ok", campaign: campaignId, orderId: orderId, editToken: editToken, emailed: emailed };
+  rememberSubmissionReply(data.submissionId, reply);
+  return jsonResponse(reply);
 }
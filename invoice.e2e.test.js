@@ -0,0 +1,635 @@
+/**
+ * End-to-end tests: run invoice.js against a CSV with the offline memory
+ * provider, then inspect what it asked the provider to do. Stripe webhook
+ * fixtures are replayed with webhook-replay.js.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { createMemoryProvider, readLedger } = require("./lib/memory-provider");
+const { parseRowList } = require("./lib/invoice-state");
+const { readOrderFile } = require("./lib/sources");
+
+const HEADER = "Timestamp,Name,Phone,Email,Position,Product,Style,Size,Color,Logo,Embroidered Name,Thread Color,Campaign";
+
+function orderRow(name, size, extra = "") {
+  const email = `${name.toLowerCase()}@example.com`;
+  const [embroideredName = "", threadColor = ""] = extra.split(":");
+  return `2026-10-05,${name},555-0100,${email},Resident,Better Sweater Jacket,Mens,${size},Black,Option 1,${embroideredName},${threadColor},2026-fall`;
+}
+
+// 6 black jackets: the group meets the minimum at the 6-17 tier ($175.00 + $0.75 folding)
+const ROWS = [
+  orderRow("Ana", "M", "Dr. Ana:White"),
+  orderRow("Ana", "L"),
+  orderRow("Ben", "M"),
+  orderRow("Ben", "XL"),
+  orderRow("Cy", "S"),
+  orderRow("Cy", "M"),
+];
+
+let dir;
+let ordersFile;
+let ledgerFile;
+let pricingFile;
+
+function writeOrders(rows) {
+  fs.writeFileSync(ordersFile, [HEADER, ...rows].join("\n") + "\n");
+}
+
+// Commands that never touch a provider (validate, purchase-order) don't take --provider.
+// Every command but rollback (which reads its journal) gets the test catalog.
+function runOffline(...args) {
+  const catalogArgs = args[0] === "rollback" ? [] : ["--pricing", pricingFile];
+  const result = spawnSync(process.execPath, [path.join(__dirname, "invoice.js"), ...args, ...catalogArgs], {
+    cwd: dir,
+    encoding: "utf-8",
+    env: { ...process.env, STRIPE_SECRET_KEY: "", APPS_SCRIPT_URL: "" },
+    timeout: 30000,
+  });
+  return { code: result.status, out: result.stdout + result.stderr };
+}
+
+function run(...args) {
+  return runOffline(...args, "--provider", "memory", "--ledger", ledgerFile);
+}
+
+const invoiceFor = (ledger, email) => {
+  const customer = ledger.customers.find((c) => c.email === email);
+  return ledger.invoices.filter((inv) => inv.customer === customer.id);
+};
+const itemsOf = (ledger, invoice) => ledger.invoiceItems.filter((item) => item.invoice === invoice.id);
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "cmc-invoice-"));
+  ordersFile = path.join(dir, "orders.csv");
+  ledgerFile = path.join(dir, "ledger.json");
+  pricingFile = path.join(dir, "pricing.json");
+  // The shipped catalog with the campaign the order rows are tagged with
+  const catalog = JSON.parse(fs.readFileSync(path.join(__dirname, "pricing.json"), "utf-8"));
+  catalog.campaigns = {
+    "2026-fall": { name: "Fall 2026", opens: "2026-10-01T00:00:00-04:00", closes: "2026-11-01T00:00:00-04:00" },
+  };
+  fs.writeFileSync(pricingFile, JSON.stringify(catalog));
+  writeOrders(ROWS);
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("invoice.js create (memory provider)", () => {
+  it("bills each customer once, with tax and the processing fee", () => {
+    const { code, out } = run("create", ordersFile, "--campaign", "2026-fall");
+    expect(code).toBe(0);
+    expect(out).toContain("Invoices created: 3 (0 supplemental)");
+
+    const ledger = readLedger(ledgerFile);
+    expect(ledger.customers.map((c) => c.email).sort()).toEqual(["ana@example.com", "ben@example.com", "cy@example.com"]);
+    expect(ledger.taxRates).toHaveLength(1);
+    expect(ledger.invoices.every((inv) => inv.status === "open" && inv.metadata.campaign === "2026-fall")).toBe(true);
+
+    const [ana] = invoiceFor(ledger, "ana@example.com");
+    expect(parseRowList(ana.metadata.rows)).toEqual([2, 3]);
+    const items = itemsOf(ledger, ana);
+    expect(items.map((item) => item.amount)).toEqual([18375, 17575, expect.any(Number)]);
+    expect(items[2].metadata).toEqual({ kind: "processing_fee" });
+    expect(items[2].tax_rates).toEqual([]);
+    expect(items[0].tax_rates).toEqual([ledger.taxRates[0].id]);
+
+    // Nothing is emailed by "create"
+    expect(ledger.calls.some((call) => call.op === "invoices.sendInvoice")).toBe(false);
+  });
+
+  it("creates nothing new when run again", () => {
+    run("create", ordersFile, "--campaign", "2026-fall");
+    const { code, out } = run("create", ordersFile, "--campaign", "2026-fall");
+    expect(code).toBe(0);
+    expect(out).toContain("Customers already invoiced: 3");
+    expect(readLedger(ledgerFile).invoices).toHaveLength(3);
+  });
+
+  it("bills a late row on a supplemental invoice", () => {
+    run("create", ordersFile, "--campaign", "2026-fall");
+    writeOrders([...ROWS, orderRow("Ben", "L")]);
+    const { out } = run("create", ordersFile, "--campaign", "2026-fall");
+    expect(out).toContain("Invoices created: 1 (1 supplemental)");
+
+    const ledger = readLedger(ledgerFile);
+    const ben = invoiceFor(ledger, "ben@example.com");
+    expect(ben).toHaveLength(2);
+    const supplemental = ben.find((inv) => inv.metadata.supplemental === "true");
+    expect(parseRowList(supplemental.metadata.rows)).toEqual([8]);
+  });
+
+  it("limits --only to one customer", () => {
+    run("create", ordersFile, "--campaign", "2026-fall", "--only", "Cy@example.com");
+    const ledger = readLedger(ledgerFile);
+    expect(ledger.invoices).toHaveLength(1);
+    expect(ledger.customers.map((c) => c.email)).toEqual(["cy@example.com"]);
+  });
+
+  it("reads several order files, numbering each one's rows by file", () => {
+    writeOrders(ROWS.slice(0, 4));
+    const paperForms = path.join(dir, "paper.json");
+    // Paper forms typed up with their own headers
+    const paperRows = ["S", "M"].map((size) => ({
+      "Full Name": "Cy",
+      "E-mail": "cy@example.com",
+      Item: "Better Sweater Jacket",
+      Style: "Mens",
+      Size: size,
+      Colour: "Black",
+      Logo: "Option 1",
+      Campaign: "2026-fall",
+    }));
+    fs.writeFileSync(paperForms, JSON.stringify(paperRows));
+
+    const { code, out } = run("create", ordersFile, paperForms, "--campaign", "2026-fall");
+    expect(code).toBe(0);
+    expect(out).toContain("Loaded 2 line items from paper.json (json)");
+    expect(out).toContain("Invoices created: 3");
+    const [cy] = invoiceFor(readLedger(ledgerFile), "cy@example.com");
+    expect(parseRowList(cy.metadata.rows)).toEqual(["paper.json:2", "paper.json:3"]);
+    const [ana] = invoiceFor(readLedger(ledgerFile), "ana@example.com");
+    expect(ana.metadata.rows).toBe("orders.csv:2-3");
+
+    // Running again finds both files' rows already invoiced
+    const rerun = run("create", ordersFile, paperForms, "--campaign", "2026-fall");
+    expect(rerun.out).toContain("Invoices created: 0");
+  });
+
+  it("refuses two orders files with the same name", () => {
+    fs.mkdirSync(path.join(dir, "paper"));
+    const paperForms = path.join(dir, "paper", "orders.csv");
+    fs.copyFileSync(ordersFile, paperForms);
+    const { code, out } = run("create", ordersFile, paperForms, "--campaign", "2026-fall");
+    expect(code).toBe(3);
+    expect(out).toContain("Two orders files are named orders.csv");
+  });
+
+  it("emails invoices with send, and uses --due-date", () => {
+    run("send", ordersFile, "--campaign", "2026-fall", "--due-date", "2099-01-31");
+    const ledger = readLedger(ledgerFile);
+    expect(ledger.calls.filter((call) => call.op === "invoices.sendInvoice")).toHaveLength(3);
+    expect(new Date(ledger.invoices[0].due_date * 1000).getFullYear()).toBe(2099);
+  });
+
+  it("changes nothing on a dry run", () => {
+    const { code, out } = run("create", ordersFile, "--campaign", "2026-fall", "--dry-run");
+    expect(code).toBe(0);
+    expect(out).toContain("Invoices to create: 3");
+    const ledger = readLedger(ledgerFile);
+    expect(ledger.invoices).toHaveLength(0);
+    expect(ledger.calls.every((call) => call.op.endsWith(".list"))).toBe(true);
+  });
+});
+
+describe("invoice.js failures and --resume (memory provider)", () => {
+  const addFaults = (...faults) => fs.writeFileSync(ledgerFile, JSON.stringify({ faults }));
+  const checkpointFile = () => path.join(dir, "invoice-checkpoint.json");
+
+  it("retries rate limits and network errors", () => {
+    addFaults(
+      { op: "customers.list", error: "rate_limit", times: 2 },
+      { op: "invoices.create", error: "connection", times: 1 }
+    );
+    const { code, out } = run("create", ordersFile, "--campaign", "2026-fall", "--concurrency", "2");
+    expect(code).toBe(0);
+    expect(out).toContain("findCustomer failed (Too many requests) — retry 1");
+    expect(out).toContain("createInvoice failed (An error occurred with our connection to Stripe) — retry 1");
+    expect(out).toContain("Invoices created: 3");
+    expect(readLedger(ledgerFile).invoices).toHaveLength(3);
+    expect(fs.existsSync(checkpointFile())).toBe(false);
+  });
+
+  it("lists customers that still fail, and --resume retries just those", () => {
+    addFaults({ op: "customers.create", params: { email: "cy@example.com" }, error: "api", times: 5 });
+    const first = run("create", ordersFile, "--campaign", "2026-fall");
+    expect(first.code).toBe(1);
+    expect(first.out).toContain("=== STILL FAILING (1) ===\n  Cy (cy@example.com): An unknown error occurred");
+    const checkpoint = JSON.parse(fs.readFileSync(checkpointFile(), "utf-8"));
+    expect(checkpoint.customers["ana@example.com"].status).toBe("done");
+    expect(checkpoint.customers["cy@example.com"]).toMatchObject({ status: "failed", error: "An unknown error occurred" });
+
+    const resumed = run("create", ordersFile, "--campaign", "2026-fall", "--resume");
+    expect(resumed.code).toBe(0);
+    expect(resumed.out).toContain("2 customer(s) done, 1 to go");
+    expect(resumed.out).not.toContain("--- Ana");
+    expect(resumed.out).toContain("Invoices created: 1");
+    expect(readLedger(ledgerFile).invoices).toHaveLength(3);
+    expect(fs.existsSync(checkpointFile())).toBe(false);
+  });
+
+  it("refuses to resume without a matching checkpoint", () => {
+    expect(run("create", ordersFile, "--campaign", "2026-fall", "--resume").out).toContain("No checkpoint to resume");
+    addFaults({ op: "customers.create", params: { email: "cy@example.com" }, error: "api", times: 5 });
+    run("create", ordersFile, "--campaign", "2026-fall");
+    const { code, out } = run("send", ordersFile, "--campaign", "2026-fall", "--resume");
+    expect(code).toBe(3);
+    expect(out).toContain('is from "create --campaign 2026-fall --provider memory"');
+  });
+});
+
+describe("invoice.js customer identities", () => {
+  // Ben's second order came from his work address
+  const workRows = () => ROWS.map((row, i) => (i === 3 ? row.replace("ben@example.com", "ben@work.org") : row));
+  const writeAliases = () => {
+    const aliasesFile = path.join(dir, "aliases.csv");
+    fs.writeFileSync(aliasesFile, "Email,Billing Email\nben@work.org,ben@example.com\n");
+    return aliasesFile;
+  };
+
+  it("reports likely duplicates in preview", () => {
+    writeOrders(workRows());
+    const { code, out } = runOffline("preview", ordersFile, "--campaign", "2026-fall");
+    expect(code).toBe(0);
+    expect(out).toContain("Found 4 unique customers");
+    expect(out).toContain("ben@example.com and ben@work.org: same phone 555-0100, same name Ben");
+  });
+
+  it("bills merged emails on one invoice with --aliases", () => {
+    writeOrders(workRows());
+    const { code, out } = run("create", ordersFile, "--campaign", "2026-fall", "--aliases", writeAliases());
+    expect(code).toBe(0);
+    expect(out).toContain("1 customer(s) merged from other emails by aliases.csv");
+    expect(out).toContain("Invoices created: 3");
+    const [ben] = invoiceFor(readLedger(ledgerFile), "ben@example.com");
+    expect(parseRowList(ben.metadata.rows)).toEqual([4, 5]);
+  });
+
+  it("counts invoices billed to an alias before the merge", () => {
+    writeOrders(workRows());
+    run("create", ordersFile, "--campaign", "2026-fall");
+    const { code, out } = run("create", ordersFile, "--campaign", "2026-fall", "--aliases", writeAliases());
+    expect(code).toBe(0);
+    expect(out).toContain("Invoices created: 0");
+    expect(readLedger(ledgerFile).invoices).toHaveLength(4);
+  });
+});
+
+describe("invoice.js campaigns", () => {
+  // Ana's and Ben's rows are from before the sheet had a Campaign column
+  const untaggedRows = () => ROWS.map((row, i) => (i < 4 ? row.replace(/,2026-fall$/, ",") : row));
+
+  it("lists the rows with no campaign that it leaves out", () => {
+    writeOrders(untaggedRows());
+    const { code, out } = runOffline("preview", ordersFile, "--campaign", "2026-fall", "--no-min");
+    expect(code).toBe(0);
+    expect(out).toContain("2 of 6 line items belong to campaign 2026-fall");
+    expect(out).toContain("Warning: skipped 4 line items with no Campaign (rows 2-5)");
+    expect(out).toContain("Found 1 unique customers");
+  });
+
+  it("counts them in the campaign with --include-untagged", () => {
+    writeOrders(untaggedRows());
+    const { code, out } = run("create", ordersFile, "--campaign", "2026-fall", "--include-untagged");
+    expect(code).toBe(0);
+    expect(out).toContain("including 4 with no Campaign (rows 2-5)");
+    expect(out).not.toContain("Warning: skipped");
+    const ledger = readLedger(ledgerFile);
+    expect(ledger.invoices).toHaveLength(3);
+    expect(ledger.invoices.every((inv) => inv.metadata.campaign === "2026-fall")).toBe(true);
+  });
+
+  it("needs --campaign once the catalog has campaigns", () => {
+    const { code, out } = runOffline("preview", ordersFile);
+    expect(code).toBe(3);
+    expect(out).toContain("--campaign <id> is required");
+    expect(out).toContain("2026-fall  Fall 2026");
+  });
+});
+
+describe("invoice.js order checks", () => {
+  const badRow = orderRow("Dee", "XXS").replace("dee@example.com", "dee@example");
+
+  it("asks for a repeated order to be marked cancelled, not deleted", () => {
+    writeOrders([...ROWS, ...ROWS.slice(0, 2).map((row) => row.replace("2026-10-05", "2026-10-06"))]);
+    const { code, out } = runOffline("preview", ordersFile, "--campaign", "2026-fall");
+    expect(code).toBe(0);
+    expect(out).toContain("=== POSSIBLE DUPLICATE ORDERS (1) ===\n  ana@example.com: rows 8, 9 repeats rows 2, 3");
+    expect(out).toContain("put the date in its rows' Cancelled column");
+    expect(out).not.toContain("delete its rows");
+  });
+
+  it("refuses to create invoices while rows have errors", () => {
+    writeOrders([...ROWS, badRow]);
+    const { code, out } = run("create", ordersFile, "--campaign", "2026-fall");
+    expect(code).toBe(1);
+    expect(out).toContain('Row 8 (dee@example): error — "dee@example" is not a valid email address');
+    expect(out).toContain("--allow-errors");
+    expect(readLedger(ledgerFile).invoices).toHaveLength(0);
+  });
+
+  it("invoices anyway with --allow-errors", () => {
+    writeOrders([...ROWS, badRow]);
+    const { code } = run("create", ordersFile, "--campaign", "2026-fall", "--allow-errors");
+    expect(code).toBe(0);
+    expect(readLedger(ledgerFile).invoices).toHaveLength(4);
+  });
+
+  it("validate exits 1 on errors and 0 on warnings alone", () => {
+    writeOrders([...ROWS, badRow]);
+    expect(runOffline("validate", ordersFile, "--campaign", "2026-fall").code).toBe(1);
+    writeOrders([...ROWS, orderRow("Dee", "S", "Dr. Dee Longname Esq.:White")]);
+    const { code, out } = runOffline("validate", ordersFile, "--campaign", "2026-fall");
+    expect(code).toBe(0);
+    expect(out).toContain("is 21 characters");
+  });
+
+  it("counts a blank line in the middle of the CSV as a sheet row", () => {
+    writeOrders([...ROWS.slice(0, 3), "", ...ROWS.slice(3), badRow]);
+    const { code, out } = run("create", ordersFile, "--campaign", "2026-fall", "--allow-errors");
+    expect(code).toBe(0);
+    expect(out).toContain("Row 9 (dee@example): error");
+
+    const ledger = readLedger(ledgerFile);
+    const [ben] = invoiceFor(ledger, "ben@example.com");
+    const [cy] = invoiceFor(ledger, "cy@example.com");
+    expect(parseRowList(ben.metadata.rows)).toEqual([4, 6]);
+    expect(parseRowList(cy.metadata.rows)).toEqual([7, 8]);
+  });
+
+  it("counts blank lines above the header in row numbers", () => {
+    fs.writeFileSync(ordersFile, ["", "", HEADER, ...ROWS, badRow].join("\n") + "\n");
+    const { code, out } = run("create", ordersFile, "--campaign", "2026-fall", "--allow-errors");
+    expect(code).toBe(0);
+    expect(out).toContain("Row 10 (dee@example): error");
+    const [ana] = invoiceFor(readLedger(ledgerFile), "ana@example.com");
+    expect(parseRowList(ana.metadata.rows)).toEqual([4, 5]);
+  });
+
+  it("skips cancelled rows without renumbering the rows after them", () => {
+    const header = `${HEADER},Cancelled`;
+    const rows = [...ROWS.slice(0, 3), orderRow("Ben", "S"), ...ROWS.slice(3)].map((row, i) =>
+      i === 3 ? `${row},2026-10-06T09:00:00.000Z` : `${row},`
+    );
+    fs.writeFileSync(ordersFile, [header, ...rows].join("\n") + "\n");
+
+    const { code, out } = run("create", ordersFile, "--campaign", "2026-fall");
+    expect(code).toBe(0);
+    expect(out).toContain("Skipped 1 cancelled line items");
+
+    const ledger = readLedger(ledgerFile);
+    const [ben] = invoiceFor(ledger, "ben@example.com");
+    expect(parseRowList(ben.metadata.rows)).toEqual([4, 6]);
+    expect(itemsOf(ledger, ben).filter((item) => item.metadata.row)).toHaveLength(2);
+  });
+
+  it("lists orders a customer submitted twice", () => {
+    writeOrders([...ROWS, ...ROWS.slice(0, 2).map((row) => row.replace("2026-10-05", "2026-10-06"))]);
+    const { code, out } = runOffline("validate", ordersFile, "--campaign", "2026-fall");
+    expect(code).toBe(0);
+    expect(out).toContain("ana@example.com: rows 8, 9 repeats rows 2, 3");
+    expect(out).toContain("Possible duplicate orders: 1");
+  });
+});
+
+describe("invoice.js amend (memory provider)", () => {
+  it("voids and reissues an unpaid invoice whose rows changed", () => {
+    run("create", ordersFile, "--campaign", "2026-fall");
+    writeOrders(ROWS.map((row, i) => (i === 1 ? orderRow("Ana", "XL") : row)));
+
+    const { code, out } = run("amend", ordersFile, "--campaign", "2026-fall");
+    expect(code).toBe(0);
+    expect(out).toContain("Unpaid invoices voided and reissued: 1");
+
+    const ana = invoiceFor(readLedger(ledgerFile), "ana@example.com");
+    expect(ana.map((inv) => inv.status).sort()).toEqual(["open", "void"]);
+    const reissued = ana.find((inv) => inv.status === "open");
+    expect(reissued.metadata.amends).toBe(ana.find((inv) => inv.status === "void").id);
+
+    // A second pass finds nothing to change
+    expect(run("amend", ordersFile, "--campaign", "2026-fall").out).toContain("Invoices unchanged: 3");
+  });
+
+  it("reissues an unpaid invoice when only the customer's tax exemption changed", () => {
+    run("create", ordersFile, "--campaign", "2026-fall");
+    const exemptions = path.join(dir, "exempt.csv");
+    fs.writeFileSync(exemptions, "Email,Certificate\nana@example.com,E-123\n");
+
+    const { code, out } = run("amend", ordersFile, "--campaign", "2026-fall", "--exemptions", exemptions);
+    expect(code).toBe(0);
+    expect(out).toContain("Tax exemption: none → E-123");
+    expect(out).toContain("Unpaid invoices voided and reissued: 1");
+
+    const ledger = readLedger(ledgerFile);
+    const reissued = invoiceFor(ledger, "ana@example.com").find((inv) => inv.status === "open");
+    expect(reissued.metadata.tax_exempt).toBe("E-123");
+    expect(itemsOf(ledger, reissued).every((item) => item.tax_rates.length === 0)).toBe(true);
+
+    // A second pass finds nothing to change
+    const again = run("amend", ordersFile, "--campaign", "2026-fall", "--exemptions", exemptions);
+    expect(again.out).toContain("Invoices unchanged: 3");
+  });
+
+  it("voids invoices whose group fell below the minimum", () => {
+    run("create", ordersFile, "--campaign", "2026-fall");
+    writeOrders(ROWS.slice(0, 5));
+
+    const { code } = run("amend", ordersFile, "--campaign", "2026-fall");
+    expect(code).toBe(0);
+    expect(readLedger(ledgerFile).invoices.map((inv) => inv.status)).toEqual(["void", "void", "void"]);
+  });
+
+  it("credits a line dropped from a paid invoice", async () => {
+    const extra = orderRow("Cy", "L");
+    writeOrders([...ROWS, extra]);
+    run("create", ordersFile, "--campaign", "2026-fall");
+    const [ben] = invoiceFor(readLedger(ledgerFile), "ben@example.com");
+    await createMemoryProvider({ file: ledgerFile }).payInvoice(ben.id);
+
+    // Ben drops his XL; the group still has 6
+    writeOrders([...ROWS.slice(0, 3), ...ROWS.slice(4), extra]);
+    const { out } = run("amend", ordersFile, "--campaign", "2026-fall");
+    expect(out).toContain("Paid invoices adjusted: 1");
+
+    const ledger = readLedger(ledgerFile);
+    expect(ledger.creditNotes).toHaveLength(1);
+    const [note] = ledger.creditNotes;
+    expect(note.invoice).toBe(ben.id);
+    // 17575 + 7.25% tax (1274), refunded because the invoice was paid by card
+    expect(note.refund_amount).toBe(17575 + 1274);
+  });
+});
+
+describe("invoice.js status, void and remind (memory provider)", () => {
+  it("voids one customer's invoice and reports it in status", () => {
+    run("create", ordersFile, "--campaign", "2026-fall");
+    const voided = run("void", "--campaign", "2026-fall", "--only", "ben@example.com");
+    expect(voided.code).toBe(0);
+    expect(voided.out).toContain("Invoices voided: 1");
+
+    const status = run("status", "--campaign", "2026-fall");
+    expect(status.out).toContain("open: 2");
+    expect(status.out).toContain("void: 1");
+  });
+
+  it("exits 1 when an invoice cannot be voided", () => {
+    run("create", ordersFile, "--campaign", "2026-fall");
+    const { code, out } = run("void", "in_missing", "--campaign", "2026-fall");
+    expect(code).toBe(1);
+    expect(out).toContain("No such invoice");
+  });
+
+  it("reminds only customers with open invoices", async () => {
+    run("create", ordersFile, "--campaign", "2026-fall");
+    const [cy] = invoiceFor(readLedger(ledgerFile), "cy@example.com");
+    await createMemoryProvider({ file: ledgerFile }).payInvoice(cy.id);
+
+    expect(run("remind", "--campaign", "2026-fall").out).toContain("Reminders sent: 2");
+    expect(run("remind", "--campaign", "2026-fall", "--overdue").out).toContain("Reminders sent: 0");
+  });
+});
+
+describe("invoice.js run journal and rollback (memory provider)", () => {
+  const journalsDir = () => path.join(dir, "journals");
+  const runIdOf = (out) => out.match(/Run ID: (\S+)/)[1];
+
+  it("journals a run and rolls it back: open invoices voided, drafts deleted", () => {
+    fs.writeFileSync(
+      ledgerFile,
+      JSON.stringify({ faults: [{ op: "invoices.finalizeInvoice", error: "invalid_request", times: 1 }] })
+    );
+    const created = run("create", ordersFile, "--campaign", "2026-fall", "--concurrency", "1");
+    expect(created.code).toBe(1);
+    const runId = runIdOf(created.out);
+    expect(created.out).toContain(`To undo this run: node invoice.js rollback ${runId}`);
+
+    const journal = JSON.parse(fs.readFileSync(path.join(journalsDir(), `${runId}.json`), "utf-8"));
+    expect(journal).toMatchObject({ command: "create", campaign: "2026-fall", provider: "memory", summary: { invoices: 2, failed: 1 } });
+    expect(journal.pricing.tiers.length).toBeGreaterThan(0);
+    expect(journal.customers["ana@example.com"]).toMatchObject({ status: "failed", invoices: [{ status: "draft", rows: [2, 3] }] });
+    expect(journal.customers["ben@example.com"].amounts.total).toBe(38855);
+    expect(journal.customers["ben@example.com"].invoices[0].items).toHaveLength(3);
+
+    const preview = run("rollback", runId, "--dry-run");
+    expect(preview.code).toBe(0);
+    expect(preview.out).toContain("Invoices to void: 2\nDrafts to delete: 1");
+    expect(readLedger(ledgerFile).invoices.map((inv) => inv.status).sort()).toEqual(["draft", "open", "open"]);
+
+    const rollback = run("rollback", runId);
+    expect(rollback.code).toBe(0);
+    expect(rollback.out).toContain("Invoices voided: 2\nDrafts deleted: 1");
+    expect(readLedger(ledgerFile).invoices.map((inv) => inv.status)).toEqual(["void", "void"]);
+    const rolledBack = JSON.parse(fs.readFileSync(path.join(journalsDir(), `${runId}.json`), "utf-8"));
+    expect(rolledBack.rollbacks).toEqual([expect.objectContaining({ deleted: [expect.any(String)], failed: 0 })]);
+
+    expect(run("create", ordersFile, "--campaign", "2026-fall").out).toContain("Invoices created: 3");
+  });
+
+  it("leaves paid invoices alone", async () => {
+    const runId = runIdOf(run("send", ordersFile, "--campaign", "2026-fall").out);
+    const [ana] = invoiceFor(readLedger(ledgerFile), "ana@example.com");
+    await createMemoryProvider({ file: ledgerFile }).payInvoice(ana.id);
+    const { code, out } = run("rollback", runId);
+    expect(code).toBe(0);
+    expect(out).toContain("Left alone: paid");
+    expect(readLedger(ledgerFile).invoices.map((inv) => inv.status).sort()).toEqual(["paid", "void", "void"]);
+  });
+
+  it("writes no journal for dry runs, and names the runs it has", () => {
+    expect(run("create", ordersFile, "--campaign", "2026-fall", "--dry-run").out).not.toContain("Run ID");
+    expect(fs.existsSync(journalsDir())).toBe(false);
+
+    const runId = runIdOf(run("create", ordersFile, "--campaign", "2026-fall").out);
+    const { code, out } = run("rollback", "20200101-000000-0000");
+    expect(code).toBe(3);
+    expect(out).toContain(`No journal for run 20200101-000000-0000 in journals/\nRecent runs:\n  ${runId}`);
+  });
+});
+
+describe("invoice.js exit codes", () => {
+  it("exits 2 for a bad command line and 3 for bad configuration", () => {
+    expect(run("create", ordersFile, "--campaign", "2026-fall", "--bogus").code).toBe(2);
+    expect(run("create", ordersFile).code).toBe(3);
+    expect(run("create", path.join(dir, "missing.csv"), "--campaign", "2026-fall").code).toBe(3);
+  });
+
+  it("needs STRIPE_SECRET_KEY to create invoices, but not for a dry run", () => {
+    const created = runOffline("create", ordersFile, "--campaign", "2026-fall");
+    expect(created.code).toBe(3);
+    expect(created.out).toContain("STRIPE_SECRET_KEY not found");
+    for (const command of ["create", "send"]) {
+      const { code, out } = runOffline(command, ordersFile, "--campaign", "2026-fall", "--dry-run");
+      expect(code).toBe(0);
+      expect(out).toContain("Note: no STRIPE_SECRET_KEY");
+    }
+    expect(runOffline("void", "--campaign", "2026-fall", "--all", "--dry-run").code).toBe(3);
+  });
+
+  it("exits 3 when reading the Google Sheet without the admin key", () => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, "invoice.js"), "validate", "--campaign", "2026-fall"], {
+      cwd: dir,
+      encoding: "utf-8",
+      env: { ...process.env, APPS_SCRIPT_URL: "https://script.google.com/macros/s/abc/exec", APPS_SCRIPT_ADMIN_KEY: "" },
+      timeout: 30000,
+    });
+    expect(result.status).toBe(3);
+    expect(result.stderr).toContain("APPS_SCRIPT_ADMIN_KEY not found");
+  });
+});
+
+describe("webhook-replay.js", () => {
+  const fixtures = path.join(__dirname, "fixtures", "stripe-events");
+  const replay = (...args) => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, "webhook-replay.js"), ...args], {
+      cwd: dir,
+      encoding: "utf-8",
+      timeout: 30000,
+    });
+    return { code: result.status, out: result.stdout + result.stderr };
+  };
+  const fixture = (name) => path.join(fixtures, name);
+  const EVENTS = ["invoice.paid.json", "invoice.voided.json", "invoice.payment_failed.json", "invoice.marked_uncollectible.json"];
+
+  it("applies each handled event to the rows with its Invoice ID", () => {
+    const outFile = path.join(dir, "updated.csv");
+    const { code, out } = replay(fixture("orders.csv"), ...EVENTS.map(fixture), "--out", outFile);
+    expect(code).toBe(0);
+    expect(out).toContain("evt_1QAnaPaid00000000000001 invoice.paid in_1QAnaPaid0000000000001: 2 row(s) updated");
+
+    const { rows } = readOrderFile(outFile);
+    expect(rows.map((row) => [row.Email, row.Paid, row["Invoice Status"]])).toEqual([
+      ["ana@example.com", "✓", "Paid"],
+      ["ana@example.com", "✓", "Paid"],
+      ["ben@example.com", "", "Void"],
+      ["cy@example.com", "", "Payment failed"],
+      ["dee@example.com", "", "Uncollectible"],
+    ]);
+  });
+
+  it("keeps a payment when a failure for the same invoice arrives late", () => {
+    const { code, out } = replay(fixture("orders.csv"), fixture("invoice.paid.json"), fixture("invoice.payment_failed.late.json"));
+    expect(code).toBe(0);
+    expect(out).toContain("invoice.payment_failed in_1QAnaPaid0000000000001: 0 row(s) updated");
+    expect(out).toMatch(/ana@example\.com\s+in_1QAnaPaid0000000000001\s+✓\s+Paid/);
+  });
+
+  it("replays every fixture, in file name order, through the web app's doPost", () => {
+    const files = fs.readdirSync(fixtures).filter((name) => name.endsWith(".json")).sort();
+    const outFile = path.join(dir, "updated.csv");
+    const { code, out } = replay(fixture("orders.csv"), ...files.map(fixture), "--out", outFile);
+    expect(code).toBe(0);
+    expect(out).not.toContain("error:");
+
+    const { rows } = readOrderFile(outFile);
+    expect(rows.filter((row) => row.Email === "ana@example.com").map((row) => row["Invoice Status"])).toEqual(["Paid", "Paid"]);
+  });
+
+  it("reports event types the web app doesn't handle", () => {
+    const event = { id: "evt_1QCustomer0000000000006", object: "event", type: "customer.created", data: { object: { object: "customer" } } };
+    const events = path.join(dir, "events.json");
+    fs.writeFileSync(events, JSON.stringify([event]));
+
+    const { code, out } = replay(fixture("orders.csv"), events);
+    expect(code).toBe(0);
+    expect(out).toContain("evt_1QCustomer0000000000006 customer.created: not handled");
+  });
+
+  it("exits 2 without event files", () => {
+    expect(replay(fixture("orders.csv")).code).toBe(2);
+  });
+});
@@ -2,239 +2,1145 @@
 /**
  * Stripe Invoice Generator for CMC EM Patagonia Orders
  *
- * Pricing is based on product+color combination quantities.
- * Each combo must independently meet tier thresholds (6, 18, 50, 72).
+ * Pricing is based on tier group quantities. By default a tier group is a
+ * product+color combination; pricing.json "tierGrouping" can pool by product
+ * or by the whole order. Each group must independently meet tier thresholds.
  *
  * Usage:
- *   node invoice.js                         # Fetch from Google Sheet, create drafts
- *   node invoice.js --send                  # Fetch from Google Sheet, send invoices
- *   node invoice.js --dry-run               # Fetch from Google Sheet, preview only
- *   node invoice.js --no-min                # Include items below 6-qty minimum (testing)
- *   node invoice.js orders.csv              # Use local CSV file instead
+ *   node invoice.js validate --campaign 2026-fall            # Check order rows against the catalog
+ *   node invoice.js preview --campaign 2026-fall             # Show what would be invoiced
+ *   node invoice.js create --campaign 2026-fall              # Create invoices without emailing them
+ *   node invoice.js send --campaign 2026-fall                # Create invoices and email them
+ *   node invoice.js amend --campaign 2026-fall               # Fix invoices whose rows changed
+ *   node invoice.js status --campaign 2026-fall              # List invoices and what is unpaid
+ *   node invoice.js void in_123 --campaign 2026-fall         # Void open invoices
+ *   node invoice.js remind --campaign 2026-fall --overdue    # Re-send unpaid invoices
+ *   node invoice.js purchase-order --campaign 2026-fall      # Garment, logo and name counts for suppliers
+ *   node invoice.js preview orders.csv --campaign 2026-fall  # Use a local CSV instead of the sheet
+ *   node invoice.js preview export.xlsx paper.csv --campaign 2026-fall  # Combine order files (CSV, TSV, JSON, XLSX)
+ *   node invoice.js create orders.csv --provider memory --ledger rehearsal.json  # Rehearse offline
+ *   node invoice.js create --campaign 2026-fall --resume     # Retry the customers a failed run left
+ *   node invoice.js rollback 20261102-120000-a1b2            # Undo a create, send or amend run
+ *   node invoice.js <command> --help                         # Options for a command
+ *
+ * Re-running is safe: rows that already have an Invoice ID, or that an open or
+ * paid Stripe invoice for the campaign covers, are never billed again. Late
+ * rows go on a supplemental invoice.
+ *
+ * "amend" compares each open or paid invoice with its rows as they are now.
+ * Unpaid invoices that differ are voided and reissued; paid ones get a
+ * credit note for removed lines and a supplemental invoice for added lines.
+ *
+ * Order rows are checked against the catalog first. create, send and amend
+ * stop if any row has an error (unknown product, wrong size for the style,
+ * bad email...) unless run with --allow-errors.
+ *
+ * Customers are keyed by email. Likely duplicates (same phone, name, or
+ * near-identical emails) are reported; an --aliases file (Email, Billing
+ * Email) merges them onto one invoice. So are orders a customer submitted
+ * twice with exactly the same items.
+ *
+ * Stripe rate limits and network errors are retried with backoff. create and
+ * send invoice several customers at once (--concurrency) and record each one
+ * in a checkpoint file as it finishes; --resume continues a run that stopped,
+ * and the run ends by listing customers that still failed.
+ *
+ * Every create, send and amend run writes a journal (journals/<runId>.json)
+ * of the pricing it used, the amounts it computed and the Stripe objects it
+ * created. "rollback <runId>" voids or deletes that run's invoices.
+ *
+ * Exit codes: 0 ok, 1 some invoices failed, 2 bad command line, 3 configuration problem
+ *
+ * All payment calls go through a provider (lib/providers.js): Stripe by
+ * default, or "memory", which records everything offline.
  *
  * Requires:
- *   - .env file with STRIPE_SECRET_KEY and APPS_SCRIPT_URL
- *   - pricing.json with tiered product prices
+ *   - .env file with STRIPE_SECRET_KEY, APPS_SCRIPT_URL and APPS_SCRIPT_ADMIN_KEY
+ *   - pricing.json catalog (tiered prices, fees, tax jurisdictions, styles, colors, logos)
  */
 
 const fs = require("fs");
 const path = require("path");
+const { format } = require("util");
+const { AsyncLocalStorage } = require("async_hooks");
 
 // Load environment variables
 require("dotenv").config();
 
 // Local modules
-const { parseCSV } = require("./lib/csv");
+const { detectSourceType, readOrderFile } = require("./lib/sources");
+const { EXIT, DEFAULT_CONCURRENCY, DEFAULT_CHECKPOINT, UsageError, parseCommandLine, formatHelp } = require("./lib/cli");
+const { loadCatalog, listCampaigns, isCampaignOpen, resolveCampaign } = require("./lib/catalog");
+const { getTaxJurisdiction, buildExemptionList, applyExemptionList } = require("./lib/tax");
+const {
+  INVOICE_SOURCE,
+  ACTIVE_STATUSES,
+  formatRowList,
+  parseRowList,
+  buildIdempotencyKey,
+  classifyInvoices,
+  assignRowsToInvoices,
+  splitInvoicedItems,
+} = require("./lib/invoice-state");
+const { diffInvoiceLines, diffTaxExemption, planAmendment } = require("./lib/amendments");
+const { getReportFormat, describeTierGroups, describeCustomer, formatReport } = require("./lib/report");
+const { buildPurchaseOrder, formatPurchaseOrderCSV, formatPurchaseOrderHTML } = require("./lib/purchase-order");
+const { createProvider } = require("./lib/providers");
+const { withRetries } = require("./lib/retry");
+const { mapWithConcurrency } = require("./lib/pool");
+const { readCheckpoint, describeRun, isSameRun, openCheckpoint } = require("./lib/checkpoint");
+const { JOURNAL_DIR, createJournal, readJournal, listJournals, recordRollback, listJournalInvoices } = require("./lib/journal");
+const { validateOrders, formatIssue } = require("./lib/validation");
+const { signedUrl } = require("./lib/apps-script");
 const {
-  normalizeColor,
-  countByProductColor,
+  buildAliasMap,
+  resolveEmail,
+  buildContactProfiles,
+  findContactConflicts,
+  findDuplicateCustomers,
+} = require("./lib/identity");
+const {
+  toCents,
+  formatCents,
+  countByTierGroup,
+  describeTierGroup,
   getTierLabel,
   buildTierMap,
-  getItemPrice,
   groupByEmail,
   filterByMinimum,
+  filterByCampaign,
+  buildCustomerInvoice,
   calculateTax,
   calculateStripeFee,
-  formatItemDescription,
+  describeProcessingFee,
+  DEFAULT_PROCESSING_FEE,
 } = require("./lib/pricing");
 
 // ─── CLI Arguments ───────────────────────────────────────────────────────────
 
-const args = process.argv.slice(2);
-const csvFile = args.find((a) => !a.startsWith("--") && a.endsWith(".csv"));
-const dryRun = args.includes("--dry-run");
-const autoSend = args.includes("--send");
-const ignoreMinimum = args.includes("--no-min");
+let cli;
+try {
+  cli = parseCommandLine(process.argv.slice(2));
+} catch (err) {
+  if (!(err instanceof UsageError)) throw err;
+  console.error(`Error: ${err.message}`);
+  console.error(`Run "node invoice.js ${err.command ? `${err.command} ` : ""}--help" for usage.`);
+  process.exit(EXIT.USAGE);
+}
+
+if (cli.help) {
+  console.log(formatHelp(cli.command));
+  process.exit(EXIT.OK);
+}
+
+const { command, options, positionals } = cli;
+const ORDER_COMMANDS = ["validate", "preview", "create", "send", "amend", "purchase-order"];
+// Commands that can run without a payment provider
+const OFFLINE_COMMANDS = ["validate", "preview", "purchase-order"];
+// Commands that can with --dry-run: like preview, they then only check the sheet for earlier invoices
+const OFFLINE_DRY_RUN_COMMANDS = ["create", "send"];
+const usesOrders = ORDER_COMMANDS.includes(command);
+
+// Order files; with none, orders are fetched from the Google Sheet
+const orderFiles = usesOrders ? positionals : [];
+const sourceType = options.source || null;
+const dryRun = command === "preview" || !!options["dry-run"];
+const autoSend = command === "send";
+const amendMode = command === "amend";
+const ignoreMinimum = !!options["no-min"];
+const allowErrors = !!options["allow-errors"];
+const campaignId = options.campaign || null;
+const includeUntagged = !!options["include-untagged"];
+const exemptionsFile = options.exemptions || null;
+const aliasesFile = options.aliases || null;
+const reportFile = options.report || options.out || null;
+const dueDate = options["due-date"] || { days: 14 };
+const pricingFile = options.pricing || path.join(__dirname, "pricing.json");
+const providerName = options.provider || "stripe";
+const ledgerFile = options.ledger || "rehearsal-ledger.json";
+const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+const resume = !!options.resume;
+const checkpointFile = options.checkpoint || DEFAULT_CHECKPOINT;
 
 // ─── Validation ──────────────────────────────────────────────────────────────
 
-if (!process.env.STRIPE_SECRET_KEY && !dryRun) {
-  console.error("Error: STRIPE_SECRET_KEY not found in environment");
-  console.error("Create a .env file with your Stripe secret key (see .env.example)");
-  process.exit(1);
+function configError(...lines) {
+  for (const line of lines) console.error(line);
+  process.exit(EXIT.CONFIG);
 }
 
-if (!csvFile && !process.env.APPS_SCRIPT_URL) {
-  console.error("Error: No data source specified");
-  console.error("");
-  console.error("Either provide a CSV file:");
-  console.error("  node invoice.js orders.csv [--dry-run] [--send]");
-  console.error("");
-  console.error("Or set APPS_SCRIPT_URL in .env to fetch directly from Google Sheets");
-  process.exit(1);
+const runsOffline = OFFLINE_COMMANDS.includes(command) || (dryRun && OFFLINE_DRY_RUN_COMMANDS.includes(command));
+if (providerName === "stripe" && !process.env.STRIPE_SECRET_KEY && !runsOffline) {
+  configError(
+    "Error: STRIPE_SECRET_KEY not found in environment",
+    "Create a .env file with your Stripe secret key (see .env.example)"
+  );
+}
+
+if (usesOrders && orderFiles.length === 0 && !process.env.APPS_SCRIPT_URL) {
+  configError(
+    "Error: No data source specified",
+    "",
+    "Either provide an orders file (CSV, TSV, JSON or XLSX):",
+    `  node invoice.js ${command} orders.csv`,
+    "",
+    "Or set APPS_SCRIPT_URL in .env to fetch directly from Google Sheets"
+  );
+}
+
+if (usesOrders && orderFiles.length === 0 && !process.env.APPS_SCRIPT_ADMIN_KEY) {
+  configError(
+    "Error: APPS_SCRIPT_ADMIN_KEY not found in environment",
+    "The Apps Script only sends orders to requests signed with its admin key.",
+    "In the sheet, run Order Tools → Create Admin Key and add the key to .env (see .env.example)"
+  );
+}
+
+for (const file of orderFiles) {
+  if (!fs.existsSync(file)) {
+    configError(`Error: Orders file not found: ${file}`);
+  }
+  try {
+    if (!sourceType) detectSourceType(file);
+  } catch (err) {
+    configError(`Error: ${err.message}`);
+  }
+}
+
+// Rows from several files are numbered "<file>:<row>", so the names must differ
+const fileNames = orderFiles.map((file) => path.basename(file));
+const repeatedName = fileNames.find((name, i) => fileNames.indexOf(name) !== i);
+if (orderFiles.length > 1 && repeatedName) {
+  configError(`Error: Two orders files are named ${repeatedName}; rename one so their rows can be told apart`);
+}
+
+if (dueDate.date && Date.parse(`${dueDate.date}T23:59:59`) <= Date.now()) {
+  configError(`Error: --due-date ${dueDate.date} is not in the future`);
 }
 
 // ─── Config ──────────────────────────────────────────────────────────────────
 
-const pricingPath = path.join(__dirname, "pricing.json");
-if (!fs.existsSync(pricingPath)) {
-  console.error("Error: pricing.json not found");
-  process.exit(1);
+// Billing email by alias email, from --aliases
+let aliases = new Map();
+if (aliasesFile) {
+  if (!fs.existsSync(aliasesFile)) {
+    configError(`Error: Aliases file not found: ${aliasesFile}`);
+  }
+  try {
+    aliases = buildAliasMap(readOrderFile(aliasesFile).rows);
+  } catch (err) {
+    configError(`Error: ${path.basename(aliasesFile)}: ${err.message}`);
+  }
+}
+
+// --only, resolved to the customer's billing email
+const onlyEmail = options.only ? resolveEmail(options.only, aliases) : null;
+const isOnlyCustomer = (row) => !onlyEmail || resolveEmail(row.Email, aliases) === onlyEmail;
+
+// The alias emails merged into a billing email
+const aliasesOf = (email) => [...aliases].filter(([, billing]) => billing === email).map(([alias]) => alias);
+
+let catalog;
+try {
+  catalog = loadCatalog(pricingFile);
+} catch (err) {
+  configError(`Error: ${err.message}`);
+}
+
+// rollback takes the campaign from the run's journal
+const campaigns = listCampaigns(catalog);
+if (campaigns.length > 0 && !campaignId && command !== "rollback") {
+  configError(
+    `Error: --campaign <id> is required. Campaigns in ${path.basename(pricingFile)}:`,
+    ...campaigns.map((c) => `  ${c.id}  ${c.name} (${c.opens} → ${c.closes})`)
+  );
+}
+
+let pricing;
+try {
+  pricing = campaignId ? resolveCampaign(catalog, campaignId) : catalog;
+} catch (err) {
+  configError(`Error: ${err.message}`);
+}
+
+// null for preview without a Stripe key: only the sheet is checked for earlier invoices.
+// Rate limits and network errors are retried with backoff; rehearsal faults
+// (lib/memory-provider.js) clear at once, so there is no point waiting for them.
+const provider =
+  providerName === "memory" || process.env.STRIPE_SECRET_KEY
+    ? withRetries(createProvider(providerName, { secretKey: process.env.STRIPE_SECRET_KEY, ledgerFile }), {
+        baseDelay: providerName === "memory" ? 0 : undefined,
+        onRetry: ({ method, error, attempt, delay }) =>
+          log(`  ${method} failed (${error.message}) — retry ${attempt} in ${(delay / 1000).toFixed(1)}s`),
+      })
+    : null;
+
+// create and send record their progress customer by customer (lib/checkpoint.js)
+const checkpointRun = { command, campaign: campaignId, only: onlyEmail, provider: providerName };
+let resumedCheckpoint = null;
+if (resume) {
+  try {
+    resumedCheckpoint = readCheckpoint(checkpointFile);
+  } catch (err) {
+    configError(`Error: ${err.message}`);
+  }
+  if (!resumedCheckpoint) {
+    configError(`Error: No checkpoint to resume: ${checkpointFile} not found`);
+  }
+  if (!isSameRun(resumedCheckpoint.run, checkpointRun)) {
+    configError(
+      `Error: ${checkpointFile} is from "${describeRun(resumedCheckpoint.run)}", not "${describeRun(checkpointRun)}"`,
+      "Resume with the same command and options, or run without --resume to start over"
+    );
+  }
+}
+
+// Set by runInvoices when a run can change Stripe: records what it does (lib/journal.js)
+let journal = null;
+
+const feeTerms = pricing.processingFee || DEFAULT_PROCESSING_FEE;
+const feeMode = feeTerms.mode || DEFAULT_PROCESSING_FEE.mode;
+
+// Tier groups smaller than this are not invoiced; the lowest tier by default
+const minQuantity = ignoreMinimum ? 0 : options["min-qty"] ?? pricing.tiers[pricing.tiers.length - 1].minQty;
+
+// ─── Output ──────────────────────────────────────────────────────────────────
+
+// Customers are invoiced several at a time. Whatever is logged while working
+// on one is held and printed in one block when it finishes, so the output
+// reads as if they had been done in turn.
+const customerOutput = new AsyncLocalStorage();
+
+function log(...args) {
+  const held = customerOutput.getStore();
+  if (held) held.push({ stream: "log", text: format(...args) });
+  else console.log(...args);
 }
-const pricing = JSON.parse(fs.readFileSync(pricingPath, "utf-8"));
 
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+function logError(...args) {
+  const held = customerOutput.getStore();
+  if (held) held.push({ stream: "error", text: format(...args) });
+  else console.error(...args);
+}
 
-const MIN_QUANTITY = 6;
+/**
+ * Runs work for one customer, holding its output until it finishes
+ */
+async function withHeldOutput(work) {
+  const held = [];
+  try {
+    return await customerOutput.run(held, work);
+  } finally {
+    for (const { stream, text } of held) console[stream](text);
+  }
+}
 
 // ─── Data Fetching ───────────────────────────────────────────────────────────
 
+// Admin requests to the Apps Script are signed with APPS_SCRIPT_ADMIN_KEY (see lib/apps-script.js)
+const sheetMessage = (data) =>
+  data.code === "unauthorized" ? `${data.message} (check APPS_SCRIPT_ADMIN_KEY in .env)` : data.message;
+
 async function fetchFromSheet() {
-  const url = process.env.APPS_SCRIPT_URL;
+  const url = signedUrl(process.env.APPS_SCRIPT_URL, process.env.APPS_SCRIPT_ADMIN_KEY, "export");
   console.log("Fetching orders from Google Sheet...");
 
   const response = await fetch(url);
   const data = await response.json();
 
   if (data.status === "error") {
-    throw new Error(data.message);
+    throw new Error(sheetMessage(data));
   }
 
-  return data.orders;
+  return { orders: data.orders, taxExempt: data.taxExempt || [] };
 }
 
-async function saveInvoiceIdToSheet(email, invoiceId) {
+/**
+ * Writes an invoice ID (or "" to clear it) to the given sheet rows. Rows are
+ * matched by email too, so a merged customer passes every email they ordered with.
+ * With currentInvoiceId, only rows that still hold that ID are changed.
+ */
+async function saveInvoiceIdToSheet(email, invoiceId, rows, aliasEmails = [], currentInvoiceId = null) {
   const url = process.env.APPS_SCRIPT_URL;
-  if (!url) return; // Skip if using CSV mode
+  if (!url || orderFiles.length > 0) return; // Skip if using order files
 
   try {
-    const response = await fetch(url, {
+    const key = process.env.APPS_SCRIPT_ADMIN_KEY;
+    if (!key) throw new Error("APPS_SCRIPT_ADMIN_KEY is not set in .env");
+    const body = JSON.stringify({
+      action: "updateInvoiceId",
+      email: email,
+      emails: [email, ...aliasEmails],
+      invoiceId: invoiceId,
+      rows: rows,
+      ...(currentInvoiceId && { currentInvoiceId }),
+    });
+    const response = await fetch(signedUrl(url, key, "updateInvoiceId", { body }), {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        action: "updateInvoiceId",
-        email: email,
-        invoiceId: invoiceId,
-      }),
+      body,
     });
     const result = await response.json();
     if (result.status === "ok") {
-      console.log(`  Saved invoice ID to sheet (${result.updatedRows} rows)`);
+      log(`  Saved invoice ID to sheet (${result.updatedRows} rows)`);
     } else {
-      console.log(`  Warning: Could not save invoice ID to sheet: ${result.message}`);
+      log(`  Warning: Could not save invoice ID to sheet: ${sheetMessage(result)}`);
     }
   } catch (err) {
-    console.log(`  Warning: Could not save invoice ID to sheet: ${err.message}`);
+    log(`  Warning: Could not save invoice ID to sheet: ${err.message}`);
+  }
+}
+
+// Rows come in sheet order under a header row, so the first is sheet row 2
+// unless the file had blank lines above its header. Rows from one of several
+// files are "<file>:<row>", so each points at a line in its own file.
+function numberRows(rows, firstRow = 2, file = null) {
+  rows.forEach((row, i) => {
+    row._row = row._row || (file ? `${file}:${firstRow + i}` : firstRow + i);
+  });
+  return rows;
+}
+
+// Cancelled orders keep their rows, so that no row number moves, with the time
+// in Cancelled; they are left out once every row is numbered
+function dropCancelledRows(rows) {
+  const live = rows.filter((row) => !String(row.Cancelled ?? "").trim());
+  if (live.length < rows.length) console.log(`Skipped ${rows.length - live.length} cancelled line items`);
+  return live;
+}
+
+/**
+ * Reads the order files in order. With more than one, rows are numbered
+ * "<file>:<row>" (see numberRows).
+ */
+function loadOrderFiles() {
+  const rows = [];
+  const exemptionRows = [];
+  for (const file of orderFiles) {
+    const loaded = readOrderFile(file, sourceType);
+    console.log(`Loaded ${loaded.rows.length} line items from ${path.basename(file)} (${loaded.type})`);
+    if (loaded.renamed.length > 0) {
+      console.log(`  Columns: ${loaded.renamed.map(([from, to]) => `"${from}" → ${to}`).join(", ")}`);
+    }
+    rows.push(...numberRows(loaded.rows, loaded.firstRow, orderFiles.length > 1 ? path.basename(file) : null));
+    exemptionRows.push(...loaded.exemptionRows);
   }
+  return { rows: dropCancelledRows(rows), exemptionRows };
 }
 
 async function loadOrders() {
-  if (csvFile) {
-    const csvContent = fs.readFileSync(csvFile, "utf-8");
-    const rows = parseCSV(csvContent);
-    console.log(`Loaded ${rows.length} line items from CSV`);
-    return rows;
+  if (orderFiles.length > 0) {
+    return loadOrderFiles();
   } else {
-    const rows = await fetchFromSheet();
-    console.log(`Fetched ${rows.length} line items from Google Sheet`);
-    return rows;
+    const { orders, taxExempt } = await fetchFromSheet();
+    console.log(`Fetched ${orders.length} line items from Google Sheet`);
+    return { rows: dropCancelledRows(numberRows(orders)), exemptionRows: taxExempt };
+  }
+}
+
+function loadExemptions(sheetRows) {
+  const rows = [...sheetRows];
+  if (exemptionsFile) {
+    if (!fs.existsSync(exemptionsFile)) {
+      throw new Error(`Exemptions file not found: ${exemptionsFile}`);
+    }
+    rows.push(...readOrderFile(exemptionsFile).rows);
+  }
+  return buildExemptionList(rows);
+}
+
+// ─── Order Checks ────────────────────────────────────────────────────────────
+
+/**
+ * Checks order rows against the catalog and prints what is wrong, by sheet row
+ * @param {Array<Object>} rows - Order rows to check
+ * @returns {{issues: Array<Object>, errors: number, warnings: number}} From validateOrders
+ */
+function checkOrders(rows) {
+  const result = validateOrders(rows, pricing);
+  if (result.issues.length === 0) {
+    console.log("Order checks: no problems found");
+    return result;
+  }
+  console.log("");
+  console.log(`=== ORDER CHECKS (${result.errors} error(s), ${result.warnings} warning(s)) ===`);
+  for (const issue of result.issues) {
+    console.log(`  ${formatIssue(issue)}`);
+  }
+  return result;
+}
+
+/**
+ * Prints customers who may be the same person, and customers whose rows
+ * disagree on name or phone. With --only, just the ones involving that customer.
+ * @param {Array<Object>} rows - Order rows
+ * @param {Array<Object>} customers - From groupByEmail, for the name and phone Stripe gets
+ * @returns {{duplicates: Array<Object>, contactConflicts: Array<Object>}} From findDuplicateCustomers and findContactConflicts
+ */
+function checkIdentities(rows, customers) {
+  const profiles = buildContactProfiles(rows, aliases);
+  const involvesOnly = (emails) => !onlyEmail || emails.includes(onlyEmail);
+  const duplicates = findDuplicateCustomers(profiles).filter((duplicate) => involvesOnly(duplicate.emails));
+  const contactConflicts = findContactConflicts(profiles).filter((conflict) => involvesOnly([conflict.email]));
+
+  if (duplicates.length > 0) {
+    console.log("");
+    console.log(`=== POSSIBLE DUPLICATE CUSTOMERS (${duplicates.length}) ===`);
+    for (const { emails, reasons } of duplicates) {
+      console.log(`  ${emails.join(" and ")}: ${reasons.join(", ")}`);
+    }
+    const [first, second] = duplicates[0].emails;
+    console.log(`  To bill them as one customer, list them in an --aliases file (Email,Billing Email), e.g. ${second},${first}`);
+  }
+
+  if (contactConflicts.length > 0) {
+    console.log("");
+    console.log(`=== DIFFERING CONTACT DETAILS (${contactConflicts.length}) ===`);
+    for (const conflict of contactConflicts) {
+      const customer = customers.find((c) => c.email === conflict.email);
+      const others = conflict.emails.filter((email) => email !== conflict.email);
+      console.log(`  ${conflict.email}${others.length > 0 ? ` (also ${others.join(", ")})` : ""}`);
+      if (conflict.names.length > 1) console.log(`    Names: ${conflict.names.join(" / ")} — invoiced as ${customer.name}`);
+      if (conflict.phones.length > 1) console.log(`    Phones: ${conflict.phones.join(" / ")} — Stripe gets ${customer.phone}`);
+    }
+  }
+  return { duplicates, contactConflicts };
+}
+
+/**
+ * Prints orders a customer submitted more than once (same items, separate
+ * submissions), as flagged by groupByEmail. They are still invoiced.
+ * @param {Array<Object>} customers - From groupByEmail
+ * @returns {Array<Object>} Each repeated order, with the customer's email
+ */
+function checkDuplicateOrders(customers) {
+  const duplicates = customers.flatMap((customer) =>
+    customer.duplicateOrders.map((duplicate) => ({ email: customer.email, ...duplicate }))
+  );
+  if (duplicates.length === 0) return duplicates;
+
+  const describe = ({ orderId, rows }) => `${orderId ? `order ${orderId}, ` : ""}row${rows.length > 1 ? "s" : ""} ${rows.join(", ")}`;
+  console.log("");
+  console.log(`=== POSSIBLE DUPLICATE ORDERS (${duplicates.length}) ===`);
+  for (const duplicate of duplicates) {
+    console.log(`  ${duplicate.email}: ${describe(duplicate)} repeats ${describe(duplicate.duplicateOf)}`);
+  }
+  console.log("  If a repeat wasn't meant, put the date in its rows' Cancelled column before invoicing (don't delete");
+  console.log("  rows: invoices record their sheet row numbers).");
+  return duplicates;
+}
+
+/**
+ * Rows to work on: the campaign's, narrowed to the --only customer if given.
+ * Rows with no Campaign (from before campaigns were set up) are left out
+ * unless --include-untagged, and listed so they aren't missed.
+ */
+function selectRows(allRows) {
+  const rows = filterByCampaign(allRows, campaignId, { includeUntagged });
+  if (campaignId) {
+    console.log(`${rows.length} of ${allRows.length} line items belong to campaign ${campaignId}`);
+    const untagged = allRows.filter((row) => String(row.Campaign || "").trim() === "");
+    if (untagged.length > 0 && includeUntagged) {
+      console.log(`  including ${untagged.length} with no Campaign (rows ${formatRowList(untagged.map((row) => row._row))})`);
+    } else if (untagged.length > 0) {
+      console.log(`Warning: skipped ${untagged.length} line items with no Campaign (rows ${formatRowList(untagged.map((row) => row._row))})`);
+      console.log(`  Put ${campaignId} in their Campaign cells, or pass --include-untagged to count them in this campaign`);
+    }
   }
+  return rows;
+}
+
+/**
+ * validate: checks every order row, without pricing or invoicing anything
+ * @returns {Promise<number>} Number of rows with errors
+ */
+async function runValidate() {
+  console.log(`=== ORDER VALIDATION${pricing.campaign ? ` — ${pricing.campaign.name}` : ""} ===`);
+  const { rows: allRows } = await loadOrders();
+  const rows = selectRows(allRows).filter(isOnlyCustomer);
+  const { issues, errors, warnings } = checkOrders(rows);
+  const duplicateOrders = checkDuplicateOrders(groupByEmail(rows, aliases));
+  const errorRows = new Set(issues.filter((issue) => issue.level === "error").map((issue) => issue.row)).size;
+
+  console.log("");
+  console.log("=== SUMMARY ===");
+  console.log(`Rows checked: ${rows.length}`);
+  console.log(`Rows with errors: ${errorRows} (${errors} error(s))`);
+  console.log(`Warnings: ${warnings}`);
+  if (duplicateOrders.length > 0) console.log(`Possible duplicate orders: ${duplicateOrders.length}`);
+  return errorRows;
 }
 
 // ─── Tax Rate ────────────────────────────────────────────────────────────────
 
-async function getOrCreateTaxRate(taxRate) {
-  // Look for an existing active tax rate we created
-  const existing = await stripe.taxRates.list({ active: true, limit: 100 });
-  const percentage = Math.round(taxRate * 10000) / 100;
+// Stripe tax rate IDs by jurisdiction code, filled as customers need them.
+// Promises, so customers invoiced at the same time share one lookup.
+const taxRateIds = {};
 
-  const match = existing.data.find(
-    (tr) => tr.metadata?.source === "cmc-patagonia-order" && tr.percentage === percentage
+function getOrCreateTaxRate(jurisdiction) {
+  if (!taxRateIds[jurisdiction.code]) {
+    taxRateIds[jurisdiction.code] = findOrCreateTaxRate(jurisdiction).catch((err) => {
+      delete taxRateIds[jurisdiction.code]; // let the next customer try again
+      throw err;
+    });
+  }
+  return taxRateIds[jurisdiction.code];
+}
+
+async function findOrCreateTaxRate(jurisdiction) {
+  // Look for an existing active tax rate we created
+  const existing = await provider.listTaxRates();
+  const percentage = Math.round(jurisdiction.rate * 10000) / 100;
+
+  const match = existing.find(
+    (tr) =>
+      tr.metadata?.source === INVOICE_SOURCE &&
+      (tr.jurisdiction || "") === jurisdiction.code &&
+      tr.percentage === percentage
   );
 
   if (match) {
-    console.log(`Using existing Stripe tax rate: ${match.id} (${match.percentage}%)`);
+    log(`Using existing Stripe tax rate: ${match.id} (${jurisdiction.name}, ${match.percentage}%)`);
     return match.id;
   }
 
-  const created = await stripe.taxRates.create({
-    display_name: "NC Sales Tax",
+  const created = await provider.createTaxRate({
+    display_name: jurisdiction.name,
     percentage: percentage,
     inclusive: false,
-    jurisdiction: "NC",
-    metadata: { source: "cmc-patagonia-order" },
+    jurisdiction: jurisdiction.code,
+    metadata: { source: INVOICE_SOURCE },
   });
 
-  console.log(`Created Stripe tax rate: ${created.id} (${created.percentage}%)`);
+  log(`Created Stripe tax rate: ${created.id} (${jurisdiction.name}, ${created.percentage}%)`);
+  journal?.taxRate(created.id);
   return created.id;
 }
 
-// ─── Invoice Creation ────────────────────────────────────────────────────────
+/**
+ * Payment methods an invoice accepts. Under "achFree" each customer is held to
+ * the method they chose, since card payers are billed the fee and bank payers
+ * are not; otherwise Stripe's account defaults apply.
+ */
+function getPaymentMethodTypes(paymentMethod) {
+  if (feeMode !== "achFree") return null;
+  return paymentMethod === "ach" ? ["us_bank_account"] : ["card"];
+}
 
-async function createInvoice(customer, lineItems, taxRateId) {
-  // Find or create Stripe customer
-  const existingCustomers = await stripe.customers.list({ email: customer.email, limit: 1 });
-  let stripeCustomer;
+/**
+ * Invoice due date from --due-date: a calendar date (due at the end of that
+ * local day) or a number of days after the invoice is sent
+ */
+function getDueTerms() {
+  if (dueDate.date) return { due_date: Math.floor(Date.parse(`${dueDate.date}T23:59:59`) / 1000) };
+  return { days_until_due: dueDate.days };
+}
 
-  if (existingCustomers.data.length > 0) {
-    stripeCustomer = existingCustomers.data[0];
-    console.log(`  Using existing Stripe customer: ${stripeCustomer.id}`);
-  } else {
-    stripeCustomer = await stripe.customers.create({
+function describeFeeMode() {
+  const terms = describeProcessingFee(feeTerms);
+  if (feeMode === "absorb") return `absorbed (Stripe's ${terms} is not billed)`;
+  if (feeMode === "achFree") return `card payers billed Stripe's ${terms}, grossed up; ACH payers billed nothing`;
+  return `billed Stripe's ${terms}, grossed up so the payout covers subtotal + tax`;
+}
+
+function describeTax(invoice) {
+  if (invoice.taxExempt) return "Sales tax (exempt)";
+  const { name, rate } = invoice.taxJurisdiction;
+  return `${name} (${(rate * 100).toFixed(2)}%)`;
+}
+
+// ─── Existing Invoices ───────────────────────────────────────────────────────
+
+async function findStripeCustomer(email) {
+  return provider.findCustomer(email);
+}
+
+async function getOrCreateStripeCustomer(customer) {
+  const existing = await findStripeCustomer(customer.email);
+  if (existing) {
+    log(`  Using existing Stripe customer: ${existing.id}`);
+    return existing;
+  }
+  const created = await provider.createCustomer(
+    {
       email: customer.email,
       name: customer.name,
       phone: customer.phone,
-      metadata: { source: "cmc-patagonia-order" },
-    });
-    console.log(`  Created Stripe customer: ${stripeCustomer.id}`);
+      metadata: { source: INVOICE_SOURCE },
+    },
+    buildIdempotencyKey("customer", customer.email)
+  );
+  log(`  Created Stripe customer: ${created.id}`);
+  journal?.stripeCustomer(customer.email, created.id, true);
+  return created;
+}
+
+/**
+ * Looks up what Stripe already holds for this customer and campaign,
+ * including invoices billed to their alias emails before they were merged
+ */
+async function getInvoiceState(stripeCustomer, customer) {
+  const invoices = stripeCustomer ? await provider.listInvoices({ customer: stripeCustomer.id }) : [];
+  if (provider) {
+    for (const alias of customer.aliases) {
+      const aliasCustomer = await findStripeCustomer(alias);
+      if (aliasCustomer) invoices.push(...(await provider.listInvoices({ customer: aliasCustomer.id })));
+    }
+  }
+  return classifyInvoices(invoices, campaignId);
+}
+
+/**
+ * Saves invoice IDs that a crashed run created in Stripe but never wrote to the sheet
+ */
+async function recordUnsavedInvoices(customer, activeInvoices) {
+  let recovered = 0;
+  for (const inv of activeInvoices) {
+    const covered = new Set(parseRowList(inv.metadata.rows));
+    const unsaved = customer.items.filter((item) => !item.invoiceId && covered.has(item.row)).map((item) => item.row);
+    if (unsaved.length === 0) continue;
+    log(`  ${inv.id} covers ${unsaved.length} row(s) with no Invoice ID in the sheet`);
+    if (orderFiles.length > 0) continue; // nothing to write back to
+    if (!dryRun) await saveInvoiceIdToSheet(customer.email, inv.id, unsaved, customer.aliases);
+    recovered++;
   }
+  return recovered;
+}
+
+// ─── Invoice Creation ────────────────────────────────────────────────────────
+
+// False for an invoice deleted or finalized since it was created
+async function isDraft(invoiceId) {
+  try {
+    return (await provider.getInvoice(invoiceId)).status === "draft";
+  } catch (err) {
+    if (err.code === "resource_missing") return false;
+    throw err;
+  }
+}
 
-  // Create invoice
-  const invoice = await stripe.invoices.create({
+/**
+ * Creates and finalizes one invoice. Every Stripe call carries an idempotency
+ * key derived from the campaign, customer and rows, so a retry or a resumed
+ * run gets the same invoice back instead of a second one. Drafts left by an
+ * interrupted run are deleted first and folded into the key.
+ */
+async function createInvoice(customer, stripeCustomer, lineItems, taxRateId, options) {
+  const { paymentMethod, rows, supplemental = false, drafts = [], amends = null } = options;
+  const exemptNote = customer.taxExempt
+    ? `Tax exempt${customer.taxCertificate ? ` (certificate ${customer.taxCertificate})` : ""}`
+    : null;
+
+  for (const draft of drafts) {
+    await provider.deleteDraftInvoice(draft.id);
+    log(`  Deleted draft ${draft.id} left by an interrupted run`);
+  }
+
+  const invoiceParams = {
     customer: stripeCustomer.id,
     collection_method: "send_invoice",
-    days_until_due: 14,
-    metadata: { source: "cmc-patagonia-order" },
-  });
+    ...getDueTerms(),
+    ...(exemptNote && { description: exemptNote }),
+    ...(getPaymentMethodTypes(paymentMethod) && {
+      payment_settings: { payment_method_types: getPaymentMethodTypes(paymentMethod) },
+    }),
+    metadata: {
+      source: INVOICE_SOURCE,
+      ...(pricing.campaign && { campaign: pricing.campaign.id }),
+      ...(customer.taxExempt && { tax_exempt: customer.taxCertificate || "yes" }),
+      rows: formatRowList(rows),
+      ...(supplemental && { supplemental: "true" }),
+      ...(amends && { amends }),
+    },
+  };
+
+  // Create invoice. For a day Stripe answers a repeated key with the invoice
+  // it first made, even once that was voided or deleted (void, rollback); such
+  // an invoice is folded into the key like a draft and the invoice made again.
+  const replaced = [];
+  let keyBase;
+  let invoice;
+  for (;;) {
+    keyBase = buildIdempotencyKey(
+      campaignId || "",
+      customer.email,
+      formatRowList(rows),
+      ...drafts.map((d) => d.id),
+      ...(amends ? [`amends ${amends}`] : []),
+      ...replaced
+    );
+    invoice = await provider.createInvoice(invoiceParams, `${keyBase}-invoice`);
+    if (await isDraft(invoice.id)) break;
+    replaced.push(invoice.id);
+  }
+  const key = (step) => `${keyBase}-${step}`;
+  journal?.stripeCustomer(customer.email, stripeCustomer.id, false);
+  journal?.invoice(customer.email, { id: invoice.id, rows, supplemental, ...(amends && { amends }) });
 
   // Add line items
-  for (const item of lineItems) {
+  for (const [i, item] of lineItems.entries()) {
     const params = {
       customer: stripeCustomer.id,
       invoice: invoice.id,
       description: item.description,
       amount: item.amount,
       currency: item.currency,
+      metadata: item.metadata,
     };
-    if (item.taxable) {
+    if (item.taxable && taxRateId) {
       params.tax_rates = [taxRateId];
     }
-    await stripe.invoiceItems.create(params);
+    const created = await provider.createInvoiceItem(params, key(`item-${i}`));
+    journal?.invoiceItem(invoice.id, created.id);
   }
 
   // Finalize invoice
-  const finalizedInvoice = await stripe.invoices.finalizeInvoice(invoice.id);
+  const finalizedInvoice = await provider.finalizeInvoice(invoice.id, key("finalize"));
+  journal?.invoiceStatus(invoice.id, "open");
 
   if (autoSend) {
-    await stripe.invoices.sendInvoice(invoice.id);
-    console.log(`  Invoice sent: ${finalizedInvoice.hosted_invoice_url}`);
+    await provider.sendInvoice(invoice.id, key("send"));
+    journal?.invoiceStatus(invoice.id, "sent");
+    log(`  Invoice sent: ${finalizedInvoice.hosted_invoice_url}`);
   } else {
-    console.log(`  Draft invoice created: ${finalizedInvoice.hosted_invoice_url}`);
+    log(`  Invoice created (not emailed): ${finalizedInvoice.hosted_invoice_url}`);
   }
 
   return finalizedInvoice;
 }
 
-// ─── Main ────────────────────────────────────────────────────────────────────
+/**
+ * Turns a priced invoice into Stripe line items, with the processing fee last.
+ * Item lines carry their sheet row and the fee line is tagged, so amend can
+ * tell them apart later.
+ */
+function buildStripeLineItems(invoice) {
+  const lineItems = invoice.lines.map((line) => ({
+    description: line.description,
+    amount: line.amount,
+    currency: pricing.currency,
+    taxable: line.taxable,
+    metadata: { row: String(line.item.row ?? "") },
+  }));
+  if (invoice.processingFee > 0) {
+    lineItems.push({
+      description: `Card processing fee (covers Stripe's ${describeProcessingFee(feeTerms)})`,
+      amount: invoice.processingFee,
+      currency: pricing.currency,
+      taxable: false,
+      metadata: { kind: "processing_fee" },
+    });
+  }
+  return lineItems;
+}
+
+// ─── Amendments ──────────────────────────────────────────────────────────────
+
+function firstLine(description) {
+  return (description || "").split("\n")[0];
+}
+
+/**
+ * IDs of invoice lines already credited by earlier amendments
+ */
+async function getCreditedLineIds(invoiceId) {
+  const notes = await provider.listCreditNotes(invoiceId);
+  return new Set(
+    notes
+      .filter((note) => note.status !== "void")
+      .flatMap((note) => (note.metadata?.credited_lines || "").split(",").filter(Boolean))
+  );
+}
+
+/**
+ * Credits lines removed from a paid invoice, refunding them if Stripe took
+ * the payment (otherwise recording them as settled outside Stripe). The
+ * processing fee already paid is not refunded.
+ */
+async function creditRemovedLines(inv, removed) {
+  const lines = removed.map((line) => ({
+    type: "custom_line_item",
+    description: `Removed: ${firstLine(line.description)}`,
+    quantity: 1,
+    unit_amount: line.amount,
+    tax_rates: (line.tax_rates || []).map((rate) => rate.id),
+  }));
+  const total = removed.reduce(
+    (sum, line) =>
+      sum + line.amount + (line.tax_rates || []).reduce((tax, rate) => tax + calculateTax(line.amount, rate.percentage / 100), 0),
+    0
+  );
+  const params = {
+    invoice: inv.id,
+    lines,
+    memo: "Order changed after invoicing",
+    metadata: {
+      source: INVOICE_SOURCE,
+      ...(campaignId && { campaign: campaignId }),
+      amends: inv.id,
+      credited_lines: removed.map((line) => line.id).join(","),
+    },
+    [inv.charge ? "refund_amount" : "out_of_band_amount"]: total,
+  };
+  const key = buildIdempotencyKey("credit-note", inv.id, ...removed.map((line) => `${line.id}`));
+  const note = await provider.createCreditNote(params, key);
+  journal?.creditNote(note.id);
+  console.log(`  Credit note ${note.id}: ${formatCents(total)} ${inv.charge ? "refunded" : "credited (paid outside Stripe)"}`);
+  return note;
+}
+
+/**
+ * Bills the given priced lines on a new invoice and records it on their rows
+ */
+async function reinvoice(customer, stripeCustomer, invoice, options) {
+  const rows = invoice.lines.map((line) => line.item.row);
+  const taxRateId = invoice.taxExempt ? null : await getOrCreateTaxRate(invoice.taxJurisdiction);
+  const created = await createInvoice(customer, stripeCustomer, buildStripeLineItems(invoice), taxRateId, {
+    paymentMethod: invoice.paymentMethod,
+    rows,
+    ...options,
+  });
+  await saveInvoiceIdToSheet(customer.email, created.id, rows, customer.aliases);
+  return created;
+}
+
+/**
+ * amend: compares every open or paid invoice for the campaign with the rows
+ * it bills as they are now, and fixes the ones that differ
+ */
+async function amendInvoices(customers, tierMap, eligibleCombos) {
+  const counts = { none: 0, reissue: 0, adjust: 0, manual: 0, failed: 0 };
+
+  for (const customer of customers) {
+    let stripeCustomer;
+    let state;
+    try {
+      stripeCustomer = await findStripeCustomer(customer.email);
+      state = await getInvoiceState(stripeCustomer, customer);
+    } catch (err) {
+      console.error(`--- ${customer.name} (${customer.email}) ---`);
+      console.error(`  ERROR: could not read invoices: ${err.message}`);
+      counts.failed++;
+      continue;
+    }
+
+    // Rows billed by each invoice: those carrying its ID, or that its metadata
+    // lists (newest invoice first) if the sheet has no ID
+    const owners = assignRowsToInvoices(state.active);
+    for (const inv of state.active) {
+      const items = customer.items.filter(
+        (item) => item.invoiceId === inv.id || (!item.invoiceId && owners.get(item.row) === inv.id)
+      );
+
+      try {
+        const expected = buildCustomerInvoice({ ...customer, items }, tierMap, eligibleCombos, pricing);
+        const lines = await provider.listInvoiceLines(inv.id);
+        const credited = inv.status === "paid" ? await getCreditedLineIds(inv.id) : new Set();
+        const billed = lines.filter((line) => !credited.has(line.id));
+        // An invoice whose rows all moved to another bills nothing, so its exemption no longer matters
+        const diff = diffInvoiceLines(expected.lines, billed);
+        diff.exemption = expected.lines.length > 0 ? diffTaxExemption(inv, customer) : null;
+        const action = planAmendment(inv, diff);
+        counts[action]++;
+        if (action === "none") continue;
+
+        console.log(`--- ${customer.name} (${customer.email}) — ${inv.id} (${inv.status}) ---`);
+        if (diff.exemption) {
+          console.log(`  Tax exemption: ${diff.exemption.billed || "none"} → ${diff.exemption.expected || "none"}`);
+        }
+        for (const line of diff.removed) console.log(`  - ${firstLine(line.description)}: ${formatCents(line.amount)}`);
+        for (const line of diff.added) console.log(`  + ${firstLine(line.description)}: ${formatCents(line.amount)}`);
+
+        // Rows that no longer produce a line (e.g. now below the minimum) go back to uninvoiced
+        const unbilledRows = items
+          .filter((item) => !expected.lines.some((line) => line.item === item))
+          .map((item) => item.row);
+
+        if (action === "manual" && inv.status === "paid") {
+          console.log(`  Invoice is paid — update its tax_exempt metadata by hand in the Stripe dashboard`);
+        } else if (action === "manual") {
+          console.log(`  Invoice is ${inv.status} — amend it by hand in the Stripe dashboard`);
+        } else if (dryRun) {
+          if (action === "reissue") {
+            const reissue = expected.lines.length > 0 ? ` and reissue for ${formatCents(expected.total)}` : "";
+            console.log(`  [DRY RUN] Would void ${inv.id}${reissue}`);
+          } else {
+            if (diff.removed.length > 0) console.log(`  [DRY RUN] Would issue a credit note for ${diff.removed.length} line(s)`);
+            if (diff.added.length > 0) console.log(`  [DRY RUN] Would create a supplemental invoice for ${diff.added.length} line(s)`);
+          }
+        } else if (action === "reissue") {
+          await provider.voidInvoice(inv.id, buildIdempotencyKey("void", inv.id));
+          journal?.voided(inv.id);
+          console.log(`  Voided ${inv.id}`);
+          if (expected.lines.length > 0) {
+            await reinvoice(customer, stripeCustomer, expected, { amends: inv.id });
+          }
+        } else {
+          if (diff.removed.length > 0) await creditRemovedLines(inv, diff.removed);
+          if (diff.added.length > 0) {
+            const addedItems = diff.added.map((line) => line.item);
+            const supplement = buildCustomerInvoice({ ...customer, items: addedItems }, tierMap, eligibleCombos, pricing);
+            await reinvoice(customer, stripeCustomer, supplement, { supplemental: true, amends: inv.id });
+          }
+        }
+
+        if (!dryRun && action !== "manual" && unbilledRows.length > 0) {
+          await saveInvoiceIdToSheet(customer.email, "", unbilledRows, customer.aliases);
+        }
+      } catch (err) {
+        console.error(`  ERROR amending ${inv.id}: ${err.message}`);
+        counts.failed++;
+      }
+      console.log("");
+    }
+  }
+
+  console.log("=== AMENDMENT SUMMARY ===");
+  console.log(`Invoices unchanged: ${counts.none}`);
+  console.log(`Unpaid invoices ${dryRun ? "to void and reissue" : "voided and reissued"}: ${counts.reissue}`);
+  console.log(`Paid invoices ${dryRun ? "to adjust" : "adjusted"}: ${counts.adjust}`);
+  if (counts.manual > 0) console.log(`Invoices needing manual changes: ${counts.manual}`);
+  if (counts.failed > 0) console.log(`Errors: ${counts.failed}`);
+  journal?.finish({ amendments: counts });
+  logRollbackHint();
+  return counts.failed;
+}
+
+/**
+ * Starts the journal for a run that can change Stripe, and says where it is
+ */
+function startJournal(settings) {
+  journal = createJournal({
+    command,
+    campaign: campaignId,
+    only: onlyEmail,
+    provider: providerName,
+    sources: orderFiles,
+    pricing,
+    settings,
+  });
+  console.log(`Run ID: ${journal.runId} (journal: ${journal.file})`);
+  console.log("");
+}
 
-async function main() {
-  console.log(dryRun ? "=== DRY RUN MODE ===" : "=== INVOICE GENERATION ===");
-  console.log(`Mode: ${autoSend ? "Create and SEND" : "Create as DRAFTS"}`);
+function logRollbackHint() {
+  if (!journal) return;
+  console.log("");
+  console.log(`Journal: ${journal.file}. To undo this run: node invoice.js rollback ${journal.runId}`);
+}
+
+// ─── Invoicing ───────────────────────────────────────────────────────────────
+
+/**
+ * preview, create, send and amend: price the campaign's rows and bill what is pending
+ * @returns {Promise<number>} Number of customers or invoices that failed
+ */
+async function runInvoices() {
+  console.log(dryRun ? "=== DRY RUN MODE ===" : amendMode ? "=== INVOICE AMENDMENTS ===" : "=== INVOICE GENERATION ===");
+  console.log(`Mode: ${command === "preview" ? "Preview only" : amendMode ? "Amend existing invoices" : autoSend ? "Create and SEND" : "Create without sending"}`);
+  if (pricing.campaign) {
+    console.log(`Campaign: ${pricing.campaign.name} (${pricing.campaign.id})`);
+    if (isCampaignOpen(pricing.campaign)) {
+      console.log(`Warning: campaign is still open until ${pricing.campaign.closes} — re-run after it closes to bill late orders on supplemental invoices`);
+    }
+  }
+  const checkStripe = !!provider;
+  logProvider();
+  if (!checkStripe) {
+    console.log("Note: no STRIPE_SECRET_KEY — only the sheet's Invoice ID column is checked for earlier invoices");
+  }
   console.log("");
 
   // Load orders
-  const rows = await loadOrders();
-  const customers = groupByEmail(rows);
-  console.log(`Found ${customers.length} unique customers`);
+  const { rows: allRows, exemptionRows } = await loadOrders();
+  const rows = selectRows(allRows);
+  const allCustomers = groupByEmail(rows, aliases);
+  console.log(`Found ${allCustomers.length} unique customers`);
+  const merged = allCustomers.filter((c) => c.aliases.length > 0);
+  if (merged.length > 0) {
+    console.log(`${merged.length} customer(s) merged from other emails by ${path.basename(aliasesFile)}`);
+  }
+
+  // --only narrows who is billed; tiers still count every customer's items
+  const customers = onlyEmail ? allCustomers.filter((c) => c.email === onlyEmail) : allCustomers;
+  if (onlyEmail) {
+    if (customers.length === 0) {
+      console.error(`Error: no orders from ${onlyEmail}${campaignId ? ` in campaign ${campaignId}` : ""}`);
+      return 1;
+    }
+    console.log(`Only invoicing ${onlyEmail}`);
+  }
+  const listed = applyExemptionList(customers, loadExemptions(exemptionRows));
+  const exemptCount = customers.filter((c) => c.taxExempt).length;
+  if (exemptCount > 0) {
+    console.log(`${exemptCount} tax-exempt customer(s) (${listed} from the exemption list)`);
+  }
+
+  // Check the rows that would be billed; errors stop anything from reaching Stripe
+  const checks = checkOrders(rows.filter(isOnlyCustomer));
+  const identities = checkIdentities(rows, allCustomers);
+  const duplicateOrders = checkDuplicateOrders(customers);
+  if (checks.errors > 0 && !dryRun) {
+    if (!allowErrors) {
+      console.error("");
+      console.error(`Error: ${checks.errors} order error(s) above. Fix the rows, or re-run with --allow-errors to invoice anyway.`);
+      return checks.errors;
+    }
+    console.log("--allow-errors: invoicing anyway (rows with unknown products are left off)");
+  }
 
-  // Count by product+color and filter by minimum
-  const productColorCounts = countByProductColor(rows);
-  const { eligible: eligibleCombos, excluded: excludedCombos } = ignoreMinimum
-    ? { eligible: productColorCounts, excluded: {} }
-    : filterByMinimum(productColorCounts, MIN_QUANTITY);
+  // Count by tier group and filter by minimum
+  const groupCounts = countByTierGroup(rows, pricing);
+  const { eligible: eligibleCombos, excluded: excludedCombos } = filterByMinimum(groupCounts, minQuantity);
 
   const tierMap = buildTierMap(eligibleCombos, pricing.tiers);
 
+  // preview --report: the same preview, for circulating before anything is invoiced
+  const report = reportFile && {
+    generatedAt: new Date().toISOString(),
+    campaign: pricing.campaign ? { id: pricing.campaign.id, name: pricing.campaign.name } : null,
+    currency: pricing.currency,
+    tierGrouping: pricing.tierGrouping || "productColor",
+    minQuantity,
+    processingFee: { ...feeTerms, mode: feeMode },
+    tierGroups: describeTierGroups(groupCounts, eligibleCombos, tierMap, pricing),
+    issues: checks.issues,
+    duplicates: identities.duplicates,
+    contactConflicts: identities.contactConflicts,
+    duplicateOrders,
+    customers: [],
+    summary: null,
+  };
+  // In customer order, however the customers finish
+  const addToReport = (customer, status, details) => {
+    if (report) report.customers[customers.indexOf(customer)] = describeCustomer(customer, status, pricing, details);
+  };
+
+  let totalRevenue = 0;
+  let absorbedFees = 0;
+  let invoiceCount = 0;
+  let supplementalCount = 0;
+  let alreadyInvoicedCount = 0;
+  let recoveredCount = 0;
+  let failedCount = 0;
+
+  const finishReport = () => {
+    if (!report) return;
+    report.customers = report.customers.filter(Boolean);
+    report.summary = {
+      eligibleGroups: Object.keys(eligibleCombos).length,
+      excludedGroups: Object.keys(excludedCombos).length,
+      items: rows.length,
+      invoices: invoiceCount,
+      supplemental: supplementalCount,
+      alreadyInvoiced: alreadyInvoicedCount,
+      revenue: totalRevenue,
+      absorbedFees,
+      errors: failedCount,
+    };
+    writeReport(report);
+  };
+
   console.log("");
 
   if (ignoreMinimum) {
@@ -244,143 +1150,647 @@ async function main() {
 
   // Show excluded combos
   if (Object.keys(excludedCombos).length > 0) {
-    console.log("=== EXCLUDED (below minimum of 6) ===");
+    console.log(`=== EXCLUDED (below minimum of ${minQuantity}) ===`);
     for (const key of Object.keys(excludedCombos).sort()) {
-      const [product, color] = key.split("|");
       const count = excludedCombos[key];
-      console.log(`  ${product} (${color}): ${count} pcs — NOT INVOICED`);
+      console.log(`  ${describeTierGroup(key)}: ${count} pcs — NOT INVOICED`);
     }
     console.log("");
   }
 
   // Show eligible pricing
-  console.log("=== PRICING BY PRODUCT + COLOR ===");
+  console.log(`=== PRICING BY TIER GROUP (${pricing.tierGrouping || "productColor"}) ===`);
   const sortedKeys = Object.keys(eligibleCombos).sort();
   if (sortedKeys.length === 0) {
-    console.log("  No product+color combos meet the minimum quantity of 6.");
+    console.log(`  No tier groups meet the minimum quantity of ${minQuantity}.`);
     console.log("");
-    return;
+    // amend still runs: invoices for groups that fell below the minimum must be undone
+    if (!amendMode) {
+      finishReport();
+      return 0;
+    }
   }
   for (const key of sortedKeys) {
-    const [product, color] = key.split("|");
+    const [product] = key.split("|");
     const count = eligibleCombos[key];
     const tier = tierMap[key];
-    const unitPrice = pricing.products[product]?.[tier] || 0;
-    console.log(`  ${product} (${color}): ${count} pcs @ $${unitPrice.toFixed(2)} [${getTierLabel(tier, pricing.tiers)}]`);
+    const tierLabel = `[${getTierLabel(tier, pricing.tiers)}]`;
+    if (pricing.products[product]) {
+      const unitPrice = toCents(pricing.products[product].prices[tier]);
+      console.log(`  ${describeTierGroup(key)}: ${count} pcs @ ${formatCents(unitPrice)} ${tierLabel}`);
+    } else {
+      console.log(`  ${describeTierGroup(key)}: ${count} pcs ${tierLabel}`);
+      for (const [name, info] of Object.entries(pricing.products)) {
+        console.log(`    ${name} @ ${formatCents(toCents(info.prices[tier]))}`);
+      }
+    }
+  }
+  console.log(`  Embroidery fee: ${formatCents(toCents(pricing.embroideryFee))} per item`);
+  console.log(`  Folding fee: ${formatCents(toCents(pricing.foldingFee))} per item`);
+  for (const [size, amount] of Object.entries(pricing.sizeUpcharges || {})) {
+    console.log(`  ${size} upcharge: ${formatCents(toCents(amount))} per item`);
+  }
+  for (const [product, info] of Object.entries(pricing.products)) {
+    for (const [size, amount] of Object.entries(info.sizeUpcharges || {})) {
+      console.log(`  ${size} upcharge (${product}): ${formatCents(toCents(amount))} per item`);
+    }
+  }
+  for (const code of Object.keys(pricing.tax.jurisdictions)) {
+    const { name, rate } = getTaxJurisdiction(pricing, code);
+    const isDefault = code === pricing.tax.defaultJurisdiction ? " (default)" : "";
+    console.log(`  ${name}: ${(rate * 100).toFixed(2)}%${isDefault}`);
   }
-  console.log(`  Embroidery fee: $${pricing.embroideryFee.toFixed(2)} per item`);
-  console.log(`  Folding fee: $${pricing.foldingFee.toFixed(2)} per item`);
-  console.log(`  Sales tax: ${(pricing.taxRate * 100).toFixed(2)}%`);
+  console.log(`  Processing fee: ${describeFeeMode()}`);
   console.log("");
 
-  // Get or create Stripe tax rate
-  let taxRateId = null;
   if (!dryRun) {
-    taxRateId = await getOrCreateTaxRate(pricing.taxRate);
-    console.log("");
+    startJournal({ minQuantity, tierGrouping: pricing.tierGrouping || "productColor", dueDate, concurrency, resumed: resume });
   }
 
-  // Process each customer
-  let totalRevenue = 0;
-  let invoiceCount = 0;
+  if (amendMode) {
+    return amendInvoices(customers, tierMap, eligibleCombos);
+  }
 
-  for (const customer of customers) {
-    console.log(`--- ${customer.name} (${customer.email}) ---`);
-
-    const lineItems = [];
-    let customerTotal = 0;
-    let excludedCount = 0;
-
-    for (const item of customer.items) {
-      // Check eligibility
-      const color = normalizeColor(item.color);
-      const comboKey = `${item.product}|${color}`;
-      if (!eligibleCombos[comboKey]) {
-        excludedCount++;
-        continue;
-      }
+  /**
+   * Bills one customer's pending rows
+   * @returns {Promise<{status: string, invoices?: string[], error?: string}>} "done" or "failed", for the checkpoint
+   */
+  async function invoiceCustomer(customer) {
+    log(`--- ${customer.name} (${customer.email}) ---`);
 
-      const result = getItemPrice(item, tierMap, pricing);
-      if (result === null) continue;
+    // Find what has already been billed, in the sheet and in Stripe
+    let stripeCustomer = null;
+    let state;
+    try {
+      stripeCustomer = checkStripe ? await findStripeCustomer(customer.email) : null;
+      state = await getInvoiceState(stripeCustomer, customer);
+    } catch (err) {
+      const error = `could not check existing invoices: ${err.message}`;
+      logError(`  ERROR: ${error} — skipping`);
+      addToReport(customer, "error", { error });
+      return { status: "failed", error };
+    }
+    for (const inv of state.active) {
+      log(`  Already invoiced: ${inv.id} (${inv.status}, ${formatCents(inv.total)})`);
+    }
+    // Await before adding: "+= await" would add to the count read before other customers' awaits
+    const recovered = await recordUnsavedInvoices(customer, state.active);
+    recoveredCount += recovered;
+
+    const { invoiced, pending } = splitInvoicedItems(customer, state.coveredRows);
+    const invoicedBy = [...new Set([...invoiced.map((item) => item.invoiceId).filter(Boolean), ...state.active.map((inv) => inv.id)])];
+    if (pending.length === 0) {
+      log(`  All ${invoiced.length} item(s) already invoiced — skipping`);
+      alreadyInvoicedCount++;
+      addToReport(customer, "invoiced", { invoicedBy });
+      return { status: "done", invoices: invoicedBy };
+    }
+    const supplemental = invoiced.length > 0;
+    if (supplemental) {
+      log(`  ${pending.length} item(s) not yet invoiced — supplemental invoice`);
+    }
 
-      const { price } = result;
-      customerTotal += price;
-      lineItems.push({
-        description: formatItemDescription(item),
-        amount: Math.round(price * 100),
-        currency: pricing.currency,
-        taxable: true,
-      });
+    let invoice;
+    try {
+      invoice = buildCustomerInvoice({ ...customer, items: pending }, tierMap, eligibleCombos, pricing);
+    } catch (err) {
+      logError(`  ERROR: ${err.message} — skipping invoice`);
+      addToReport(customer, "error", { invoicedBy, error: err.message });
+      return { status: "failed", error: err.message };
+    }
 
-      const embNote = item.embroideredName ? ` + $${pricing.embroideryFee} embroidery` : "";
-      console.log(`  ${item.product} ${item.color} (${item.size}): $${price.toFixed(2)}${embNote} (incl. $${pricing.foldingFee} folding)`);
+    for (const line of invoice.lines) {
+      const { item, amount, sizeUpcharge } = line;
+      const embNote = item.embroideredName ? ` + ${formatCents(toCents(pricing.embroideryFee))} embroidery` : "";
+      const sizeNote = sizeUpcharge ? ` + ${formatCents(sizeUpcharge)} ${item.size} upcharge` : "";
+      log(`  ${item.product} ${item.color} (${item.size}): ${formatCents(amount)}${embNote}${sizeNote} (incl. ${formatCents(toCents(pricing.foldingFee))} folding)`);
     }
 
-    if (excludedCount > 0) {
-      console.log(`  (${excludedCount} item(s) excluded — below minimum quantity)`);
+    if (invoice.excluded.length > 0) {
+      log(`  (${invoice.excluded.length} item(s) excluded — below minimum quantity)`);
     }
 
     // Skip if no eligible items
-    if (lineItems.length === 0) {
-      console.log("  No eligible items — skipping invoice");
-      console.log("");
-      continue;
+    if (invoice.lines.length === 0) {
+      log("  No eligible items — skipping invoice");
+      addToReport(customer, "nothing to bill", { invoice, invoicedBy });
+      return { status: "done", invoices: invoicedBy };
     }
 
-    // Tax is handled by Stripe via tax_rates on line items
-    const tax = calculateTax(customerTotal, pricing.taxRate);
-    console.log(`  Sales tax (${(pricing.taxRate * 100).toFixed(2)}%): $${tax.toFixed(2)} (applied by Stripe)`);
+    // Tax is handled by Stripe via tax_rates on line items; it rounds per line, as we do
+    if (invoice.taxExempt) {
+      const certificate = customer.taxCertificate ? `, certificate ${customer.taxCertificate}` : "";
+      log(`  ${describeTax(invoice)}: ${formatCents(0)}${certificate}`);
+    } else {
+      log(`  ${describeTax(invoice)}: ${formatCents(invoice.tax)} (applied by Stripe)`);
+    }
 
-    // Add Stripe processing fee (on subtotal + tax)
-    const stripeFee = calculateStripeFee(customerTotal + tax);
-    const orderTotal = customerTotal + tax + stripeFee;
+    // Add the processing fee, if this customer is billed one
+    const lineItems = buildStripeLineItems(invoice);
+    if (invoice.processingFee > 0) {
+      log(`  Card processing fee: ${formatCents(invoice.processingFee)}`);
+    } else if (invoice.paymentMethod === "ach" && feeMode === "achFree") {
+      log("  Processing fee: none (pays by ACH)");
+    } else {
+      const stripeFee = calculateStripeFee(invoice.total, feeTerms);
+      absorbedFees += stripeFee;
+      log(`  Processing fee: none (we absorb about ${formatCents(stripeFee)})`);
+    }
 
-    lineItems.push({
-      description: "Payment processing fee (2.9% + $0.30)",
-      amount: Math.round(stripeFee * 100),
-      currency: pricing.currency,
-      taxable: false,
+    log(`  TOTAL: ${formatCents(invoice.total)}`);
+    totalRevenue += invoice.total;
+    journal?.customer(customer.email, {
+      amounts: {
+        subtotal: invoice.subtotal,
+        tax: invoice.tax,
+        processingFee: invoice.processingFee,
+        total: invoice.total,
+        lines: invoice.lines.map((line) => ({ row: line.item.row, description: line.description, amount: line.amount, tax: line.tax })),
+      },
     });
 
-    console.log(`  Processing fee (2.9% + $0.30): $${stripeFee.toFixed(2)}`);
-    console.log(`  TOTAL: $${orderTotal.toFixed(2)}`);
-    totalRevenue += orderTotal;
-
     if (dryRun) {
-      console.log("  [DRY RUN] Would create invoice");
+      log(`  [DRY RUN] Would create ${supplemental ? "supplemental " : ""}invoice`);
+      addToReport(customer, supplemental ? "supplemental" : "invoice", { invoice, invoicedBy });
       invoiceCount++;
-      console.log("");
-      continue;
+      if (supplemental) supplementalCount++;
+      return { status: "done", invoices: invoicedBy };
     }
 
     try {
-      const invoice = await createInvoice(customer, lineItems, taxRateId);
+      const invoicedRows = invoice.lines.map((line) => line.item.row);
+      const taxRateId = invoice.taxExempt ? null : await getOrCreateTaxRate(invoice.taxJurisdiction);
+      const stripeInvoice = await createInvoice(
+        customer,
+        stripeCustomer || (await getOrCreateStripeCustomer(customer)),
+        lineItems,
+        taxRateId,
+        { paymentMethod: invoice.paymentMethod, rows: invoicedRows, supplemental, drafts: state.drafts }
+      );
       invoiceCount++;
+      if (supplemental) supplementalCount++;
 
-      // Save invoice ID back to the Google Sheet
-      await saveInvoiceIdToSheet(customer.email, invoice.id);
+      // Save invoice ID back to the Google Sheet, on just the rows it bills
+      await saveInvoiceIdToSheet(customer.email, stripeInvoice.id, invoicedRows, customer.aliases);
+      return { status: "done", invoices: [...invoicedBy, stripeInvoice.id] };
     } catch (err) {
-      console.error(`  ERROR: ${err.message}`);
+      logError(`  ERROR: ${err.message}`);
+      return { status: "failed", error: err.message };
     }
 
+  }
+
+  // Process each customer, a few at a time. Unless this is a dry run, the
+  // checkpoint records each one as it finishes, for --resume.
+  const checkpoint = dryRun ? null : openCheckpoint(checkpointFile, checkpointRun, resumedCheckpoint);
+  if (resumedCheckpoint) {
+    const done = customers.filter((c) => resumedCheckpoint.customers[c.email]?.status === "done").length;
+    console.log(`Resuming the run started ${resumedCheckpoint.run.startedAt}: ${done} customer(s) done, ${customers.length - done} to go`);
+    console.log("");
+  } else if (checkpoint && fs.existsSync(checkpointFile)) {
+    console.log(`Note: replacing ${checkpointFile}, left by an unfinished run (--resume continues it instead)`);
     console.log("");
   }
 
+  const failures = new Map();
+  let resumedCount = 0;
+  await mapWithConcurrency(customers, concurrency, (customer) =>
+    withHeldOutput(async () => {
+      if (resumedCheckpoint?.customers[customer.email]?.status === "done") {
+        resumedCount++;
+        return;
+      }
+      let outcome;
+      try {
+        outcome = await invoiceCustomer(customer);
+      } catch (err) {
+        logError(`  ERROR: ${err.message}`);
+        outcome = { status: "failed", error: err.message };
+      }
+      log("");
+      if (outcome.status === "failed") {
+        failedCount++;
+        failures.set(customer, outcome.error);
+      }
+      checkpoint?.record(customer.email, outcome);
+      journal?.customer(customer.email, {
+        name: customer.name,
+        aliases: customer.aliases,
+        status: outcome.status,
+        ...(outcome.error && { error: outcome.error }),
+      });
+    })
+  );
+
   // Summary
   console.log("=== SUMMARY ===");
-  console.log(`Product+color combos: ${Object.keys(eligibleCombos).length} eligible, ${Object.keys(excludedCombos).length} excluded`);
+  console.log(`Tier groups: ${Object.keys(eligibleCombos).length} eligible, ${Object.keys(excludedCombos).length} excluded`);
   console.log(`Total items: ${rows.length}`);
-  console.log(`Invoices ${dryRun ? "to create" : "created"}: ${invoiceCount}`);
-  console.log(`Total revenue: $${totalRevenue.toFixed(2)}`);
+  console.log(`Invoices ${dryRun ? "to create" : "created"}: ${invoiceCount} (${supplementalCount} supplemental)`);
+  console.log(`Customers already invoiced: ${alreadyInvoicedCount}`);
+  if (recoveredCount > 0) {
+    console.log(`Invoices ${dryRun ? "to record" : "recorded"} in the sheet from an earlier run: ${recoveredCount}`);
+  }
+  console.log(`Total revenue: ${formatCents(totalRevenue)}`);
+  if (absorbedFees > 0) {
+    console.log(`Card fees absorbed: about ${formatCents(absorbedFees)}`);
+  }
+  if (resumedCount > 0) {
+    console.log(`Customers skipped (done in the run being resumed): ${resumedCount}`);
+  }
+  if (failedCount > 0) {
+    console.log(`Errors: ${failedCount}`);
+  }
+  finishReport();
+
+  if (failures.size > 0) {
+    console.log("");
+    console.log(`=== STILL FAILING (${failures.size}) ===`);
+    for (const customer of customers.filter((c) => failures.has(c))) {
+      console.log(`  ${customer.name} (${customer.email}): ${failures.get(customer)}`);
+    }
+    if (checkpoint) {
+      console.log(`Fix the problem, then re-run with --resume to retry just these customers (progress is in ${checkpointFile}).`);
+    }
+  } else {
+    checkpoint?.remove();
+  }
+
+  if (!dryRun && !autoSend && invoiceCount > 0) {
+    console.log("");
+    console.log("Invoices created but not emailed. Review them in the Stripe dashboard,");
+    console.log('then email them with "node invoice.js remind".');
+  }
+  journal?.finish({
+    invoices: invoiceCount,
+    supplemental: supplementalCount,
+    alreadyInvoiced: alreadyInvoicedCount,
+    revenue: totalRevenue,
+    failed: failedCount,
+  });
+  logRollbackHint();
+  return failedCount;
+}
+
+function writeReportFile(content, what) {
+  fs.mkdirSync(path.dirname(path.resolve(reportFile)), { recursive: true });
+  fs.writeFileSync(reportFile, content);
+  console.log("");
+  console.log(`${what} written to ${reportFile}`);
+}
+
+function writeReport(report) {
+  writeReportFile(formatReport(report, getReportFormat(reportFile)), "Preview report");
+}
+
+// ─── Purchase Order ──────────────────────────────────────────────────────────
+
+/**
+ * purchase-order: what to order from Patagonia and the embroiderer
+ * @returns {Promise<number>} Number of failures (always 0)
+ */
+async function runPurchaseOrder() {
+  const title = `Purchase order${pricing.campaign ? ` — ${pricing.campaign.name}` : ""}`;
+  console.log(`=== ${title.toUpperCase()} ===`);
+  console.log("");
+
+  const { rows: allRows } = await loadOrders();
+  const rows = selectRows(allRows);
+  checkOrders(rows);
+  const po = buildPurchaseOrder(rows, pricing, minQuantity);
+  console.log("");
+
+  console.log("=== GARMENTS ===");
+  for (const garment of po.garments) {
+    const sizes = po.sizes.filter((size) => garment.sizes[size]).map((size) => `${size} ${garment.sizes[size]}`);
+    console.log(`  ${garment.product} — ${garment.style} ${garment.color}: ${garment.total} (${sizes.join(", ")})`);
+  }
+  console.log(`  Total: ${po.total}`);
+  console.log("");
+
+  console.log("=== LOGOS ===");
+  for (const logo of po.logos) {
+    console.log(`  ${logo.product} ${logo.color}: ${logo.label} × ${logo.count}`);
+  }
+  console.log("");
+
+  console.log(`=== EMBROIDERED NAMES (${po.names.length}) ===`);
+  for (const n of po.names) {
+    console.log(`  "${n.name}" (${n.threadColor} thread) — ${n.product} ${n.style} ${n.size} ${n.color}`);
+  }
+
+  if (po.excluded.length > 0) {
+    console.log("");
+    console.log(`=== NOT ORDERED (below minimum of ${minQuantity}) ===`);
+    for (const group of po.excluded) console.log(`  ${group.group}: ${group.count} pcs`);
+  }
+
+  if (reportFile) {
+    const format = getReportFormat(reportFile);
+    const content = format === "csv" ? formatPurchaseOrderCSV(po, title) : formatPurchaseOrderHTML(po, title);
+    writeReportFile(content, "Purchase order");
+  }
+  return 0;
+}
+
+// ─── Status, Void, Remind ────────────────────────────────────────────────────
+
+/**
+ * Invoices this tool created for the campaign (or for the --only customer), newest first
+ */
+async function listCampaignInvoices() {
+  let invoices;
+  if (onlyEmail) {
+    // The customer's invoices, and any billed to their alias emails
+    invoices = [];
+    for (const email of [onlyEmail, ...aliasesOf(onlyEmail)]) {
+      const stripeCustomer = await findStripeCustomer(email);
+      if (stripeCustomer) invoices.push(...(await provider.listInvoices({ customer: stripeCustomer.id })));
+    }
+  } else {
+    invoices = await provider.listInvoices();
+  }
+  return invoices
+    .filter((inv) => inv.metadata?.source === INVOICE_SOURCE && (inv.metadata.campaign || "") === (campaignId || ""))
+    .sort((a, b) => (b.created || 0) - (a.created || 0));
+}
+
+function logProvider() {
+  if (provider?.name === "memory") {
+    console.log(`Provider: memory (offline rehearsal, state in ${ledgerFile})`);
+  }
+}
+
+function isOverdue(inv, now = Date.now()) {
+  return inv.status === "open" && !!inv.due_date && inv.due_date * 1000 < now;
+}
+
+function formatDueDate(inv) {
+  return inv.due_date ? new Date(inv.due_date * 1000).toISOString().slice(0, 10) : "—";
+}
+
+function describeInvoice(inv) {
+  const email = inv.customer_email || inv.customer;
+  const kind = inv.metadata.supplemental ? ", supplemental" : "";
+  return `${inv.id}  ${email}  ${inv.status}${kind}  ${formatCents(inv.total)}`;
+}
+
+/**
+ * status: lists the campaign's invoices and what is still owed
+ * @returns {Promise<number>} Number of failures (always 0)
+ */
+async function runStatus() {
+  const label = pricing.campaign ? `${pricing.campaign.name} (${pricing.campaign.id})` : "all orders";
+  console.log(`=== INVOICE STATUS: ${label} ===`);
+  if (onlyEmail) console.log(`Customer: ${onlyEmail}`);
+  logProvider();
+  console.log("");
+
+  const invoices = await listCampaignInvoices();
+  if (invoices.length === 0) {
+    console.log("No invoices found.");
+    return 0;
+  }
+
+  const counts = {};
+  let outstanding = 0;
+  let overdue = 0;
+  for (const inv of invoices) {
+    counts[inv.status] = (counts[inv.status] || 0) + 1;
+    let owed = "";
+    if (inv.status === "open") {
+      outstanding += inv.amount_remaining;
+      if (isOverdue(inv)) overdue++;
+      owed = `  owes ${formatCents(inv.amount_remaining)}, due ${formatDueDate(inv)}${isOverdue(inv) ? " (OVERDUE)" : ""}`;
+    }
+    console.log(`  ${describeInvoice(inv)}${owed}`);
+  }
+
+  console.log("");
+  console.log("=== SUMMARY ===");
+  for (const [status, count] of Object.entries(counts).sort()) {
+    console.log(`${status}: ${count}`);
+  }
+  console.log(`Outstanding: ${formatCents(outstanding)}${overdue > 0 ? ` (${overdue} overdue)` : ""}`);
+  return 0;
+}
+
+/**
+ * void: voids open invoices and clears their Invoice ID from the sheet, so
+ * the next create run bills those rows again
+ * @returns {Promise<number>} Number of invoices that could not be voided
+ */
+async function runVoid() {
+  console.log(dryRun ? "=== DRY RUN MODE ===" : "=== VOID INVOICES ===");
+  logProvider();
+  console.log("");
+
+  let failedCount = 0;
+  let targets = [];
+  if (positionals.length > 0) {
+    for (const id of positionals) {
+      try {
+        const inv = await provider.getInvoice(id);
+        if (inv.metadata?.source !== INVOICE_SOURCE || (inv.metadata.campaign || "") !== (campaignId || "")) {
+          throw new Error(`not a ${campaignId ? `campaign ${campaignId} ` : ""}invoice from this tool`);
+        }
+        if (onlyEmail && resolveEmail(inv.customer_email, aliases) !== onlyEmail) {
+          throw new Error(`belongs to ${inv.customer_email}, not ${onlyEmail}`);
+        }
+        if (inv.status !== "open") {
+          throw new Error(`is ${inv.status} — only open invoices can be voided`);
+        }
+        targets.push(inv);
+      } catch (err) {
+        console.error(`  ERROR: ${id}: ${err.message}`);
+        failedCount++;
+      }
+    }
+  } else {
+    targets = (await listCampaignInvoices()).filter((inv) => inv.status === "open");
+  }
 
-  if (!dryRun && !autoSend) {
+  let voidedCount = 0;
+  for (const inv of targets) {
+    console.log(`  ${describeInvoice(inv)}`);
+    if (dryRun) {
+      console.log("    [DRY RUN] Would void");
+      voidedCount++;
+      continue;
+    }
+    try {
+      await provider.voidInvoice(inv.id, buildIdempotencyKey("void", inv.id));
+      console.log("    Voided");
+      voidedCount++;
+      const rows = parseRowList(inv.metadata.rows);
+      if (rows.length > 0) await saveInvoiceIdToSheet(inv.customer_email, "", rows, aliasesOf(inv.customer_email));
+    } catch (err) {
+      console.error(`    ERROR: ${err.message}`);
+      failedCount++;
+    }
+  }
+
+  console.log("");
+  console.log(`Invoices ${dryRun ? "to void" : "voided"}: ${voidedCount}`);
+  if (failedCount > 0) console.log(`Errors: ${failedCount}`);
+  return failedCount;
+}
+
+/**
+ * rollback: undoes a create, send or amend run from its journal. Drafts it
+ * left are deleted and open invoices voided, and their sheet rows lose the
+ * Invoice ID so the next create bills them again. Paid invoices are left alone.
+ * @returns {Promise<number>} Number of invoices that could not be undone
+ */
+async function runRollback() {
+  const runId = positionals[0];
+  let run;
+  try {
+    run = readJournal(runId);
+  } catch (err) {
+    configError(`Error: ${err.message}`);
+  }
+  if (!run) {
+    const recent = listJournals().slice(0, 10);
+    configError(
+      `Error: No journal for run ${runId} in ${JOURNAL_DIR}/`,
+      ...(recent.length > 0 ? ["Recent runs:", ...recent.map((id) => `  ${id}`)] : [])
+    );
+  }
+  if (run.provider !== providerName) {
+    configError(`Error: Run ${runId} used --provider ${run.provider}; roll it back with the same provider`);
+  }
+
+  console.log(dryRun ? "=== DRY RUN MODE ===" : "=== ROLLBACK ===");
+  console.log(`Run: ${runId} (${describeRun(run)}), started ${run.startedAt}${run.finishedAt ? "" : ", did not finish"}`);
+  logProvider();
+  console.log("");
+
+  // Runs from order files never wrote Invoice IDs to the sheet
+  const clearSheet = run.sources.length === 0;
+  const result = { voided: [], deleted: [], skipped: [] };
+  let failedCount = 0;
+  for (const { email, aliases: aliasEmails, invoice } of listJournalInvoices(run)) {
+    try {
+      let inv = null;
+      try {
+        inv = await provider.getInvoice(invoice.id);
+      } catch (err) {
+        if (err.code !== "resource_missing") throw err;
+      }
+      console.log(`  ${inv ? describeInvoice(inv) : `${invoice.id}  ${email}`}`);
+
+      if (!inv) {
+        console.log("    Already deleted");
+      } else if (inv.status === "draft") {
+        if (dryRun) {
+          console.log("    [DRY RUN] Would delete the draft");
+        } else {
+          await provider.deleteDraftInvoice(inv.id);
+          console.log("    Deleted draft");
+        }
+        result.deleted.push(inv.id);
+      } else if (inv.status === "open") {
+        if (dryRun) {
+          console.log("    [DRY RUN] Would void");
+        } else {
+          await provider.voidInvoice(inv.id, buildIdempotencyKey("void", inv.id));
+          console.log("    Voided");
+        }
+        result.voided.push(inv.id);
+      } else if (inv.status === "void") {
+        console.log("    Already void");
+      } else {
+        console.log(`    Left alone: ${inv.status}${inv.status === "paid" ? " — refund it in the Stripe dashboard if needed" : ""}`);
+        result.skipped.push(inv.id);
+        continue;
+      }
+
+      // Only rows that still hold this invoice's ID are cleared
+      if (!dryRun && clearSheet && invoice.rows.length > 0) {
+        await saveInvoiceIdToSheet(email, "", invoice.rows, aliasEmails, invoice.id);
+      }
+    } catch (err) {
+      console.error(`    ERROR: ${invoice.id}: ${err.message}`);
+      failedCount++;
+    }
+  }
+
+  console.log("");
+  console.log(`Invoices ${dryRun ? "to void" : "voided"}: ${result.voided.length}`);
+  console.log(`Drafts ${dryRun ? "to delete" : "deleted"}: ${result.deleted.length}`);
+  if (result.skipped.length > 0) console.log(`Left alone (paid or uncollectible): ${result.skipped.length}`);
+  if (failedCount > 0) console.log(`Errors: ${failedCount}`);
+  if (run.voided.length > 0 || run.creditNotes.length > 0) {
     console.log("");
-    console.log("Invoices created as drafts. Review them in the Stripe dashboard,");
-    console.log("then send manually or re-run with --send to auto-send.");
+    console.log("Not undone (Stripe can't reverse them):");
+    if (run.voided.length > 0) console.log(`  Invoices the run voided: ${run.voided.join(", ")}`);
+    if (run.creditNotes.length > 0) console.log(`  Credit notes the run issued: ${run.creditNotes.join(", ")}`);
+  }
+
+  if (!dryRun) recordRollback(run, { at: new Date().toISOString(), ...result, failed: failedCount });
+  return failedCount;
+}
+
+/**
+ * remind: emails open invoices (again) to customers who have not paid
+ * @returns {Promise<number>} Number of invoices that could not be sent
+ */
+async function runRemind() {
+  console.log(dryRun ? "=== DRY RUN MODE ===" : "=== PAYMENT REMINDERS ===");
+  logProvider();
+  console.log("");
+
+  const now = Date.now();
+  const invoices = (await listCampaignInvoices()).filter(
+    (inv) => inv.status === "open" && (!options.overdue || isOverdue(inv, now))
+  );
+
+  let sentCount = 0;
+  let failedCount = 0;
+  for (const inv of invoices) {
+    console.log(`  ${describeInvoice(inv)}  due ${formatDueDate(inv)}`);
+    if (dryRun) {
+      console.log("    [DRY RUN] Would email a reminder");
+      sentCount++;
+      continue;
+    }
+    try {
+      // No idempotency key: each run is meant to send another reminder
+      await provider.sendInvoice(inv.id);
+      console.log("    Reminder sent");
+      sentCount++;
+    } catch (err) {
+      console.error(`    ERROR: ${err.message}`);
+      failedCount++;
+    }
   }
+
+  console.log("");
+  const which = options.overdue ? "overdue" : "unpaid";
+  console.log(`Reminders ${dryRun ? "to send" : "sent"}: ${sentCount} (${which} invoices)`);
+  if (failedCount > 0) console.log(`Errors: ${failedCount}`);
+  return failedCount;
 }
 
-main().catch((err) => {
-  console.error("Fatal error:", err.message);
-  process.exit(1);
-});
+// ─── Main ────────────────────────────────────────────────────────────────────
+
+const RUNNERS = {
+  validate: runValidate,
+  preview: runInvoices,
+  create: runInvoices,
+  send: runInvoices,
+  amend: runInvoices,
+  status: runStatus,
+  void: runVoid,
+  remind: runRemind,
+  rollback: runRollback,
+  "purchase-order": runPurchaseOrder,
+};
+
+RUNNERS[command]()
+  .then((failed) => process.exit(failed > 0 ? EXIT.FAILED : EXIT.OK))
+  .catch((err) => {
+    console.error("Fatal error:", err.message);
+    process.exit(EXIT.FAILED);
+  });
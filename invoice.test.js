@@ -4,21 +4,75 @@
  */
 
 const {
-  GRAY_COLORS,
+  roundCents,
+  toCents,
+  formatCents,
   normalizeColor,
+  getTierGroupKey,
+  describeTierGroup,
   countByProductColor,
+  countByTierGroup,
   getPricingTier,
   getTierLabel,
   buildTierMap,
+  getSizeUpcharge,
   getItemPrice,
   groupByEmail,
   filterByMinimum,
+  filterByCampaign,
   calculateTax,
+  calculateInvoiceTax,
   calculateStripeFee,
+  calculatePassThroughFee,
+  getProcessingFee,
+  parsePaymentMethod,
+  describeProcessingFee,
+  buildCustomerInvoice,
   formatItemDescription,
 } = require("./lib/pricing");
 
-const { parseCSV, parseCSVLine } = require("./lib/csv");
+const { CSVParser, parseCSV, parseCSVLine, parseCSVRecords, readCSVRecords, formatCSV } = require("./lib/csv");
+const {
+  validateCatalog,
+  listCampaigns,
+  isCampaignOpen,
+  findOpenCampaign,
+  resolveCampaign,
+  loadCatalog,
+} = require("./lib/catalog");
+const {
+  getTaxJurisdiction,
+  parseTaxExempt,
+  buildExemptionList,
+  applyExemptionList,
+} = require("./lib/tax");
+const {
+  formatRowList,
+  parseRowList,
+  buildIdempotencyKey,
+  classifyInvoices,
+  assignRowsToInvoices,
+  splitInvoicedItems,
+} = require("./lib/invoice-state");
+const { isFeeLine, getLineTax, diffInvoiceLines, diffTaxExemption, planAmendment } = require("./lib/amendments");
+const { UsageError, parseCommandLine, formatHelp } = require("./lib/cli");
+const { validateOrders, formatIssue } = require("./lib/validation");
+const {
+  buildAliasMap,
+  resolveEmail,
+  buildContactProfiles,
+  findContactConflicts,
+  findDuplicateCustomers,
+} = require("./lib/identity");
+const { getReportFormat, describeTierGroups, describeCustomer, formatReport } = require("./lib/report");
+const { isRetryableError, backoffDelay, withRetries } = require("./lib/retry");
+const { mapWithConcurrency } = require("./lib/pool");
+const { readCheckpoint, describeRun, isSameRun, openCheckpoint } = require("./lib/checkpoint");
+const { createJournal, readJournal, listJournals, recordRollback, listJournalInvoices } = require("./lib/journal");
+const { buildPurchaseOrder, formatPurchaseOrderCSV, formatPurchaseOrderHTML } = require("./lib/purchase-order");
+const { mapHeaders, mapColumns, detectSourceType, readOrderFile } = require("./lib/sources");
+const { readXLSX, formatDateSerial } = require("./lib/xlsx");
+const { signRequest, signedUrl } = require("./lib/apps-script");
 
 // Mock pricing config (matches pricing.json)
 const pricing = {
@@ -29,10 +83,11 @@ const pricing = {
     { minQty: 6, label: "6-17 pcs" },
   ],
   products: {
-    "Better Sweater Jacket": { 6: 175.0, 18: 173.58, 50: 162.68, 72: 159.68 },
-    "Better Sweater Vest": { 6: 132.88, 18: 131.28, 50: 123.58, 72: 119.88 },
-    "Better Sweater Quarter Zip": { 6: 155.0, 18: 152.0, 50: 142.68, 72: 139.58 },
+    "Better Sweater Jacket": { prices: { 6: 175.0, 18: 173.58, 50: 162.68, 72: 159.68 } },
+    "Better Sweater Vest": { prices: { 6: 132.88, 18: 131.28, 50: 123.58, 72: 119.88 } },
+    "Better Sweater Quarter Zip": { prices: { 6: 155.0, 18: 152.0, 50: 142.68, 72: 139.58 } },
   },
+  colorFamilies: { Gray: ["Birch White", "Stonewash"] },
   embroideryFee: 8.0,
   foldingFee: 0.75,
   currency: "usd",
@@ -42,23 +97,33 @@ const pricing = {
 
 describe("normalizeColor", () => {
   it("normalizes Birch White to Gray", () => {
-    expect(normalizeColor("Birch White")).toBe("Gray");
+    expect(normalizeColor("Birch White", pricing.colorFamilies)).toBe("Gray");
   });
 
   it("normalizes Stonewash to Gray", () => {
-    expect(normalizeColor("Stonewash")).toBe("Gray");
+    expect(normalizeColor("Stonewash", pricing.colorFamilies)).toBe("Gray");
   });
 
   it("keeps Black unchanged", () => {
-    expect(normalizeColor("Black")).toBe("Black");
+    expect(normalizeColor("Black", pricing.colorFamilies)).toBe("Black");
   });
 
   it("keeps New Navy unchanged", () => {
-    expect(normalizeColor("New Navy")).toBe("New Navy");
+    expect(normalizeColor("New Navy", pricing.colorFamilies)).toBe("New Navy");
   });
 
   it("keeps Dark Ruby unchanged", () => {
-    expect(normalizeColor("Dark Ruby")).toBe("Dark Ruby");
+    expect(normalizeColor("Dark Ruby", pricing.colorFamilies)).toBe("Dark Ruby");
+  });
+
+  it("keeps every color unchanged without color families", () => {
+    expect(normalizeColor("Stonewash")).toBe("Stonewash");
+  });
+
+  it("supports several families", () => {
+    const families = { Gray: ["Stonewash"], Blue: ["New Navy", "Classic Navy"] };
+    expect(normalizeColor("Classic Navy", families)).toBe("Blue");
+    expect(normalizeColor("Stonewash", families)).toBe("Gray");
   });
 });
 
@@ -87,7 +152,7 @@ describe("countByProductColor", () => {
       { Product: "Better Sweater Jacket", Color: "Birch White" },
     ];
 
-    const counts = countByProductColor(rows);
+    const counts = countByProductColor(rows, pricing.colorFamilies);
 
     expect(counts["Better Sweater Jacket|Gray"]).toBe(3);
     expect(counts["Better Sweater Jacket|Birch White"]).toBeUndefined();
@@ -108,6 +173,76 @@ describe("countByProductColor", () => {
   });
 });
 
+describe("tier grouping", () => {
+  const rows = [
+    ...Array(4).fill({ Product: "Better Sweater Jacket", Color: "Black" }),
+    ...Array(3).fill({ Product: "Better Sweater Jacket", Color: "Stonewash" }),
+    ...Array(2).fill({ Product: "Better Sweater Jacket", Color: "Birch White" }),
+    ...Array(5).fill({ Product: "Better Sweater Vest", Color: "Black" }),
+    { Product: "", Color: "Black" },
+  ];
+
+  it("groups by product+color by default", () => {
+    expect(countByTierGroup(rows, pricing)).toEqual({
+      "Better Sweater Jacket|Black": 4,
+      "Better Sweater Jacket|Gray": 5,
+      "Better Sweater Vest|Black": 5,
+    });
+  });
+
+  it("groups by product across colors", () => {
+    expect(countByTierGroup(rows, { ...pricing, tierGrouping: "product" })).toEqual({
+      "Better Sweater Jacket|*": 9,
+      "Better Sweater Vest|*": 5,
+    });
+  });
+
+  it("groups the whole order together", () => {
+    expect(countByTierGroup(rows, { ...pricing, tierGrouping: "order" })).toEqual({ "*|*": 14 });
+  });
+
+  it("builds matching keys for single items", () => {
+    expect(getTierGroupKey("Better Sweater Vest", "Stonewash", pricing)).toBe("Better Sweater Vest|Gray");
+    expect(getTierGroupKey("Better Sweater Vest", "Stonewash", { ...pricing, tierGrouping: "product" })).toBe("Better Sweater Vest|*");
+    expect(getTierGroupKey("Better Sweater Vest", "Stonewash", { ...pricing, tierGrouping: "order" })).toBe("*|*");
+  });
+
+  it("describes group keys", () => {
+    expect(describeTierGroup("Better Sweater Jacket|Gray")).toBe("Better Sweater Jacket (Gray)");
+    expect(describeTierGroup("Better Sweater Jacket|*")).toBe("Better Sweater Jacket (all colors)");
+    expect(describeTierGroup("*|*")).toBe("Whole order");
+  });
+
+  it("applies the minimum and tiers per group", () => {
+    const orderPricing = { ...pricing, tierGrouping: "order" };
+    const counts = countByTierGroup(rows, orderPricing);
+    const { eligible, excluded } = filterByMinimum(counts, 6);
+    const tierMap = buildTierMap(eligible, pricing.tiers);
+
+    // 14 items in total clear the 6-item minimum even though no product+color does
+    expect(excluded).toEqual({});
+    const vest = getItemPrice({ product: "Better Sweater Vest", color: "Black", embroideredName: "" }, tierMap, orderPricing);
+    expect(vest.tierKey).toBe("6");
+
+    const productCounts = countByTierGroup(rows, { ...pricing, tierGrouping: "product" });
+    expect(filterByMinimum(productCounts, 6).excluded).toEqual({ "Better Sweater Vest|*": 5 });
+  });
+
+  it("prices every product at the whole-order tier", () => {
+    const orderPricing = { ...pricing, tierGrouping: "order" };
+    const bigOrder = [
+      ...Array(30).fill({ Product: "Better Sweater Jacket", Color: "Black" }),
+      ...Array(25).fill({ Product: "Better Sweater Vest", Color: "New Navy" }),
+    ];
+    const tierMap = buildTierMap(countByTierGroup(bigOrder, orderPricing), pricing.tiers);
+
+    const jacket = getItemPrice({ product: "Better Sweater Jacket", color: "Black", embroideredName: "" }, tierMap, orderPricing);
+    const vest = getItemPrice({ product: "Better Sweater Vest", color: "New Navy", embroideredName: "" }, tierMap, orderPricing);
+    expect(jacket.amount).toBe(16268 + 75); // tier 50
+    expect(vest.amount).toBe(12358 + 75); // tier 50
+  });
+});
+
 describe("filterByMinimum", () => {
   it("separates combos by minimum threshold", () => {
     const counts = {
@@ -216,7 +351,7 @@ describe("getItemPrice", () => {
 
     const result = getItemPrice(item, tierMap, pricing);
 
-    expect(result.price).toBe(173.58 + 0.75);
+    expect(result.amount).toBe(17358 + 75);
     expect(result.tierKey).toBe("18");
   });
 
@@ -226,7 +361,7 @@ describe("getItemPrice", () => {
 
     const result = getItemPrice(item, tierMap, pricing);
 
-    expect(result.price).toBe(173.58 + 8.0 + 0.75);
+    expect(result.amount).toBe(17358 + 800 + 75);
     expect(result.tierKey).toBe("18");
   });
 
@@ -236,7 +371,7 @@ describe("getItemPrice", () => {
 
     const result = getItemPrice(item, tierMap, pricing);
 
-    expect(result.price).toBe(162.68 + 0.75);
+    expect(result.amount).toBe(16268 + 75);
     expect(result.tierKey).toBe("50");
   });
 
@@ -255,24 +390,538 @@ describe("getItemPrice", () => {
 
     const result = getItemPrice(item, tierMap, pricing);
 
-    expect(result.price).toBe(132.88 + 0.75);
+    expect(result.amount).toBe(13288 + 75);
     expect(result.tierKey).toBe("6");
   });
 });
 
+describe("size upcharges", () => {
+  const upchargePricing = {
+    ...pricing,
+    sizeUpcharges: { XXL: 2.0, "3XL": 4.0 },
+    products: {
+      ...pricing.products,
+      "Better Sweater Vest": { ...pricing.products["Better Sweater Vest"], sizeUpcharges: { XXL: 0, "3XL": 5.0 } },
+    },
+  };
+  const tierMap = { "Better Sweater Jacket|Black": "18", "Better Sweater Vest|Black": "18" };
+
+  it("applies catalog-wide upcharges", () => {
+    expect(getSizeUpcharge({ product: "Better Sweater Jacket", size: "XXL" }, upchargePricing)).toBe(200);
+    expect(getSizeUpcharge({ product: "Better Sweater Jacket", size: "3XL" }, upchargePricing)).toBe(400);
+    expect(getSizeUpcharge({ product: "Better Sweater Jacket", size: "L" }, upchargePricing)).toBe(0);
+  });
+
+  it("lets a product override or waive a size", () => {
+    expect(getSizeUpcharge({ product: "Better Sweater Vest", size: "3XL" }, upchargePricing)).toBe(500);
+    expect(getSizeUpcharge({ product: "Better Sweater Vest", size: "XXL" }, upchargePricing)).toBe(0);
+  });
+
+  it("is zero when the catalog defines none", () => {
+    expect(getSizeUpcharge({ product: "Better Sweater Jacket", size: "3XL" }, pricing)).toBe(0);
+  });
+
+  it("adds the upcharge in getItemPrice", () => {
+    const item = { product: "Better Sweater Jacket", color: "Black", size: "3XL", embroideredName: "" };
+    const result = getItemPrice(item, tierMap, upchargePricing);
+
+    expect(result.amount).toBe(17358 + 75 + 400);
+    expect(result.sizeUpcharge).toBe(400);
+  });
+
+  it("reports no upcharge for regular sizes", () => {
+    const item = { product: "Better Sweater Vest", color: "Black", size: "M", embroideredName: "" };
+    expect(getItemPrice(item, tierMap, upchargePricing).sizeUpcharge).toBe(0);
+  });
+});
+
+describe("money helpers", () => {
+  it("converts catalog dollars to integer cents", () => {
+    expect(toCents(173.58)).toBe(17358);
+    expect(toCents(0.75)).toBe(75);
+    expect(toCents(1.005)).toBe(101); // 1.005 * 100 is 100.49999999999999 in floating point
+    expect(toCents(0)).toBe(0);
+  });
+
+  it("rounds half up despite float noise", () => {
+    expect(roundCents(72.5)).toBe(73);
+    expect(roundCents(1000 * 0.0725)).toBe(73); // 72.49999999999999 in floating point
+    expect(roundCents(72.4999)).toBe(72);
+  });
+
+  it("formats cents as dollars", () => {
+    expect(formatCents(17358)).toBe("$173.58");
+    expect(formatCents(5)).toBe("$0.05");
+    expect(formatCents(-1250)).toBe("-$12.50");
+  });
+});
+
 describe("calculateTax", () => {
-  it("calculates tax at given rate", () => {
-    expect(calculateTax(100, 0.0725)).toBeCloseTo(7.25, 2);
-    expect(calculateTax(200, 0.0725)).toBeCloseTo(14.50, 2);
-    expect(calculateTax(0, 0.0725)).toBeCloseTo(0, 2);
+  it("calculates tax in cents at given rate", () => {
+    expect(calculateTax(10000, 0.0725)).toBe(725);
+    expect(calculateTax(20000, 0.0725)).toBe(1450);
+    expect(calculateTax(0, 0.0725)).toBe(0);
+  });
+
+  it("rounds each amount half up to the cent", () => {
+    expect(calculateTax(18375, 0.0725)).toBe(1332); // 1332.1875
+    expect(calculateTax(14163, 0.0725)).toBe(1027); // 1026.8175
+    expect(calculateTax(1000, 0.0725)).toBe(73); // exactly 72.5
+  });
+});
+
+describe("calculateInvoiceTax", () => {
+  it("rounds per line item like Stripe, not on the subtotal", () => {
+    // Three lines of $0.10 at 5%: each line rounds 0.5c up to 1c
+    expect(calculateInvoiceTax([10, 10, 10], 0.05)).toBe(3);
+    // Taxing the 30c subtotal once would give 1.5c -> 2c
+    expect(calculateTax(30, 0.05)).toBe(2);
+  });
+
+  it("returns 0 for no lines", () => {
+    expect(calculateInvoiceTax([], 0.0725)).toBe(0);
   });
 });
 
 describe("calculateStripeFee", () => {
-  it("calculates 2.9% + $0.30", () => {
-    expect(calculateStripeFee(100)).toBeCloseTo(3.20, 2);
-    expect(calculateStripeFee(200)).toBeCloseTo(6.10, 2);
-    expect(calculateStripeFee(0)).toBeCloseTo(0.30, 2);
+  it("calculates 2.9% + $0.30 in cents", () => {
+    expect(calculateStripeFee(10000)).toBe(320);
+    expect(calculateStripeFee(20000)).toBe(610);
+    expect(calculateStripeFee(0)).toBe(30);
+  });
+
+  it("rounds the percentage part half up", () => {
+    expect(calculateStripeFee(1050)).toBe(60); // 30.45 + 30 -> 30 + 30
+    expect(calculateStripeFee(1100)).toBe(62); // 31.9 + 30 -> 32 + 30
+  });
+
+  it("uses fee terms from the catalog when given", () => {
+    expect(calculateStripeFee(10000, { percent: 0.035, fixed: 0.15 })).toBe(365);
+  });
+});
+
+describe("calculatePassThroughFee", () => {
+  it("grosses up so the payout equals the net amount", () => {
+    const fee = calculatePassThroughFee(10000);
+    expect(fee).toBe(330); // Stripe takes 2.9% + $0.30 of $103.30 = $3.30
+    expect(10000 + fee - calculateStripeFee(10000 + fee)).toBe(10000);
+  });
+
+  it("returns the smallest fee that covers Stripe's cut", () => {
+    for (const net of [1, 999, 17575, 34253, 123456]) {
+      const fee = calculatePassThroughFee(net);
+      expect(net + fee - calculateStripeFee(net + fee)).toBeGreaterThanOrEqual(net);
+      expect(net + fee - 1 - calculateStripeFee(net + fee - 1)).toBeLessThan(net);
+    }
+  });
+});
+
+describe("getProcessingFee", () => {
+  const terms = (mode) => ({ mode, percent: 0.029, fixed: 0.3 });
+
+  it("passes the fee through by default", () => {
+    expect(getProcessingFee(10000)).toBe(330);
+    expect(getProcessingFee(10000, { percent: 0.029, fixed: 0.3 })).toBe(330);
+    expect(getProcessingFee(10000, terms("passThrough"), "ach")).toBe(330);
+  });
+
+  it("charges nothing when the fee is absorbed", () => {
+    expect(getProcessingFee(10000, terms("absorb"))).toBe(0);
+  });
+
+  it("waives the fee for ACH payers only under achFree", () => {
+    expect(getProcessingFee(10000, terms("achFree"), "ach")).toBe(0);
+    expect(getProcessingFee(10000, terms("achFree"), "card")).toBe(330);
+  });
+});
+
+describe("parsePaymentMethod", () => {
+  it("reads bank payments as ach", () => {
+    expect(parsePaymentMethod("ACH")).toBe("ach");
+    expect(parsePaymentMethod("Bank transfer")).toBe("ach");
+  });
+
+  it("defaults to card", () => {
+    expect(parsePaymentMethod("Card")).toBe("card");
+    expect(parsePaymentMethod("")).toBe("card");
+    expect(parsePaymentMethod(undefined)).toBe("card");
+  });
+});
+
+describe("buildCustomerInvoice", () => {
+  const invoicePricing = {
+    ...pricing,
+    tax: {
+      defaultJurisdiction: "NC",
+      jurisdictions: { NC: { name: "NC Sales Tax", rate: 0.0725 }, SC: { name: "SC Sales Tax", rate: 0.06 } },
+    },
+    sizeUpcharges: { XXL: 2.0 },
+  };
+  const eligible = { "Better Sweater Jacket|Black": 10, "Better Sweater Vest|Black": 10 };
+  const tierMap = { "Better Sweater Jacket|Black": "6", "Better Sweater Vest|Black": "6" };
+  const item = (overrides) => ({
+    product: "Better Sweater Jacket",
+    style: "Mens",
+    size: "M",
+    color: "Black",
+    logo: "Option 1",
+    embroideredName: "",
+    threadColor: "",
+    ...overrides,
+  });
+
+  it("totals line items, per-line tax and the processing fee in cents", () => {
+    const customer = {
+      items: [
+        item({ embroideredName: "Dr. Smith", threadColor: "White" }), // 17500 + 800 + 75 = 18375
+        item({ product: "Better Sweater Vest", size: "XXL" }), // 13288 + 75 + 200 = 13563
+      ],
+    };
+
+    const invoice = buildCustomerInvoice(customer, tierMap, eligible, invoicePricing);
+
+    expect(invoice.lines.map((l) => l.amount)).toEqual([18375, 13563]);
+    expect(invoice.lines.map((l) => l.tax)).toEqual([1332, 983]); // 1332.1875, 983.3175
+    expect(invoice.subtotal).toBe(31938);
+    expect(invoice.tax).toBe(2315);
+    expect(invoice.processingFee).toBe(calculatePassThroughFee(31938 + 2315));
+    expect(invoice.total).toBe(invoice.subtotal + invoice.tax + invoice.processingFee);
+    expect(invoice.total - calculateStripeFee(invoice.total)).toBe(31938 + 2315);
+  });
+
+  it("matches what Stripe bills: lines plus per-line tax", () => {
+    const customer = { items: Array(7).fill(item({ product: "Better Sweater Vest" })) };
+    const invoice = buildCustomerInvoice(customer, tierMap, eligible, invoicePricing);
+
+    const stripeTotal =
+      invoice.lines.reduce((sum, l) => sum + l.amount + Math.round(l.amount * 0.0725), 0) + invoice.processingFee;
+    expect(invoice.total).toBe(stripeTotal);
+    expect(Number.isInteger(invoice.total)).toBe(true);
+  });
+
+  it("sets aside items whose combo is not eligible", () => {
+    const customer = { items: [item({}), item({ color: "New Navy" })] };
+    const invoice = buildCustomerInvoice(customer, tierMap, eligible, invoicePricing);
+
+    expect(invoice.lines).toHaveLength(1);
+    expect(invoice.excluded).toHaveLength(1);
+    expect(invoice.excluded[0].color).toBe("New Navy");
+  });
+
+  it("charges no fee when nothing is eligible", () => {
+    const customer = { items: [item({ color: "New Navy" })] };
+    const invoice = buildCustomerInvoice(customer, tierMap, eligible, invoicePricing);
+
+    expect(invoice.total).toBe(0);
+    expect(invoice.processingFee).toBe(0);
+  });
+
+  it("charges no tax to exempt customers", () => {
+    const customer = { taxExempt: true, items: [item({})] };
+    const invoice = buildCustomerInvoice(customer, tierMap, eligible, invoicePricing);
+
+    expect(invoice.taxExempt).toBe(true);
+    expect(invoice.lines[0].taxable).toBe(false);
+    expect(invoice.lines[0].tax).toBe(0);
+    expect(invoice.tax).toBe(0);
+    expect(invoice.processingFee).toBe(calculatePassThroughFee(17575));
+  });
+
+  it("follows the processing fee mode", () => {
+    const absorb = { ...invoicePricing, processingFee: { mode: "absorb", percent: 0.029, fixed: 0.3 } };
+    const achFree = { ...invoicePricing, processingFee: { mode: "achFree", percent: 0.029, fixed: 0.3 } };
+
+    expect(buildCustomerInvoice({ items: [item({})] }, tierMap, eligible, absorb).processingFee).toBe(0);
+    const ach = buildCustomerInvoice({ paymentMethod: "ach", items: [item({})] }, tierMap, eligible, achFree);
+    expect(ach.paymentMethod).toBe("ach");
+    expect(ach.processingFee).toBe(0);
+    expect(ach.total).toBe(ach.subtotal + ach.tax);
+    const card = buildCustomerInvoice({ items: [item({})] }, tierMap, eligible, achFree);
+    expect(card.paymentMethod).toBe("card");
+    expect(card.processingFee).toBe(calculatePassThroughFee(card.subtotal + card.tax));
+  });
+
+  it("taxes at the customer's jurisdiction rate", () => {
+    const customer = { taxJurisdiction: "sc", items: [item({})] };
+    const invoice = buildCustomerInvoice(customer, tierMap, eligible, invoicePricing);
+
+    expect(invoice.taxJurisdiction).toEqual({ code: "SC", name: "SC Sales Tax", rate: 0.06 });
+    expect(invoice.tax).toBe(1055); // 17575 * 0.06 = 1054.5
+  });
+
+  it("throws for an unknown jurisdiction", () => {
+    const customer = { taxJurisdiction: "VA", items: [item({})] };
+    expect(() => buildCustomerInvoice(customer, tierMap, eligible, invoicePricing)).toThrow(
+      'Unknown tax jurisdiction "VA"'
+    );
+  });
+});
+
+// ─── Tax Tests ───────────────────────────────────────────────────────────────
+
+describe("getTaxJurisdiction", () => {
+  const taxPricing = {
+    tax: { defaultJurisdiction: "NC", jurisdictions: { NC: { name: "NC Sales Tax", rate: 0.0725 } } },
+  };
+
+  it("falls back to the default jurisdiction", () => {
+    expect(getTaxJurisdiction(taxPricing, "")).toEqual({ code: "NC", name: "NC Sales Tax", rate: 0.0725 });
+    expect(getTaxJurisdiction(taxPricing)).toEqual({ code: "NC", name: "NC Sales Tax", rate: 0.0725 });
+  });
+
+  it("matches codes case-insensitively", () => {
+    expect(getTaxJurisdiction(taxPricing, " nc ").code).toBe("NC");
+  });
+});
+
+describe("parseTaxExempt", () => {
+  it("treats blank and no-like values as taxable", () => {
+    for (const value of ["", "No", "false", "0", undefined, null]) {
+      expect(parseTaxExempt(value)).toEqual({ exempt: false, certificate: "" });
+    }
+  });
+
+  it("treats yes-like values as exempt without a certificate", () => {
+    expect(parseTaxExempt("Yes")).toEqual({ exempt: true, certificate: "" });
+    expect(parseTaxExempt(true)).toEqual({ exempt: true, certificate: "" });
+  });
+
+  it("takes other values as the certificate number", () => {
+    expect(parseTaxExempt(" E-12345 ")).toEqual({ exempt: true, certificate: "E-12345" });
+  });
+});
+
+describe("exemption lists", () => {
+  it("exempts listed customers and keeps their certificate", () => {
+    const exemptions = buildExemptionList([
+      { Email: " Dept@Test.com ", Certificate: "E-1" },
+      { Email: "", Certificate: "E-2" },
+    ]);
+    const customers = [
+      { email: "dept@test.com", taxExempt: false, taxCertificate: "" },
+      { email: "john@test.com", taxExempt: false, taxCertificate: "" },
+    ];
+
+    expect(applyExemptionList(customers, exemptions)).toBe(1);
+    expect(customers[0]).toEqual({ email: "dept@test.com", taxExempt: true, taxCertificate: "E-1" });
+    expect(customers[1].taxExempt).toBe(false);
+  });
+
+  it("exempts merged customers listed under an alias email", () => {
+    const customers = [{ email: "jane@gmail.com", aliases: ["jdoe@hospital.org"], taxExempt: false, taxCertificate: "" }];
+    expect(applyExemptionList(customers, buildExemptionList([{ Email: "jdoe@hospital.org", Certificate: "E-3" }]))).toBe(1);
+    expect(customers[0]).toMatchObject({ taxExempt: true, taxCertificate: "E-3" });
+  });
+
+  it("keeps a certificate given on the order", () => {
+    const customers = [{ email: "dept@test.com", taxExempt: true, taxCertificate: "E-9" }];
+    expect(applyExemptionList(customers, buildExemptionList([{ Email: "dept@test.com", Certificate: "E-1" }]))).toBe(0);
+    expect(customers[0].taxCertificate).toBe("E-9");
+  });
+});
+
+describe("describeProcessingFee", () => {
+  it("describes default terms", () => {
+    expect(describeProcessingFee()).toBe("2.9% + $0.30");
+  });
+
+  it("describes catalog terms", () => {
+    expect(describeProcessingFee({ percent: 0.035, fixed: 0.15 })).toBe("3.5% + $0.15");
+  });
+});
+
+// ─── Catalog Tests ───────────────────────────────────────────────────────────
+
+describe("validateCatalog", () => {
+  const catalog = {
+    tiers: pricing.tiers,
+    products: pricing.products,
+    styles: { Mens: { label: "Men's", sizes: ["M"], colors: ["Black"] } },
+    colors: { Black: { label: "Black", swatch: "#1a1a1a" } },
+    logos: [{ value: "Option 1", label: "Logo" }],
+    threadColors: [{ value: "White", label: "White" }],
+    tax: { defaultJurisdiction: "NC", jurisdictions: { NC: { name: "NC Sales Tax", rate: 0.0725 } } },
+    currency: "usd",
+  };
+
+  it("accepts a complete catalog", () => {
+    expect(validateCatalog(catalog)).toEqual([]);
+  });
+
+  it("reports missing sections", () => {
+    const { logos, ...rest } = catalog;
+    expect(validateCatalog(rest)).toEqual(['missing "logos"']);
+  });
+
+  it("reports products missing a tier price", () => {
+    const products = { Jacket: { prices: { 6: 100, 18: 90, 50: 80 } } };
+    expect(validateCatalog({ ...catalog, products })).toEqual(['product "Jacket" has no price for tier 72']);
+  });
+
+  it("reports style colors missing from the color list", () => {
+    const styles = { Mens: { label: "Men's", sizes: ["M"], colors: ["Black", "Teal"] } };
+    expect(validateCatalog({ ...catalog, styles })).toEqual(['style "Mens" references unknown color "Teal"']);
+  });
+
+  it("reports invalid size upcharges", () => {
+    const products = { Jacket: { ...pricing.products["Better Sweater Jacket"], sizeUpcharges: { XXL: "2" } } };
+    expect(validateCatalog({ ...catalog, products, sizeUpcharges: { "3XL": -1 } })).toEqual([
+      'product "Jacket" sizeUpcharges: "XXL" must be a non-negative number',
+      'sizeUpcharges: "3XL" must be a non-negative number',
+    ]);
+  });
+
+  it("reports an unknown tier grouping", () => {
+    expect(validateCatalog({ ...catalog, tierGrouping: "style" })).toEqual([
+      "tierGrouping must be one of productColor, product, order",
+    ]);
+  });
+
+  it("reports a confirmationEmail switch that isn't true or false", () => {
+    expect(validateCatalog({ ...catalog, confirmationEmail: false })).toEqual([]);
+    const campaigns = { "2026-fall": { opens: "2026-10-01", closes: "2026-11-01", confirmationEmail: "no" } };
+    expect(validateCatalog({ ...catalog, campaigns })).toEqual(['campaign "2026-fall": confirmationEmail must be true or false']);
+  });
+
+  it("reports color family problems", () => {
+    const colorFamilies = { Dark: ["Black", "Charcoal"], Night: ["Black"] };
+    expect(validateCatalog({ ...catalog, colorFamilies })).toEqual([
+      'color family "Dark" references unknown color "Charcoal"',
+      'color "Black" is in both "Dark" and "Night" families',
+    ]);
+  });
+
+  it("reports tax jurisdiction problems", () => {
+    const tax = { defaultJurisdiction: "SC", jurisdictions: { NC: { name: "NC Sales Tax", rate: 7.25 } } };
+    expect(validateCatalog({ ...catalog, tax })).toEqual([
+      'tax jurisdiction "NC" needs a rate between 0 and 1',
+      'tax.defaultJurisdiction "SC" is not a listed jurisdiction',
+    ]);
+  });
+
+  it("reports invalid processing fee terms", () => {
+    expect(validateCatalog({ ...catalog, processingFee: { mode: "split", percent: 2.9, fixed: 0.3 } })).toEqual([
+      "processingFee.mode must be one of absorb, passThrough, achFree",
+      "processingFee.percent must be between 0 and 1",
+    ]);
+  });
+
+  it("reports unsorted tiers", () => {
+    const tiers = [...pricing.tiers].reverse();
+    expect(validateCatalog({ ...catalog, tiers })).toContain("tiers must be sorted descending by minQty");
+  });
+});
+
+describe("campaigns", () => {
+  const catalog = {
+    tiers: pricing.tiers,
+    products: pricing.products,
+    styles: {},
+    colors: {},
+    logos: [],
+    threadColors: [],
+    tax: { defaultJurisdiction: "NC", jurisdictions: { NC: { name: "NC Sales Tax", rate: 0.0725 } } },
+    embroideryFee: 8.0,
+    currency: "usd",
+    campaigns: {
+      "2026-fall": { name: "Fall 2026", opens: "2026-10-01T00:00:00-04:00", closes: "2026-11-01T00:00:00-04:00" },
+      "2026-spring": {
+        name: "Spring 2026",
+        opens: "2026-03-01T00:00:00-05:00",
+        closes: "2026-04-01T00:00:00-04:00",
+        embroideryFee: 10.0,
+      },
+    },
+  };
+
+  it("lists campaigns sorted by open date", () => {
+    expect(listCampaigns(catalog).map((c) => c.id)).toEqual(["2026-spring", "2026-fall"]);
+  });
+
+  it("treats the window as opens <= now < closes", () => {
+    const fall = catalog.campaigns["2026-fall"];
+    expect(isCampaignOpen(fall, new Date("2026-10-01T04:00:00Z"))).toBe(true);
+    expect(isCampaignOpen(fall, new Date("2026-10-01T03:59:59Z"))).toBe(false);
+    expect(isCampaignOpen(fall, new Date("2026-11-01T04:00:00Z"))).toBe(false);
+  });
+
+  it("finds the open campaign", () => {
+    expect(findOpenCampaign(catalog, new Date("2026-03-15T12:00:00Z")).id).toBe("2026-spring");
+    expect(findOpenCampaign(catalog, new Date("2026-06-15T12:00:00Z"))).toBeNull();
+  });
+
+  it("resolves campaign overrides over top-level keys", () => {
+    const spring = resolveCampaign(catalog, "2026-spring");
+    expect(spring.embroideryFee).toBe(10.0);
+    expect(spring.products).toBe(catalog.products);
+    expect(spring.campaign).toEqual({
+      id: "2026-spring",
+      name: "Spring 2026",
+      opens: "2026-03-01T00:00:00-05:00",
+      closes: "2026-04-01T00:00:00-04:00",
+    });
+    expect(spring.campaigns).toBeUndefined();
+
+    expect(resolveCampaign(catalog, "2026-fall").embroideryFee).toBe(8.0);
+  });
+
+  it("throws for an unknown campaign", () => {
+    expect(() => resolveCampaign(catalog, "2025-fall")).toThrow('Unknown campaign "2025-fall"');
+  });
+
+  it("validates campaign windows and overrides", () => {
+    expect(validateCatalog(catalog)).toEqual([]);
+
+    const bad = {
+      ...catalog,
+      campaigns: {
+        backwards: { opens: "2026-05-01", closes: "2026-04-01" },
+        undated: { opens: "soon" },
+        broken: { opens: "2026-05-01", closes: "2026-06-01", products: { Jacket: {} } },
+      },
+    };
+    expect(validateCatalog(bad)).toEqual([
+      'campaign "backwards" closes before it opens',
+      'campaign "undated" needs valid "opens" and "closes" dates',
+      'campaign "broken": product "Jacket" has no prices',
+    ]);
+  });
+});
+
+describe("filterByCampaign", () => {
+  const rows = [
+    { Email: "a@test.com", Campaign: "2026-spring" },
+    { Email: "b@test.com", Campaign: "2026-fall" },
+    { Email: "c@test.com", Campaign: " 2026-fall " },
+    { Email: "d@test.com" },
+  ];
+
+  it("keeps only rows tagged with the campaign", () => {
+    expect(filterByCampaign(rows, "2026-fall").map((r) => r.Email)).toEqual(["b@test.com", "c@test.com"]);
+  });
+
+  it("keeps every row when no campaign is given", () => {
+    expect(filterByCampaign(rows, null)).toHaveLength(4);
+  });
+
+  it("keeps rows with no campaign too when asked", () => {
+    expect(filterByCampaign(rows, "2026-fall", { includeUntagged: true }).map((r) => r.Email)).toEqual([
+      "b@test.com",
+      "c@test.com",
+      "d@test.com",
+    ]);
+  });
+});
+
+describe("loadCatalog", () => {
+  it("loads the shipped pricing.json", () => {
+    const catalog = loadCatalog(require("path").join(__dirname, "pricing.json"));
+    expect(Object.keys(catalog.products)).toHaveLength(3);
+    expect(catalog.foldingFee).toBe(0.75);
+  });
+
+  it("throws for a missing file", () => {
+    expect(() => loadCatalog("/nonexistent/pricing.json")).toThrow("Catalog not found");
   });
 });
 
@@ -315,6 +964,41 @@ describe("groupByEmail", () => {
     expect(grouped[0].items).toHaveLength(2);
   });
 
+  it("collects tax exemption and jurisdiction from any row", () => {
+    const rows = [
+      { Email: "dept@test.com", Name: "Dept", Product: "Jacket", "Tax Exempt": "", "Tax Jurisdiction": "" },
+      { Email: "dept@test.com", Name: "Dept", Product: "Vest", "Tax Exempt": "E-12345", "Tax Jurisdiction": "SC" },
+      { Email: "john@test.com", Name: "John", Product: "Vest" },
+    ];
+
+    const [dept, john] = groupByEmail(rows);
+
+    expect(dept).toMatchObject({ taxExempt: true, taxCertificate: "E-12345", taxJurisdiction: "SC" });
+    expect(john).toMatchObject({ taxExempt: false, taxCertificate: "", taxJurisdiction: "" });
+  });
+
+  it("keeps each item's sheet row and Invoice ID", () => {
+    const rows = [
+      { _row: 2, Email: "a@test.com", Product: "Jacket", "Invoice ID": "in_123" },
+      { _row: 5, Email: "a@test.com", Product: "Vest" },
+    ];
+
+    expect(groupByEmail(rows)[0].items.map((i) => [i.row, i.invoiceId])).toEqual([
+      [2, "in_123"],
+      [5, ""],
+    ]);
+  });
+
+  it("marks customers who pay by ACH on any row", () => {
+    const rows = [
+      { Email: "a@test.com", Product: "Jacket", "Payment Method": "Card" },
+      { Email: "a@test.com", Product: "Vest", "Payment Method": "ACH" },
+      { Email: "b@test.com", Product: "Vest" },
+    ];
+
+    expect(groupByEmail(rows).map((c) => c.paymentMethod)).toEqual(["ach", "card"]);
+  });
+
   it("skips rows without email", () => {
     const rows = [
       { Email: "john@test.com", Name: "John", Phone: "555-1234", Product: "Jacket", Style: "Mens", Size: "L", Color: "Black", Logo: "A", "Embroidered Name": "", "Thread Color": "" },
@@ -325,6 +1009,818 @@ describe("groupByEmail", () => {
 
     expect(grouped).toHaveLength(1);
   });
+
+  it("merges alias emails into the billing email's customer", () => {
+    const rows = [
+      { _row: 2, Email: "jdoe@hospital.org", Name: "J. Doe", Phone: "555-0001", Product: "Jacket" },
+      { _row: 3, Email: "Jane@Gmail.com", Name: "Jane Doe", Phone: "", Product: "Vest" },
+      { _row: 4, Email: "john@test.com", Name: "John", Product: "Vest" },
+    ];
+    const aliases = buildAliasMap([{ Email: "jdoe@hospital.org", "Billing Email": "jane@gmail.com" }]);
+
+    const [jane, john] = groupByEmail(rows, aliases);
+
+    expect(jane).toMatchObject({ email: "jane@gmail.com", aliases: ["jdoe@hospital.org"], name: "Jane Doe", phone: "555-0001" });
+    expect(jane.items.map((item) => item.row)).toEqual([2, 3]);
+    expect(john.aliases).toEqual([]);
+  });
+
+  it("flags orders submitted twice with the same items", () => {
+    const row = (_row, orderId, Size, extra = {}) => ({ _row, Email: "a@test.com", "Order ID": orderId, Product: "Jacket", Style: "Mens", Size, ...extra });
+    const rows = [
+      row(2, "A1", "M"),
+      row(3, "A1", "L"),
+      row(4, "B2", "L"),
+      row(5, "B2", "m"),
+      row(6, "C3", "M"), // a different order: one item, not two
+      row(7, "", "M", { Timestamp: "2026-10-01" }),
+      row(8, "", "M", { Timestamp: "2026-10-02" }),
+      row(9, "", "M"), // no Order ID or Timestamp: not compared
+    ];
+
+    expect(groupByEmail(rows)[0].duplicateOrders).toEqual([
+      { orderId: "B2", rows: [4, 5], duplicateOf: { orderId: "A1", rows: [2, 3] } },
+      { orderId: "", rows: [7], duplicateOf: { orderId: "C3", rows: [6] } },
+      { orderId: "", rows: [8], duplicateOf: { orderId: "C3", rows: [6] } },
+    ]);
+  });
+});
+
+// ─── Customer Identity Tests ─────────────────────────────────────────────────
+
+describe("customer identities", () => {
+  const row = (Email, Name, Phone = "") => ({ Email, Name, Phone });
+
+  it("resolves alias chains to the final billing email", () => {
+    const aliases = buildAliasMap([
+      { Email: "A@work.org", "Billing Email": "b@home.com" },
+      { Email: "b@home.com", "Billing Email": "c@home.com" },
+      { Email: "", "Billing Email": "x@home.com" },
+    ]);
+    expect(resolveEmail(" a@WORK.org ", aliases)).toBe("c@home.com");
+    expect(resolveEmail("b@home.com", aliases)).toBe("c@home.com");
+    expect(resolveEmail("d@home.com", aliases)).toBe("d@home.com");
+  });
+
+  it("rejects conflicting and looping aliases", () => {
+    expect(() =>
+      buildAliasMap([
+        { Email: "a@x.com", "Billing Email": "b@x.com" },
+        { Email: "a@x.com", "Billing Email": "c@x.com" },
+      ])
+    ).toThrow("a@x.com is aliased to both b@x.com and c@x.com");
+    expect(() =>
+      buildAliasMap([
+        { Email: "a@x.com", "Billing Email": "b@x.com" },
+        { Email: "b@x.com", "Billing Email": "a@x.com" },
+      ])
+    ).toThrow("Aliases loop: a@x.com → b@x.com → a@x.com");
+  });
+
+  it("reports customers whose rows disagree on name or phone", () => {
+    const rows = [
+      row("jane@gmail.com", "Jane Doe", "(555) 010-0001"),
+      row("jdoe@hospital.org", "Dr. Jane Doe", "555-010-0002"),
+      row("jane@gmail.com", "Doe, Jane", "+1 555 010 0001"),
+      row("john@test.com", "John", "555-0100"),
+    ];
+    const aliases = buildAliasMap([{ Email: "jdoe@hospital.org", "Billing Email": "jane@gmail.com" }]);
+
+    expect(findContactConflicts(buildContactProfiles(rows, aliases))).toEqual([
+      {
+        email: "jane@gmail.com",
+        emails: ["jane@gmail.com", "jdoe@hospital.org"],
+        names: ["Jane Doe"],
+        phones: ["(555) 010-0001", "555-010-0002"],
+      },
+    ]);
+  });
+
+  it("finds likely duplicates by phone, name or email", () => {
+    const rows = [
+      row("jane@gmail.com", "Jane Doe", "555-010-0001"),
+      row("jdoe@hospital.org", "Dr. Jane Doe", "5550100001"),
+      row("john.smith@test.com", "John Smith"),
+      row("johnsmith+cmc@test.com", "J. Smith"),
+      row("maria@test.com", "Maria"),
+      row("mario@test.com", "Mario"),
+      row("ann@a.com", "Ann"),
+      row("ann@b.com", "Anne"),
+    ];
+
+    expect(findDuplicateCustomers(buildContactProfiles(rows))).toEqual([
+      { emails: ["jane@gmail.com", "jdoe@hospital.org"], reasons: ["same phone 555-010-0001", "same name Jane Doe"] },
+      { emails: ["john.smith@test.com", "johnsmith+cmc@test.com"], reasons: ["same address written differently"] },
+      { emails: ["maria@test.com", "mario@test.com"], reasons: ["emails differ by one character"] },
+    ]);
+  });
+
+  it("doesn't report customers merged by the alias file", () => {
+    const rows = [row("jane@gmail.com", "Jane Doe"), row("jdoe@hospital.org", "Jane Doe")];
+    const aliases = buildAliasMap([{ Email: "jdoe@hospital.org", "Billing Email": "jane@gmail.com" }]);
+    expect(findDuplicateCustomers(buildContactProfiles(rows, aliases))).toEqual([]);
+  });
+});
+
+// ─── Invoice State Tests ─────────────────────────────────────────────────────
+
+describe("row lists", () => {
+  it("formats rows as compact ranges", () => {
+    expect(formatRowList([9, 2, 3, 4, 3, 12])).toBe("2-4,9,12");
+    expect(formatRowList([])).toBe("");
+  });
+
+  it("parses what it formats", () => {
+    expect(parseRowList("2-4,9,12")).toEqual([2, 3, 4, 9, 12]);
+    expect(parseRowList("")).toEqual([]);
+    expect(parseRowList(undefined)).toEqual([]);
+  });
+
+  it("keeps rows from several order files apart by file", () => {
+    const rows = ["paper-2.csv:3", "orders.csv:2", "orders.csv:3", "orders.csv:7", "paper-2.csv:2"];
+    const text = formatRowList(rows);
+    expect(text).toBe("orders.csv:2-3,orders.csv:7,paper-2.csv:2-3");
+    expect(parseRowList(text)).toEqual(["orders.csv:2", "orders.csv:3", "orders.csv:7", "paper-2.csv:2", "paper-2.csv:3"]);
+  });
+});
+
+describe("buildIdempotencyKey", () => {
+  it("is stable for the same parts and differs otherwise", () => {
+    const key = buildIdempotencyKey("2026-fall", "a@test.com", "2-4");
+    expect(key).toBe(buildIdempotencyKey("2026-fall", "a@test.com", "2-4"));
+    expect(key).not.toBe(buildIdempotencyKey("2026-fall", "a@test.com", "2-5"));
+    expect(key).toMatch(/^cmc-patagonia-order-[0-9a-f]{32}$/);
+  });
+});
+
+describe("classifyInvoices", () => {
+  const invoice = (id, status, metadata) => ({
+    id,
+    status,
+    metadata: { source: "cmc-patagonia-order", campaign: "2026-fall", ...metadata },
+  });
+
+  it("counts open and paid invoices for the campaign, and their rows", () => {
+    const state = classifyInvoices(
+      [
+        invoice("in_paid", "paid", { rows: "2-3" }),
+        invoice("in_open", "open", { rows: "7" }),
+        invoice("in_void", "void", { rows: "8" }),
+        invoice("in_draft", "draft", { rows: "9" }),
+        invoice("in_spring", "paid", { campaign: "2026-spring", rows: "10" }),
+        { id: "in_other", status: "paid", metadata: { rows: "11" } },
+      ],
+      "2026-fall"
+    );
+
+    expect(state.active.map((i) => i.id)).toEqual(["in_paid", "in_open"]);
+    expect(state.drafts.map((i) => i.id)).toEqual(["in_draft"]);
+    expect([...state.coveredRows]).toEqual([2, 3, 7]);
+  });
+
+  it("matches invoices without a campaign when none is given", () => {
+    const state = classifyInvoices([invoice("in_old", "paid", { campaign: undefined, rows: "2" })], null);
+    expect(state.active).toHaveLength(1);
+  });
+});
+
+describe("assignRowsToInvoices", () => {
+  it("gives each row to the newest invoice that lists it", () => {
+    const owners = assignRowsToInvoices([
+      { id: "in_supplement", created: 200, metadata: { rows: "3" } },
+      { id: "in_first", created: 100, metadata: { rows: "2-3" } },
+    ]);
+
+    expect(owners.get(2)).toBe("in_first");
+    expect(owners.get(3)).toBe("in_supplement");
+  });
+});
+
+describe("splitInvoicedItems", () => {
+  it("treats items with an Invoice ID or a covering invoice as invoiced", () => {
+    const customer = {
+      items: [
+        { row: 2, invoiceId: "in_1" },
+        { row: 3, invoiceId: "" },
+        { row: 4, invoiceId: "" },
+      ],
+    };
+
+    const { invoiced, pending } = splitInvoicedItems(customer, new Set([3]));
+
+    expect(invoiced.map((i) => i.row)).toEqual([2, 3]);
+    expect(pending.map((i) => i.row)).toEqual([4]);
+  });
+});
+
+// ─── Amendment Tests ─────────────────────────────────────────────────────────
+
+describe("isFeeLine", () => {
+  it("recognizes tagged and legacy fee lines", () => {
+    expect(isFeeLine({ description: "Anything", metadata: { kind: "processing_fee" } })).toBe(true);
+    expect(isFeeLine({ description: "Payment processing fee (2.9% + $0.30)", metadata: {} })).toBe(true);
+    expect(isFeeLine({ description: "Jacket", metadata: { row: "2" } })).toBe(false);
+  });
+});
+
+describe("diffInvoiceLines", () => {
+  const line = (description, amount) => ({ description, amount, metadata: {} });
+
+  it("matches lines on description and amount, ignoring the fee", () => {
+    const expected = [line("Jacket M", 17575), line("Vest L", 13363), line("Vest L", 13363)];
+    const billed = [
+      line("Vest L", 13363),
+      line("Jacket S", 17575),
+      line("Vest L", 13363),
+      { description: "Card processing fee", amount: 1000, metadata: { kind: "processing_fee" } },
+    ];
+
+    const diff = diffInvoiceLines(expected, billed);
+
+    expect(diff.unchanged).toHaveLength(2);
+    expect(diff.added.map((l) => l.description)).toEqual(["Jacket M"]);
+    expect(diff.removed.map((l) => l.description)).toEqual(["Jacket S"]);
+  });
+
+  it("treats a price change as a removed and an added line", () => {
+    const diff = diffInvoiceLines([line("Jacket M", 16343)], [line("Jacket M", 17575)]);
+    expect(diff.added).toHaveLength(1);
+    expect(diff.removed).toHaveLength(1);
+  });
+
+  it("treats a change in tax alone as a removed and an added line", () => {
+    const taxed = { ...line("Jacket M", 17575), tax_rates: [{ percentage: 7.25 }] };
+    expect(getLineTax(taxed)).toBe(1274);
+    expect(diffInvoiceLines([{ ...line("Jacket M", 17575), tax: 1274 }], [taxed]).unchanged).toHaveLength(1);
+
+    // The customer became exempt: same description and amount, no tax
+    const diff = diffInvoiceLines([{ ...line("Jacket M", 17575), tax: 0 }], [taxed]);
+    expect(diff.added).toHaveLength(1);
+    expect(diff.removed).toHaveLength(1);
+  });
+
+  it("prefers the tax amounts Stripe reports on a line", () => {
+    const billed = { ...line("Jacket M", 17575), tax_rates: [{ percentage: 7.25 }], tax_amounts: [{ amount: 1230 }] };
+    expect(getLineTax(billed)).toBe(1230);
+  });
+});
+
+describe("diffTaxExemption", () => {
+  it("compares the invoice's exemption with the customer's", () => {
+    const exempt = { metadata: { tax_exempt: "E-123" } };
+    expect(diffTaxExemption(exempt, { taxExempt: true, taxCertificate: "E-123" })).toBeNull();
+    expect(diffTaxExemption({ metadata: {} }, { taxExempt: false })).toBeNull();
+    expect(diffTaxExemption(exempt, { taxExempt: true, taxCertificate: "E-456" })).toEqual({ billed: "E-123", expected: "E-456" });
+    expect(diffTaxExemption({ metadata: {} }, { taxExempt: true, taxCertificate: "" })).toEqual({ billed: "", expected: "yes" });
+  });
+});
+
+describe("planAmendment", () => {
+  const changed = { added: [{}], removed: [] };
+
+  it("leaves matching invoices alone", () => {
+    expect(planAmendment({ status: "open" }, { added: [], removed: [] })).toBe("none");
+  });
+
+  it("reissues unpaid invoices and adjusts paid ones", () => {
+    expect(planAmendment({ status: "open" }, changed)).toBe("reissue");
+    expect(planAmendment({ status: "paid" }, changed)).toBe("adjust");
+    expect(planAmendment({ status: "uncollectible" }, changed)).toBe("manual");
+  });
+
+  it("reissues an unpaid invoice whose certificate number changed", () => {
+    const exemption = { added: [], removed: [], exemption: { billed: "E-123", expected: "E-456" } };
+    expect(planAmendment({ status: "open" }, exemption)).toBe("reissue");
+    expect(planAmendment({ status: "paid" }, exemption)).toBe("manual");
+  });
+});
+
+// ─── Order Check Tests ───────────────────────────────────────────────────────
+
+describe("validateOrders", () => {
+  const catalog = loadCatalog(require("path").join(__dirname, "pricing.json"));
+  const good = {
+    _row: 2,
+    Name: "Jane Doe",
+    Email: "Jane@Example.com",
+    Product: "Better Sweater Jacket",
+    Style: "Womens",
+    Size: "XXS",
+    Color: "Birch White",
+    Logo: "Option 1",
+    "Embroidered Name": "Jane Doe, MD",
+    "Thread Color": "White",
+  };
+  const check = (changes) => validateOrders([{ ...good, ...changes }], catalog);
+  const messages = (changes) => check(changes).issues.map((issue) => `${issue.level}: ${issue.message}`);
+
+  it("passes a row the catalog offers", () => {
+    expect(check({})).toEqual({ issues: [], errors: 0, warnings: 0 });
+  });
+
+  it("flags products, styles, sizes and colors the catalog doesn't offer as errors", () => {
+    expect(messages({ Product: "Nano Puff" })).toEqual([expect.stringMatching(/^error: "Nano Puff" is not in the catalog/)]);
+    expect(messages({ Style: "Kids" })).toEqual([expect.stringMatching(/^error: "Kids" is not a style/)]);
+    expect(messages({ Style: "Mens" })).toEqual([
+      expect.stringMatching(/^error: "XXS" is not a Men's size/),
+      expect.stringMatching(/^error: "Birch White" is not offered in Men's/),
+    ]);
+    expect(messages({ Color: "Red" })).toEqual([expect.stringMatching(/^error: "Red" is not a catalog color/)]);
+    expect(messages({ "Tax Jurisdiction": "SC" })).toEqual([expect.stringMatching(/^error: Unknown tax jurisdiction "SC"/)]);
+  });
+
+  it("flags missing and malformed emails as errors", () => {
+    expect(messages({ Email: "" })).toEqual(["error: No email, so the row can't be invoiced"]);
+    expect(messages({ Email: "jane@example" })).toEqual(['error: "jane@example" is not a valid email address']);
+    expect(messages({ Email: "jane doe@example.com" })).toHaveLength(1);
+  });
+
+  it("warns about long embroidered names, missing thread colors and unknown logos", () => {
+    expect(messages({ "Embroidered Name": "Jane Q. Doe-Smith, PhD" })).toEqual([
+      'warning: "Jane Q. Doe-Smith, PhD" is 22 characters (the limit is 20)',
+    ]);
+    expect(messages({ "Thread Color": "" })).toEqual(['warning: No thread color for embroidered name "Jane Doe, MD"']);
+    expect(messages({ "Embroidered Name": "", "Thread Color": "" })).toEqual([]);
+    expect(messages({ Logo: "Option 9" })).toEqual([expect.stringMatching(/^warning: "Option 9" is not a catalog logo/)]);
+  });
+
+  it("counts by level, skips blank rows, and points at sheet rows", () => {
+    const result = validateOrders([{ _row: 2, Email: "", Product: "" }, { ...good, _row: 3, Size: "5XL", Logo: "" }], catalog);
+    expect(result.errors).toBe(1);
+    expect(result.warnings).toBe(1);
+    expect(result.issues.map((issue) => issue.row)).toEqual([3, 3]);
+    expect(formatIssue(result.issues[0])).toBe(`Row 3 (jane@example.com): error — "5XL" is not a Women's size (XXS, XS, S, M, L, XL, XXL)`);
+  });
+});
+
+// ─── Resilience Tests ────────────────────────────────────────────────────────
+
+describe("withRetries", () => {
+  const stripeError = (fields) => Object.assign(new Error(fields.type || "error"), fields);
+  const rateLimit = () => stripeError({ type: "StripeRateLimitError", statusCode: 429 });
+  const connection = () => stripeError({ type: "StripeConnectionError" });
+
+  // A provider method that fails with the given errors, then succeeds
+  const flaky = (...errors) =>
+    jest.fn(async () => {
+      if (errors.length > 0) throw errors.shift();
+      return "ok";
+    });
+  const wrap = (provider, options = {}) => {
+    const waits = [];
+    const wrapped = withRetries(provider, { sleep: async (ms) => waits.push(ms), ...options });
+    return { wrapped, waits };
+  };
+
+  it("knows which Stripe errors are worth retrying", () => {
+    expect(isRetryableError(rateLimit())).toBe(true);
+    expect(isRetryableError(connection())).toBe(true);
+    expect(isRetryableError(stripeError({ type: "StripeAPIError", statusCode: 500 }))).toBe(true);
+    expect(isRetryableError(stripeError({ type: "StripeInvalidRequestError", code: "lock_timeout" }))).toBe(true);
+    expect(isRetryableError(stripeError({ type: "StripeInvalidRequestError", statusCode: 400 }))).toBe(false);
+    expect(isRetryableError(stripeError({ type: "StripeCardError", statusCode: 402 }))).toBe(false);
+    expect(isRetryableError(stripeError({ statusCode: 500, headers: { "stripe-should-retry": "false" } }))).toBe(false);
+    expect(isRetryableError(new Error("bug"))).toBe(false);
+  });
+
+  it("backs off exponentially, capped, with jitter", () => {
+    const half = { random: () => 0.5 };
+    expect([1, 2, 3, 4, 5, 6].map((n) => backoffDelay(n, half))).toEqual([375, 750, 1500, 3000, 6000, 6000]);
+    expect(backoffDelay(1, { random: () => 0 })).toBe(250);
+    expect(backoffDelay(1, { random: () => 1 })).toBe(500);
+  });
+
+  it("retries reads and keyed writes until they succeed", async () => {
+    const provider = { listInvoices: flaky(rateLimit(), connection()), createInvoice: flaky(connection()) };
+    const onRetry = jest.fn();
+    const { wrapped, waits } = wrap(provider, { onRetry });
+
+    await expect(wrapped.listInvoices({ customer: "cus_1" })).resolves.toBe("ok");
+    await expect(wrapped.createInvoice({}, "key-1")).resolves.toBe("ok");
+    expect(provider.listInvoices).toHaveBeenCalledTimes(3);
+    expect(provider.listInvoices).toHaveBeenLastCalledWith({ customer: "cus_1" });
+    expect(waits).toHaveLength(3);
+    expect(onRetry.mock.calls.map(([call]) => [call.method, call.attempt])).toEqual([
+      ["listInvoices", 1],
+      ["listInvoices", 2],
+      ["createInvoice", 1],
+    ]);
+  });
+
+  it("retries writes without a key only after a rate limit", async () => {
+    const provider = { createTaxRate: flaky(rateLimit(), connection()), createInvoice: flaky(connection()) };
+    const { wrapped } = wrap(provider);
+
+    await expect(wrapped.createTaxRate({})).rejects.toThrow("StripeConnectionError");
+    expect(provider.createTaxRate).toHaveBeenCalledTimes(2);
+    await expect(wrapped.createInvoice({})).rejects.toThrow("StripeConnectionError");
+    expect(provider.createInvoice).toHaveBeenCalledTimes(1);
+  });
+
+  it("gives up after the last retry, and on errors that won't go away", async () => {
+    const provider = {
+      findCustomer: flaky(...Array.from({ length: 5 }, rateLimit)),
+      getInvoice: flaky(stripeError({ type: "StripeInvalidRequestError", statusCode: 404 })),
+      name: "test",
+    };
+    const { wrapped } = wrap(provider, { retries: 3 });
+
+    await expect(wrapped.findCustomer("a@b.co")).rejects.toThrow("StripeRateLimitError");
+    expect(provider.findCustomer).toHaveBeenCalledTimes(4);
+    await expect(wrapped.getInvoice("in_1")).rejects.toThrow("StripeInvalidRequestError");
+    expect(provider.getInvoice).toHaveBeenCalledTimes(1);
+    expect(wrapped.name).toBe("test");
+  });
+});
+
+describe("mapWithConcurrency", () => {
+  it("keeps at most `limit` calls in flight and returns results in order", async () => {
+    let inFlight = 0;
+    let most = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, i) => {
+      inFlight++;
+      most = Math.max(most, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      inFlight--;
+      return i;
+    });
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+    expect(most).toBe(2);
+  });
+
+  it("stops starting work after a worker throws", async () => {
+    const started = [];
+    const run = mapWithConcurrency([1, 2, 3, 4], 1, async (n) => {
+      started.push(n);
+      if (n === 2) throw new Error("boom");
+    });
+    await expect(run).rejects.toThrow("boom");
+    expect(started).toEqual([1, 2]);
+  });
+});
+
+describe("checkpoints", () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const run = { command: "create", campaign: "2026-fall", only: null, provider: "stripe" };
+  let file;
+
+  beforeEach(() => {
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "cmc-checkpoint-")), "checkpoint.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  it("records each customer as it finishes, and reads back", () => {
+    const clock = () => new Date("2026-11-02T12:00:00Z");
+    const checkpoint = openCheckpoint(file, run, null, clock);
+    expect(readCheckpoint(file)).toBeNull();
+
+    checkpoint.record("ana@example.com", { status: "done", invoices: ["in_1"] });
+    checkpoint.record("cy@example.com", { status: "failed", error: "Too many requests" });
+
+    const saved = readCheckpoint(file);
+    expect(saved.run).toEqual({ ...run, startedAt: "2026-11-02T12:00:00.000Z" });
+    expect(saved.customers["ana@example.com"]).toEqual({ status: "done", invoices: ["in_1"], at: "2026-11-02T12:00:00.000Z" });
+    expect(checkpoint.failures().map(([email]) => email)).toEqual(["cy@example.com"]);
+    expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+
+    const resumed = openCheckpoint(file, run, saved);
+    resumed.record("cy@example.com", { status: "done", invoices: ["in_2"] });
+    expect(resumed.failures()).toEqual([]);
+    expect(resumed.get("ana@example.com").status).toBe("done");
+    expect(readCheckpoint(file).run.startedAt).toBe("2026-11-02T12:00:00.000Z");
+
+    resumed.remove();
+    expect(readCheckpoint(file)).toBeNull();
+  });
+
+  it("resumes only the same kind of run", () => {
+    expect(isSameRun(run, { ...run, startedAt: "2026-11-02T12:00:00Z" })).toBe(true);
+    expect(isSameRun(run, { ...run, command: "send" })).toBe(false);
+    expect(isSameRun(run, { ...run, only: "ana@example.com" })).toBe(false);
+    expect(describeRun({ ...run, only: "ana@example.com", provider: "memory" })).toBe(
+      "create --campaign 2026-fall --only ana@example.com --provider memory"
+    );
+  });
+
+  it("rejects files that aren't checkpoints", () => {
+    fs.writeFileSync(file, "{not json");
+    expect(() => readCheckpoint(file)).toThrow(/is not a checkpoint file/);
+    fs.writeFileSync(file, JSON.stringify({ version: 99, run, customers: {} }));
+    expect(() => readCheckpoint(file)).toThrow(/from this version/);
+  });
+});
+
+describe("run journals", () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  const run = { command: "send", campaign: "2026-fall", only: null, provider: "stripe", sources: [], pricing: {}, settings: {} };
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cmc-journal-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("records what a run creates as it goes, and reads back", () => {
+    const journal = createJournal(run, { dir, now: () => new Date("2026-11-02T12:00:00Z") });
+    expect(journal.runId).toMatch(/^20261102-120000-[0-9a-f]{4}$/);
+    expect(readJournal(journal.runId, dir).finishedAt).toBeNull();
+
+    journal.stripeCustomer("ana@example.com", "cus_1", true);
+    journal.stripeCustomer("ana@example.com", "cus_1", false);
+    journal.invoice("ana@example.com", { id: "in_1", rows: [2, 3] });
+    journal.invoiceItem("in_1", "ii_1");
+    journal.invoiceStatus("in_1", "sent");
+    journal.customer("ana@example.com", { name: "Ana", aliases: ["ana@work.org"], status: "done" });
+    journal.finish({ invoices: 1 });
+
+    const saved = readJournal(journal.runId, dir);
+    expect(saved).toMatchObject({ ...run, startedAt: "2026-11-02T12:00:00.000Z", summary: { invoices: 1 } });
+    expect(saved.customers["ana@example.com"]).toMatchObject({
+      name: "Ana",
+      stripeCustomer: { id: "cus_1", created: true },
+      invoices: [{ id: "in_1", rows: [2, 3], status: "sent", items: ["ii_1"] }],
+    });
+    expect(listJournalInvoices(saved)).toEqual([
+      { email: "ana@example.com", aliases: ["ana@work.org"], invoice: saved.customers["ana@example.com"].invoices[0] },
+    ]);
+    expect(fs.readdirSync(dir)).toEqual([`${journal.runId}.json`]);
+  });
+
+  it("lists runs newest first and appends rollbacks", () => {
+    const older = createJournal(run, { dir, now: () => new Date("2026-11-01T09:00:00Z") });
+    const newer = createJournal(run, { dir, now: () => new Date("2026-11-02T09:00:00Z") });
+    expect(listJournals(dir)).toEqual([newer.runId, older.runId]);
+    expect(listJournals(path.join(dir, "missing"))).toEqual([]);
+
+    recordRollback(readJournal(older.runId, dir), { voided: ["in_1"] }, dir);
+    expect(readJournal(older.runId, dir).rollbacks).toEqual([{ voided: ["in_1"] }]);
+  });
+
+  it("reads only journal files", () => {
+    expect(readJournal("20261102-120000-abcd", dir)).toBeNull();
+    expect(readJournal("../secrets", dir)).toBeNull();
+    fs.writeFileSync(path.join(dir, "old.json"), JSON.stringify({ version: 99, runId: "old" }));
+    expect(() => readJournal("old", dir)).toThrow(/not a journal/);
+  });
+});
+
+// ─── CLI Tests ───────────────────────────────────────────────────────────────
+
+describe("parseCommandLine", () => {
+  it("parses a command, its orders file and flags", () => {
+    const cli = parseCommandLine(["create", "orders.csv", "--campaign", "2026-fall", "--only", " Jane@Example.com "]);
+    expect(cli.command).toBe("create");
+    expect(cli.positionals).toEqual(["orders.csv"]);
+    expect(cli.options.campaign).toBe("2026-fall");
+    expect(cli.options.only).toBe("jane@example.com");
+    expect(cli.help).toBe(false);
+  });
+
+  it("asks for help with no command, help, or --help", () => {
+    expect(parseCommandLine([]).help).toBe(true);
+    expect(parseCommandLine(["help"]).help).toBe(true);
+    expect(parseCommandLine(["void", "--help"])).toMatchObject({ command: "void", help: true });
+  });
+
+  it("rejects unknown commands and flags, and flags another command owns", () => {
+    expect(() => parseCommandLine(["invoice"])).toThrow(UsageError);
+    expect(() => parseCommandLine(["--dry-run"])).toThrow(/Expected a command/);
+    expect(() => parseCommandLine(["create", "--dryrun"])).toThrow(/--dryrun/);
+    expect(() => parseCommandLine(["status", "--overdue"])).toThrow(UsageError);
+    expect(() => parseCommandLine(["preview", "--dry-run"])).toThrow(UsageError);
+    expect(() => parseCommandLine(["create", "--report", "out.html"])).toThrow(UsageError);
+    expect(() => parseCommandLine(["preview", "--report", "out.txt"])).toThrow(/--report file/);
+  });
+
+  it("parses --min-qty as a whole number", () => {
+    expect(parseCommandLine(["preview", "--min-qty", "12"]).options["min-qty"]).toBe(12);
+    expect(() => parseCommandLine(["preview", "--min-qty", "six"])).toThrow(/whole number/);
+    expect(() => parseCommandLine(["preview", "--min-qty", "3", "--no-min"])).toThrow(/together/);
+  });
+
+  it("parses --due-date as a date or a number of days", () => {
+    expect(parseCommandLine(["send", "--due-date", "2026-11-15"]).options["due-date"]).toEqual({ date: "2026-11-15" });
+    expect(parseCommandLine(["send", "--due-date", "30"]).options["due-date"]).toEqual({ days: 30 });
+    expect(() => parseCommandLine(["send", "--due-date", "0"])).toThrow(UsageError);
+    expect(() => parseCommandLine(["send", "--due-date", "next week"])).toThrow(UsageError);
+  });
+
+  it("limits positionals per command", () => {
+    expect(parseCommandLine(["void", "in_1", "in_2"]).positionals).toEqual(["in_1", "in_2"]);
+    expect(() => parseCommandLine(["void"])).toThrow(/--only <email>, or --all/);
+    expect(parseCommandLine(["void", "--all"]).options.all).toBe(true);
+    expect(() => parseCommandLine(["status", "orders.csv"])).toThrow(/takes no arguments/);
+    expect(parseCommandLine(["create", "a.csv", "b.xlsx"]).positionals).toEqual(["a.csv", "b.xlsx"]);
+  });
+
+  it("checks --source against the known file types", () => {
+    expect(parseCommandLine(["preview", "orders.txt", "--source", "tsv"]).options.source).toBe("tsv");
+    expect(() => parseCommandLine(["preview", "orders.txt", "--source", "xls"])).toThrow(/--source must be one of/);
+    expect(() => parseCommandLine(["preview", "--source", "csv"])).toThrow(/none were given/);
+  });
+
+  it("accepts --allow-errors only where invoices are created", () => {
+    expect(parseCommandLine(["create", "--allow-errors"]).options["allow-errors"]).toBe(true);
+    expect(() => parseCommandLine(["preview", "--allow-errors"])).toThrow(UsageError);
+    expect(parseCommandLine(["validate", "orders.xlsx", "--only", "a@b.co"]).command).toBe("validate");
+  });
+
+  it("parses --concurrency, and takes run flags only where customers are invoiced", () => {
+    expect(parseCommandLine(["create", "--concurrency", "8", "--resume"]).options).toMatchObject({ concurrency: 8, resume: true });
+    expect(() => parseCommandLine(["send", "--concurrency", "0"])).toThrow(/from 1 to 16/);
+    expect(() => parseCommandLine(["send", "--concurrency", "50"])).toThrow(/from 1 to 16/);
+    expect(() => parseCommandLine(["amend", "--resume"])).toThrow(UsageError);
+  });
+
+  it("takes exactly one run ID for rollback", () => {
+    expect(parseCommandLine(["rollback", "20261102-120000-a1b2", "--dry-run"]).positionals).toEqual(["20261102-120000-a1b2"]);
+    expect(() => parseCommandLine(["rollback"])).toThrow(/one run ID/);
+    expect(() => parseCommandLine(["rollback", "a", "b"])).toThrow(/one run ID/);
+    expect(() => parseCommandLine(["rollback", "a", "--campaign", "2026-fall"])).toThrow(UsageError);
+  });
+
+  it("only takes --include-untagged with --campaign", () => {
+    expect(parseCommandLine(["preview", "--campaign", "2026-fall", "--include-untagged"]).options["include-untagged"]).toBe(true);
+    expect(() => parseCommandLine(["preview", "--include-untagged"])).toThrow(/only applies with --campaign/);
+    expect(() => parseCommandLine(["status", "--campaign", "2026-fall", "--include-untagged"])).toThrow(UsageError);
+  });
+
+  it("records the command on usage errors so help can point at it", () => {
+    try {
+      parseCommandLine(["remind", "--bogus"]);
+    } catch (err) {
+      expect(err.command).toBe("remind");
+    }
+    expect.assertions(1);
+  });
+});
+
+describe("formatHelp", () => {
+  it("lists commands, or a command's own flags", () => {
+    expect(formatHelp(null)).toMatch(/remind/);
+    const help = formatHelp("status");
+    expect(help).toMatch(/--only <email>/);
+    expect(help).not.toMatch(/--dry-run/);
+    expect(help).toMatch(/Exit codes/);
+  });
+});
+
+// ─── Preview Report Tests ────────────────────────────────────────────────────
+
+describe("preview reports", () => {
+  const reportPricing = {
+    ...pricing,
+    tax: { defaultJurisdiction: "NC", jurisdictions: { NC: { name: "NC Sales Tax", rate: 0.0725 } } },
+    sizeUpcharges: { XXL: 2.0 },
+  };
+  const customer = {
+    name: 'Jane "JJ" Doe',
+    email: "jane@example.com",
+    taxCertificate: "",
+    items: [
+      { row: 2, product: "Better Sweater Jacket", style: "Mens", size: "XXL", color: "Black", logo: "Option 1", embroideredName: "<b>JJ</b>", threadColor: "White" },
+      { row: 3, product: "Better Sweater Vest", style: "Mens", size: "M", color: "New Navy", logo: "Option 2", embroideredName: "", threadColor: "" },
+    ],
+  };
+  const groupCounts = { "Better Sweater Jacket|Black": 6, "Better Sweater Vest|New Navy": 2 };
+  const { eligible } = filterByMinimum(groupCounts, 6);
+  const tierMap = buildTierMap(eligible, reportPricing.tiers);
+  const invoice = buildCustomerInvoice(customer, tierMap, eligible, reportPricing);
+  const report = {
+    generatedAt: "2026-11-02T12:00:00.000Z",
+    campaign: { id: "2026-fall", name: "Fall 2026" },
+    currency: "usd",
+    tierGrouping: "productColor",
+    minQuantity: 6,
+    tierGroups: describeTierGroups(groupCounts, eligible, tierMap, reportPricing),
+    customers: [describeCustomer(customer, "invoice", reportPricing, { invoice })],
+    summary: { eligibleGroups: 1, excludedGroups: 1, items: 2, invoices: 1, supplemental: 0, alreadyInvoiced: 0, revenue: invoice.total, absorbedFees: 0, errors: 0 },
+  };
+
+  it("picks the format from the file extension", () => {
+    expect(getReportFormat("reports/fall.HTML")).toBe("html");
+    expect(getReportFormat("preview.csv")).toBe("csv");
+    expect(getReportFormat("preview.json")).toBe("json");
+    expect(getReportFormat("preview.txt")).toBeNull();
+  });
+
+  it("describes tier groups, eligible or not", () => {
+    expect(report.tierGroups).toEqual([
+      { group: "Better Sweater Jacket (Black)", count: 6, eligible: true, tier: "6", tierLabel: "6-17 pcs", unitPrice: 17500 },
+      { group: "Better Sweater Vest (New Navy)", count: 2, eligible: false, tier: null, tierLabel: null, unitPrice: null },
+    ]);
+  });
+
+  it("lists priced lines, excluded items and totals per customer", () => {
+    const [entry] = report.customers;
+    expect(entry.lines).toHaveLength(1);
+    expect(entry.lines[0]).toMatchObject({ row: 2, size: "XXL", tierLabel: "6-17 pcs", sizeUpcharge: 200, amount: invoice.lines[0].amount });
+    expect(entry.excluded).toEqual([expect.objectContaining({ row: 3, product: "Better Sweater Vest" })]);
+    expect(entry.total).toBe(invoice.total);
+    expect(entry.processingFee).toBe(invoice.processingFee);
+  });
+
+  it("writes JSON with amounts in cents", () => {
+    const parsed = JSON.parse(formatReport(report, "json"));
+    expect(parsed.summary.revenue).toBe(invoice.total);
+  });
+
+  it("writes CSV in dollars that parses back", () => {
+    const rows = parseCSV(formatReport(report, "csv").split("\r\n").slice(2).join("\n"));
+    const item = rows.find((r) => r.Line === "item");
+    expect(item["Sheet Row"]).toBe("2");
+    expect(item.Amount).toBe((invoice.lines[0].amount / 100).toFixed(2));
+    expect(rows.find((r) => r.Line === "total")["Invoice Total"]).toBe((invoice.total / 100).toFixed(2));
+  });
+
+  it("escapes customer-entered text in HTML", () => {
+    const html = formatReport(report, "html");
+    expect(html).toContain("&lt;b&gt;JJ&lt;/b&gt;");
+    expect(html).not.toContain("<b>JJ</b>");
+    expect(html).toContain("Jane &quot;JJ&quot; Doe");
+  });
+});
+
+// ─── Purchase Order Tests ────────────────────────────────────────────────────
+
+describe("buildPurchaseOrder", () => {
+  const poPricing = {
+    ...pricing,
+    styles: {
+      Mens: { sizes: ["XS", "S", "M", "L", "XL", "XXL"] },
+      Womens: { sizes: ["XXS", "XS", "S", "M"] },
+    },
+    colors: { Black: {}, "New Navy": {}, Stonewash: {}, "Birch White": {} },
+    logos: [
+      { value: "Option 1", label: "Teal logo" },
+      { value: "Option 2", label: "White logo" },
+    ],
+  };
+  const row = (Product, Style, Color, Size, extra = {}) => ({ Product, Style, Color, Size, Logo: "Option 1", Name: "A", ...extra });
+  const rows = [
+    ...Array(3).fill(row("Better Sweater Jacket", "Mens", "Black", "XXL")),
+    row("Better Sweater Jacket", "Mens", "Black", "S", { Logo: "Option 2", "Embroidered Name": "Dr. Zed", "Thread Color": "White", _row: 9 }),
+    row("Better Sweater Jacket", "Womens", "Black", "XXS", { "Embroidered Name": "Dr. Amy", "Thread Color": "Black", _row: 4 }),
+    row("Better Sweater Jacket", "Mens", "Black", "M"),
+    // 2 navy vests: below the minimum, not ordered
+    ...Array(2).fill(row("Better Sweater Vest", "Mens", "New Navy", "L")),
+  ];
+  const po = buildPurchaseOrder(rows, poPricing, 6);
+
+  it("counts garments by product, style, color and size, in catalog size order", () => {
+    expect(po.sizes).toEqual(["XXS", "S", "M", "XXL"]);
+    expect(po.garments).toEqual([
+      { product: "Better Sweater Jacket", style: "Mens", color: "Black", sizes: { XXL: 3, S: 1, M: 1 }, total: 5 },
+      { product: "Better Sweater Jacket", style: "Womens", color: "Black", sizes: { XXS: 1 }, total: 1 },
+    ]);
+    expect(po.total).toBe(6);
+  });
+
+  it("leaves out tier groups below the minimum", () => {
+    expect(po.excluded).toEqual([{ group: "Better Sweater Vest (New Navy)", count: 2 }]);
+  });
+
+  it("counts logo options and lists every embroidered name", () => {
+    expect(po.logos.map((l) => [l.label, l.count])).toEqual([
+      ["Teal logo", 5],
+      ["White logo", 1],
+    ]);
+    expect(po.names.map((n) => [n.name, n.threadColor, n.style, n.size, n.row])).toEqual([
+      ["Dr. Zed", "White", "Mens", "S", 9],
+      ["Dr. Amy", "Black", "Womens", "XXS", 4],
+    ]);
+  });
+
+  it("writes embroidered names and customers from the form as text, not formulas", () => {
+    const typed = [
+      row("Better Sweater Jacket", "Mens", "Black", "M", { "Embroidered Name": "=1+1", "Thread Color": "White", Email: "@evil.example" }),
+      ...Array(5).fill(row("Better Sweater Jacket", "Mens", "Black", "L")),
+    ];
+    const csv = parseCSVRecords(formatPurchaseOrderCSV(buildPurchaseOrder(typed, poPricing, 6), "Fall 2026").replace(/^\uFEFF/, ""));
+    const names = csv.find((cells) => cells[0].includes("=1+1"));
+    expect(names[0]).toBe("'=1+1");
+    expect(names.every((cell) => !/^[=+\-@]/.test(cell))).toBe(true);
+  });
+
+  it("writes a CSV size matrix with totals and a printable HTML sheet", () => {
+    const csv = formatPurchaseOrderCSV(po, "Fall 2026").split("\r\n");
+    expect(csv).toContain("Product,Style,Color,XXS,S,M,XXL,Total");
+    expect(csv).toContain("Better Sweater Jacket,Mens,Black,,1,1,3,5");
+    expect(csv).toContain("Total,,,1,1,1,3,6");
+    const html = formatPurchaseOrderHTML(po, "Fall 2026");
+    expect(html).toContain("Embroidered names (2)");
+    expect(html).toContain("Dr. Amy");
+  });
 });
 
 // ─── CSV Parser Tests ────────────────────────────────────────────────────────
@@ -357,6 +1853,303 @@ describe("parseCSV", () => {
   });
 });
 
+describe("spreadsheet exports", () => {
+  it("reads a Google Sheets download: CRLF, line breaks and quotes inside fields, no final newline", () => {
+    const csv = 'Name,Embroidered Name,Notes\r\n"Doe, Jane","Jane ""JJ"" Doe","line one\nline two"\r\nSam,,';
+    expect(parseCSV(csv)).toEqual([
+      { Name: "Doe, Jane", "Embroidered Name": 'Jane "JJ" Doe', Notes: "line one\nline two" },
+      { Name: "Sam", "Embroidered Name": "", Notes: "" },
+    ]);
+  });
+
+  it("reads an Excel CSV UTF-8 save: byte order mark, empty rows of commas, blank lines at the end", () => {
+    const csv = "\uFEFFEmail,Name\r\nann@example.com,Zoë\r\n,\r\nbo@example.com,Bo\r\n\r\n\r\n";
+    const rows = parseCSV(csv);
+    expect(Object.keys(rows[0])).toEqual(["Email", "Name"]);
+    expect(rows).toHaveLength(3);
+    expect(rows[1]).toEqual({ Email: "", Name: "" });
+    expect(rows[2].Name).toBe("Bo");
+  });
+
+  it("reads old Mac Excel files with CR line endings", () => {
+    expect(parseCSVRecords("a,b\r1,2\r")).toEqual([["a", "b"], ["1", "2"]]);
+  });
+
+  it("keeps stray quotes in unquoted fields, and rejects quoted fields that never close", () => {
+    expect(parseCSVLine('5" tall,"x"y')).toEqual(['5" tall', "xy"]);
+    expect(() => parseCSVRecords('a,b\n1,"open\n2,3\n')).toThrow(/line 2/);
+  });
+
+  it("can keep blank lines as empty records", () => {
+    const parser = new CSVParser({ keepBlankLines: true });
+    const records = [...parser.write("a,b\r\n\r\n1,2\n\n\"x\n\ny\",3\n"), ...parser.end()];
+    expect(records).toEqual([["a", "b"], [], ["1", "2"], [], ["x\n\ny", "3"]]);
+  });
+
+  it("parses the same however the text is split into chunks", () => {
+    const csv = '\uFEFFa,b\r\n"x ""y""\r\nz",2\r\n';
+    const parser = new CSVParser();
+    const records = [];
+    for (const char of csv) records.push(...parser.write(char));
+    records.push(...parser.end());
+    expect(records).toEqual(parseCSVRecords(csv));
+    expect(records).toEqual([["a", "b"], ['x "y"\r\nz', "2"]]);
+  });
+
+  it("reads files in chunks without splitting multi-byte characters", () => {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "cmc-csv-")), "orders.csv");
+    // 65535 bytes of padding puts the two-byte "é" across the 64 KB chunk boundary
+    const padding = "x".repeat(65535 - "Name\n".length);
+    fs.writeFileSync(file, `Name\n${padding}é\nRené\n`);
+    const records = readCSVRecords(file);
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    expect(records[1][0].endsWith("é")).toBe(true);
+    expect(records[2]).toEqual(["René"]);
+  });
+});
+
+describe("formatCSV", () => {
+  it("quotes fields with commas, quotes, line breaks, and edge spaces", () => {
+    expect(formatCSV([["a", 'Jane "JJ" Doe', "x,y", "two\nlines", null, 3, " pad"]])).toBe(
+      'a,"Jane ""JJ"" Doe","x,y","two\nlines",,3," pad"\r\n'
+    );
+  });
+
+  it("writes what the parser reads back", () => {
+    const rows = [["Name", "Notes"], ['Jane "JJ" Doe', "a,b\r\nc"], ["", '"'], ["Zoë", " x "]];
+    expect(parseCSVRecords(formatCSV(rows))).toEqual(rows);
+  });
+
+  it("can start with a byte order mark for Excel", () => {
+    const csv = formatCSV([["Purchase order — Fall"]], { bom: true });
+    expect(csv.charCodeAt(0)).toBe(0xfeff);
+    expect(parseCSVRecords(csv)).toEqual([["Purchase order — Fall"]]);
+  });
+
+  it("can keep text from running as a formula, leaving numbers alone", () => {
+    const rows = [['=HYPERLINK("http://x.example","Pay")', "+1 555 0100", "-Dr. Lee", "@Ana", "-12.50", -3, "+4", "Ana = Bo"]];
+    expect(parseCSVRecords(formatCSV(rows, { escapeFormulas: true }))).toEqual([
+      [`'=HYPERLINK("http://x.example","Pay")`, "'+1 555 0100", "'-Dr. Lee", "'@Ana", "-12.50", "-3", "+4", "Ana = Bo"],
+    ]);
+    expect(formatCSV([["=1+1"]])).toBe("=1+1\r\n");
+  });
+});
+
+
+// ─── Order File Tests ────────────────────────────────────────────────────────
+
+/**
+ * Builds a minimal .xlsx file (a zip of XML parts) for the reader tests
+ */
+function buildXLSX(files) {
+  const zlib = require("zlib");
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, xml] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name);
+    const data = Buffer.from(xml);
+    const packed = zlib.deflateRawSync(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(zlib.crc32(data), 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(zlib.crc32(data), 16);
+    entry.writeUInt32LE(packed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBuf.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, packed);
+    central.push(entry, nameBuf);
+    offset += 30 + nameBuf.length + packed.length;
+  }
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const WORKBOOK_FILES = {
+  "xl/workbook.xml":
+    '<workbook xmlns:r="r"><sheets><sheet name="Notes" sheetId="1" r:id="rId1"/><sheet name="Orders" sheetId="2" r:id="rId2"/></sheets></workbook>',
+  "xl/_rels/workbook.xml.rels":
+    '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Target="worksheets/sheet2.xml"/></Relationships>',
+  "xl/sharedStrings.xml":
+    "<sst><si><t>E-mail Address</t></si><si><t>Item</t></si><si><t>Colour</t></si><si><t>Submitted</t></si>" +
+    "<si><r><t>Jane </t></r><r><t>Doe</t></r></si><si><t>Better Sweater Jacket</t></si><si><t>Black &amp; Tan</t></si></sst>",
+  "xl/styles.xml":
+    '<styleSheet><numFmts><numFmt numFmtId="164" formatCode="m/d/yyyy h:mm"/></numFmts>' +
+    '<cellXfs><xf numFmtId="0"/><xf numFmtId="164"/></cellXfs></styleSheet>',
+  "xl/worksheets/sheet1.xml": '<worksheet><sheetData><row r="1"><c r="A1" t="inlineStr"><is><t>ignore me</t></is></c></row></sheetData></worksheet>',
+  "xl/worksheets/sheet2.xml":
+    "<worksheet><sheetData>" +
+    '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c><c r="D1" t="s"><v>3</v></c><c r="E1" t="inlineStr"><is><t>Name</t></is></c></row>' +
+    '<row r="2"><c r="A2" t="inlineStr"><is><t>jane@example.com</t></is></c><c r="B2" t="s"><v>5</v></c><c r="C2" t="s"><v>6</v></c><c r="D2" s="1"><v>46300.5</v></c><c r="E2" t="s"><v>4</v></c></row>' +
+    '<row r="4"><c r="A4" t="str"><v>sam@example.com</v></c><c r="B4" t="s"><v>5</v></c></row>' +
+    '<row r="5"><c r="A5" s="1"/></row>' +
+    "</sheetData></worksheet>",
+};
+
+describe("mapHeaders", () => {
+  it("maps spellings of sheet columns, and keeps unknown headers", () => {
+    expect(mapHeaders(["E-mail Address", " colour ", "EMBROIDERY", "Shoe Size"])).toEqual({
+      "E-mail Address": "Email",
+      " colour ": "Color",
+      EMBROIDERY: "Embroidered Name",
+      "Shoe Size": "Shoe Size",
+    });
+  });
+
+  it("gives a column to the first header that claims it", () => {
+    expect(mapHeaders(["Email", "E-mail"])).toEqual({ Email: "Email", "E-mail": "E-mail" });
+  });
+
+  it("renames record keys and makes every value a trimmed string", () => {
+    const { rows, renamed } = mapColumns([{ "Email Address": " a@example.com ", Item: "Vest", Qty: 2, Paid: null }]);
+    expect(rows).toEqual([{ Email: "a@example.com", Product: "Vest", Qty: "2", Paid: "" }]);
+    expect(renamed).toEqual([["Email Address", "Email"], ["Item", "Product"]]);
+  });
+});
+
+describe("order files", () => {
+  const fs = require("fs");
+  const os = require("os");
+  const path = require("path");
+  let dir;
+  const write = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cmc-sources-"));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("picks the source type from the extension", () => {
+    expect(detectSourceType("orders.CSV")).toBe("csv");
+    expect(detectSourceType("orders.tsv")).toBe("tsv");
+    expect(detectSourceType("export.json")).toBe("json");
+    expect(detectSourceType("export.xlsx")).toBe("xlsx");
+    expect(detectSourceType("orders")).toBe("csv");
+    expect(() => detectSourceType("old.xls")).toThrow(/save it as .xlsx/);
+  });
+
+  it("keeps blank lines in the middle of a CSV as blank rows, so rows keep their sheet positions", () => {
+    const file = write("orders.csv", "Email,Size\r\nann@example.com,M\r\n\r\nbo@example.com,L\r\n\r\n");
+    const { rows, firstRow } = readOrderFile(file);
+    expect(rows).toEqual([
+      { Email: "ann@example.com", Size: "M" },
+      { Email: "", Size: "" },
+      { Email: "bo@example.com", Size: "L" },
+    ]);
+    expect(firstRow).toBe(2);
+  });
+
+  it("counts blank lines above the header in the first row's number", () => {
+    const { rows, firstRow } = readOrderFile(write("orders.csv", "\n,,\nEmail,Size\nann@example.com,M\n"));
+    expect(rows).toEqual([{ Email: "ann@example.com", Size: "M" }]);
+    expect(firstRow).toBe(4);
+
+    // The Orders tab moved down under two blank rows
+    const sheet = WORKBOOK_FILES["xl/worksheets/sheet2.xml"].replace(/r="([A-E]?)(\d)"/g, (_, col, n) => `r="${col}${Number(n) + 2}"`);
+    const workbook = readOrderFile(write("export.xlsx", buildXLSX({ ...WORKBOOK_FILES, "xl/worksheets/sheet2.xml": sheet })));
+    expect(workbook.firstRow).toBe(4);
+    expect(workbook.rows[0].Email).toBe("jane@example.com");
+    expect(workbook.rows[2].Email).toBe("sam@example.com");
+  });
+
+  it("reads TSV, with --source overriding the extension", () => {
+    const file = write("orders.txt", "Email Address\tItem\tEmbroidered Name\nann@example.com\tVest\tDr. Ann, MD\n");
+    const { type, rows } = readOrderFile(file, "tsv");
+    expect(type).toBe("tsv");
+    expect(rows).toEqual([{ Email: "ann@example.com", Product: "Vest", "Embroidered Name": "Dr. Ann, MD" }]);
+  });
+
+  it("reads a JSON array, or the Apps Script shape with its exemption list", () => {
+    expect(readOrderFile(write("a.json", JSON.stringify([{ email: "a@example.com", "Tax Exempt": true }]))).rows).toEqual([
+      { Email: "a@example.com", "Tax Exempt": "true" },
+    ]);
+    const appsScript = { orders: [{ Email: "b@example.com" }], taxExempt: [{ Email: "b@example.com", Certificate: "E-1" }] };
+    const loaded = readOrderFile(write("b.json", JSON.stringify(appsScript)));
+    expect(loaded.exemptionRows).toEqual([{ Email: "b@example.com", Certificate: "E-1" }]);
+    expect(() => readOrderFile(write("c.json", '{"rows": []}'))).toThrow(/"orders" array/);
+  });
+
+  it("reads the Orders sheet of an XLSX workbook, keeping sheet row positions", () => {
+    const { type, rows, renamed } = readOrderFile(write("export.xlsx", buildXLSX(WORKBOOK_FILES)));
+    expect(type).toBe("xlsx");
+    expect(rows).toHaveLength(3); // rows 2-4; the blank row 5 is dropped
+    expect(rows[0]).toEqual({
+      Email: "jane@example.com",
+      Product: "Better Sweater Jacket",
+      Color: "Black & Tan",
+      Timestamp: "2026-10-05 12:00:00",
+      Name: "Jane Doe",
+    });
+    expect(rows[1].Email).toBe("");
+    expect(rows[2]).toMatchObject({ Email: "sam@example.com", Product: "Better Sweater Jacket", Color: "" });
+    expect(renamed).toContainEqual(["Submitted", "Timestamp"]);
+  });
+
+  it("rejects files without an Email column, and non-zip .xlsx files", () => {
+    expect(() => readOrderFile(write("x.csv", "Who,What\nAnn,Vest\n"))).toThrow(/no Email column \(headers: Who, What\)/);
+    expect(() => readOrderFile(write("y.xlsx", "Email\n"))).toThrow(/Not an .xlsx file/);
+  });
+});
+
+describe("readXLSX", () => {
+  it("falls back to the first sheet and converts date serials", () => {
+    const { sheet, rows } = readXLSX(buildXLSX(WORKBOOK_FILES), { prefer: ["Missing"] });
+    expect(sheet).toBe("Notes");
+    expect(rows).toEqual([["ignore me"]]);
+    expect(formatDateSerial(46300)).toBe("2026-10-05");
+  });
+});
+
+// ─── Apps Script Request Tests ───────────────────────────────────────────────
+
+describe("signed Apps Script requests", () => {
+  const now = new Date("2026-11-02T12:00:00Z");
+
+  it("signs the time, action and body with HMAC-SHA256", () => {
+    const body = JSON.stringify({ action: "updateInvoiceId", email: "ana@example.com", invoiceId: "in_1" });
+    const { ts, sig } = signRequest("secret", "updateInvoiceId", body, now);
+    expect(ts).toBe("1793620800");
+    expect(sig).toBe(require("crypto").createHmac("sha256", "secret").update(`1793620800\nupdateInvoiceId\n${body}`).digest("hex"));
+    expect(signRequest("secret", "updateInvoiceId", body + " ", now).sig).not.toBe(sig);
+    expect(signRequest("other", "updateInvoiceId", body, now).sig).not.toBe(sig);
+  });
+
+  it("adds the signature to the web app URL", () => {
+    const url = new URL(signedUrl("https://script.google.com/macros/s/abc/exec", "secret", "export", { now }));
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      action: "export",
+      ts: "1793620800",
+      sig: signRequest("secret", "export", "", now).sig,
+    });
+    const post = new URL(signedUrl("https://script.google.com/macros/s/abc/exec", "secret", "updateInvoiceId", { body: "{}", now }));
+    expect(post.searchParams.has("action")).toBe(false);
+    expect(post.searchParams.get("sig")).toBe(signRequest("secret", "updateInvoiceId", "{}", now).sig);
+  });
+});
+
 // ─── Formatting Tests ────────────────────────────────────────────────────────
 
 describe("formatItemDescription", () => {
@@ -392,6 +2185,20 @@ describe("formatItemDescription", () => {
 
     expect(desc).toContain('Embroidered: "Dr. Smith" (White thread)');
   });
+
+  it("includes the size upcharge when present", () => {
+    const item = {
+      product: "Better Sweater Jacket",
+      style: "Mens",
+      size: "3XL",
+      color: "Black",
+      logo: "Original CMC Logo",
+      embroideredName: "",
+    };
+
+    expect(formatItemDescription(item, { sizeUpcharge: 400 })).toContain("Size upcharge (3XL): +$4.00");
+    expect(formatItemDescription(item, { sizeUpcharge: 0 })).not.toContain("upcharge");
+  });
 });
 
 // ─── Integration Tests ───────────────────────────────────────────────────────
@@ -419,9 +2226,9 @@ describe("integration: full pricing calculation", () => {
     const navyJacket = getItemPrice({ product: "Better Sweater Jacket", color: "New Navy", embroideredName: "" }, tierMap, pricing);
     const blackVest = getItemPrice({ product: "Better Sweater Vest", color: "Black", embroideredName: "" }, tierMap, pricing);
 
-    expect(blackJacket.price).toBe(175.0 + 0.75);  // tier 6
-    expect(navyJacket.price).toBe(173.58 + 0.75);  // tier 18
-    expect(blackVest.price).toBe(123.58 + 0.75);   // tier 50
+    expect(blackJacket.amount).toBe(17500 + 75);  // tier 6
+    expect(navyJacket.amount).toBe(17358 + 75);  // tier 18
+    expect(blackVest.amount).toBe(12358 + 75);   // tier 50
   });
 
   it("combines gray colors for tier calculation", () => {
@@ -431,7 +2238,7 @@ describe("integration: full pricing calculation", () => {
       ...Array(5).fill({ Product: "Better Sweater Jacket", Color: "Stonewash" }),
     ];
 
-    const counts = countByProductColor(rows);
+    const counts = countByTierGroup(rows, pricing);
     const tierMap = buildTierMap(counts, pricing.tiers);
 
     expect(counts["Better Sweater Jacket|Gray"]).toBe(10);
@@ -441,8 +2248,8 @@ describe("integration: full pricing calculation", () => {
     const birchPrice = getItemPrice({ product: "Better Sweater Jacket", color: "Birch White", embroideredName: "" }, tierMap, pricing);
     const stonewashPrice = getItemPrice({ product: "Better Sweater Jacket", color: "Stonewash", embroideredName: "" }, tierMap, pricing);
 
-    expect(birchPrice.price).toBe(175.0 + 0.75);
-    expect(stonewashPrice.price).toBe(175.0 + 0.75);
+    expect(birchPrice.amount).toBe(17500 + 75);
+    expect(stonewashPrice.amount).toBe(17500 + 75);
   });
 
   it("excludes combos below minimum and prices eligible correctly", () => {
@@ -463,7 +2270,7 @@ describe("integration: full pricing calculation", () => {
 
     // Navy should be priced at tier 6
     const navyJacket = getItemPrice({ product: "Better Sweater Jacket", color: "New Navy", embroideredName: "" }, tierMap, pricing);
-    expect(navyJacket.price).toBe(175.0 + 0.75);
+    expect(navyJacket.amount).toBe(17500 + 75);
 
     // Black is not in tierMap (excluded)
     expect(tierMap["Better Sweater Jacket|Black"]).toBeUndefined();
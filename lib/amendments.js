@@ -0,0 +1,101 @@
+/**
+ * Invoice amendments for CMC Patagonia orders
+ *
+ * Compares what a customer's sheet rows should be billed today with the line
+ * items already on their Stripe invoice. Lines are matched on description,
+ * amount and tax, so a changed size, a dropped item, a tier price change or a
+ * change in the customer's tax exemption or jurisdiction each show up as a
+ * removed line and (unless dropped) an added one.
+ */
+
+const { calculateTax } = require("./pricing");
+
+// Descriptions of processing fee lines written before fee lines carried metadata
+const FEE_LINE_PREFIXES = ["Card processing fee", "Payment processing fee"];
+
+/**
+ * Checks whether a Stripe invoice line is our processing fee
+ * @param {{description: string, metadata: Object}} line - Stripe invoice line
+ * @returns {boolean} True for fee lines
+ */
+function isFeeLine(line) {
+  if (line.metadata?.kind) return line.metadata.kind === "processing_fee";
+  return FEE_LINE_PREFIXES.some((prefix) => (line.description || "").startsWith(prefix));
+}
+
+/**
+ * Tax billed on a Stripe invoice line: its tax amounts if Stripe reported
+ * them, otherwise worked out from its tax rates
+ * @param {{amount: number, tax_amounts: Array<{amount: number}>, tax_rates: Array<{percentage: number}>}} line - Stripe invoice line
+ * @returns {number} Tax in cents
+ */
+function getLineTax(line) {
+  if (Array.isArray(line.tax_amounts)) return line.tax_amounts.reduce((sum, tax) => sum + tax.amount, 0);
+  return (line.tax_rates || []).reduce((sum, rate) => sum + calculateTax(line.amount, rate.percentage / 100), 0);
+}
+
+/**
+ * Matches the lines a customer should be billed against the lines on their invoice
+ * @param {Array<{description: string, amount: number, tax: number}>} expected - Lines from buildCustomerInvoice
+ * @param {Array<{description: string, amount: number}>} billed - Stripe invoice lines (pre-tax amounts)
+ * @returns {{unchanged: Array<Object>, added: Array<Object>, removed: Array<Object>}}
+ *   Expected lines already billed, expected lines not billed, and billed lines no longer expected
+ */
+function diffInvoiceLines(expected, billed) {
+  const remaining = billed.filter((line) => !isFeeLine(line));
+  const unchanged = [];
+  const added = [];
+  for (const line of expected) {
+    const i = remaining.findIndex(
+      (b) => b.description === line.description && b.amount === line.amount && getLineTax(b) === (line.tax || 0)
+    );
+    if (i === -1) {
+      added.push(line);
+    } else {
+      unchanged.push(line);
+      remaining.splice(i, 1);
+    }
+  }
+  return { unchanged, added, removed: remaining };
+}
+
+/**
+ * Compares the exemption an invoice was issued under with the customer's
+ * current one. A flip in exemption already changes the lines' tax; this also
+ * catches a new certificate number, which changes no amounts.
+ * @param {{metadata: Object}} invoice - Stripe invoice
+ * @param {{taxExempt: boolean, taxCertificate: string}} customer - Customer from groupByEmail
+ * @returns {{billed: string, expected: string}|null} The invoice's and the
+ *   customer's tax_exempt metadata ("" when not exempt), or null if they match
+ */
+function diffTaxExemption(invoice, customer) {
+  const billed = invoice.metadata?.tax_exempt || "";
+  const expected = customer.taxExempt ? customer.taxCertificate || "yes" : "";
+  return billed === expected ? null : { billed, expected };
+}
+
+/**
+ * Decides how to amend an invoice
+ * @param {{status: string}} invoice - Stripe invoice
+ * @param {{added: Array, removed: Array, exemption: Object}} diff - From
+ *   diffInvoiceLines, with the exemption change from diffTaxExemption (if any)
+ * @returns {string} "none" (matches), "reissue" (void an unpaid invoice and bill
+ *   the current rows), "adjust" (credit removed lines and bill added ones on a
+ *   paid invoice) or "manual" (any other status, or a paid invoice whose only
+ *   change is the certificate number)
+ */
+function planAmendment(invoice, diff) {
+  const linesChanged = diff.added.length > 0 || diff.removed.length > 0;
+  if (!linesChanged && !diff.exemption) return "none";
+  if (invoice.status === "open") return "reissue";
+  if (invoice.status === "paid" && linesChanged) return "adjust";
+  return "manual";
+}
+
+module.exports = {
+  isFeeLine,
+  getLineTax,
+  diffInvoiceLines,
+  diffTaxExemption,
+  planAmendment,
+};
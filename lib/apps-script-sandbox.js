@@ -0,0 +1,208 @@
+/**
+ * google-apps-script.js run locally, for webhook-replay.js and the tests
+ *
+ * The script is loaded into a fresh context next to stand-ins for the Apps
+ * Script services it calls: a spreadsheet held in memory, the script cache
+ * and properties, the script lock, UrlFetchApp (answered by a function you
+ * pass), MailApp (which only records what it would send), ContentService and
+ * Utilities. Requests go through the script's own doGet and doPost, so they
+ * take the same route, signature checks and lock as on Google's servers.
+ *
+ * The stand-ins cover what the script uses and no more. Sheets are tables
+ * (arrays of rows) updated in place; cached values expire as in Apps Script.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const SCRIPT_FILE = path.join(__dirname, "..", "google-apps-script.js");
+
+// Apps Script returns digests as signed bytes
+const signedBytes = (buffer) => [...buffer].map((byte) => (byte > 127 ? byte - 256 : byte));
+
+/**
+ * A sheet held in memory, with the Sheet methods the script uses
+ * @param {Array<Array<*>>} [table] - Header row, then one row per line item
+ * @param {string} [name] - Tab name
+ * @returns {Object} Sheet; table is updated in place
+ */
+function createMemorySheet(table = [], name = "Orders") {
+  const width = () => Math.max(0, ...table.map((row) => row.length));
+  const cellAt = (row, col) => table[row - 1]?.[col - 1] ?? "";
+  const setCell = (row, col, value) => {
+    while (table.length < row) table.push([]);
+    table[row - 1][col - 1] = value;
+  };
+  return {
+    table,
+    getName: () => name,
+    setName: (newName) => {
+      name = newName;
+    },
+    getLastRow: () => table.length,
+    getLastColumn: width,
+    getDataRange: () => ({
+      getValues: () => table.map((row) => Array.from({ length: width() }, (_, i) => row[i] ?? "")),
+    }),
+    getRange: (row, col, rows = 1, cols = 1) => ({
+      getValue: () => cellAt(row, col),
+      getValues: () => Array.from({ length: rows }, (_, r) => Array.from({ length: cols }, (_, c) => cellAt(row + r, col + c))),
+      setValue: (value) => setCell(row, col, value),
+      setValues: (values) => values.forEach((cells, r) => cells.forEach((value, c) => setCell(row + r, col + c, value))),
+    }),
+    appendRow: (values) => {
+      table.push([...values]);
+    },
+    setColumnWidth: () => {},
+  };
+}
+
+/**
+ * A spreadsheet of memory sheets
+ * @param {Array<Object>} sheets - From createMemorySheet, in tab order
+ * @returns {Object} Spreadsheet
+ */
+function createMemorySpreadsheet(sheets = []) {
+  const spreadsheet = {
+    getSheets: () => [...sheets],
+    getSheetByName: (name) => sheets.find((sheet) => sheet.getName() === name) || null,
+    insertSheet: (name) => {
+      const sheet = createMemorySheet([], name);
+      sheets.push(sheet);
+      return sheet;
+    },
+    toast: () => {},
+  };
+  return spreadsheet;
+}
+
+/**
+ * The script cache: values expire after their time to live
+ */
+function createMemoryCache() {
+  const entries = new Map();
+  return {
+    get: (key) => {
+      const entry = entries.get(key);
+      if (!entry || entry.expires <= Date.now()) return null;
+      return entry.value;
+    },
+    put: (key, value, seconds = 600) => {
+      entries.set(key, { value: String(value), expires: Date.now() + seconds * 1000 });
+    },
+    remove: (key) => {
+      entries.delete(key);
+    },
+    clear: () => entries.clear(),
+  };
+}
+
+/**
+ * Loads google-apps-script.js with stand-ins for the Apps Script services
+ * @param {Object} [options]
+ * @param {Object} [options.spreadsheet] - Active spreadsheet (default: one empty "Orders" sheet)
+ * @param {Object<string, string>} [options.properties] - Script properties; updated in place
+ * @param {Object} [options.catalog] - Catalog to serve as if cached (otherwise getCatalog fetches it)
+ * @param {function(string, Object): {code: number, body: string}} [options.fetch] -
+ *   Answers UrlFetchApp.fetch(url, params); without it every fetch gets a 404
+ * @param {number} [options.mailQuota] - Emails MailApp may send
+ * @returns {{script: Object, spreadsheet: Object, cache: Object, properties: Object, sent: Array<Object>,
+ *   doGet: function(Object): Object, doPost: function((Object|string), Object=): Object}}
+ *   The script's globals, the services' state, and doGet/doPost returning parsed JSON replies
+ */
+function createAppsScriptSandbox({ spreadsheet, properties = {}, catalog = null, fetch = null, mailQuota = 100 } = {}) {
+  const activeSpreadsheet = spreadsheet || createMemorySpreadsheet([createMemorySheet()]);
+  const cache = createMemoryCache();
+  const sent = [];
+  let quota = mailQuota;
+  let locked = false;
+  if (catalog) cache.put("catalog", JSON.stringify(catalog), 21600);
+
+  const services = {
+    SpreadsheetApp: {
+      getActive: () => activeSpreadsheet,
+      getActiveSpreadsheet: () => activeSpreadsheet,
+    },
+    CacheService: { getScriptCache: () => cache },
+    PropertiesService: {
+      getScriptProperties: () => ({
+        getProperty: (key) => properties[key] ?? null,
+        setProperty: (key, value) => {
+          properties[key] = String(value);
+        },
+      }),
+    },
+    LockService: {
+      getScriptLock: () => ({
+        waitLock: () => {
+          if (locked) throw new Error("Lock timeout: another process was holding the lock for too long.");
+          locked = true;
+        },
+        releaseLock: () => {
+          locked = false;
+        },
+      }),
+    },
+    UrlFetchApp: {
+      fetch: (url, params = {}) => {
+        const { code, body = "" } = fetch ? fetch(url, params) : { code: 404 };
+        return { getResponseCode: () => code, getContentText: () => body };
+      },
+    },
+    MailApp: {
+      getRemainingDailyQuota: () => quota,
+      sendEmail: (message) => {
+        if (quota <= 0) throw new Error("Service invoked too many times for one day: email.");
+        quota--;
+        sent.push(message);
+      },
+    },
+    ContentService: {
+      MimeType: { JSON: "application/json" },
+      createTextOutput: (content) => ({
+        getContent: () => content,
+        setMimeType() {
+          return this;
+        },
+      }),
+    },
+    Session: { getScriptTimeZone: () => "UTC" },
+    Utilities: {
+      Charset: { UTF_8: "utf8" },
+      DigestAlgorithm: { SHA_256: "sha256" },
+      getUuid: () => crypto.randomUUID(),
+      computeDigest: (algorithm, value) => signedBytes(crypto.createHash(algorithm).update(String(value), "utf8").digest()),
+      computeHmacSha256Signature: (value, key) =>
+        signedBytes(crypto.createHmac("sha256", key).update(String(value), "utf8").digest()),
+      // Only the format the script uses ("MMMM d, yyyy")
+      formatDate: (date, timeZone) =>
+        date.toLocaleDateString("en-US", { month: "long", day: "numeric", year: "numeric", timeZone }),
+    },
+  };
+
+  const script = vm.createContext({ console, ...services });
+  vm.runInContext(fs.readFileSync(SCRIPT_FILE, "utf-8"), script, { filename: "google-apps-script.js" });
+
+  // Replies cross back from the script's context as JSON text
+  const reply = (output) => JSON.parse(output.getContent());
+  return {
+    script,
+    spreadsheet: activeSpreadsheet,
+    cache,
+    properties,
+    sent,
+    doGet: (parameter = {}) => reply(script.doGet({ parameter })),
+    doPost: (body, parameter = {}) => {
+      const contents = typeof body === "string" ? body : JSON.stringify(body);
+      return reply(script.doPost({ parameter, postData: { contents, type: "application/json" } }));
+    },
+  };
+}
+
+module.exports = {
+  createMemorySheet,
+  createMemorySpreadsheet,
+  createAppsScriptSandbox,
+};
@@ -0,0 +1,55 @@
+/**
+ * Signed requests to the Apps Script web app
+ *
+ * The web app URL is public (index.html has it), so the admin actions, the
+ * order export and invoice ID updates, need proof that the request comes
+ * from someone holding the admin key. The Apps Script generates the key
+ * (Order Tools → Create Admin Key) and keeps it in its script properties;
+ * invoice.js reads it from APPS_SCRIPT_ADMIN_KEY in .env.
+ *
+ * A request is signed with HMAC-SHA256 over "<ts>\n<action>\n<body>", where
+ * ts is the time in seconds and body is the raw POST body ("" for a GET).
+ * ts and the hex signature go in the query string (?ts=...&sig=...). The Apps
+ * Script rejects signatures older than a few minutes, so a copied URL stops
+ * working soon after.
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Signs an admin request
+ * @param {string} key - Admin key
+ * @param {string} action - Action, e.g. "export" or "updateInvoiceId"
+ * @param {string} [body] - Raw POST body ("" for a GET)
+ * @param {Date} [now] - Clock (for tests)
+ * @returns {{ts: string, sig: string}} Query parameters to add
+ */
+function signRequest(key, action, body = "", now = new Date()) {
+  const ts = String(Math.floor(now.getTime() / 1000));
+  const sig = crypto.createHmac("sha256", key).update(`${ts}\n${action}\n${body}`).digest("hex");
+  return { ts, sig };
+}
+
+/**
+ * Adds a signature to a web app URL
+ * @param {string} url - Apps Script web app URL
+ * @param {string} key - Admin key
+ * @param {string} action - Action; also added as ?action= for GETs
+ * @param {Object} [options]
+ * @param {string} [options.body] - Raw POST body; without one the URL is for a GET
+ * @param {Date} [options.now] - Clock (for tests)
+ * @returns {string} URL with ts and sig (and action) in the query string
+ */
+function signedUrl(url, key, action, { body, now } = {}) {
+  const signed = new URL(url);
+  if (body === undefined) signed.searchParams.set("action", action);
+  const { ts, sig } = signRequest(key, action, body ?? "", now);
+  signed.searchParams.set("ts", ts);
+  signed.searchParams.set("sig", sig);
+  return signed.toString();
+}
+
+module.exports = {
+  signRequest,
+  signedUrl,
+};
@@ -0,0 +1,219 @@
+/**
+ * Catalog loading for CMC Patagonia orders
+ *
+ * pricing.json is the single source of truth for products, tiers, fees,
+ * styles, sizes, colors, logos and thread colors. invoice.js reads it from
+ * disk; the order form and the Apps Script read the copy served by GitHub Pages.
+ *
+ * Each order round is a campaign under "campaigns", with an open/close window
+ * and optional overrides of any top-level catalog key (e.g. its own "products").
+ */
+
+const fs = require("fs");
+const { TIER_GROUPINGS, PROCESSING_FEE_MODES } = require("./pricing");
+
+const REQUIRED_KEYS = ["tiers", "products", "styles", "colors", "logos", "threadColors", "tax", "currency"];
+
+/**
+ * Checks that a sizeUpcharges map only holds non-negative amounts
+ * @param {Object<string, number>|undefined} upcharges - Upcharge by size
+ * @param {string} where - Label for problem messages
+ * @returns {string[]} Problems found
+ */
+function validateUpcharges(upcharges, where) {
+  const problems = [];
+  for (const [size, amount] of Object.entries(upcharges || {})) {
+    if (typeof amount !== "number" || amount < 0) {
+      problems.push(`${where}: "${size}" must be a non-negative number`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Checks a catalog for missing sections and dangling references
+ * @param {Object} catalog - Parsed catalog
+ * @returns {string[]} Problems found (empty if valid)
+ */
+function validateCatalog(catalog) {
+  const problems = [];
+
+  for (const key of REQUIRED_KEYS) {
+    if (catalog[key] === undefined) problems.push(`missing "${key}"`);
+  }
+  if (problems.length > 0) return problems;
+
+  const tierKeys = catalog.tiers.map((t) => t.minQty.toString());
+  for (let i = 1; i < catalog.tiers.length; i++) {
+    if (catalog.tiers[i].minQty >= catalog.tiers[i - 1].minQty) {
+      problems.push("tiers must be sorted descending by minQty");
+      break;
+    }
+  }
+
+  for (const [name, product] of Object.entries(catalog.products)) {
+    if (!product.prices) {
+      problems.push(`product "${name}" has no prices`);
+      continue;
+    }
+    for (const tierKey of tierKeys) {
+      if (typeof product.prices[tierKey] !== "number") {
+        problems.push(`product "${name}" has no price for tier ${tierKey}`);
+      }
+    }
+    problems.push(...validateUpcharges(product.sizeUpcharges, `product "${name}" sizeUpcharges`));
+  }
+
+  problems.push(...validateUpcharges(catalog.sizeUpcharges, "sizeUpcharges"));
+
+  const jurisdictions = catalog.tax.jurisdictions || {};
+  for (const [code, jurisdiction] of Object.entries(jurisdictions)) {
+    if (typeof jurisdiction.rate !== "number" || jurisdiction.rate < 0 || jurisdiction.rate >= 1) {
+      problems.push(`tax jurisdiction "${code}" needs a rate between 0 and 1`);
+    }
+    if (!jurisdiction.name) {
+      problems.push(`tax jurisdiction "${code}" needs a name`);
+    }
+  }
+  if (!jurisdictions[catalog.tax.defaultJurisdiction]) {
+    problems.push(`tax.defaultJurisdiction "${catalog.tax.defaultJurisdiction}" is not a listed jurisdiction`);
+  }
+
+  const fee = catalog.processingFee;
+  if (fee !== undefined) {
+    if (fee.mode !== undefined && !PROCESSING_FEE_MODES.includes(fee.mode)) {
+      problems.push(`processingFee.mode must be one of ${PROCESSING_FEE_MODES.join(", ")}`);
+    }
+    if (typeof fee.percent !== "number" || fee.percent < 0 || fee.percent >= 1) {
+      problems.push("processingFee.percent must be between 0 and 1");
+    }
+    if (typeof fee.fixed !== "number" || fee.fixed < 0) {
+      problems.push("processingFee.fixed must be a non-negative number");
+    }
+  }
+
+  if (catalog.tierGrouping !== undefined && !TIER_GROUPINGS.includes(catalog.tierGrouping)) {
+    problems.push(`tierGrouping must be one of ${TIER_GROUPINGS.join(", ")}`);
+  }
+
+  if (catalog.confirmationEmail !== undefined && typeof catalog.confirmationEmail !== "boolean") {
+    problems.push("confirmationEmail must be true or false");
+  }
+
+  const familyOf = {};
+  for (const [family, members] of Object.entries(catalog.colorFamilies || {})) {
+    for (const color of members) {
+      if (!catalog.colors[color]) {
+        problems.push(`color family "${family}" references unknown color "${color}"`);
+      }
+      if (familyOf[color]) {
+        problems.push(`color "${color}" is in both "${familyOf[color]}" and "${family}" families`);
+      }
+      familyOf[color] = family;
+    }
+  }
+
+  for (const [name, style] of Object.entries(catalog.styles)) {
+    for (const color of style.colors || []) {
+      if (!catalog.colors[color]) {
+        problems.push(`style "${name}" references unknown color "${color}"`);
+      }
+    }
+  }
+
+  for (const [id, campaign] of Object.entries(catalog.campaigns || {})) {
+    const opens = Date.parse(campaign.opens);
+    const closes = Date.parse(campaign.closes);
+    if (Number.isNaN(opens) || Number.isNaN(closes)) {
+      problems.push(`campaign "${id}" needs valid "opens" and "closes" dates`);
+    } else if (opens >= closes) {
+      problems.push(`campaign "${id}" closes before it opens`);
+    } else {
+      const resolved = resolveCampaign(catalog, id);
+      problems.push(...validateCatalog(resolved).map((p) => `campaign "${id}": ${p}`));
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Lists the campaigns defined in a catalog
+ * @param {Object} catalog - Parsed catalog
+ * @returns {Array<{id: string, name: string, opens: string, closes: string}>} Campaigns sorted by open date
+ */
+function listCampaigns(catalog) {
+  return Object.entries(catalog.campaigns || {})
+    .map(([id, c]) => ({ id, name: c.name || id, opens: c.opens, closes: c.closes }))
+    .sort((a, b) => Date.parse(a.opens) - Date.parse(b.opens));
+}
+
+/**
+ * Checks whether a campaign is accepting orders (opens <= now < closes)
+ * @param {{opens: string, closes: string}} campaign - Campaign window
+ * @param {Date} [now] - Point in time to check
+ * @returns {boolean} True if open
+ */
+function isCampaignOpen(campaign, now = new Date()) {
+  const time = now.getTime();
+  return Date.parse(campaign.opens) <= time && time < Date.parse(campaign.closes);
+}
+
+/**
+ * Finds the campaign currently accepting orders
+ * @param {Object} catalog - Parsed catalog
+ * @param {Date} [now] - Point in time to check
+ * @returns {{id: string, name: string, opens: string, closes: string}|null} Open campaign or null
+ */
+function findOpenCampaign(catalog, now = new Date()) {
+  return listCampaigns(catalog).find((c) => isCampaignOpen(c, now)) || null;
+}
+
+/**
+ * Builds the effective catalog for one campaign: top-level keys, shallowly
+ * overridden by the campaign's own keys
+ * @param {Object} catalog - Parsed catalog
+ * @param {string} campaignId - Campaign ID
+ * @returns {Object} Catalog with a "campaign" summary and no "campaigns" map
+ * @throws {Error} If the campaign does not exist
+ */
+function resolveCampaign(catalog, campaignId) {
+  const { campaigns = {}, ...base } = catalog;
+  const campaign = campaigns[campaignId];
+  if (!campaign) {
+    throw new Error(`Unknown campaign "${campaignId}"`);
+  }
+  const { name, opens, closes, ...overrides } = campaign;
+  return {
+    ...base,
+    ...overrides,
+    campaign: { id: campaignId, name: name || campaignId, opens, closes },
+  };
+}
+
+/**
+ * Reads and validates a catalog file
+ * @param {string} filePath - Path to pricing.json
+ * @returns {Object} Parsed catalog
+ * @throws {Error} If the file is missing or invalid
+ */
+function loadCatalog(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Catalog not found: ${filePath}`);
+  }
+  const catalog = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  const problems = validateCatalog(catalog);
+  if (problems.length > 0) {
+    throw new Error(`Invalid catalog (${filePath}): ${problems.join("; ")}`);
+  }
+  return catalog;
+}
+
+module.exports = {
+  validateCatalog,
+  listCampaigns,
+  isCampaignOpen,
+  findOpenCampaign,
+  resolveCampaign,
+  loadCatalog,
+};
@@ -0,0 +1,132 @@
+/**
+ * Checkpoints for create and send
+ *
+ * A checkpoint file records how far an invoicing run got, customer by
+ * customer: "done" (invoiced, or nothing left to bill) or "failed", with the
+ * error. It is rewritten after every customer, so a run that crashes or is
+ * stopped leaves an accurate record. invoice.js --resume reads it back and
+ * skips the customers already done; a run that ends with no failures removes it.
+ *
+ *   {
+ *     "version": 1,
+ *     "run": { "command": "create", "campaign": "2026-fall", "only": null, "provider": "stripe", "startedAt": "..." },
+ *     "customers": {
+ *       "ana@example.com": { "status": "done", "invoices": ["in_123"], "at": "..." },
+ *       "cy@example.com": { "status": "failed", "error": "Connection to Stripe failed", "at": "..." }
+ *     }
+ *   }
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CHECKPOINT_VERSION = 1;
+
+// What must match for a checkpoint to be resumed
+const RUN_FIELDS = ["command", "campaign", "only", "provider"];
+
+/**
+ * Reads a checkpoint file
+ * @param {string} file - Checkpoint path
+ * @returns {Object|null} Checkpoint, or null if there is none
+ * @throws {Error} If the file is not a checkpoint this version can read
+ */
+function readCheckpoint(file) {
+  if (!fs.existsSync(file)) return null;
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`${path.basename(file)} is not a checkpoint file (${err.message})`);
+  }
+  if (data?.version !== CHECKPOINT_VERSION || !data.run || !data.customers) {
+    throw new Error(`${path.basename(file)} is not a checkpoint file from this version of invoice.js`);
+  }
+  return data;
+}
+
+/**
+ * Describes a run for messages
+ * @param {Object} run - Checkpoint run
+ * @returns {string} e.g. "create --campaign 2026-fall"
+ */
+function describeRun(run) {
+  const parts = [run.command];
+  if (run.campaign) parts.push(`--campaign ${run.campaign}`);
+  if (run.only) parts.push(`--only ${run.only}`);
+  if (run.provider !== "stripe") parts.push(`--provider ${run.provider}`);
+  return parts.join(" ");
+}
+
+/**
+ * Whether a checkpoint was left by the same kind of run
+ * @param {Object} a - Checkpoint run
+ * @param {Object} b - Checkpoint run
+ * @returns {boolean} True if command, campaign, --only and provider match
+ */
+function isSameRun(a, b) {
+  return RUN_FIELDS.every((field) => (a[field] ?? null) === (b[field] ?? null));
+}
+
+/**
+ * Starts a checkpoint, or continues a resumed one
+ * @param {string} file - Checkpoint path
+ * @param {Object} run - command, campaign, only and provider of this run
+ * @param {Object} [previous] - Checkpoint being resumed (from readCheckpoint)
+ * @param {function(): Date} [now] - Clock (for tests)
+ * @returns {Object} Checkpoint: get(email), record(email, entry), failures(), remove()
+ */
+function openCheckpoint(file, run, previous = null, now = () => new Date()) {
+  const data = previous
+    ? { ...previous, customers: { ...previous.customers } }
+    : { version: CHECKPOINT_VERSION, run: { ...run, startedAt: now().toISOString() }, customers: {} };
+
+  // Written whole to a temporary file and renamed, so a crash mid-write can't corrupt it
+  function save() {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(data, null, 2) + "\n");
+    fs.renameSync(temporary, file);
+  }
+
+  return {
+    file,
+    run: data.run,
+
+    /**
+     * @param {string} email - Billing email
+     * @returns {Object|null} The customer's entry
+     */
+    get(email) {
+      return data.customers[email] || null;
+    },
+
+    /**
+     * Records how a customer went and saves the file
+     * @param {string} email - Billing email
+     * @param {{status: string, invoices?: string[], error?: string}} entry - "done" or "failed"
+     */
+    record(email, entry) {
+      data.customers[email] = { ...entry, at: now().toISOString() };
+      save();
+    },
+
+    /**
+     * @returns {Array<[string, Object]>} Customers whose last attempt failed, as [email, entry]
+     */
+    failures() {
+      return Object.entries(data.customers).filter(([, entry]) => entry.status === "failed");
+    },
+
+    remove() {
+      fs.rmSync(file, { force: true });
+    },
+  };
+}
+
+module.exports = {
+  readCheckpoint,
+  describeRun,
+  isSameRun,
+  openCheckpoint,
+};
@@ -0,0 +1,293 @@
+/**
+ * Command-line parsing for invoice.js
+ *
+ * Each subcommand lists the flags it accepts; anything else is a usage error,
+ * so a typo like --dryrun stops the run instead of creating real invoices.
+ */
+
+const { parseArgs } = require("util");
+const { REPORT_FORMATS, getReportFormat } = require("./report");
+const { PROVIDERS } = require("./providers");
+const { SOURCE_TYPES } = require("./sources");
+
+// Exit codes, for scripts that run invoice.js
+const EXIT = {
+  OK: 0, // Everything succeeded
+  FAILED: 1, // Ran, but at least one customer or invoice failed
+  USAGE: 2, // Bad command line
+  CONFIG: 3, // Missing or invalid configuration (.env, pricing.json, data source)
+};
+
+/**
+ * Thrown for command-line mistakes (exit code EXIT.USAGE)
+ */
+class UsageError extends Error {
+  constructor(message, command = null) {
+    super(message);
+    this.name = "UsageError";
+    this.command = command;
+  }
+}
+
+// Customers invoiced side by side; Stripe's rate limits leave room for more, but
+// each customer makes several requests
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 16;
+
+const DEFAULT_CHECKPOINT = "invoice-checkpoint.json";
+
+// Flag definitions, shared by the commands that accept them
+const FLAGS = {
+  campaign: { type: "string", arg: "<id>", help: "Campaign to work on (required when pricing.json has campaigns)" },
+  "include-untagged": { type: "boolean", help: "Count rows with no Campaign as part of --campaign (orders from before campaigns)" },
+  pricing: { type: "string", arg: "<file>", help: "Catalog file (default: pricing.json next to invoice.js)" },
+  "due-date": { type: "string", arg: "<date|days>", help: "Due date (YYYY-MM-DD) or days after sending (default: 14)" },
+  "min-qty": { type: "string", arg: "<n>", help: "Items a tier group needs to be invoiced (default: lowest tier)" },
+  "no-min": { type: "boolean", help: "Invoice every tier group regardless of size (testing)" },
+  only: { type: "string", arg: "<email>", help: "Only this customer (tiers still count everyone)" },
+  exemptions: { type: "string", arg: "<file>", help: "File of tax-exempt customers (Email, Certificate)" },
+  aliases: { type: "string", arg: "<file>", help: "File merging customers' emails (Email, Billing Email)" },
+  source: {
+    type: "string",
+    arg: "<type>",
+    help: `Read orders files as ${Object.keys(SOURCE_TYPES).join(", ")} (default: by extension)`,
+  },
+  "dry-run": { type: "boolean", help: "Show what would happen without changing anything" },
+  "allow-errors": { type: "boolean", help: "Invoice even if order checks find errors" },
+  concurrency: {
+    type: "string",
+    arg: "<n>",
+    help: `Customers to invoice at once, 1-${MAX_CONCURRENCY} (default: ${DEFAULT_CONCURRENCY})`,
+  },
+  resume: { type: "boolean", help: "Continue the run the checkpoint file records, skipping customers already done" },
+  checkpoint: { type: "string", arg: "<file>", help: `Where to record progress (default: ${DEFAULT_CHECKPOINT})` },
+  report: { type: "string", arg: "<file>", help: "Also write the preview to a .json, .csv or .html file" },
+  out: { type: "string", arg: "<file>", help: "Also write the purchase order to a .csv or printable .html file" },
+  all: { type: "boolean", help: "Every open invoice in the campaign" },
+  overdue: { type: "boolean", help: "Only invoices past their due date" },
+  provider: { type: "string", arg: "<name>", help: `Payment provider: ${PROVIDERS.join(" or ")} (default: stripe)` },
+  ledger: { type: "string", arg: "<file>", help: "Where --provider memory keeps its state between runs" },
+  help: { type: "boolean", short: "h", help: "Show help" },
+};
+
+// Flags for commands that read or write invoices
+const PROVIDER_FLAGS = ["provider", "ledger"];
+
+// Flags for commands that invoice customer by customer
+const RUN_FLAGS = ["concurrency", "resume", "checkpoint"];
+
+const ORDER_FLAGS = ["campaign", "include-untagged", "pricing", "min-qty", "no-min", "only", "exemptions", "aliases", "source"];
+
+const COMMANDS = {
+  validate: {
+    summary: "Check order rows against the catalog before invoicing",
+    usage: "validate [orders.csv...]",
+    flags: ["campaign", "include-untagged", "pricing", "only", "aliases", "source"],
+  },
+  preview: {
+    summary: "Show what would be invoiced, without touching Stripe",
+    usage: "preview [orders.csv...]",
+    flags: [...ORDER_FLAGS, "report", ...PROVIDER_FLAGS],
+  },
+  create: {
+    summary: "Create and finalize invoices without emailing them",
+    usage: "create [orders.csv...]",
+    flags: [...ORDER_FLAGS, "due-date", "dry-run", "allow-errors", ...RUN_FLAGS, ...PROVIDER_FLAGS],
+  },
+  send: {
+    summary: "Create invoices and email them to customers",
+    usage: "send [orders.csv...]",
+    flags: [...ORDER_FLAGS, "due-date", "dry-run", "allow-errors", ...RUN_FLAGS, ...PROVIDER_FLAGS],
+  },
+  amend: {
+    summary: "Void and reissue, or credit, invoices whose rows changed",
+    usage: "amend [orders.csv...]",
+    flags: [...ORDER_FLAGS, "due-date", "dry-run", "allow-errors", ...PROVIDER_FLAGS],
+  },
+  status: {
+    summary: "List the campaign's invoices and what is still unpaid",
+    usage: "status",
+    flags: ["campaign", "pricing", "only", ...PROVIDER_FLAGS],
+  },
+  void: {
+    summary: "Void open invoices (by ID, --only <email>, or --all)",
+    usage: "void [invoiceId...]",
+    flags: ["campaign", "pricing", "only", "all", "aliases", "dry-run", ...PROVIDER_FLAGS],
+  },
+  remind: {
+    summary: "Re-send open invoices to customers who have not paid",
+    usage: "remind",
+    flags: ["campaign", "pricing", "only", "overdue", "dry-run", ...PROVIDER_FLAGS],
+  },
+  rollback: {
+    summary: "Undo a create, send or amend run: void or delete its invoices",
+    usage: "rollback <runId>",
+    flags: ["dry-run", ...PROVIDER_FLAGS],
+  },
+  "purchase-order": {
+    summary: "Count garments, logos and embroidered names to order from suppliers",
+    usage: "purchase-order [orders.csv...]",
+    flags: ["campaign", "include-untagged", "pricing", "min-qty", "no-min", "source", "out"],
+  },
+};
+
+// Commands that take nothing but flags. "void" takes invoice IDs, "rollback" a
+// run ID; the rest take orders files.
+const NO_POSITIONAL = ["status", "remind"];
+
+/**
+ * Parses the command line
+ * @param {string[]} argv - Arguments after "node invoice.js"
+ * @returns {{command: string|null, options: Object, positionals: string[], help: boolean}} Parsed command line
+ * @throws {UsageError} For unknown commands or flags, or bad flag values
+ */
+function parseCommandLine(argv) {
+  const [first, ...rest] = argv;
+  if (!first || first === "--help" || first === "-h" || first === "help") {
+    return { command: null, options: {}, positionals: [], help: true };
+  }
+  if (first.startsWith("-")) {
+    throw new UsageError(`Expected a command before ${first}`);
+  }
+  const command = first;
+  const spec = COMMANDS[command];
+  if (!spec) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+
+  const flagNames = [...spec.flags, "help"];
+  const options = {};
+  for (const name of flagNames) {
+    const { type, short } = FLAGS[name];
+    options[name] = short ? { type, short } : { type };
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options, allowPositionals: true, strict: true });
+  } catch (err) {
+    // Drop node's advice about "--" positionals, which never applies here
+    throw new UsageError(err.message.split(". To specify")[0], command);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    return { command, options: values, positionals, help: true };
+  }
+  if (NO_POSITIONAL.includes(command) && positionals.length > 0) {
+    throw new UsageError(`"${command}" takes no arguments (got ${positionals.join(" ")})`, command);
+  }
+
+  if (values["min-qty"] !== undefined) {
+    if (!/^\d+$/.test(values["min-qty"])) {
+      throw new UsageError(`--min-qty must be a whole number (got "${values["min-qty"]}")`, command);
+    }
+    if (values["no-min"]) {
+      throw new UsageError("--min-qty and --no-min cannot be used together", command);
+    }
+    values["min-qty"] = parseInt(values["min-qty"], 10);
+  }
+  if (values.concurrency !== undefined) {
+    const n = /^\d+$/.test(values.concurrency) ? parseInt(values.concurrency, 10) : NaN;
+    if (!(n >= 1 && n <= MAX_CONCURRENCY)) {
+      throw new UsageError(`--concurrency must be a whole number from 1 to ${MAX_CONCURRENCY} (got "${values.concurrency}")`, command);
+    }
+    values.concurrency = n;
+  }
+  if (values["due-date"] !== undefined) {
+    values["due-date"] = parseDueDate(values["due-date"], command);
+  }
+  if (values.report !== undefined && !getReportFormat(values.report)) {
+    const extensions = Object.keys(REPORT_FORMATS).join(", ");
+    throw new UsageError(`--report file must end in one of ${extensions} (got "${values.report}")`, command);
+  }
+  if (values.out !== undefined && !["csv", "html"].includes(getReportFormat(values.out))) {
+    throw new UsageError(`--out file must end in .csv or .html (got "${values.out}")`, command);
+  }
+  if (values.source !== undefined) {
+    if (!SOURCE_TYPES[values.source]) {
+      const types = Object.keys(SOURCE_TYPES).join(", ");
+      throw new UsageError(`--source must be one of ${types} (got "${values.source}")`, command);
+    }
+    if (positionals.length === 0) {
+      throw new UsageError("--source applies to orders files; none were given", command);
+    }
+  }
+  if (values.provider !== undefined && !PROVIDERS.includes(values.provider)) {
+    throw new UsageError(`--provider must be one of ${PROVIDERS.join(", ")} (got "${values.provider}")`, command);
+  }
+  if (values.ledger !== undefined && values.provider !== "memory") {
+    throw new UsageError("--ledger only applies to --provider memory", command);
+  }
+  if (values["include-untagged"] && !values.campaign) {
+    throw new UsageError("--include-untagged only applies with --campaign", command);
+  }
+  if (values.only !== undefined) {
+    values.only = values.only.trim().toLowerCase();
+  }
+  if (command === "rollback" && positionals.length !== 1) {
+    throw new UsageError("Say which run to roll back: one run ID (the journals/ file name)", command);
+  }
+  if (command === "void" && positionals.length === 0 && !values.only && !values.all) {
+    throw new UsageError("Say which invoices to void: invoice IDs, --only <email>, or --all", command);
+  }
+
+  return { command, options: values, positionals, help: false };
+}
+
+/**
+ * Parses --due-date: a calendar date or a number of days
+ * @param {string} value - Flag value
+ * @param {string} command - Command, for error messages
+ * @returns {{date: string}|{days: number}} Due date
+ * @throws {UsageError} If the value is neither
+ */
+function parseDueDate(value, command) {
+  if (/^\d+$/.test(value) && parseInt(value, 10) > 0) {
+    return { days: parseInt(value, 10) };
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))) {
+    return { date: value };
+  }
+  throw new UsageError(`--due-date must be YYYY-MM-DD or a number of days (got "${value}")`, command);
+}
+
+/**
+ * Builds help text for one command, or the command list
+ * @param {string|null} command - Command, or null for the overview
+ * @returns {string} Help text
+ */
+function formatHelp(command) {
+  const lines = [];
+  if (!command) {
+    lines.push("Usage: node invoice.js <command> [options]", "", "Commands:");
+    for (const [name, spec] of Object.entries(COMMANDS)) {
+      lines.push(`  ${name.padEnd(15)} ${spec.summary}`);
+    }
+    lines.push("", 'Run "node invoice.js <command> --help" for a command\'s options.');
+  } else {
+    const spec = COMMANDS[command];
+    lines.push(`Usage: node invoice.js ${spec.usage} [options]`, "", spec.summary, "", "Options:");
+    for (const name of [...spec.flags, "help"]) {
+      const flag = FLAGS[name];
+      const label = `${flag.short ? `-${flag.short}, ` : ""}--${name}${flag.arg ? ` ${flag.arg}` : ""}`;
+      lines.push(`  ${label.padEnd(26)} ${flag.help}`);
+    }
+  }
+  lines.push(
+    "",
+    "Exit codes: 0 ok, 1 some invoices failed, 2 bad command line, 3 configuration problem"
+  );
+  return lines.join("\n");
+}
+
+module.exports = {
+  EXIT,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_CHECKPOINT,
+  UsageError,
+  COMMANDS,
+  parseCommandLine,
+  parseDueDate,
+  formatHelp,
+};
@@ -1,49 +1,248 @@
 /**
- * Simple CSV parser for Google Sheets exports
+ * CSV parsing (RFC 4180) for spreadsheet exports, and a writer for the files we generate
+ *
+ * The parser handles what Google Sheets and Excel actually produce: quoted
+ * fields with commas, doubled quotes ("") and line breaks inside them; CRLF,
+ * LF or old-Mac CR line endings; a UTF-8 byte order mark; and blank lines at
+ * the end. It is lenient where spreadsheets are: a stray quote inside an
+ * unquoted field is kept as text. Only a quoted field that never closes is an
+ * error, since everything after it would be misread.
  */
 
+const fs = require("fs");
+const { StringDecoder } = require("string_decoder");
+
+const BOM = "\uFEFF";
+
+/**
+ * Incremental CSV parser: feed it text in chunks of any size, get back the
+ * records completed so far. Chunks may split a field, a quote pair or a CRLF.
+ */
+class CSVParser {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.delimiter] - Field separator ("\t" for TSV)
+   * @param {boolean} [options.keepBlankLines] - Return blank lines as empty
+   *   records, so record positions stay line positions (sheet rows)
+   */
+  constructor({ delimiter = ",", keepBlankLines = false } = {}) {
+    this.delimiter = delimiter;
+    this.keepBlankLines = keepBlankLines;
+    this.record = [];
+    this.field = "";
+    this.state = "start"; // start | unquoted | quoted | quote (a quote inside a quoted field) | cr
+    this.started = false; // the current record has content (even an empty quoted field)
+    this.line = 1; // line the parser is on, for error messages
+    this.fieldLine = 1; // line the current quoted field opened on
+    this.firstChunk = true;
+  }
+
+  /**
+   * Parses the next chunk of text
+   * @param {string} chunk - Text
+   * @returns {string[][]} Records completed by this chunk
+   */
+  write(chunk) {
+    let text = chunk;
+    if (this.firstChunk && text.length > 0) {
+      if (text.startsWith(BOM)) text = text.slice(1);
+      this.firstChunk = false;
+    }
+    const records = [];
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (this.state === "cr") {
+        // "\r\n" is one line break; a lone "\r" already ended the record
+        this.state = "start";
+        if (char === "\n") continue;
+      }
+
+      if (this.state === "quoted") {
+        if (char === '"') this.state = "quote";
+        else {
+          if (char === "\n") this.line++;
+          this.field += char;
+        }
+        continue;
+      }
+
+      if (this.state === "quote") {
+        if (char === '"') {
+          // Doubled quote: a literal quote, still inside the field
+          this.field += '"';
+          this.state = "quoted";
+          continue;
+        }
+        // The field closed; anything other than a delimiter or line break is kept as text
+        this.state = "unquoted";
+      }
+
+      if (char === this.delimiter) {
+        this.record.push(this.field);
+        this.field = "";
+        this.started = true;
+        this.state = "start";
+      } else if (char === "\n" || char === "\r") {
+        this.endRecord(records);
+        this.line++;
+        this.state = char === "\r" ? "cr" : "start";
+      } else if (char === '"' && this.state === "start") {
+        this.state = "quoted";
+        this.started = true;
+        this.fieldLine = this.line;
+      } else {
+        this.field += char;
+        this.started = true;
+        this.state = "unquoted";
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Finishes parsing
+   * @returns {string[][]} The last record, if the text did not end with a line break
+   * @throws {Error} If a quoted field was never closed
+   */
+  end() {
+    if (this.state === "quoted") {
+      throw new Error(`Unclosed quoted field starting on line ${this.fieldLine}`);
+    }
+    // Text ending without a line break leaves a last record; a final line break doesn't
+    const records = [];
+    if (this.started || this.field !== "") this.endRecord(records);
+    return records;
+  }
+
+  // Blank lines are not records, unless asked for
+  endRecord(records) {
+    if (this.started || this.field !== "") {
+      this.record.push(this.field);
+      records.push(this.record);
+    } else if (this.keepBlankLines) {
+      records.push([]);
+    }
+    this.record = [];
+    this.field = "";
+    this.started = false;
+  }
+}
+
+/**
+ * Parses CSV text into records
+ * @param {string} content - CSV text
+ * @param {string} [delimiter] - Field separator ("\t" for TSV)
+ * @returns {string[][]} Records, as arrays of field values
+ * @throws {Error} If a quoted field is never closed
+ */
+function parseCSVRecords(content, delimiter = ",") {
+  const parser = new CSVParser({ delimiter });
+  return [...parser.write(content), ...parser.end()];
+}
+
+/**
+ * Reads a CSV file in chunks, so large exports are never held as one string
+ * @param {string} file - File path
+ * @param {string} [delimiter] - Field separator ("\t" for TSV)
+ * @param {Object} [options]
+ * @param {boolean} [options.keepBlankLines] - Return blank lines as empty records
+ * @returns {string[][]} Records
+ * @throws {Error} If the file can't be read or a quoted field is never closed
+ */
+function readCSVRecords(file, delimiter = ",", { keepBlankLines = false } = {}) {
+  const parser = new CSVParser({ delimiter, keepBlankLines });
+  const decoder = new StringDecoder("utf8"); // keeps multi-byte characters split across chunks whole
+  const buffer = Buffer.alloc(64 * 1024);
+  const records = [];
+  const fd = fs.openSync(file, "r");
+  try {
+    let bytes;
+    while ((bytes = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      records.push(...parser.write(decoder.write(buffer.subarray(0, bytes))));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  records.push(...parser.write(decoder.end()), ...parser.end());
+  return records;
+}
+
 /**
  * Parses a single CSV line, handling quoted fields
  * @param {string} line - CSV line
+ * @param {string} [delimiter] - Field separator ("\t" for TSV)
  * @returns {string[]} Parsed values
  */
-function parseCSVLine(line) {
-  const result = [];
-  let current = "";
-  let inQuotes = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    if (char === '"') {
-      inQuotes = !inQuotes;
-    } else if (char === "," && !inQuotes) {
-      result.push(current);
-      current = "";
-    } else {
-      current += char;
-    }
-  }
-  result.push(current);
-  return result;
+function parseCSVLine(line, delimiter = ",") {
+  return parseCSVRecords(line, delimiter)[0] || [""];
 }
 
 /**
- * Parses CSV content into array of row objects
- * @param {string} content - CSV file content
+ * Turns records (header record first) into objects keyed by the trimmed
+ * headers, with trimmed values. Missing trailing fields become "".
+ * @param {string[][]} records - Records
  * @returns {Object[]} Array of objects keyed by header names
  */
-function parseCSV(content) {
-  const lines = content.trim().split("\n");
-  const headers = parseCSVLine(lines[0]);
-  return lines.slice(1).map((line) => {
-    const values = parseCSVLine(line);
+function recordsToObjects(records) {
+  const [headers = [], ...body] = records;
+  return body.map((values) => {
     const row = {};
     headers.forEach((h, i) => (row[h.trim()] = values[i]?.trim() || ""));
     return row;
   });
 }
 
+/**
+ * Parses CSV content into array of row objects
+ * @param {string} content - CSV file content
+ * @param {string} [delimiter] - Field separator ("\t" for TSV)
+ * @returns {Object[]} Array of objects keyed by header names
+ */
+function parseCSV(content, delimiter = ",") {
+  return recordsToObjects(parseCSVRecords(content, delimiter));
+}
+
+/**
+ * Quotes a value for CSV if it holds a comma, quote or line break, or starts
+ * or ends with a space (which spreadsheets would otherwise trim)
+ * @param {*} value - Cell value (null/undefined become empty)
+ * @param {Object} [options]
+ * @param {boolean} [options.escapeFormulas] - Prefix "'" to text a spreadsheet
+ *   would run as a formula (starting with =, +, - or @), as sheetText does in
+ *   google-apps-script.js. Numbers such as -12.50 are left alone.
+ * @returns {string} CSV field
+ */
+function formatCSVField(value, { escapeFormulas = false } = {}) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (escapeFormulas && /^[=+\-@]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    text = "'" + text;
+  }
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats rows of values as CSV lines (CRLF line endings, as spreadsheets expect)
+ * @param {Array<Array<*>>} rows - Rows of cell values
+ * @param {Object} [options]
+ * @param {boolean} [options.bom] - Start with a byte order mark, so Excel reads the file as UTF-8
+ * @param {boolean} [options.escapeFormulas] - Keep text from running as a formula (see formatCSVField);
+ *   for files others open that hold what people typed into the form
+ * @returns {string} CSV content
+ */
+function formatCSV(rows, { bom = false, escapeFormulas = false } = {}) {
+  const field = (value) => formatCSVField(value, { escapeFormulas });
+  const body = rows.map((row) => row.map(field).join(",")).join("\r\n") + "\r\n";
+  return bom ? BOM + body : body;
+}
+
 module.exports = {
+  CSVParser,
   parseCSV,
   parseCSVLine,
+  parseCSVRecords,
+  readCSVRecords,
+  recordsToObjects,
+  formatCSVField,
+  formatCSV,
 };
@@ -0,0 +1,199 @@
+/**
+ * Customer identities across order rows
+ *
+ * Customers are keyed by email, so someone who orders once from a work
+ * address and once from a personal one gets two invoices. An alias file
+ * (--aliases) merges them: each row maps an Email to the Billing Email that
+ * should receive the invoice.
+ *
+ *   Email,Billing Email
+ *   jdoe@hospital.org,jane.doe@gmail.com
+ *
+ * Without an alias file nothing is merged automatically; instead, customers
+ * who look like the same person (same phone, same name, or near-identical
+ * emails) are reported so the organizer can decide. Rows for one customer
+ * that disagree on name or phone are reported too, since only one of each
+ * reaches Stripe.
+ */
+
+const ALIAS_COLUMN = "Billing Email";
+
+const normalizeEmail = (email) => String(email ?? "").trim().toLowerCase();
+
+/**
+ * Builds the alias lookup from alias file rows. Chains (a → b, b → c) resolve
+ * to the final address.
+ * @param {Array<{Email: string, "Billing Email": string}>} rows - Alias file rows
+ * @returns {Map<string, string>} Billing email by alias email (lowercased)
+ * @throws {Error} If an email is given two billing emails, or aliases form a loop
+ */
+function buildAliasMap(rows) {
+  const direct = new Map();
+  for (const row of rows) {
+    const alias = normalizeEmail(row.Email);
+    const billing = normalizeEmail(row[ALIAS_COLUMN]);
+    if (!alias || !billing || alias === billing) continue;
+    if (direct.has(alias) && direct.get(alias) !== billing) {
+      throw new Error(`${alias} is aliased to both ${direct.get(alias)} and ${billing}`);
+    }
+    direct.set(alias, billing);
+  }
+
+  const resolved = new Map();
+  for (const alias of direct.keys()) {
+    const seen = [alias];
+    let billing = direct.get(alias);
+    while (direct.has(billing)) {
+      if (seen.includes(billing)) throw new Error(`Aliases loop: ${[...seen, billing].join(" → ")}`);
+      seen.push(billing);
+      billing = direct.get(billing);
+    }
+    resolved.set(alias, billing);
+  }
+  return resolved;
+}
+
+/**
+ * The email a row's customer is billed at
+ * @param {string} email - Email from the row
+ * @param {Map<string, string>} [aliases] - From buildAliasMap
+ * @returns {string} Billing email (lowercased)
+ */
+function resolveEmail(email, aliases = new Map()) {
+  const normalized = normalizeEmail(email);
+  return aliases.get(normalized) || normalized;
+}
+
+// ─── Contact details ─────────────────────────────────────────────────────────
+
+// Titles and suffixes that don't tell people apart
+const NAME_NOISE = new Set(["dr", "md", "do", "mr", "mrs", "ms", "mx", "phd", "jr", "sr"]);
+
+// "Dr. Jane  Doe, MD" → "doe jane"
+function normalizeName(name) {
+  return String(name ?? "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter((word) => word && !NAME_NOISE.has(word))
+    .sort()
+    .join(" ");
+}
+
+// "+1 (555) 010-0123" → "5550100123"; too short to be a phone number → ""
+function normalizePhone(phone) {
+  let digits = String(phone ?? "").replace(/\D/g, "");
+  if (digits.length === 11 && digits.startsWith("1")) digits = digits.slice(1);
+  return digits.length >= 7 ? digits : "";
+}
+
+/**
+ * Collects every name, phone and email used by each billing customer
+ * @param {Array<Object>} rows - Order rows
+ * @param {Map<string, string>} [aliases] - From buildAliasMap
+ * @returns {Map<string, {email: string, emails: string[], names: string[], phones: string[]}>}
+ *   Profiles by billing email; names and phones as first written, one per distinct value
+ */
+function buildContactProfiles(rows, aliases = new Map()) {
+  const profiles = new Map();
+  for (const row of rows) {
+    const rowEmail = normalizeEmail(row.Email);
+    if (!rowEmail) continue;
+    const email = resolveEmail(rowEmail, aliases);
+    if (!profiles.has(email)) profiles.set(email, { email, emails: [], names: new Map(), phones: new Map() });
+    const profile = profiles.get(email);
+    if (!profile.emails.includes(rowEmail)) profile.emails.push(rowEmail);
+    const name = normalizeName(row.Name);
+    if (name && !profile.names.has(name)) profile.names.set(name, String(row.Name).trim());
+    const phone = normalizePhone(row.Phone);
+    if (phone && !profile.phones.has(phone)) profile.phones.set(phone, String(row.Phone).trim());
+  }
+  for (const profile of profiles.values()) {
+    profile.keys = { names: [...profile.names.keys()], phones: [...profile.phones.keys()] };
+    profile.names = [...profile.names.values()];
+    profile.phones = [...profile.phones.values()];
+  }
+  return profiles;
+}
+
+/**
+ * Customers whose rows disagree on name or phone
+ * @param {Map<string, Object>} profiles - From buildContactProfiles
+ * @returns {Array<{email: string, emails: string[], names: string[], phones: string[]}>} Customers with more than one name or phone
+ */
+function findContactConflicts(profiles) {
+  return [...profiles.values()]
+    .filter((profile) => profile.names.length > 1 || profile.phones.length > 1)
+    .map(({ email, emails, names, phones }) => ({ email, emails, names, phones }));
+}
+
+// ─── Duplicate detection ─────────────────────────────────────────────────────
+
+// Edit distance, capped: returns max + 1 as soon as it is exceeded
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    if (Math.min(...current) > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// "Jane.Doe+cmc@gmail.com" → "janedoe"
+function mailbox(email) {
+  return email.split("@")[0].replace(/\+.*$/, "").replace(/\./g, "");
+}
+
+// Why two emails look like the same person's, or null
+function compareEmails(a, b) {
+  const [, domainA] = a.split("@");
+  const [, domainB] = b.split("@");
+  const boxA = mailbox(a);
+  const boxB = mailbox(b);
+  if (boxA.length >= 4 && boxA === boxB) {
+    return domainA === domainB ? "same address written differently" : `same mailbox name "${boxA}"`;
+  }
+  if (domainA === domainB && Math.min(boxA.length, boxB.length) >= 4 && editDistance(boxA, boxB, 1) <= 1) {
+    return "emails differ by one character";
+  }
+  return null;
+}
+
+/**
+ * Customers (after aliases) who may be the same person
+ * @param {Map<string, Object>} profiles - From buildContactProfiles
+ * @returns {Array<{emails: [string, string], reasons: string[]}>} Pairs of billing emails, in first-seen order
+ */
+function findDuplicateCustomers(profiles) {
+  const list = [...profiles.values()];
+  const duplicates = [];
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      const a = list[i];
+      const b = list[j];
+      const reasons = [];
+      const phone = a.keys.phones.findIndex((p) => b.keys.phones.includes(p));
+      if (phone !== -1) reasons.push(`same phone ${a.phones[phone]}`);
+      const name = a.keys.names.findIndex((n) => b.keys.names.includes(n));
+      if (name !== -1) reasons.push(`same name ${a.names[name]}`);
+      const email = compareEmails(a.email, b.email);
+      if (email) reasons.push(email);
+      if (reasons.length > 0) duplicates.push({ emails: [a.email, b.email], reasons });
+    }
+  }
+  return duplicates;
+}
+
+module.exports = {
+  ALIAS_COLUMN,
+  buildAliasMap,
+  resolveEmail,
+  buildContactProfiles,
+  findContactConflicts,
+  findDuplicateCustomers,
+};
@@ -0,0 +1,138 @@
+/**
+ * Invoice state for CMC Patagonia orders — what has already been billed
+ *
+ * A row counts as invoiced if its "Invoice ID" cell is set, or if an open or
+ * paid Stripe invoice for the campaign lists its sheet row number in
+ * metadata.rows (a run that crashed before saving the ID to the sheet).
+ * Everything else is pending and goes on the customer's next invoice, so a
+ * re-run bills late rows on a supplemental invoice and nothing twice.
+ */
+
+const crypto = require("crypto");
+
+// Identifies invoices this tool created (Stripe metadata.source)
+const INVOICE_SOURCE = "cmc-patagonia-order";
+
+// Invoices that bill their rows; void and uncollectible ones no longer do
+const ACTIVE_STATUSES = ["open", "paid"];
+
+// Rows read from several order files are "<file>:<row>"; the sheet's and a
+// single file's are plain numbers
+const splitRow = (row) => {
+  const match = /^(.*):(\d+)$/.exec(String(row));
+  return match ? [match[1], Number(match[2])] : ["", Number(row)];
+};
+const joinRow = (file, row) => (file ? `${file}:${row}` : row);
+
+/**
+ * Formats sheet row numbers compactly for Stripe metadata (500 char limit)
+ * @param {Array<number|string>} rows - Sheet row numbers, or "<file>:<row>"
+ * @returns {string} Ranges (e.g., "2-4,9" or "orders.csv:2-4,paper.csv:2")
+ */
+function formatRowList(rows) {
+  const byFile = new Map();
+  for (const row of new Set(rows)) {
+    const [file, number] = splitRow(row);
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push(number);
+  }
+  const parts = [];
+  for (const file of [...byFile.keys()].sort()) {
+    const sorted = byFile.get(file).sort((a, b) => a - b);
+    for (let i = 0; i < sorted.length; i++) {
+      const start = sorted[i];
+      while (sorted[i + 1] === sorted[i] + 1) i++;
+      parts.push(joinRow(file, start === sorted[i] ? `${start}` : `${start}-${sorted[i]}`));
+    }
+  }
+  return parts.join(",");
+}
+
+/**
+ * Parses a row list written by formatRowList
+ * @param {string} [text] - Ranges (e.g., "2-4,9" or "orders.csv:2-4,paper.csv:2")
+ * @returns {Array<number|string>} Sheet row numbers, or "<file>:<row>"
+ */
+function parseRowList(text) {
+  const rows = [];
+  for (const part of String(text || "").split(",")) {
+    const match = /^(?:(.*):)?(\d+)(?:-(\d+))?$/.exec(part.trim());
+    if (!match) continue;
+    const [, file, start, end = start] = match;
+    for (let row = Number(start); row <= Number(end); row++) rows.push(joinRow(file, row));
+  }
+  return rows;
+}
+
+/**
+ * Builds a deterministic Stripe idempotency key. The same parts always give
+ * the same key, so a retried or resumed request cannot create a duplicate.
+ * @param {...string} parts - What makes the request unique
+ * @returns {string} Idempotency key
+ */
+function buildIdempotencyKey(...parts) {
+  const digest = crypto.createHash("sha256").update(parts.join("\n")).digest("hex");
+  return `${INVOICE_SOURCE}-${digest.slice(0, 32)}`;
+}
+
+/**
+ * Sorts a customer's Stripe invoices for one campaign by what they mean for this run
+ * @param {Array<Object>} invoices - Stripe invoices for the customer
+ * @param {string|null} campaignId - Campaign being invoiced
+ * @returns {{active: Array<Object>, drafts: Array<Object>, coveredRows: Set<number>}}
+ *   Open/paid invoices, drafts left by an interrupted run, and the rows the active ones bill
+ */
+function classifyInvoices(invoices, campaignId) {
+  const ours = invoices.filter(
+    (inv) => inv.metadata?.source === INVOICE_SOURCE && (inv.metadata.campaign || "") === (campaignId || "")
+  );
+  const active = ours.filter((inv) => ACTIVE_STATUSES.includes(inv.status));
+  const drafts = ours.filter((inv) => inv.status === "draft");
+  const coveredRows = new Set(active.flatMap((inv) => parseRowList(inv.metadata.rows)));
+  return { active, drafts, coveredRows };
+}
+
+/**
+ * Maps each sheet row to the invoice that bills it now. When an amendment
+ * re-bills a row, the newer invoice wins.
+ * @param {Array<{id: string, created: number, metadata: Object}>} activeInvoices - From classifyInvoices
+ * @returns {Map<number, string>} Invoice ID by sheet row number
+ */
+function assignRowsToInvoices(activeInvoices) {
+  const owners = new Map();
+  const oldestFirst = [...activeInvoices].sort((a, b) => (a.created || 0) - (b.created || 0));
+  for (const inv of oldestFirst) {
+    for (const row of parseRowList(inv.metadata.rows)) owners.set(row, inv.id);
+  }
+  return owners;
+}
+
+/**
+ * Splits a customer's items into already invoiced and pending
+ * @param {{items: Array<{row: number, invoiceId: string}>}} customer - Customer from groupByEmail
+ * @param {Set<number>} [coveredRows] - Rows billed by active Stripe invoices
+ * @returns {{invoiced: Array<Object>, pending: Array<Object>}} Items
+ */
+function splitInvoicedItems(customer, coveredRows = new Set()) {
+  const invoiced = [];
+  const pending = [];
+  for (const item of customer.items) {
+    if (item.invoiceId || coveredRows.has(item.row)) {
+      invoiced.push(item);
+    } else {
+      pending.push(item);
+    }
+  }
+  return { invoiced, pending };
+}
+
+module.exports = {
+  INVOICE_SOURCE,
+  ACTIVE_STATUSES,
+  formatRowList,
+  parseRowList,
+  buildIdempotencyKey,
+  classifyInvoices,
+  assignRowsToInvoices,
+  splitInvoicedItems,
+};
@@ -0,0 +1,237 @@
+/**
+ * Run journals for create, send and amend
+ *
+ * Console output scrolls away; the journal is the record of what a run did.
+ * Every run that can change Stripe writes journals/<runId>.json with the
+ * pricing it used, what it computed for each customer, and the ID of every
+ * Stripe object it created, as it creates them. A run that dies halfway still
+ * leaves an accurate journal, including drafts it never finished.
+ *
+ * "invoice.js rollback <runId>" reads the journal back to undo the run.
+ *
+ *   {
+ *     "version": 1,
+ *     "runId": "20261102-120000-a1b2",
+ *     "command": "create", "campaign": "2026-fall", "only": null, "provider": "stripe",
+ *     "sources": ["orders.csv"],             // [] when read from the Google Sheet
+ *     "startedAt": "...", "finishedAt": "...",
+ *     "pricing": { ... },                     // the catalog as resolved for the campaign
+ *     "settings": { "minQuantity": 6, "dueDate": { "days": 14 } },
+ *     "taxRates": ["txr_..."],                // created by this run
+ *     "customers": {
+ *       "ana@example.com": {
+ *         "name": "Ana", "aliases": [], "status": "done",
+ *         "amounts": { "subtotal": 35150, "tax": 2548, "processingFee": 1182, "total": 38880, "lines": [...] },
+ *         "stripeCustomer": { "id": "cus_...", "created": true },
+ *         "invoices": [{ "id": "in_...", "rows": [2, 3], "status": "open", "items": ["ii_..."] }]
+ *       }
+ *     },
+ *     "voided": ["in_..."], "creditNotes": ["cn_..."],   // amend: changes rollback can't undo
+ *     "summary": { ... },
+ *     "rollbacks": [{ "at": "...", "voided": [...], "deleted": [...], "skipped": [...] }]
+ *   }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const JOURNAL_VERSION = 1;
+const JOURNAL_DIR = "journals";
+
+// e.g. "20261102-120000-a1b2": sorts by start time, unique within a second
+function newRunId(now) {
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(2).toString("hex")}`;
+}
+
+const journalPath = (dir, runId) => path.join(dir, `${runId}.json`);
+
+function writeJournal(file, data) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, JSON.stringify(data, null, 2) + "\n");
+  fs.renameSync(temporary, file);
+}
+
+/**
+ * Starts the journal for a run
+ * @param {Object} run - command, campaign, only, provider, sources, pricing and settings
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Journal directory (default: journals)
+ * @param {function(): Date} [options.now] - Clock (for tests)
+ * @returns {Object} Journal; each method saves the file before returning
+ */
+function createJournal(run, { dir = JOURNAL_DIR, now = () => new Date() } = {}) {
+  const startedAt = now();
+  const runId = newRunId(startedAt);
+  const file = journalPath(dir, runId);
+  const data = {
+    version: JOURNAL_VERSION,
+    runId,
+    ...run,
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    taxRates: [],
+    customers: {},
+    voided: [],
+    creditNotes: [],
+    summary: null,
+    rollbacks: [],
+  };
+  const save = () => writeJournal(file, data);
+
+  const customerEntry = (email) => {
+    if (!data.customers[email]) data.customers[email] = { invoices: [] };
+    return data.customers[email];
+  };
+  const findInvoice = (invoiceId) =>
+    Object.values(data.customers)
+      .flatMap((customer) => customer.invoices)
+      .find((invoice) => invoice.id === invoiceId);
+
+  save();
+
+  return {
+    runId,
+    file,
+
+    /**
+     * Records what was computed for a customer, or how they finished
+     * @param {string} email - Billing email
+     * @param {Object} fields - name, aliases, status, amounts, error...
+     */
+    customer(email, fields) {
+      Object.assign(customerEntry(email), fields);
+      save();
+    },
+
+    /**
+     * @param {string} email - Billing email
+     * @param {string} id - Stripe customer ID
+     * @param {boolean} created - True if this run created it
+     */
+    stripeCustomer(email, id, created) {
+      const entry = customerEntry(email);
+      const createdEarlier = entry.stripeCustomer?.id === id && entry.stripeCustomer.created;
+      entry.stripeCustomer = { id, created: created || createdEarlier };
+      save();
+    },
+
+    /**
+     * Records a new invoice as soon as Stripe returns it, still a draft
+     * @param {string} email - Billing email
+     * @param {{id: string, rows: number[], supplemental?: boolean, amends?: string}} invoice - Invoice
+     */
+    invoice(email, invoice) {
+      customerEntry(email).invoices.push({ ...invoice, status: "draft", items: [] });
+      save();
+    },
+
+    /**
+     * @param {string} invoiceId - Invoice from invoice()
+     * @param {string} itemId - Invoice item ID
+     */
+    invoiceItem(invoiceId, itemId) {
+      findInvoice(invoiceId).items.push(itemId);
+      save();
+    },
+
+    /**
+     * @param {string} invoiceId - Invoice from invoice()
+     * @param {string} status - "open" or "sent"
+     */
+    invoiceStatus(invoiceId, status) {
+      findInvoice(invoiceId).status = status;
+      save();
+    },
+
+    taxRate(id) {
+      data.taxRates.push(id);
+      save();
+    },
+
+    voided(invoiceId) {
+      data.voided.push(invoiceId);
+      save();
+    },
+
+    creditNote(id) {
+      data.creditNotes.push(id);
+      save();
+    },
+
+    /**
+     * @param {Object} summary - Counts and totals for the run
+     */
+    finish(summary) {
+      data.summary = summary;
+      data.finishedAt = now().toISOString();
+      save();
+    },
+  };
+}
+
+/**
+ * Reads a run's journal
+ * @param {string} runId - Run ID
+ * @param {string} [dir] - Journal directory
+ * @returns {Object|null} Journal, or null if there is none
+ * @throws {Error} If the file is not a journal this version can read
+ */
+function readJournal(runId, dir = JOURNAL_DIR) {
+  if (!/^[\w-]+$/.test(runId)) return null;
+  const file = journalPath(dir, runId);
+  if (!fs.existsSync(file)) return null;
+  const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (data?.version !== JOURNAL_VERSION || data.runId !== runId) {
+    throw new Error(`${path.basename(file)} is not a journal from this version of invoice.js`);
+  }
+  return data;
+}
+
+/**
+ * Lists journaled runs, newest first
+ * @param {string} [dir] - Journal directory
+ * @returns {string[]} Run IDs
+ */
+function listJournals(dir = JOURNAL_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => name.slice(0, -".json".length))
+    .sort()
+    .reverse();
+}
+
+/**
+ * Appends a rollback to a run's journal
+ * @param {Object} journal - From readJournal
+ * @param {Object} rollback - What the rollback did
+ * @param {string} [dir] - Journal directory
+ */
+function recordRollback(journal, rollback, dir = JOURNAL_DIR) {
+  journal.rollbacks.push(rollback);
+  writeJournal(journalPath(dir, journal.runId), journal);
+}
+
+/**
+ * Every invoice a run created, with its customer
+ * @param {Object} journal - From readJournal
+ * @returns {Array<{email: string, aliases: string[], invoice: Object}>} In the order they were created, per customer
+ */
+function listJournalInvoices(journal) {
+  return Object.entries(journal.customers).flatMap(([email, customer]) =>
+    customer.invoices.map((invoice) => ({ email, aliases: customer.aliases || [], invoice }))
+  );
+}
+
+module.exports = {
+  JOURNAL_DIR,
+  createJournal,
+  readJournal,
+  listJournals,
+  recordRollback,
+  listJournalInvoices,
+};
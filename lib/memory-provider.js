@@ -0,0 +1,345 @@
+/**
+ * Offline payment provider for rehearsals and end-to-end tests
+ *
+ * Behaves like the parts of Stripe invoice.js uses: invoices move from draft
+ * to open to paid or void, totals include per-line tax rounded as Stripe does,
+ * and a repeated idempotency key returns the original object. Every request,
+ * reads included, is appended to a call log. With a ledger file, state
+ * survives between runs, so "create" then "status" then "amend" can be
+ * rehearsed against the same data.
+ *
+ * To rehearse failures, add faults to the ledger file. Each makes the next
+ * `times` matching requests fail the way Stripe would, before doing anything:
+ *
+ *   "faults": [{ "op": "customers.create", "params": { "email": "cy@example.com" }, "error": "connection", "times": 2 }]
+ *
+ * error is "rate_limit", "connection", "api" (a 500) or "invalid_request";
+ * params, if given, must match the request's.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { calculateTax } = require("./pricing");
+
+function emptyLedger() {
+  return {
+    nextId: 1,
+    customers: [],
+    taxRates: [],
+    invoices: [],
+    invoiceItems: [],
+    creditNotes: [],
+    idempotency: {},
+    faults: [],
+    calls: [],
+  };
+}
+
+/**
+ * Reads a ledger file written by the memory provider
+ * @param {string} file - Ledger path
+ * @returns {Object} Ledger (empty if the file does not exist)
+ */
+function readLedger(file) {
+  if (!fs.existsSync(file)) return emptyLedger();
+  return { ...emptyLedger(), ...JSON.parse(fs.readFileSync(file, "utf-8")) };
+}
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Creates the memory provider
+ * @param {Object} [options]
+ * @param {string} [options.file] - Ledger file to load and save (in memory only if omitted)
+ * @param {function(): number} [options.now] - Clock in milliseconds (for tests)
+ * @returns {Object} Payment provider (see lib/providers.js), plus payInvoice() and ledger()
+ */
+function createMemoryProvider({ file = null, now = Date.now } = {}) {
+  const ledger = file ? readLedger(file) : emptyLedger();
+  const seconds = () => Math.floor(now() / 1000);
+
+  function save() {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(ledger, null, 2) + "\n");
+  }
+
+  function nextId(prefix) {
+    return `${prefix}_mem${String(ledger.nextId++).padStart(4, "0")}`;
+  }
+
+  function fail(message, code = null) {
+    const err = new Error(message);
+    err.type = "invalid_request_error";
+    if (code) err.code = code;
+    throw err;
+  }
+
+  // Stripe SDK error shapes, by fault "error"
+  const FAULT_ERRORS = {
+    rate_limit: { type: "StripeRateLimitError", statusCode: 429, code: "rate_limit", message: "Too many requests" },
+    connection: { type: "StripeConnectionError", message: "An error occurred with our connection to Stripe" },
+    api: { type: "StripeAPIError", statusCode: 500, message: "An unknown error occurred" },
+    invalid_request: { type: "StripeInvalidRequestError", statusCode: 400, message: "Invalid request" },
+  };
+
+  // Throws if a fault in the ledger matches this request, using one of its times
+  function injectFault(op, params) {
+    const fault = ledger.faults.find(
+      (f) =>
+        f.op === op &&
+        (f.times ?? 1) > 0 &&
+        Object.entries(f.params || {}).every(([key, value]) => params?.[key] === value)
+    );
+    if (!fault) return;
+    fault.times = (fault.times ?? 1) - 1;
+    const { message, ...fields } = FAULT_ERRORS[fault.error] || FAULT_ERRORS.api;
+    throw Object.assign(new Error(fault.message || message), fields);
+  }
+
+  function findInvoice(invoiceId) {
+    const invoice = ledger.invoices.find((inv) => inv.id === invoiceId);
+    if (!invoice) fail(`No such invoice: '${invoiceId}'`, "resource_missing");
+    return invoice;
+  }
+
+  /**
+   * Logs a request and runs it once per idempotency key. A repeated key
+   * returns the first result, as Stripe does.
+   */
+  function record(op, params, idempotencyKey, run) {
+    const call = { op, params: clone(params), at: new Date(now()).toISOString() };
+    if (idempotencyKey) call.idempotencyKey = idempotencyKey;
+    ledger.calls.push(call);
+
+    try {
+      injectFault(op, params);
+    } catch (err) {
+      call.error = err.message;
+      save();
+      throw err;
+    }
+
+    const replay = idempotencyKey && ledger.idempotency[idempotencyKey];
+    if (replay) {
+      call.replayed = true;
+      save();
+      return clone(replay);
+    }
+    let result;
+    try {
+      result = run();
+    } catch (err) {
+      call.error = err.message;
+      save();
+      throw err;
+    }
+    if (idempotencyKey) ledger.idempotency[idempotencyKey] = clone(result);
+    if (result?.id) call.result = result.id;
+    save();
+    return clone(result);
+  }
+
+  function lineItems(invoiceId) {
+    return ledger.invoiceItems
+      .filter((item) => item.invoice === invoiceId)
+      .map((item) => ({
+        id: `il_${item.id}`,
+        invoice_item: item.id,
+        description: item.description,
+        amount: item.amount,
+        currency: item.currency,
+        metadata: item.metadata,
+        tax_rates: item.tax_rates.map((id) => ledger.taxRates.find((rate) => rate.id === id)),
+      }));
+  }
+
+  function customerEmail(customerId) {
+    return ledger.customers.find((c) => c.id === customerId)?.email || null;
+  }
+
+  // What Stripe would report for the invoice right now
+  function view(invoice) {
+    const lines = lineItems(invoice.id);
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    const tax = lines.reduce(
+      (sum, line) => sum + line.tax_rates.reduce((t, rate) => t + calculateTax(line.amount, rate.percentage / 100), 0),
+      0
+    );
+    const total = subtotal + tax;
+    const amountPaid = invoice.status === "paid" ? total : 0;
+    return {
+      ...invoice,
+      customer_email: customerEmail(invoice.customer),
+      subtotal,
+      tax,
+      total,
+      amount_due: total,
+      amount_paid: amountPaid,
+      amount_remaining: ["open", "paid"].includes(invoice.status) ? total - amountPaid : 0,
+    };
+  }
+
+  return {
+    name: "memory",
+
+    async findCustomer(email) {
+      return record("customers.list", { email }, null, () => ledger.customers.find((c) => c.email === email) || null);
+    },
+
+    async createCustomer(params, idempotencyKey) {
+      return record("customers.create", params, idempotencyKey, () => {
+        const customer = { id: nextId("cus"), object: "customer", created: seconds(), metadata: {}, ...params };
+        ledger.customers.push(customer);
+        return customer;
+      });
+    },
+
+    async listTaxRates() {
+      return record("taxRates.list", { active: true }, null, () => ledger.taxRates.filter((rate) => rate.active));
+    },
+
+    async createTaxRate(params) {
+      return record("taxRates.create", params, null, () => {
+        const rate = { id: nextId("txr"), object: "tax_rate", active: true, created: seconds(), metadata: {}, ...params };
+        ledger.taxRates.push(rate);
+        return rate;
+      });
+    },
+
+    async listInvoices({ customer } = {}) {
+      return record("invoices.list", customer ? { customer } : {}, null, () =>
+        ledger.invoices
+          .filter((inv) => !customer || inv.customer === customer)
+          .map(view)
+          .sort((a, b) => b.created - a.created)
+      );
+    },
+
+    async getInvoice(invoiceId) {
+      return record("invoices.retrieve", { invoice: invoiceId }, null, () => view(findInvoice(invoiceId)));
+    },
+
+    async createInvoice(params, idempotencyKey) {
+      return record("invoices.create", params, idempotencyKey, () => {
+        if (!ledger.customers.some((c) => c.id === params.customer)) fail(`No such customer: '${params.customer}'`);
+        const invoice = {
+          id: nextId("in"),
+          object: "invoice",
+          status: "draft",
+          created: seconds(),
+          charge: null,
+          due_date: params.due_date || null,
+          metadata: {},
+          ...params,
+        };
+        ledger.invoices.push(invoice);
+        return view(invoice);
+      });
+    },
+
+    async deleteDraftInvoice(invoiceId) {
+      return record("invoices.del", { invoice: invoiceId }, null, () => {
+        const invoice = findInvoice(invoiceId);
+        if (invoice.status !== "draft") fail(`You can only delete draft invoices (${invoiceId} is ${invoice.status})`);
+        ledger.invoices = ledger.invoices.filter((inv) => inv.id !== invoiceId);
+        ledger.invoiceItems = ledger.invoiceItems.filter((item) => item.invoice !== invoiceId);
+        return { id: invoiceId, deleted: true };
+      });
+    },
+
+    async createInvoiceItem(params, idempotencyKey) {
+      return record("invoiceItems.create", params, idempotencyKey, () => {
+        const invoice = findInvoice(params.invoice);
+        if (invoice.status !== "draft") fail(`Invoice ${invoice.id} is ${invoice.status}; items can only be added to drafts`);
+        const item = { id: nextId("ii"), object: "invoiceitem", metadata: {}, ...params, tax_rates: params.tax_rates || [] };
+        ledger.invoiceItems.push(item);
+        return item;
+      });
+    },
+
+    async finalizeInvoice(invoiceId, idempotencyKey) {
+      return record("invoices.finalizeInvoice", { invoice: invoiceId }, idempotencyKey, () => {
+        const invoice = findInvoice(invoiceId);
+        if (invoice.status !== "draft") fail(`Invoice ${invoiceId} is already ${invoice.status}`);
+        invoice.status = "open";
+        if (!invoice.due_date && invoice.days_until_due) {
+          invoice.due_date = seconds() + invoice.days_until_due * 86400;
+        }
+        invoice.hosted_invoice_url = `memory://invoices/${invoiceId}`;
+        return view(invoice);
+      });
+    },
+
+    async sendInvoice(invoiceId, idempotencyKey) {
+      return record("invoices.sendInvoice", { invoice: invoiceId }, idempotencyKey, () => {
+        const invoice = findInvoice(invoiceId);
+        if (invoice.status !== "open") fail(`Only open invoices can be sent (${invoiceId} is ${invoice.status})`);
+        invoice.sent_count = (invoice.sent_count || 0) + 1;
+        return view(invoice);
+      });
+    },
+
+    async voidInvoice(invoiceId, idempotencyKey) {
+      return record("invoices.voidInvoice", { invoice: invoiceId }, idempotencyKey, () => {
+        const invoice = findInvoice(invoiceId);
+        if (invoice.status !== "open") fail(`Only open invoices can be voided (${invoiceId} is ${invoice.status})`);
+        invoice.status = "void";
+        return view(invoice);
+      });
+    },
+
+    async listInvoiceLines(invoiceId) {
+      return record("invoices.listLineItems", { invoice: invoiceId }, null, () => {
+        findInvoice(invoiceId);
+        return lineItems(invoiceId);
+      });
+    },
+
+    async listCreditNotes(invoiceId) {
+      return record("creditNotes.list", { invoice: invoiceId }, null, () =>
+        ledger.creditNotes.filter((note) => note.invoice === invoiceId)
+      );
+    },
+
+    async createCreditNote(params, idempotencyKey) {
+      return record("creditNotes.create", params, idempotencyKey, () => {
+        const invoice = findInvoice(params.invoice);
+        if (!["open", "paid"].includes(invoice.status)) fail(`Invoice ${invoice.id} is ${invoice.status}`);
+        const note = { id: nextId("cn"), object: "credit_note", status: "issued", created: seconds(), metadata: {}, ...params };
+        ledger.creditNotes.push(note);
+        return note;
+      });
+    },
+
+    /**
+     * Marks an open invoice paid, as if the customer paid it (rehearsals and tests only)
+     * @param {string} invoiceId - Invoice ID
+     * @param {Object} [options]
+     * @param {boolean} [options.outOfBand] - Paid outside Stripe (no charge to refund)
+     * @returns {Promise<Object>} Invoice
+     */
+    async payInvoice(invoiceId, { outOfBand = false } = {}) {
+      return record("invoices.pay", { invoice: invoiceId, outOfBand }, null, () => {
+        const invoice = findInvoice(invoiceId);
+        if (invoice.status !== "open") fail(`Only open invoices can be paid (${invoiceId} is ${invoice.status})`);
+        invoice.status = "paid";
+        invoice.charge = outOfBand ? null : `ch_${invoiceId}`;
+        return view(invoice);
+      });
+    },
+
+    /**
+     * Everything the provider holds, including the call log
+     * @returns {Object} Copy of the ledger
+     */
+    ledger() {
+      return clone(ledger);
+    },
+  };
+}
+
+module.exports = {
+  createMemoryProvider,
+  readLedger,
+};
@@ -0,0 +1,39 @@
+/**
+ * Bounded concurrency: run async work on many items, a few at a time
+ */
+
+/**
+ * Calls worker for every item, with at most `limit` calls in flight. Items
+ * start in order. A worker that throws rejects the whole run once the calls
+ * already in flight finish; workers that must not stop the others should
+ * catch their own errors.
+ * @param {Array} items - Items to work on
+ * @param {number} limit - Most calls in flight at once (at least 1)
+ * @param {function(*, number): Promise<*>} worker - Called with (item, index)
+ * @returns {Promise<Array>} Results, in item order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  async function lane() {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (err) {
+        failure = failure || err;
+      }
+    }
+  }
+
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, lane);
+  await Promise.all(lanes);
+  if (failure) throw failure;
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
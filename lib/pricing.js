@@ -1,30 +1,113 @@
 /**
  * Pricing and order aggregation logic for CMC Patagonia orders
+ *
+ * The catalog is written in dollars. Every amount this module returns is in
+ * integer cents, rounded half up per line item the way Stripe rounds, so the
+ * console totals match what Stripe bills.
  */
 
-// Colors that normalize to "Gray" for pricing purposes
-const GRAY_COLORS = ["Birch White", "Stonewash"];
+const { getTaxJurisdiction, parseTaxExempt } = require("./tax");
+const { resolveEmail } = require("./identity");
+
+// How items are pooled when counting toward a price tier (pricing.tierGrouping)
+const TIER_GROUPINGS = ["productColor", "product", "order"];
+
+// Stands in for "any product" / "any color" in tier group keys
+const ANY = "*";
+
+// Stripe's standard card rate, used when the catalog has no processingFee.
+// index.html and google-apps-script.js keep copies for their estimates.
+const DEFAULT_PROCESSING_FEE = { mode: "passThrough", percent: 0.029, fixed: 0.30 };
+
+// Who pays the card fee (pricing.processingFee.mode):
+//   absorb      - we pay it; invoices carry no fee line
+//   passThrough - the customer pays it, grossed up so we net subtotal + tax
+//   achFree     - like passThrough for card payers; bank (ACH) payers pay no fee
+const PROCESSING_FEE_MODES = ["absorb", "passThrough", "achFree"];
+
+// How a customer pays: "card" or "ach" (bank debit)
+const PAYMENT_METHODS = ["card", "ach"];
+
+/**
+ * Rounds a fractional cent amount half up, ignoring float noise
+ * (e.g. 72.49999999999999 rounds to 73, like the exact 72.5 would)
+ * @param {number} value - Amount in cents, possibly fractional
+ * @returns {number} Integer cents
+ */
+function roundCents(value) {
+  return Math.round(Number(value.toFixed(6)));
+}
+
+/**
+ * Converts a catalog dollar amount to integer cents
+ * @param {number} dollars - Amount in dollars (e.g., 173.58)
+ * @returns {number} Integer cents (e.g., 17358)
+ */
+function toCents(dollars) {
+  return roundCents(dollars * 100);
+}
+
+/**
+ * Formats integer cents for display
+ * @param {number} cents - Amount in cents
+ * @returns {string} Formatted amount (e.g., "$173.58")
+ */
+function formatCents(cents) {
+  const sign = cents < 0 ? "-" : "";
+  return `${sign}$${(Math.abs(cents) / 100).toFixed(2)}`;
+}
 
 /**
- * Normalizes color names - combines gray variants
+ * Normalizes color names to their color family, if any
+ * (e.g. { "Gray": ["Birch White", "Stonewash"] } maps Stonewash to Gray)
  * @param {string} color - Original color name
- * @returns {string} Normalized color
+ * @param {Object<string, string[]>} [colorFamilies] - Family name to member colors
+ * @returns {string} Family name, or the color itself
  */
-function normalizeColor(color) {
-  if (GRAY_COLORS.includes(color)) return "Gray";
+function normalizeColor(color, colorFamilies = {}) {
+  for (const [family, members] of Object.entries(colorFamilies)) {
+    if (members.includes(color)) return family;
+  }
   return color;
 }
 
 /**
- * Counts items grouped by product+color combination
+ * Builds the key an item counts toward for tier pricing, per pricing.tierGrouping:
+ * "productColor" (default) → "Product|Color", "product" → "Product|*", "order" → "*|*"
+ * @param {string} product - Product name
+ * @param {string} color - Original color name
+ * @param {Object} pricing - Pricing config
+ * @returns {string} Tier group key
+ */
+function getTierGroupKey(product, color, pricing) {
+  const grouping = pricing.tierGrouping || "productColor";
+  if (grouping === "order") return `${ANY}|${ANY}`;
+  if (grouping === "product") return `${product}|${ANY}`;
+  return `${product}|${normalizeColor(color, pricing.colorFamilies)}`;
+}
+
+/**
+ * Describes a tier group key for display
+ * @param {string} key - Key from getTierGroupKey
+ * @returns {string} Label (e.g., "Better Sweater Jacket (Gray)", "Better Sweater Jacket (all colors)")
+ */
+function describeTierGroup(key) {
+  const [product, color] = key.split("|");
+  if (product === ANY) return "Whole order";
+  return `${product} (${color === ANY ? "all colors" : color})`;
+}
+
+/**
+ * Counts items grouped by product+color combination (colors merged by family)
  * @param {Array<{Product: string, Color: string}>} rows - Order rows
+ * @param {Object<string, string[]>} [colorFamilies] - Family name to member colors
  * @returns {Object<string, number>} Counts keyed by "Product|Color"
  */
-function countByProductColor(rows) {
+function countByProductColor(rows, colorFamilies = {}) {
   const counts = {};
   for (const row of rows) {
     const product = row.Product;
-    const color = normalizeColor(row.Color);
+    const color = normalizeColor(row.Color, colorFamilies);
     if (!product) continue;
     const key = `${product}|${color}`;
     counts[key] = (counts[key] || 0) + 1;
@@ -32,6 +115,23 @@ function countByProductColor(rows) {
   return counts;
 }
 
+/**
+ * Counts items by tier group, honoring pricing.tierGrouping and pricing.colorFamilies.
+ * The result feeds filterByMinimum and buildTierMap.
+ * @param {Array<{Product: string, Color: string}>} rows - Order rows
+ * @param {Object} pricing - Pricing config
+ * @returns {Object<string, number>} Counts keyed by tier group (see getTierGroupKey)
+ */
+function countByTierGroup(rows, pricing) {
+  const counts = {};
+  for (const row of rows) {
+    if (!row.Product) continue;
+    const key = getTierGroupKey(row.Product, row.Color, pricing);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
 /**
  * Determines pricing tier based on quantity
  * @param {number} qty - Item count
@@ -59,59 +159,116 @@ function getTierLabel(tierKey, tiers) {
 }
 
 /**
- * Builds tier map from product+color counts
- * @param {Object<string, number>} productColorCounts - Counts by product|color
+ * Builds tier map from tier group counts
+ * @param {Object<string, number>} groupCounts - Counts from countByTierGroup (or countByProductColor)
  * @param {Array<{minQty: number}>} tiers - Tier definitions
- * @returns {Object<string, string>} Tier key by product|color
+ * @returns {Object<string, string>} Tier key by tier group
  */
-function buildTierMap(productColorCounts, tiers) {
+function buildTierMap(groupCounts, tiers) {
   const tierMap = {};
-  for (const [key, count] of Object.entries(productColorCounts)) {
+  for (const [key, count] of Object.entries(groupCounts)) {
     tierMap[key] = getPricingTier(count, tiers);
   }
   return tierMap;
 }
 
 /**
- * Calculates price for a single item based on its product+color tier
+ * Looks up the extended-size upcharge for an item. A product's own
+ * sizeUpcharges take precedence over the catalog-wide ones.
+ * @param {{product: string, size: string}} item - Order item
+ * @param {Object} pricing - Pricing config
+ * @returns {number} Upcharge in cents (0 if none)
+ */
+function getSizeUpcharge(item, pricing) {
+  const productUpcharges = pricing.products[item.product]?.sizeUpcharges || {};
+  if (item.size in productUpcharges) return toCents(productUpcharges[item.size]);
+  return toCents((pricing.sizeUpcharges || {})[item.size] || 0);
+}
+
+/**
+ * Calculates price for a single item based on its tier group's tier.
+ * Each component is converted to cents separately, so the sum is exact.
  * @param {Object} item - Order item
  * @param {Object} tierMap - Tier map from buildTierMap
  * @param {Object} pricing - Pricing config
- * @returns {{price: number, tierKey: string}|null} Price info or null if unknown product
+ * @returns {{amount: number, tierKey: string, sizeUpcharge: number}|null} Amounts in cents, or null if unknown product
  */
 function getItemPrice(item, tierMap, pricing) {
   const productPricing = pricing.products[item.product];
   if (!productPricing) {
     return null;
   }
-  const color = normalizeColor(item.color);
-  const key = `${item.product}|${color}`;
+  const key = getTierGroupKey(item.product, item.color, pricing);
   const tierKey = tierMap[key] || "6";
-  const basePrice = productPricing[tierKey];
-  const embroideryFee = item.embroideredName ? pricing.embroideryFee : 0;
-  const foldingFee = pricing.foldingFee || 0;
-  return { price: basePrice + embroideryFee + foldingFee, tierKey };
+  const basePrice = toCents(productPricing.prices[tierKey]);
+  const embroideryFee = item.embroideredName ? toCents(pricing.embroideryFee) : 0;
+  const foldingFee = toCents(pricing.foldingFee || 0);
+  const sizeUpcharge = getSizeUpcharge(item, pricing);
+  return { amount: basePrice + embroideryFee + foldingFee + sizeUpcharge, tierKey, sizeUpcharge };
+}
+
+/**
+ * Reads a "Payment Method" cell ("ACH", "Bank transfer", "Card", blank)
+ * @param {*} value - Cell value
+ * @returns {string} "ach" for bank payments, otherwise "card"
+ */
+function parsePaymentMethod(value) {
+  return /^\s*(ach|bank)/i.test(String(value ?? "")) ? "ach" : "card";
 }
 
 /**
- * Groups order rows by customer email
+ * Groups order rows by customer email. A customer is tax-exempt if any of
+ * their rows has a "Tax Exempt" value; the first "Tax Jurisdiction" wins,
+ * and they pay by ACH if any row says so. Items keep their sheet row number
+ * (row._row) and any "Invoice ID" already recorded for them.
+ *
+ * With aliases, rows from an alias email join the billing email's customer
+ * (listed in customer.aliases). Name and phone come from the first row with
+ * the billing email, falling back to the first row that has them.
+ *
+ * customer.duplicateOrders flags orders the customer submitted more than once
+ * (see findDuplicateOrders).
  * @param {Array<Object>} rows - Order rows from sheet
- * @returns {Array<{name: string, phone: string, email: string, items: Array}>} Grouped customers
+ * @param {Map<string, string>} [aliases] - Billing email by alias email (see lib/identity.js)
+ * @returns {Array<{name: string, phone: string, email: string, aliases: string[], taxExempt: boolean, taxCertificate: string, taxJurisdiction: string, paymentMethod: string, items: Array, duplicateOrders: Array}>} Grouped customers
  */
-function groupByEmail(rows) {
+function groupByEmail(rows, aliases = new Map()) {
   const grouped = {};
+  const contactFromBilling = new Set();
   for (const row of rows) {
-    const email = row.Email?.toLowerCase();
-    if (!email) continue;
+    const rowEmail = row.Email?.trim().toLowerCase();
+    if (!rowEmail) continue;
+    const email = resolveEmail(rowEmail, aliases);
     if (!grouped[email]) {
       grouped[email] = {
         name: row.Name,
         phone: row.Phone,
         email: email,
+        aliases: [],
+        taxExempt: false,
+        taxCertificate: "",
+        taxJurisdiction: "",
+        paymentMethod: "card",
         items: [],
       };
     }
-    grouped[email].items.push({
+    const customer = grouped[email];
+    if (rowEmail !== email && !customer.aliases.includes(rowEmail)) customer.aliases.push(rowEmail);
+    if (rowEmail === email && !contactFromBilling.has(email)) {
+      contactFromBilling.add(email);
+      customer.name = row.Name || customer.name;
+      customer.phone = row.Phone || customer.phone;
+    }
+    customer.name = customer.name || row.Name;
+    customer.phone = customer.phone || row.Phone;
+    const exemption = parseTaxExempt(row["Tax Exempt"]);
+    if (exemption.exempt) {
+      customer.taxExempt = true;
+      customer.taxCertificate = customer.taxCertificate || exemption.certificate;
+    }
+    customer.taxJurisdiction = customer.taxJurisdiction || String(row["Tax Jurisdiction"] || "").trim();
+    if (parsePaymentMethod(row["Payment Method"]) === "ach") customer.paymentMethod = "ach";
+    customer.items.push({
       product: row.Product,
       style: row.Style,
       size: row.Size,
@@ -119,22 +276,65 @@ function groupByEmail(rows) {
       logo: row.Logo,
       embroideredName: row["Embroidered Name"] || "",
       threadColor: row["Thread Color"] || "",
+      row: row._row,
+      invoiceId: String(row["Invoice ID"] || "").trim(),
+      orderId: String(row["Order ID"] || "").trim(),
+      submittedAt: String(row.Timestamp || "").trim(),
     });
   }
-  return Object.values(grouped);
+  const customers = Object.values(grouped);
+  for (const customer of customers) customer.duplicateOrders = findDuplicateOrders(customer.items);
+  return customers;
+}
+
+// What makes two items the same, for findDuplicateOrders
+const ITEM_FIELDS = ["product", "style", "size", "color", "logo", "embroideredName", "threadColor"];
+
+/**
+ * Finds orders submitted more than once: orders with exactly the same items
+ * as an earlier order from the same customer. Items belong to the same order
+ * if they share an Order ID or, for rows from before Order IDs, a Timestamp;
+ * items with neither are not compared. The Apps Script's Summary tab flags
+ * the same orders.
+ * @param {Array<Object>} items - Customer's items, from groupByEmail
+ * @returns {Array<{orderId: string, rows: number[], duplicateOf: {orderId: string, rows: number[]}}>} Each repeated order, with the order it repeats
+ */
+function findDuplicateOrders(items) {
+  const orders = new Map();
+  for (const item of items) {
+    const key = item.orderId || item.submittedAt;
+    if (!key) continue;
+    if (!orders.has(key)) orders.set(key, { orderId: item.orderId, rows: [], items: [] });
+    const order = orders.get(key);
+    order.rows.push(item.row);
+    order.items.push(ITEM_FIELDS.map((field) => String(item[field] ?? "").trim().toLowerCase()).join("|"));
+  }
+
+  const seen = new Map();
+  const duplicates = [];
+  for (const { orderId, rows, items: signatures } of orders.values()) {
+    const signature = signatures.sort().join("\n");
+    const first = seen.get(signature);
+    if (first) {
+      duplicates.push({ orderId, rows, duplicateOf: first });
+    } else {
+      seen.set(signature, { orderId, rows });
+    }
+  }
+  return duplicates;
 }
 
 /**
- * Separates product+color combos by minimum quantity threshold
- * @param {Object<string, number>} productColorCounts - Counts by product|color
+ * Separates tier groups by minimum quantity threshold
+ * @param {Object<string, number>} groupCounts - Counts from countByTierGroup (or countByProductColor)
  * @param {number} minQuantity - Minimum quantity threshold
  * @returns {{eligible: Object, excluded: Object}} Separated counts
  */
-function filterByMinimum(productColorCounts, minQuantity) {
+function filterByMinimum(groupCounts, minQuantity) {
   const eligible = {};
   const excluded = {};
 
-  for (const [key, count] of Object.entries(productColorCounts)) {
+  for (const [key, count] of Object.entries(groupCounts)) {
     if (count >= minQuantity) {
       eligible[key] = count;
     } else {
@@ -146,49 +346,202 @@ function filterByMinimum(productColorCounts, minQuantity) {
 }
 
 /**
- * Calculates sales tax
- * @param {number} subtotal - Taxable subtotal
+ * Keeps only rows tagged with the given campaign ID
+ * @param {Array<{Campaign: string}>} rows - Order rows
+ * @param {string|null} campaignId - Campaign ID, or null to keep every row
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUntagged] - Also keep rows with no Campaign
+ *   (orders from before campaigns were set up)
+ * @returns {Array<Object>} Rows in the campaign
+ */
+function filterByCampaign(rows, campaignId, { includeUntagged = false } = {}) {
+  if (!campaignId) return rows;
+  return rows.filter((row) => {
+    const tag = String(row.Campaign || "").trim();
+    return tag === campaignId || (includeUntagged && tag === "");
+  });
+}
+
+/**
+ * Calculates sales tax on one line item, rounded half up to the cent
+ * @param {number} amount - Line item amount in cents
+ * @param {number} taxRate - Tax rate (e.g., 0.0725 for 7.25%)
+ * @returns {number} Tax in cents
+ */
+function calculateTax(amount, taxRate) {
+  return roundCents(amount * taxRate);
+}
+
+/**
+ * Calculates sales tax for an invoice the way Stripe does: per line item,
+ * each rounded, then summed. This can differ by a few cents from taxing
+ * the subtotal once.
+ * @param {number[]} amounts - Taxable line item amounts in cents
  * @param {number} taxRate - Tax rate (e.g., 0.0725 for 7.25%)
- * @returns {number} Tax amount
+ * @returns {number} Tax in cents
  */
-function calculateTax(subtotal, taxRate) {
-  return subtotal * taxRate;
+function calculateInvoiceTax(amounts, taxRate) {
+  return amounts.reduce((sum, amount) => sum + calculateTax(amount, taxRate), 0);
 }
 
 /**
- * Calculates Stripe processing fee (2.9% + $0.30)
- * @param {number} subtotal - Order subtotal
- * @returns {number} Fee amount
+ * Calculates the fee Stripe takes from a card charge (2.9% + $0.30 unless the
+ * catalog says otherwise)
+ * @param {number} amount - Charge amount in cents
+ * @param {{percent: number, fixed: number}} [processingFee] - Fee terms from the catalog (fixed in dollars)
+ * @returns {number} Fee in cents
  */
-function calculateStripeFee(subtotal) {
-  return (subtotal * 0.029) + 0.30;
+function calculateStripeFee(amount, processingFee = DEFAULT_PROCESSING_FEE) {
+  return roundCents(amount * processingFee.percent) + toCents(processingFee.fixed);
+}
+
+/**
+ * Calculates the smallest fee to add so that, after Stripe takes its cut of
+ * the whole charge, we still receive `net`
+ * @param {number} net - Amount we need to receive, in cents
+ * @param {{percent: number, fixed: number}} [processingFee] - Fee terms from the catalog
+ * @returns {number} Fee in cents
+ */
+function calculatePassThroughFee(net, processingFee = DEFAULT_PROCESSING_FEE) {
+  const received = (gross) => gross - calculateStripeFee(gross, processingFee);
+  const estimate = (net + toCents(processingFee.fixed)) / (1 - processingFee.percent);
+  let gross = Math.ceil(Number(estimate.toFixed(6)));
+  // Stripe rounds its percentage, so the estimate can be a cent off either way
+  while (received(gross) < net) gross++;
+  while (received(gross - 1) >= net) gross--;
+  return gross - net;
+}
+
+/**
+ * Processing fee to bill a customer under the catalog's fee mode
+ * @param {number} net - Subtotal + tax in cents
+ * @param {{mode: string, percent: number, fixed: number}} [processingFee] - Fee terms from the catalog
+ * @param {string} [paymentMethod] - "card" (default) or "ach"
+ * @returns {number} Fee in cents (0 when absorbed or fee-free)
+ */
+function getProcessingFee(net, processingFee = DEFAULT_PROCESSING_FEE, paymentMethod = "card") {
+  const mode = processingFee.mode || DEFAULT_PROCESSING_FEE.mode;
+  if (mode === "absorb") return 0;
+  if (mode === "achFree" && paymentMethod === "ach") return 0;
+  return calculatePassThroughFee(net, processingFee);
+}
+
+/**
+ * Prices one customer's order into invoice line items. Items whose
+ * tier group is not eligible are set aside in `excluded`.
+ * Totals reconcile with Stripe: tax is per taxable line item at the
+ * customer's jurisdiction rate (none if exempt), and the processing fee
+ * follows pricing.processingFee.mode (see getProcessingFee).
+ * @param {{items: Array<Object>, taxExempt: boolean, taxJurisdiction: string, paymentMethod: string}} customer - Customer from groupByEmail
+ * @param {Object<string, string>} tierMap - Tier map from buildTierMap
+ * @param {Object<string, number>} eligibleCombos - Eligible counts by tier group
+ * @param {Object} pricing - Pricing config
+ * @returns {{lines: Array<Object>, excluded: Array<Object>, taxExempt: boolean, taxJurisdiction: Object, paymentMethod: string, subtotal: number, tax: number, processingFee: number, total: number}} Amounts in cents
+ * @throws {Error} If the customer's tax jurisdiction is unknown
+ */
+function buildCustomerInvoice(customer, tierMap, eligibleCombos, pricing) {
+  const lines = [];
+  const excluded = [];
+  const taxExempt = !!customer.taxExempt;
+  const taxJurisdiction = getTaxJurisdiction(pricing, customer.taxJurisdiction);
+
+  for (const item of customer.items) {
+    const groupKey = getTierGroupKey(item.product, item.color, pricing);
+    if (!eligibleCombos[groupKey]) {
+      excluded.push(item);
+      continue;
+    }
+
+    const result = getItemPrice(item, tierMap, pricing);
+    if (result === null) continue;
+
+    lines.push({
+      item,
+      description: formatItemDescription(item, result),
+      amount: result.amount,
+      tierKey: result.tierKey,
+      sizeUpcharge: result.sizeUpcharge,
+      taxable: !taxExempt,
+      tax: taxExempt ? 0 : calculateTax(result.amount, taxJurisdiction.rate),
+    });
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  const tax = lines.reduce((sum, line) => sum + line.tax, 0);
+  const paymentMethod = customer.paymentMethod || "card";
+  const processingFee =
+    lines.length > 0 ? getProcessingFee(subtotal + tax, pricing.processingFee, paymentMethod) : 0;
+
+  return {
+    lines,
+    excluded,
+    taxExempt,
+    taxJurisdiction,
+    paymentMethod,
+    subtotal,
+    tax,
+    processingFee,
+    total: subtotal + tax + processingFee,
+  };
+}
+
+/**
+ * Describes processing fee terms for display
+ * @param {{percent: number, fixed: number}} [processingFee] - Fee terms from the catalog
+ * @returns {string} Description (e.g., "2.9% + $0.30")
+ */
+function describeProcessingFee(processingFee = DEFAULT_PROCESSING_FEE) {
+  const percent = Math.round(processingFee.percent * 10000) / 100;
+  return `${percent}% + $${processingFee.fixed.toFixed(2)}`;
 }
 
 /**
  * Formats item description for invoice line item
  * @param {Object} item - Order item
+ * @param {{sizeUpcharge: number}} [priceInfo] - Price info (cents) from getItemPrice
  * @returns {string} Formatted description
  */
-function formatItemDescription(item) {
+function formatItemDescription(item, priceInfo) {
   let desc = `${item.product} - ${item.style} ${item.size} (${item.color})`;
   desc += `\nLogo: ${item.logo}`;
   if (item.embroideredName) {
     desc += `\nEmbroidered: "${item.embroideredName}" (${item.threadColor} thread)`;
   }
+  if (priceInfo?.sizeUpcharge) {
+    desc += `\nSize upcharge (${item.size}): +${formatCents(priceInfo.sizeUpcharge)}`;
+  }
   return desc;
 }
 
 module.exports = {
-  GRAY_COLORS,
+  TIER_GROUPINGS,
+  DEFAULT_PROCESSING_FEE,
+  PROCESSING_FEE_MODES,
+  PAYMENT_METHODS,
+  roundCents,
+  toCents,
+  formatCents,
   normalizeColor,
+  getTierGroupKey,
+  describeTierGroup,
   countByProductColor,
+  countByTierGroup,
   getPricingTier,
   getTierLabel,
   buildTierMap,
+  getSizeUpcharge,
   getItemPrice,
+  parsePaymentMethod,
   groupByEmail,
+  findDuplicateOrders,
   filterByMinimum,
+  filterByCampaign,
   calculateTax,
+  calculateInvoiceTax,
   calculateStripeFee,
+  calculatePassThroughFee,
+  getProcessingFee,
+  describeProcessingFee,
+  buildCustomerInvoice,
   formatItemDescription,
 };
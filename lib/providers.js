@@ -0,0 +1,57 @@
+/**
+ * Payment providers for invoice.js
+ *
+ * invoice.js never calls the stripe SDK directly. It talks to a provider with
+ * the methods below, which take and return Stripe-shaped objects (amounts in
+ * cents, invoice metadata, statuses draft/open/paid/void/uncollectible):
+ *
+ *   findCustomer(email)                        → customer or null
+ *   createCustomer(params, idempotencyKey)     → customer
+ *   listTaxRates()                             → active tax rates
+ *   createTaxRate(params)                      → tax rate
+ *   listInvoices({customer})                   → invoices (all, or one customer's)
+ *   getInvoice(invoiceId)                      → invoice
+ *   createInvoice(params, idempotencyKey)      → draft invoice
+ *   deleteDraftInvoice(invoiceId)
+ *   createInvoiceItem(params, idempotencyKey)  → invoice item
+ *   finalizeInvoice(invoiceId, idempotencyKey) → open invoice (with hosted_invoice_url)
+ *   sendInvoice(invoiceId, idempotencyKey)     → emails the invoice; no key sends again
+ *   voidInvoice(invoiceId, idempotencyKey)
+ *   listInvoiceLines(invoiceId)                → lines, with tax_rates expanded
+ *   listCreditNotes(invoiceId)                 → credit notes
+ *   createCreditNote(params, idempotencyKey)   → credit note
+ *
+ * "stripe" is the real thing; "memory" records everything offline (see
+ * lib/memory-provider.js) for rehearsals and end-to-end tests. invoice.js
+ * wraps either one with lib/retry.js, so transient failures are retried.
+ */
+
+const { createStripeProvider } = require("./stripe-provider");
+const { createMemoryProvider } = require("./memory-provider");
+
+const PROVIDERS = ["stripe", "memory"];
+
+/**
+ * Creates a payment provider
+ * @param {string} name - "stripe" or "memory"
+ * @param {Object} [options]
+ * @param {string} [options.secretKey] - Stripe secret key (stripe)
+ * @param {string} [options.ledgerFile] - File to keep state in between runs (memory)
+ * @returns {Object} Payment provider
+ * @throws {Error} For unknown providers, or stripe without a key
+ */
+function createProvider(name, { secretKey, ledgerFile } = {}) {
+  if (name === "stripe") {
+    if (!secretKey) throw new Error("The stripe provider needs a secret key");
+    return createStripeProvider(secretKey);
+  }
+  if (name === "memory") {
+    return createMemoryProvider({ file: ledgerFile || null });
+  }
+  throw new Error(`Unknown payment provider "${name}" (expected one of ${PROVIDERS.join(", ")})`);
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+};
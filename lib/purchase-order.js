@@ -0,0 +1,226 @@
+/**
+ * Supplier purchase order for CMC Patagonia orders
+ *
+ * Turns a campaign's order rows into what Patagonia and the embroiderer need:
+ * garment counts by product, style, color and size, logo counts, and every
+ * embroidered name with its thread color. Tier groups below the minimum are
+ * left out, exactly as invoice.js leaves them off invoices.
+ */
+
+const { formatCSV } = require("./csv");
+const { escapeHTML } = require("./report");
+const { countByTierGroup, filterByMinimum, getTierGroupKey, describeTierGroup } = require("./pricing");
+
+/**
+ * Orders values by their position in a catalog list, unknown values last (alphabetically)
+ */
+function byCatalogOrder(order) {
+  return (a, b) => {
+    const ia = order.indexOf(a);
+    const ib = order.indexOf(b);
+    if (ia === -1 && ib === -1) return String(a ?? "").localeCompare(String(b ?? ""));
+    if (ia === -1) return 1;
+    if (ib === -1) return -1;
+    return ia - ib;
+  };
+}
+
+/**
+ * Builds the purchase order
+ * @param {Array<Object>} rows - Order rows for one campaign (sheet columns, with _row)
+ * @param {Object} pricing - Pricing config
+ * @param {number} minQuantity - Items a tier group needs to be ordered
+ * @returns {{
+ *   garments: Array<{product: string, style: string, color: string, sizes: Object<string, number>, total: number}>,
+ *   sizes: string[],
+ *   logos: Array<{product: string, color: string, logo: string, label: string, count: number}>,
+ *   names: Array<{name: string, threadColor: string, product: string, style: string, color: string, size: string, logo: string, customer: string, row: number}>,
+ *   excluded: Array<{group: string, count: number}>,
+ *   total: number
+ * }} Purchase order, in catalog order
+ */
+function buildPurchaseOrder(rows, pricing, minQuantity) {
+  const { eligible, excluded } = filterByMinimum(countByTierGroup(rows, pricing), minQuantity);
+  const ordered = rows.filter((row) => row.Product && eligible[getTierGroupKey(row.Product, row.Color, pricing)]);
+
+  const productOrder = Object.keys(pricing.products);
+  const styleOrder = Object.keys(pricing.styles);
+  const colorOrder = Object.keys(pricing.colors);
+  const logoOrder = pricing.logos.map((logo) => logo.value);
+  // Merge each style's size list, so Women's XXS lands before Men's XS
+  const sizeOrder = [];
+  for (const style of Object.values(pricing.styles)) {
+    const styleSizes = style.sizes || [];
+    styleSizes.forEach((size, i) => {
+      if (sizeOrder.includes(size)) return;
+      const next = styleSizes.slice(i + 1).find((s) => sizeOrder.includes(s));
+      sizeOrder.splice(next ? sizeOrder.indexOf(next) : sizeOrder.length, 0, size);
+    });
+  }
+  const compareSizes = byCatalogOrder(sizeOrder);
+
+  const garments = {};
+  const logos = {};
+  const names = [];
+  const sizes = new Set();
+  for (const row of ordered) {
+    const key = [row.Product, row.Style, row.Color].join("|");
+    const garment = (garments[key] = garments[key] || {
+      product: row.Product,
+      style: row.Style,
+      color: row.Color,
+      sizes: {},
+      total: 0,
+    });
+    garment.sizes[row.Size] = (garment.sizes[row.Size] || 0) + 1;
+    garment.total++;
+    sizes.add(row.Size);
+
+    const logoKey = [row.Product, row.Color, row.Logo].join("|");
+    logos[logoKey] = logos[logoKey] || { product: row.Product, color: row.Color, logo: row.Logo, count: 0 };
+    logos[logoKey].count++;
+
+    if (row["Embroidered Name"]) {
+      names.push({
+        name: row["Embroidered Name"],
+        threadColor: row["Thread Color"] || "",
+        product: row.Product,
+        style: row.Style,
+        color: row.Color,
+        size: row.Size,
+        logo: row.Logo,
+        customer: row.Name,
+        row: row._row,
+      });
+    }
+  }
+
+  const compareGarments = (a, b) =>
+    byCatalogOrder(productOrder)(a.product, b.product) ||
+    byCatalogOrder(styleOrder)(a.style, b.style) ||
+    byCatalogOrder(colorOrder)(a.color, b.color) ||
+    compareSizes(a.size, b.size);
+  const labelOf = (value) => pricing.logos.find((logo) => logo.value === value)?.label || value;
+
+  return {
+    garments: Object.values(garments).sort(compareGarments),
+    sizes: [...sizes].sort(compareSizes),
+    logos: Object.values(logos)
+      .sort((a, b) => compareGarments(a, b) || byCatalogOrder(logoOrder)(a.logo, b.logo))
+      .map((entry) => ({ ...entry, label: labelOf(entry.logo) })),
+    names: names.sort((a, b) => compareGarments(a, b) || a.name.localeCompare(b.name)),
+    excluded: Object.keys(excluded)
+      .sort()
+      .map((key) => ({ group: describeTierGroup(key), count: excluded[key] })),
+    total: ordered.length,
+  };
+}
+
+// ─── Formats ─────────────────────────────────────────────────────────────────
+
+/**
+ * Formats a purchase order as CSV: the garment matrix, then logos, then names
+ * @param {Object} po - From buildPurchaseOrder
+ * @param {string} title - First line (e.g., campaign name)
+ * @returns {string} CSV content
+ */
+function formatPurchaseOrderCSV(po, title) {
+  const rows = [[title], [], ["Product", "Style", "Color", ...po.sizes, "Total"]];
+  for (const garment of po.garments) {
+    rows.push([garment.product, garment.style, garment.color, ...po.sizes.map((size) => garment.sizes[size] || ""), garment.total]);
+  }
+  rows.push(["Total", "", "", ...po.sizes.map((size) => sumSize(po, size)), po.total]);
+
+  rows.push([], ["Product", "Color", "Logo", "Count"]);
+  for (const logo of po.logos) {
+    rows.push([logo.product, logo.color, logo.label, logo.count]);
+  }
+
+  rows.push([], ["Embroidered Name", "Thread Color", "Product", "Style", "Color", "Size", "Logo", "Customer", "Sheet Row"]);
+  for (const n of po.names) {
+    rows.push([n.name, n.threadColor, n.product, n.style, n.color, n.size, n.logo, n.customer, n.row]);
+  }
+
+  if (po.excluded.length > 0) {
+    rows.push([], ["Not ordered (below minimum)", "Items"]);
+    for (const group of po.excluded) rows.push([group.group, group.count]);
+  }
+  // Names come from the public form, and the supplier opens this file
+  return formatCSV(rows, { bom: true, escapeFormulas: true });
+}
+
+function sumSize(po, size) {
+  return po.garments.reduce((sum, garment) => sum + (garment.sizes[size] || 0), 0);
+}
+
+/**
+ * Formats a purchase order as a printable HTML sheet
+ * @param {Object} po - From buildPurchaseOrder
+ * @param {string} title - Page heading (e.g., campaign name)
+ * @returns {string} HTML document
+ */
+function formatPurchaseOrderHTML(po, title) {
+  const cell = (value, cls = "") => `<td${cls ? ` class="${cls}"` : ""}>${escapeHTML(value)}</td>`;
+  const html = [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${escapeHTML(title)}</title>`,
+    "<style>",
+    "body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #222; margin: 2rem; }",
+    "table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; }",
+    "th, td { border: 1px solid #999; padding: 0.25rem 0.5rem; text-align: left; }",
+    "th { background: #eee; }",
+    ".num { text-align: center; min-width: 2.5rem; }",
+    "tr.total td { font-weight: bold; }",
+    "h2 { page-break-after: avoid; }",
+    "@media print { body { margin: 0.5in; } table { page-break-inside: auto; } tr { page-break-inside: avoid; } }",
+    "</style>",
+    "</head>",
+    "<body>",
+    `<h1>${escapeHTML(title)}</h1>`,
+    `<p>${po.total} garments</p>`,
+    "<h2>Garments</h2>",
+    "<table>",
+    `<tr><th>Product</th><th>Style</th><th>Color</th>${po.sizes.map((size) => `<th>${escapeHTML(size)}</th>`).join("")}<th>Total</th></tr>`,
+  ];
+  for (const garment of po.garments) {
+    const counts = po.sizes.map((size) => cell(garment.sizes[size] || "", "num")).join("");
+    html.push(`<tr>${cell(garment.product)}${cell(garment.style)}${cell(garment.color)}${counts}${cell(garment.total, "num")}</tr>`);
+  }
+  const totals = po.sizes.map((size) => cell(sumSize(po, size), "num")).join("");
+  html.push(`<tr class="total">${cell("Total")}${cell("")}${cell("")}${totals}${cell(po.total, "num")}</tr>`, "</table>");
+
+  html.push("<h2>Logos</h2>", "<table>", "<tr><th>Product</th><th>Color</th><th>Logo</th><th>Count</th></tr>");
+  for (const logo of po.logos) {
+    html.push(`<tr>${cell(logo.product)}${cell(logo.color)}${cell(logo.label)}${cell(logo.count, "num")}</tr>`);
+  }
+  html.push("</table>");
+
+  html.push(
+    `<h2>Embroidered names (${po.names.length})</h2>`,
+    "<table>",
+    "<tr><th>Name</th><th>Thread</th><th>Garment</th><th>Logo</th><th>Customer</th><th>Row</th></tr>"
+  );
+  for (const n of po.names) {
+    const garment = `${n.product} — ${n.style} ${n.size} (${n.color})`;
+    html.push(`<tr>${cell(n.name)}${cell(n.threadColor)}${cell(garment)}${cell(n.logo)}${cell(n.customer)}${cell(n.row, "num")}</tr>`);
+  }
+  html.push("</table>");
+
+  if (po.excluded.length > 0) {
+    html.push("<h2>Not ordered (below minimum)</h2>", "<table>", "<tr><th>Tier group</th><th>Items</th></tr>");
+    for (const group of po.excluded) html.push(`<tr>${cell(group.group)}${cell(group.count, "num")}</tr>`);
+    html.push("</table>");
+  }
+
+  html.push("</body>", "</html>", "");
+  return html.join("\n");
+}
+
+module.exports = {
+  buildPurchaseOrder,
+  formatPurchaseOrderCSV,
+  formatPurchaseOrderHTML,
+};
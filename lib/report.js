@@ -0,0 +1,361 @@
+/**
+ * Preview reports for CMC Patagonia invoicing
+ *
+ * "invoice.js preview --report <file>" writes what would be invoiced to a
+ * file treasurers can circulate for approval before anything reaches Stripe:
+ * JSON (amounts in integer cents), CSV (amounts in dollars, one section per
+ * table) or a standalone HTML page.
+ */
+
+const path = require("path");
+const { formatCSV } = require("./csv");
+const { formatCents, describeTierGroup, getTierLabel, toCents } = require("./pricing");
+
+// Report file formats, by file extension
+const REPORT_FORMATS = { ".json": "json", ".csv": "csv", ".html": "html", ".htm": "html" };
+
+/**
+ * Picks a report format from a file name
+ * @param {string} filePath - Report file
+ * @returns {string|null} "json", "csv" or "html", or null if the extension is not one of those
+ */
+function getReportFormat(filePath) {
+  return REPORT_FORMATS[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Describes every tier group for the report, eligible or not
+ * @param {Object<string, number>} groupCounts - Counts from countByTierGroup
+ * @param {Object<string, number>} eligibleCombos - Groups that met the minimum
+ * @param {Object<string, string>} tierMap - Tier key by eligible group
+ * @param {Object} pricing - Pricing config
+ * @returns {Array<{group: string, count: number, eligible: boolean, tier: string|null, tierLabel: string|null, unitPrice: number|null}>}
+ *   Tier groups sorted by key (unitPrice in cents, null when the group spans products)
+ */
+function describeTierGroups(groupCounts, eligibleCombos, tierMap, pricing) {
+  return Object.keys(groupCounts)
+    .sort()
+    .map((key) => {
+      const [product] = key.split("|");
+      const eligible = !!eligibleCombos[key];
+      const tier = eligible ? tierMap[key] : null;
+      const prices = pricing.products[product]?.prices;
+      return {
+        group: describeTierGroup(key),
+        count: groupCounts[key],
+        eligible,
+        tier,
+        tierLabel: tier ? getTierLabel(tier, pricing.tiers) : null,
+        unitPrice: tier && prices ? toCents(prices[tier]) : null,
+      };
+    });
+}
+
+function describeItem(item) {
+  return {
+    row: item.row ?? null,
+    product: item.product,
+    style: item.style,
+    color: item.color,
+    size: item.size,
+    logo: item.logo,
+    embroideredName: item.embroideredName || "",
+    threadColor: item.embroideredName ? item.threadColor : "",
+  };
+}
+
+/**
+ * Describes one customer's preview for the report
+ * @param {{name: string, email: string, taxCertificate: string}} customer - Customer from groupByEmail
+ * @param {string} status - "invoice", "supplemental", "invoiced" (nothing new), "nothing to bill" or "error"
+ * @param {Object} pricing - Pricing config
+ * @param {Object} [details]
+ * @param {Object} [details.invoice] - From buildCustomerInvoice
+ * @param {string[]} [details.invoicedBy] - IDs of invoices that already bill some of the customer's rows
+ * @param {string} [details.error] - Why the customer could not be priced
+ * @returns {Object} Customer entry (amounts in cents)
+ */
+function describeCustomer(customer, status, pricing, { invoice = null, invoicedBy = [], error = null } = {}) {
+  const entry = {
+    name: customer.name,
+    email: customer.email,
+    aliases: customer.aliases || [],
+    status,
+    invoicedBy,
+    lines: [],
+    excluded: [],
+  };
+  if (error) entry.error = error;
+  if (!invoice) return entry;
+
+  entry.lines = invoice.lines.map((line) => ({
+    ...describeItem(line.item),
+    tier: line.tierKey,
+    tierLabel: getTierLabel(line.tierKey, pricing.tiers),
+    sizeUpcharge: line.sizeUpcharge,
+    amount: line.amount,
+    tax: line.tax,
+  }));
+  entry.excluded = invoice.excluded.map(describeItem);
+  Object.assign(entry, {
+    taxExempt: invoice.taxExempt,
+    taxCertificate: invoice.taxExempt ? customer.taxCertificate || "" : "",
+    taxJurisdiction: invoice.taxJurisdiction.code,
+    taxRate: invoice.taxExempt ? 0 : invoice.taxJurisdiction.rate,
+    paymentMethod: invoice.paymentMethod,
+    subtotal: invoice.subtotal,
+    tax: invoice.tax,
+    processingFee: invoice.processingFee,
+    total: invoice.total,
+  });
+  return entry;
+}
+
+// ─── Formats ─────────────────────────────────────────────────────────────────
+
+// Dollars without the "$", so spreadsheets can sum the column
+function dollars(cents) {
+  return cents === null || cents === undefined ? "" : (cents / 100).toFixed(2);
+}
+
+function formatJSONReport(report) {
+  return JSON.stringify(report, null, 2) + "\n";
+}
+
+function formatCSVReport(report) {
+  const rows = [
+    ["Invoice preview", report.campaign ? `${report.campaign.name} (${report.campaign.id})` : "", `Generated ${report.generatedAt}`],
+    [],
+    [
+      "Customer", "Email", "Status", "Line", "Sheet Row", "Product", "Style", "Color", "Size", "Logo",
+      "Embroidered Name", "Thread Color", "Tier", "Size Upcharge", "Amount", "Tax", "Invoice Total",
+    ],
+  ];
+  for (const customer of report.customers) {
+    const who = [customer.name, customer.email, customer.status];
+    const item = (line) => [
+      line.row, line.product, line.style, line.color, line.size, line.logo, line.embroideredName, line.threadColor,
+    ];
+    for (const line of customer.lines) {
+      rows.push([...who, "item", ...item(line), line.tierLabel, dollars(line.sizeUpcharge), dollars(line.amount), dollars(line.tax)]);
+    }
+    for (const line of customer.excluded) {
+      rows.push([...who, "excluded (below minimum)", ...item(line), "", "", "", ""]);
+    }
+    if (customer.processingFee > 0) {
+      rows.push([...who, "processing fee", ...Array(8).fill(""), "", "", dollars(customer.processingFee), ""]);
+    }
+    if (customer.lines.length > 0) {
+      rows.push([...who, "total", ...Array(8).fill(""), "", "", "", "", dollars(customer.total)]);
+    }
+    if (customer.lines.length === 0 && customer.excluded.length === 0) {
+      const note = customer.error || (customer.invoicedBy.length > 0 ? `already invoiced: ${customer.invoicedBy.join(" ")}` : "");
+      rows.push([...who, note]);
+    }
+  }
+
+  rows.push([], ["Tier group", "Items", "Eligible", "Tier", "Unit Price"]);
+  for (const group of report.tierGroups) {
+    rows.push([group.group, group.count, group.eligible ? "yes" : "no", group.tierLabel || "", dollars(group.unitPrice)]);
+  }
+
+  if (report.issues?.length > 0) {
+    rows.push([], ["Order checks"], ["Sheet Row", "Email", "Level", "Field", "Problem"]);
+    for (const issue of report.issues) {
+      rows.push([issue.row, issue.email, issue.level, issue.field, issue.message]);
+    }
+  }
+
+  if (report.duplicates?.length > 0) {
+    rows.push([], ["Possible duplicate customers"], ["Email", "Email", "Why"]);
+    for (const duplicate of report.duplicates) {
+      rows.push([...duplicate.emails, duplicate.reasons.join("; ")]);
+    }
+  }
+
+  if (report.contactConflicts?.length > 0) {
+    rows.push([], ["Differing contact details"], ["Email", "Also Ordered As", "Names", "Phones"]);
+    for (const conflict of report.contactConflicts) {
+      const others = conflict.emails.filter((email) => email !== conflict.email);
+      rows.push([conflict.email, others.join(" "), conflict.names.join(" / "), conflict.phones.join(" / ")]);
+    }
+  }
+
+  if (report.duplicateOrders?.length > 0) {
+    rows.push([], ["Possible duplicate orders"], ["Email", "Order ID", "Sheet Rows", "Repeats Order ID", "Repeats Sheet Rows"]);
+    for (const duplicate of report.duplicateOrders) {
+      const { orderId, rows: sheetRows } = duplicate.duplicateOf;
+      rows.push([duplicate.email, duplicate.orderId, duplicate.rows.join(" "), orderId, sheetRows.join(" ")]);
+    }
+  }
+
+  rows.push([], ["Summary", ""]);
+  for (const [label, value, isCents] of summaryRows(report.summary)) {
+    rows.push([label, isCents ? dollars(value) : value]);
+  }
+  return formatCSV(rows, { bom: true, escapeFormulas: true });
+}
+
+// Summary rows as [label, value, isCents]
+function summaryRows(summary) {
+  return [
+    ["Tier groups eligible", summary.eligibleGroups],
+    ["Tier groups excluded", summary.excludedGroups],
+    ["Total items", summary.items],
+    ["Invoices to create", summary.invoices],
+    ["Supplemental invoices", summary.supplemental],
+    ["Customers already invoiced", summary.alreadyInvoiced],
+    ["Total revenue", summary.revenue, true],
+    ["Card fees absorbed (about)", summary.absorbedFees, true],
+    ["Errors", summary.errors],
+  ];
+}
+
+function escapeHTML(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatHTMLReport(report) {
+  const title = `Invoice preview${report.campaign ? ` — ${report.campaign.name}` : ""}`;
+  const cell = (value, cls = "") => `<td${cls ? ` class="${cls}"` : ""}>${escapeHTML(value)}</td>`;
+  const money = (cents) => cell(cents === null || cents === undefined ? "" : formatCents(cents), "num");
+  const html = [];
+
+  html.push(
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${escapeHTML(title)}</title>`,
+    "<style>",
+    "body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #222; margin: 2rem; }",
+    "table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; }",
+    "th, td { border: 1px solid #ccc; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }",
+    "th { background: #f2f2f2; }",
+    ".num { text-align: right; white-space: nowrap; }",
+    ".muted { color: #777; }",
+    ".error { color: #b00020; font-weight: bold; }",
+    ".customer { page-break-inside: avoid; }",
+    "</style>",
+    "</head>",
+    "<body>",
+    `<h1>${escapeHTML(title)}</h1>`,
+    `<p class="muted">Generated ${escapeHTML(report.generatedAt)}. Minimum ${escapeHTML(report.minQuantity)} items per tier group (${escapeHTML(report.tierGrouping)}). Nothing has been sent to Stripe.</p>`
+  );
+
+  html.push("<h2>Summary</h2>", "<table>");
+  for (const [label, value, isCents] of summaryRows(report.summary)) {
+    html.push(`<tr><th>${escapeHTML(label)}</th>${isCents ? money(value) : cell(value, "num")}</tr>`);
+  }
+  html.push("</table>");
+
+  if (report.issues?.length > 0) {
+    html.push("<h2>Order checks</h2>", "<table>", "<tr><th>Row</th><th>Email</th><th>Level</th><th>Problem</th></tr>");
+    for (const issue of report.issues) {
+      html.push(`<tr>${cell(issue.row, "num")}${cell(issue.email)}${cell(issue.level, issue.level === "error" ? "error" : "")}${cell(issue.message)}</tr>`);
+    }
+    html.push("</table>");
+  }
+
+  if (report.duplicates?.length > 0) {
+    html.push("<h2>Possible duplicate customers</h2>", "<table>", "<tr><th>Email</th><th>Email</th><th>Why</th></tr>");
+    for (const duplicate of report.duplicates) {
+      html.push(`<tr>${duplicate.emails.map((email) => cell(email)).join("")}${cell(duplicate.reasons.join("; "))}</tr>`);
+    }
+    html.push("</table>");
+  }
+
+  if (report.contactConflicts?.length > 0) {
+    html.push("<h2>Differing contact details</h2>", "<table>", "<tr><th>Email</th><th>Names</th><th>Phones</th></tr>");
+    for (const conflict of report.contactConflicts) {
+      const others = conflict.emails.filter((email) => email !== conflict.email);
+      const email = others.length > 0 ? `${conflict.email} (also ${others.join(", ")})` : conflict.email;
+      html.push(`<tr>${cell(email)}${cell(conflict.names.join(" / "))}${cell(conflict.phones.join(" / "))}</tr>`);
+    }
+    html.push("</table>");
+  }
+
+  if (report.duplicateOrders?.length > 0) {
+    html.push("<h2>Possible duplicate orders</h2>", "<table>", "<tr><th>Email</th><th>Order</th><th>Repeats</th></tr>");
+    const order = ({ orderId, rows }) => `${orderId ? `${orderId}, ` : ""}rows ${rows.join(", ")}`;
+    for (const duplicate of report.duplicateOrders) {
+      html.push(`<tr>${cell(duplicate.email)}${cell(order(duplicate))}${cell(order(duplicate.duplicateOf))}</tr>`);
+    }
+    html.push("</table>");
+  }
+
+  html.push("<h2>Tier groups</h2>", "<table>", "<tr><th>Tier group</th><th>Items</th><th>Tier</th><th>Unit price</th></tr>");
+  for (const group of report.tierGroups) {
+    const tier = group.eligible ? group.tierLabel : "Below minimum — not invoiced";
+    html.push(`<tr>${cell(group.group)}${cell(group.count, "num")}${cell(tier, group.eligible ? "" : "muted")}${money(group.unitPrice)}</tr>`);
+  }
+  html.push("</table>");
+
+  html.push("<h2>Customers</h2>");
+  for (const customer of report.customers) {
+    html.push('<div class="customer">', `<h3>${escapeHTML(customer.name)} &lt;${escapeHTML(customer.email)}&gt; — ${escapeHTML(customer.status)}</h3>`);
+    if (customer.aliases.length > 0) {
+      html.push(`<p class="muted">Also ordered as ${escapeHTML(customer.aliases.join(", "))}</p>`);
+    }
+    if (customer.invoicedBy.length > 0) {
+      html.push(`<p class="muted">Already invoiced: ${escapeHTML(customer.invoicedBy.join(", "))}</p>`);
+    }
+    if (customer.error) {
+      html.push(`<p><strong>Error:</strong> ${escapeHTML(customer.error)}</p>`);
+    }
+    if (customer.lines.length > 0 || customer.excluded.length > 0) {
+      html.push("<table>", "<tr><th>Row</th><th>Item</th><th>Logo</th><th>Embroidery</th><th>Tier</th><th>Amount</th><th>Tax</th></tr>");
+      const describe = (line) => `${line.product} — ${line.style} ${line.size} (${line.color})`;
+      const embroidery = (line) => (line.embroideredName ? `"${line.embroideredName}" (${line.threadColor} thread)` : "");
+      for (const line of customer.lines) {
+        const item = line.sizeUpcharge ? `${describe(line)}, +${formatCents(line.sizeUpcharge)} ${line.size} upcharge` : describe(line);
+        html.push(`<tr>${cell(line.row, "num")}${cell(item)}${cell(line.logo)}${cell(embroidery(line))}${cell(line.tierLabel)}${money(line.amount)}${money(line.tax)}</tr>`);
+      }
+      for (const line of customer.excluded) {
+        html.push(`<tr class="muted">${cell(line.row, "num")}${cell(describe(line))}${cell(line.logo)}${cell(embroidery(line))}${cell("Below minimum — not invoiced")}${cell("")}${cell("")}</tr>`);
+      }
+      if (customer.total !== undefined && customer.lines.length > 0) {
+        const tax = customer.taxExempt
+          ? `Sales tax (exempt${customer.taxCertificate ? `, certificate ${customer.taxCertificate}` : ""})`
+          : `Sales tax (${customer.taxJurisdiction}, ${(customer.taxRate * 100).toFixed(2)}%)`;
+        html.push(
+          `<tr><th colspan="5">Subtotal</th>${money(customer.subtotal)}${cell("")}</tr>`,
+          `<tr><th colspan="5">${escapeHTML(tax)}</th>${cell("")}${money(customer.tax)}</tr>`,
+          `<tr><th colspan="5">Processing fee (${escapeHTML(customer.paymentMethod)})</th>${money(customer.processingFee)}${cell("")}</tr>`,
+          `<tr><th colspan="5">Total</th>${money(customer.total)}${cell("")}</tr>`
+        );
+      }
+      html.push("</table>");
+    }
+    html.push("</div>");
+  }
+
+  html.push("</body>", "</html>", "");
+  return html.join("\n");
+}
+
+/**
+ * Formats a preview report
+ * @param {Object} report - Report built by invoice.js preview
+ * @param {string} format - "json", "csv" or "html"
+ * @returns {string} File content
+ */
+function formatReport(report, format) {
+  if (format === "json") return formatJSONReport(report);
+  if (format === "csv") return formatCSVReport(report);
+  if (format === "html") return formatHTMLReport(report);
+  throw new Error(`Unknown report format "${format}"`);
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  getReportFormat,
+  describeTierGroups,
+  describeCustomer,
+  formatReport,
+  escapeHTML,
+};
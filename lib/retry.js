@@ -0,0 +1,107 @@
+/**
+ * Retries for payment provider calls
+ *
+ * Stripe asks clients to retry rate-limited requests (429) and requests that
+ * failed in transit or on its side (connection errors, 5xx, lock timeouts)
+ * after a backoff. withRetries wraps a provider so every call does that.
+ *
+ * A retry must not do something twice. Reads are always safe. Writes are
+ * safe when they carry an idempotency key, since Stripe returns the first
+ * result for a repeated key. Other writes (creating a tax rate, deleting a
+ * draft) are retried only after a rate limit, which Stripe rejects before
+ * doing anything.
+ */
+
+// Provider methods that only read (see lib/providers.js)
+const READ_METHODS = ["findCustomer", "listTaxRates", "listInvoices", "getInvoice", "listInvoiceLines", "listCreditNotes"];
+
+// Provider methods whose second argument is an idempotency key
+const KEYED_METHODS = [
+  "createCustomer",
+  "createInvoice",
+  "createInvoiceItem",
+  "finalizeInvoice",
+  "sendInvoice",
+  "voidInvoice",
+  "createCreditNote",
+];
+
+const DEFAULT_RETRY = {
+  retries: 4, // after the first attempt
+  baseDelay: 500, // milliseconds; doubles with each retry
+  maxDelay: 8000,
+};
+
+const isRateLimit = (err) => err?.type === "StripeRateLimitError" || err?.statusCode === 429;
+
+/**
+ * Whether an error is worth retrying: rate limits, connection failures,
+ * Stripe-side errors, and anything Stripe marks with Stripe-Should-Retry
+ * @param {Error} err - Error from a provider call
+ * @returns {boolean} True if the same request may succeed later
+ */
+function isRetryableError(err) {
+  if (!err) return false;
+  const shouldRetry = err.headers?.["stripe-should-retry"];
+  if (shouldRetry !== undefined) return shouldRetry === "true";
+  if (isRateLimit(err)) return true;
+  if (err.type === "StripeConnectionError" || err.type === "StripeAPIError") return true;
+  if (err.code === "lock_timeout") return true;
+  return err.statusCode >= 500;
+}
+
+/**
+ * Wait before retry number `attempt` (1-based): exponential, capped, with
+ * jitter so parallel requests don't retry in step
+ * @param {number} attempt - Retry number
+ * @param {Object} [options] - baseDelay, maxDelay (ms) and random (for tests)
+ * @returns {number} Milliseconds
+ */
+function backoffDelay(attempt, { baseDelay = DEFAULT_RETRY.baseDelay, maxDelay = DEFAULT_RETRY.maxDelay, random = Math.random } = {}) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + (delay / 2) * random());
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Wraps a payment provider so retryable failures are retried with backoff
+ * @param {Object} provider - Payment provider (see lib/providers.js)
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.baseDelay] - First wait, in milliseconds
+ * @param {number} [options.maxDelay] - Longest wait, in milliseconds
+ * @param {function(number): Promise} [options.sleep] - Waits (for tests)
+ * @param {function(Object): void} [options.onRetry] - Called before each wait with {method, error, attempt, delay}
+ * @returns {Object} Provider with the same methods
+ */
+function withRetries(provider, options = {}) {
+  const { retries = DEFAULT_RETRY.retries, sleep = wait, onRetry = () => {} } = options;
+  const wrapped = { ...provider };
+
+  for (const method of [...READ_METHODS, ...KEYED_METHODS, "createTaxRate", "deleteDraftInvoice"]) {
+    if (typeof provider[method] !== "function") continue;
+    wrapped[method] = async (...args) => {
+      const idempotent = READ_METHODS.includes(method) || (KEYED_METHODS.includes(method) && !!args[1]);
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await provider[method](...args);
+        } catch (err) {
+          const retryable = idempotent ? isRetryableError(err) : isRateLimit(err);
+          if (!retryable || attempt > retries) throw err;
+          const delay = backoffDelay(attempt, options);
+          onRetry({ method, error: err, attempt, delay });
+          await sleep(delay);
+        }
+      }
+    };
+  }
+  return wrapped;
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  isRetryableError,
+  backoffDelay,
+  withRetries,
+};
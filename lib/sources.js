@@ -0,0 +1,235 @@
+/**
+ * Order files for invoice.js
+ *
+ * Orders usually come from the Google Sheet, but they can also be read from
+ * exported files: CSV, TSV, JSON or XLSX, picked by file extension or
+ * --source. Several files can be given at once (e.g. the sheet export plus a
+ * spreadsheet of paper forms); their rows are used in order, each keeping its
+ * own file's row number.
+ *
+ * Header names don't have to match the sheet exactly. "E-mail Address",
+ * "email" and "EMAIL" all become "Email"; see COLUMN_ALIASES. Headers that
+ * match nothing are kept as they are.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { readCSVRecords, recordsToObjects } = require("./csv");
+const { readXLSX } = require("./xlsx");
+
+// Columns of the Orders sheet (README "Sheet format"), plus the ones the
+// organizer or invoice.js add, the exemption list's Certificate and the
+// alias file's Billing Email
+const CANONICAL_COLUMNS = [
+  "Timestamp",
+  "Name",
+  "Phone",
+  "Email",
+  "Position",
+  "Product",
+  "Style",
+  "Size",
+  "Color",
+  "Logo",
+  "Embroidered Name",
+  "Thread Color",
+  "Campaign",
+  "Tax Exempt",
+  "Payment Method",
+  "Tax Jurisdiction",
+  "Invoice ID",
+  "Paid",
+  "Order ID",
+  "Cancelled",
+  "Certificate",
+  "Billing Email",
+];
+
+// Other names seen in exports and paper-form spreadsheets
+const COLUMN_ALIASES = {
+  Timestamp: ["submitted", "submitted at", "date", "order date", "date submitted"],
+  Name: ["full name", "customer", "customer name"],
+  Phone: ["phone number", "mobile", "cell", "cell phone"],
+  Email: ["email address", "e-mail", "e-mail address"],
+  Position: ["role", "title", "job title"],
+  Product: ["item", "garment"],
+  Style: ["fit", "cut"],
+  Color: ["colour"],
+  Logo: ["logo option"],
+  "Embroidered Name": ["embroidery", "embroidery name", "name to embroider", "personalization"],
+  "Thread Color": ["thread", "thread colour", "embroidery color"],
+  Campaign: ["campaign id"],
+  "Tax Exempt": ["exempt", "tax exemption"],
+  "Payment Method": ["payment", "pay by"],
+  "Tax Jurisdiction": ["jurisdiction"],
+  "Invoice ID": ["invoice"],
+  "Order ID": ["order number", "order no"],
+  Cancelled: ["canceled", "cancelled at", "canceled at"],
+  Certificate: ["certificate number", "exemption certificate"],
+  "Billing Email": ["bill to", "bill to email", "invoice email"],
+};
+
+// "E-mail Address" → "emailaddress"
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const HEADER_LOOKUP = new Map();
+for (const column of CANONICAL_COLUMNS) {
+  HEADER_LOOKUP.set(normalizeHeader(column), column);
+  for (const alias of COLUMN_ALIASES[column] || []) HEADER_LOOKUP.set(normalizeHeader(alias), column);
+}
+
+/**
+ * Maps a file's headers to sheet column names. When two headers map to the
+ * same column, the first one gets it and the other keeps its own name.
+ * @param {string[]} headers - Headers as they appear in the file
+ * @returns {Object<string, string>} Column name by original header
+ */
+function mapHeaders(headers) {
+  const mapping = {};
+  const taken = new Set();
+  for (const header of headers) {
+    const trimmed = String(header).trim();
+    if (!trimmed) continue; // unlabeled spreadsheet column
+    const column = HEADER_LOOKUP.get(normalizeHeader(trimmed));
+    if (column && !taken.has(column)) {
+      mapping[header] = column;
+      taken.add(column);
+    } else {
+      mapping[header] = trimmed;
+    }
+  }
+  return mapping;
+}
+
+const cellText = (value) => (value === null || value === undefined ? "" : String(value).trim());
+
+/**
+ * Renames each record's keys to sheet column names and makes values trimmed strings
+ * @param {Object[]} records - Rows keyed by the file's headers
+ * @param {string[]} [headers] - Header order (default: every key seen, in order)
+ * @returns {{rows: Object[], renamed: Array<[string, string]>}} Rows, and the headers that were renamed
+ */
+function mapColumns(records, headers = null) {
+  const allHeaders = headers || [...new Set(records.flatMap((record) => Object.keys(record)))];
+  const mapping = mapHeaders(allHeaders);
+  const rows = records.map((record) => {
+    const row = {};
+    for (const [header, column] of Object.entries(mapping)) row[column] = cellText(record[header]);
+    return row;
+  });
+  const renamed = Object.entries(mapping).filter(([header, column]) => header !== column && header.trim() !== column);
+  return { rows, renamed };
+}
+
+// ─── Source types ────────────────────────────────────────────────────────────
+
+const isBlankCells = (cells) => cells.every((cell) => cellText(cell) === "");
+
+// Blank rows before the header row, which is then sheet row skipped + 1
+function countLeadingBlanks(table) {
+  let skipped = 0;
+  while (skipped < table.length && isBlankCells(table[skipped])) skipped++;
+  return skipped;
+}
+
+// Turns a table of sheet rows into records keyed by the first non-blank row.
+// Blank rows in the middle are kept, so record i is sheet row firstRow + i.
+function tableToRecords(table) {
+  const skipped = countLeadingBlanks(table);
+  const [headers = [], ...body] = table.slice(skipped);
+  while (body.length > 0 && isBlankCells(body[body.length - 1])) body.pop();
+  return {
+    headers,
+    records: body.map((cells) => Object.fromEntries(headers.map((header, i) => [header, cells[i]]))),
+    firstRow: skipped + 2,
+  };
+}
+
+// Each record is a sheet row; blank lines are kept as in tableToRecords
+function readDelimited(file, delimiter) {
+  const table = readCSVRecords(file, delimiter, { keepBlankLines: true });
+  const skipped = countLeadingBlanks(table);
+  const body = table.slice(skipped);
+  while (body.length > 1 && isBlankCells(body[body.length - 1])) body.pop();
+  return { records: recordsToObjects(body), firstRow: skipped + 2 };
+}
+
+/**
+ * JSON: an array of row objects, or the Apps Script response shape
+ * ({orders: [...], taxExempt: [...]})
+ */
+function readJSON(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (Array.isArray(data)) return { records: data };
+  if (data && Array.isArray(data.orders)) {
+    return { records: data.orders, exemptionRecords: data.taxExempt || [] };
+  }
+  throw new Error(`${file}: expected an array of rows or an object with an "orders" array`);
+}
+
+/**
+ * XLSX: the "Orders" sheet if there is one, otherwise the first sheet
+ */
+function readWorkbook(file) {
+  const { rows } = readXLSX(fs.readFileSync(file), { prefer: ["Orders"] });
+  return tableToRecords(rows);
+}
+
+// Readers by source type, and the extensions that select them
+const SOURCE_TYPES = {
+  csv: { extensions: [".csv", ".txt"], read: (file) => readDelimited(file, ",") },
+  tsv: { extensions: [".tsv", ".tab"], read: (file) => readDelimited(file, "\t") },
+  json: { extensions: [".json"], read: readJSON },
+  xlsx: { extensions: [".xlsx", ".xlsm"], read: readWorkbook },
+};
+
+// Spreadsheet formats we can't read, with what to do instead
+const UNSUPPORTED_EXTENSIONS = {
+  ".xls": "save it as .xlsx or .csv",
+  ".ods": "save it as .xlsx or .csv",
+  ".numbers": "export it as .xlsx or .csv",
+};
+
+/**
+ * Picks a source type from a file name
+ * @param {string} file - File path
+ * @returns {string} Source type; files with unknown extensions are read as CSV
+ * @throws {Error} For spreadsheet formats that can't be read
+ */
+function detectSourceType(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (UNSUPPORTED_EXTENSIONS[ext]) {
+    throw new Error(`Can't read ${ext} files (${path.basename(file)}): ${UNSUPPORTED_EXTENSIONS[ext]}`);
+  }
+  const type = Object.keys(SOURCE_TYPES).find((name) => SOURCE_TYPES[name].extensions.includes(ext));
+  return type || "csv";
+}
+
+/**
+ * Reads one order file
+ * @param {string} file - File path
+ * @param {string} [type] - Source type (default: from the extension)
+ * @returns {{type: string, rows: Object[], firstRow: number, exemptionRows: Object[], renamed: Array<[string, string]>}}
+ *   Rows keyed by sheet column; rows[i] is on line (or sheet row) firstRow + i of the file
+ * @throws {Error} If the file can't be read or has no Email column
+ */
+function readOrderFile(file, type = null) {
+  const sourceType = type || detectSourceType(file);
+  const { records, headers, exemptionRecords = [], firstRow = 2 } = SOURCE_TYPES[sourceType].read(file);
+  const { rows, renamed } = mapColumns(records, headers);
+  if (rows.length > 0 && !("Email" in rows[0])) {
+    const found = headers || Object.keys(records[0]);
+    throw new Error(`${path.basename(file)} has no Email column (headers: ${found.join(", ")})`);
+  }
+  return { type: sourceType, rows, firstRow, exemptionRows: mapColumns(exemptionRecords).rows, renamed };
+}
+
+module.exports = {
+  CANONICAL_COLUMNS,
+  COLUMN_ALIASES,
+  SOURCE_TYPES,
+  mapHeaders,
+  mapColumns,
+  detectSourceType,
+  readOrderFile,
+};
@@ -0,0 +1,87 @@
+/**
+ * Payment provider backed by the Stripe API
+ *
+ * The only module that talks to the stripe SDK. invoice.js calls it through
+ * the interface in lib/providers.js, so the memory provider can stand in.
+ */
+
+/**
+ * Creates the Stripe provider
+ * @param {string} secretKey - Stripe secret key
+ * @param {Object} [client] - Stripe client to use instead of creating one
+ * @returns {Object} Payment provider (see lib/providers.js)
+ */
+function createStripeProvider(secretKey, client = null) {
+  const stripe = client || require("stripe")(secretKey);
+  const withKey = (idempotencyKey) => (idempotencyKey ? { idempotencyKey } : undefined);
+
+  return {
+    name: "stripe",
+
+    async findCustomer(email) {
+      const existing = await stripe.customers.list({ email, limit: 1 });
+      return existing.data[0] || null;
+    },
+
+    createCustomer(params, idempotencyKey) {
+      return stripe.customers.create(params, withKey(idempotencyKey));
+    },
+
+    async listTaxRates() {
+      return stripe.taxRates.list({ active: true, limit: 100 }).autoPagingToArray({ limit: 1000 });
+    },
+
+    createTaxRate(params) {
+      return stripe.taxRates.create(params);
+    },
+
+    listInvoices({ customer } = {}) {
+      const params = customer ? { customer, limit: 100 } : { limit: 100 };
+      return stripe.invoices.list(params).autoPagingToArray({ limit: 10000 });
+    },
+
+    getInvoice(invoiceId) {
+      return stripe.invoices.retrieve(invoiceId);
+    },
+
+    createInvoice(params, idempotencyKey) {
+      return stripe.invoices.create(params, withKey(idempotencyKey));
+    },
+
+    deleteDraftInvoice(invoiceId) {
+      return stripe.invoices.del(invoiceId);
+    },
+
+    createInvoiceItem(params, idempotencyKey) {
+      return stripe.invoiceItems.create(params, withKey(idempotencyKey));
+    },
+
+    finalizeInvoice(invoiceId, idempotencyKey) {
+      return stripe.invoices.finalizeInvoice(invoiceId, {}, withKey(idempotencyKey));
+    },
+
+    sendInvoice(invoiceId, idempotencyKey) {
+      return stripe.invoices.sendInvoice(invoiceId, {}, withKey(idempotencyKey));
+    },
+
+    voidInvoice(invoiceId, idempotencyKey) {
+      return stripe.invoices.voidInvoice(invoiceId, {}, withKey(idempotencyKey));
+    },
+
+    listInvoiceLines(invoiceId) {
+      return stripe.invoices.listLineItems(invoiceId, { limit: 100 }).autoPagingToArray({ limit: 1000 });
+    },
+
+    listCreditNotes(invoiceId) {
+      return stripe.creditNotes.list({ invoice: invoiceId, limit: 100 }).autoPagingToArray({ limit: 1000 });
+    },
+
+    createCreditNote(params, idempotencyKey) {
+      return stripe.creditNotes.create(params, withKey(idempotencyKey));
+    },
+  };
+}
+
+module.exports = {
+  createStripeProvider,
+};
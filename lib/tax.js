@@ -0,0 +1,88 @@
+/**
+ * Sales tax jurisdictions and tax-exempt customers
+ *
+ * pricing.json "tax" lists jurisdictions by code with a display name and rate:
+ *   { "defaultJurisdiction": "NC", "jurisdictions": { "NC": { "name": "NC Sales Tax", "rate": 0.0725 } } }
+ *
+ * A customer is tax-exempt if any of their rows has a "Tax Exempt" value, or
+ * their email is on the exemption list (the sheet's "Tax Exempt" tab, or a
+ * CSV passed with --exemptions). Exemption lists hold customer emails, so
+ * they never go in pricing.json, which is published.
+ */
+
+// "Tax Exempt" cell values that mean "not exempt"
+const NOT_EXEMPT_VALUES = ["", "no", "n", "false", "0"];
+
+// "Tax Exempt" cell values that mean "exempt" without naming a certificate
+const EXEMPT_FLAG_VALUES = ["yes", "y", "true", "1", "x", "✓", "exempt"];
+
+/**
+ * Looks up a tax jurisdiction, falling back to the catalog default
+ * @param {Object} pricing - Pricing config
+ * @param {string} [code] - Jurisdiction code (e.g., "NC"); blank for the default
+ * @returns {{code: string, name: string, rate: number}} Jurisdiction
+ * @throws {Error} If the code is not in pricing.tax.jurisdictions
+ */
+function getTaxJurisdiction(pricing, code) {
+  const resolved = (code || "").trim().toUpperCase() || pricing.tax.defaultJurisdiction;
+  const jurisdiction = pricing.tax.jurisdictions[resolved];
+  if (!jurisdiction) {
+    throw new Error(`Unknown tax jurisdiction "${resolved}"`);
+  }
+  return { code: resolved, name: jurisdiction.name, rate: jurisdiction.rate };
+}
+
+/**
+ * Parses a "Tax Exempt" cell. A yes-like value marks the row exempt; any
+ * other non-empty value is taken as the exemption certificate number.
+ * @param {*} value - Cell value
+ * @returns {{exempt: boolean, certificate: string}} Parsed exemption
+ */
+function parseTaxExempt(value) {
+  const text = String(value ?? "").trim();
+  const lower = text.toLowerCase();
+  if (NOT_EXEMPT_VALUES.includes(lower)) return { exempt: false, certificate: "" };
+  if (EXEMPT_FLAG_VALUES.includes(lower)) return { exempt: true, certificate: "" };
+  return { exempt: true, certificate: text };
+}
+
+/**
+ * Builds an exemption lookup from list rows
+ * @param {Array<{Email: string, Certificate: string}>} rows - Exemption list rows
+ * @returns {Map<string, string>} Certificate (possibly blank) by lowercased email
+ */
+function buildExemptionList(rows) {
+  const list = new Map();
+  for (const row of rows) {
+    const email = String(row.Email || "").trim().toLowerCase();
+    if (!email) continue;
+    list.set(email, String(row.Certificate || "").trim());
+  }
+  return list;
+}
+
+/**
+ * Marks customers on the exemption list as tax-exempt. A merged customer is
+ * exempt if the list names their billing email or any alias.
+ * @param {Array<{email: string, aliases: string[], taxExempt: boolean, taxCertificate: string}>} customers - Customers from groupByEmail
+ * @param {Map<string, string>} exemptions - From buildExemptionList
+ * @returns {number} How many customers the list newly exempted
+ */
+function applyExemptionList(customers, exemptions) {
+  let applied = 0;
+  for (const customer of customers) {
+    const listed = [customer.email, ...(customer.aliases || [])].find((email) => exemptions.has(email));
+    if (!listed) continue;
+    if (!customer.taxExempt) applied++;
+    customer.taxExempt = true;
+    customer.taxCertificate = customer.taxCertificate || exemptions.get(listed);
+  }
+  return applied;
+}
+
+module.exports = {
+  getTaxJurisdiction,
+  parseTaxExempt,
+  buildExemptionList,
+  applyExemptionList,
+};
@@ -0,0 +1,130 @@
+/**
+ * Order checks before invoicing
+ *
+ * Looks at each order row against the catalog and reports problems by sheet
+ * row. Errors would bill or order the wrong thing: a product, style, size or
+ * color the catalog doesn't offer, or an email an invoice can't be sent to.
+ * Warnings are worth fixing but don't change what anyone is billed: an
+ * embroidered name too long to stitch, a missing thread color, an unknown logo.
+ * invoice.js refuses to create invoices while there are errors, unless run
+ * with --allow-errors.
+ */
+
+const { getTaxJurisdiction } = require("./tax");
+
+// The order form's limit for embroidered names (index.html maxlength)
+const EMBROIDERED_NAME_MAX_LENGTH = 20;
+
+// Loose on purpose: catches typos like "jane@example" or "jane example.com", not every RFC edge case
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const list = (values) => values.join(", ");
+
+/**
+ * Checks one order row
+ * @param {Object} row - Order row (sheet columns, with _row)
+ * @param {Object} pricing - Pricing config (resolved for the campaign)
+ * @returns {Array<{level: string, field: string, message: string}>} Problems, errors first
+ */
+function checkRow(row, pricing) {
+  const errors = [];
+  const warnings = [];
+  const error = (field, message) => errors.push({ level: "error", field, message });
+  const warning = (field, message) => warnings.push({ level: "warning", field, message });
+
+  const email = String(row.Email || "").trim();
+  if (!email) error("Email", "No email, so the row can't be invoiced");
+  else if (!EMAIL_PATTERN.test(email)) error("Email", `"${email}" is not a valid email address`);
+  if (!String(row.Name || "").trim()) warning("Name", "No name");
+
+  const product = row.Product;
+  if (!product) error("Product", "No product");
+  else if (!pricing.products[product]) {
+    error("Product", `"${product}" is not in the catalog (${list(Object.keys(pricing.products))})`);
+  }
+
+  const style = pricing.styles[row.Style];
+  if (!row.Style) error("Style", "No style");
+  else if (!style) error("Style", `"${row.Style}" is not a style (${list(Object.keys(pricing.styles))})`);
+
+  const styleLabel = style ? style.label || row.Style : null;
+  if (!row.Size) error("Size", "No size");
+  else if (style?.sizes && !style.sizes.includes(row.Size)) {
+    error("Size", `"${row.Size}" is not a ${styleLabel} size (${list(style.sizes)})`);
+  }
+
+  if (!row.Color) error("Color", "No color");
+  else if (!pricing.colors[row.Color]) {
+    error("Color", `"${row.Color}" is not a catalog color (${list(Object.keys(pricing.colors))})`);
+  } else if (style?.colors && !style.colors.includes(row.Color)) {
+    error("Color", `"${row.Color}" is not offered in ${styleLabel} (${list(style.colors)})`);
+  }
+
+  if (row.Logo && !pricing.logos.some((logo) => logo.value === row.Logo)) {
+    warning("Logo", `"${row.Logo}" is not a catalog logo (${list(pricing.logos.map((logo) => logo.value))})`);
+  } else if (!row.Logo) {
+    warning("Logo", "No logo");
+  }
+
+  const name = String(row["Embroidered Name"] || "");
+  if (name.length > EMBROIDERED_NAME_MAX_LENGTH) {
+    warning("Embroidered Name", `"${name}" is ${name.length} characters (the limit is ${EMBROIDERED_NAME_MAX_LENGTH})`);
+  }
+  const thread = row["Thread Color"];
+  if (name && !thread) {
+    warning("Thread Color", `No thread color for embroidered name "${name}"`);
+  } else if (name && !pricing.threadColors.some((t) => t.value === thread)) {
+    warning("Thread Color", `"${thread}" is not a thread color (${list(pricing.threadColors.map((t) => t.value))})`);
+  }
+
+  if (row["Tax Jurisdiction"]) {
+    try {
+      getTaxJurisdiction(pricing, row["Tax Jurisdiction"]);
+    } catch (err) {
+      error("Tax Jurisdiction", `${err.message} (${list(Object.keys(pricing.tax.jurisdictions))})`);
+    }
+  }
+
+  return [...errors, ...warnings];
+}
+
+// Rows with nothing in them (blank spreadsheet rows) aren't orders
+function isBlankRow(row) {
+  return Object.entries(row).every(([key, value]) => key === "_row" || String(value ?? "").trim() === "");
+}
+
+/**
+ * Checks every order row
+ * @param {Array<Object>} rows - Order rows (sheet columns, with _row)
+ * @param {Object} pricing - Pricing config (resolved for the campaign)
+ * @returns {{issues: Array<{row: number, email: string, level: string, field: string, message: string}>, errors: number, warnings: number}}
+ *   Problems in sheet row order, and how many of each level
+ */
+function validateOrders(rows, pricing) {
+  const issues = [];
+  for (const row of rows) {
+    if (isBlankRow(row)) continue;
+    const email = String(row.Email || "").trim().toLowerCase();
+    for (const problem of checkRow(row, pricing)) {
+      issues.push({ row: row._row ?? null, email, ...problem });
+    }
+  }
+  const errors = issues.filter((issue) => issue.level === "error").length;
+  return { issues, errors, warnings: issues.length - errors };
+}
+
+/**
+ * Formats one problem for the console
+ * @param {{row: number, email: string, level: string, message: string}} issue - From validateOrders
+ * @returns {string} e.g. 'Row 14 (jane@example.com): error — "XXS" is not a Men's size (XS, S, ...)'
+ */
+function formatIssue(issue) {
+  const where = `Row ${issue.row ?? "?"}${issue.email ? ` (${issue.email})` : ""}`;
+  return `${where}: ${issue.level} — ${issue.message}`;
+}
+
+module.exports = {
+  EMBROIDERED_NAME_MAX_LENGTH,
+  validateOrders,
+  formatIssue,
+};
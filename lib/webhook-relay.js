@@ -0,0 +1,140 @@
+/**
+ * Relays Stripe webhooks to the Apps Script web app
+ *
+ * Stripe can't post to the Apps Script directly: the web app answers every
+ * POST with a 302 redirect, which Stripe counts as a failed delivery (so it
+ * retries each event for days, then disables the endpoint), and Apps Script
+ * can't read the Stripe-Signature header to check where a post came from.
+ * The relay sits in between: it checks the signature with the endpoint's
+ * signing secret, posts the event on to the web app, following the redirect
+ * to its reply, and answers Stripe 200 once the web app has applied it. When
+ * the web app fails, Stripe gets a 502 and retries later.
+ *
+ * The web app still fetches each event back from Stripe by ID (see
+ * handleStripeWebhook in google-apps-script.js), so it doesn't have to trust
+ * the relay either.
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+
+// How old a signature may be, in seconds (Stripe's own default tolerance)
+const SIGNATURE_TOLERANCE = 300;
+
+// Largest event body accepted; Stripe events are a few KB
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Checks a Stripe-Signature header: "t=<seconds>,v1=<hex HMAC-SHA256 of
+ * "<t>.<payload>">", with a v1 for each of the endpoint's current secrets
+ * @param {string} payload - Raw request body
+ * @param {string} header - Stripe-Signature header
+ * @param {string} secret - Endpoint signing secret (whsec_...)
+ * @param {Date} [now] - Clock (for tests)
+ * @returns {string|null} Why the signature is refused, or null if it is valid
+ */
+function checkStripeSignature(payload, header, secret, now = new Date()) {
+  const parts = String(header || "")
+    .split(",")
+    .map((part) => part.trim().split("="));
+  const timestamp = parts.find(([name]) => name === "t")?.[1];
+  const signatures = parts.filter(([name]) => name === "v1").map(([, value]) => value || "");
+  if (!timestamp || signatures.length === 0) {
+    return "Missing or malformed Stripe-Signature header";
+  }
+  if (!/^\d+$/.test(timestamp) || Math.abs(now.getTime() / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE) {
+    return "Signature timestamp is outside the tolerance";
+  }
+  const expected = crypto.createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest();
+  const matches = signatures.some((signature) => {
+    const given = Buffer.from(signature, "hex");
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+  return matches ? null : "Signature doesn't match the signing secret";
+}
+
+/**
+ * Posts an event to the Apps Script web app
+ * @param {string} url - Apps Script web app URL
+ * @returns {function(string): Promise<Object>} Takes the raw event body, resolves to the web app's reply
+ */
+function postToAppsScript(url) {
+  return async (payload) => {
+    // fetch follows the 302 with a GET, which is how the web app hands back its reply
+    const response = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: payload });
+    if (!response.ok) throw new Error(`web app answered ${response.status}`);
+    return response.json();
+  };
+}
+
+/**
+ * Handles one webhook delivery from Stripe
+ * @param {Object} request
+ * @param {string} request.payload - Raw request body
+ * @param {string} [request.signature] - Stripe-Signature header
+ * @param {Object} options
+ * @param {string} options.secret - Endpoint signing secret (whsec_...)
+ * @param {function(string): Promise<Object>} options.forward - Posts the raw body on (see postToAppsScript)
+ * @param {Date} [options.now] - Clock (for tests)
+ * @returns {Promise<{code: number, reply: Object}>} HTTP status for Stripe, and the JSON to answer with
+ */
+async function relayStripeEvent({ payload, signature }, { secret, forward, now }) {
+  const refused = checkStripeSignature(payload, signature, secret, now);
+  if (refused) {
+    return { code: 400, reply: { status: "error", message: refused } };
+  }
+  let reply;
+  try {
+    reply = await forward(payload);
+  } catch (err) {
+    return { code: 502, reply: { status: "error", message: `Could not reach the Apps Script: ${err.message}` } };
+  }
+  return { code: reply?.status === "ok" ? 200 : 502, reply };
+}
+
+/**
+ * HTTP server for relayStripeEvent: takes POSTs on any path
+ * @param {Object} options - As for relayStripeEvent
+ * @param {function(Object, {code: number, reply: Object}): void} [onRelay] - Called after each
+ *   delivery with the event (null if its signature was refused) and the result
+ * @returns {http.Server} Server, not yet listening
+ */
+function createWebhookRelayServer(options, onRelay = () => {}) {
+  return http.createServer((req, res) => {
+    const answer = (code, reply) => {
+      res.writeHead(code, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(reply));
+    };
+    if (req.method !== "POST") {
+      answer(405, { status: "error", message: "Stripe webhooks are POSTed" });
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on("end", async () => {
+      if (size > MAX_BODY_BYTES) {
+        answer(413, { status: "error", message: "Request too large" });
+        return;
+      }
+      // The signature covers the exact bytes Stripe sent
+      const payload = Buffer.concat(chunks).toString("utf8");
+      const result = await relayStripeEvent({ payload, signature: req.headers["stripe-signature"] }, options);
+      // A signed body is a Stripe event
+      onRelay(result.code === 400 ? null : JSON.parse(payload), result);
+      answer(result.code, result.reply);
+    });
+  });
+}
+
+module.exports = {
+  SIGNATURE_TOLERANCE,
+  checkStripeSignature,
+  postToAppsScript,
+  relayStripeEvent,
+  createWebhookRelayServer,
+};
@@ -0,0 +1,201 @@
+/**
+ * Minimal XLSX reader for order spreadsheets
+ *
+ * Reads cell values from one worksheet of an .xlsx file (a zip of XML parts)
+ * using only node's zlib. Enough for spreadsheets saved by Excel, Google
+ * Sheets or Numbers: shared and inline strings, numbers, booleans, and dates
+ * (numbers with a date format). Formulas are read as their cached values;
+ * formatting, merged cells and everything else are ignored.
+ */
+
+const zlib = require("zlib");
+
+// ─── Zip ─────────────────────────────────────────────────────────────────────
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * Lists the files in a zip archive
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Map<string, function(): Buffer>} Entry reader by file name
+ * @throws {Error} If the buffer is not a zip archive
+ */
+function readZipEntries(buffer) {
+  // The end-of-central-directory record sits in the last 64 KB (it may be followed by a comment)
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("Not an .xlsx file (no zip directory found)");
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error("Corrupt .xlsx file (bad zip directory)");
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf-8", offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, () => {
+      if (buffer.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw new Error(`Corrupt .xlsx file (${name})`);
+      const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(start, start + compressedSize);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data);
+      throw new Error(`Unsupported compression in .xlsx file (${name})`);
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+// ─── XML ─────────────────────────────────────────────────────────────────────
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+function decodeXML(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+function attributes(tag) {
+  const attrs = {};
+  for (const [, name, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) attrs[name] = decodeXML(value);
+  return attrs;
+}
+
+// Text of every <t> inside an element (rich text is split into runs)
+function textOf(xml) {
+  let text = "";
+  for (const [, , body] of xml.matchAll(/<t(\s[^>]*)?>([\s\S]*?)<\/t>/g)) text += decodeXML(body);
+  return text;
+}
+
+// ─── Workbook ────────────────────────────────────────────────────────────────
+
+// Built-in number formats that display dates or times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+function isDateFormat(code) {
+  // Ignore quoted text, [colors]/[conditions] and escaped characters before looking for date parts
+  const bare = code.replace(/"[^"]*"|\[[^\]]*\]|\\./g, "");
+  return /[dmyhs]/i.test(bare);
+}
+
+// Style index → whether cells with that style hold dates
+function readDateStyles(entries) {
+  const styles = entries.get("xl/styles.xml");
+  if (!styles) return [];
+  const xml = styles().toString("utf-8");
+  const customDates = new Set();
+  for (const [tag] of xml.matchAll(/<numFmt\b[^>]*>/g)) {
+    const { numFmtId, formatCode } = attributes(tag);
+    if (isDateFormat(formatCode || "")) customDates.add(Number(numFmtId));
+  }
+  const cellXfs = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+  if (!cellXfs) return [];
+  return [...cellXfs[1].matchAll(/<xf\b[^>]*>/g)].map(([tag]) => {
+    const id = Number(attributes(tag).numFmtId || 0);
+    return DATE_FORMAT_IDS.has(id) || customDates.has(id);
+  });
+}
+
+/**
+ * Converts a spreadsheet date serial (days since 1899-12-30) to text
+ * @param {number} serial - Date serial
+ * @returns {string} "YYYY-MM-DD", or "YYYY-MM-DD HH:MM:SS" when there is a time
+ */
+function formatDateSerial(serial) {
+  const ms = Math.round((serial - 25569) * 86400) * 1000;
+  const iso = new Date(ms).toISOString();
+  return Number.isInteger(serial) ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 19)}`;
+}
+
+// "BC12" → 54 (zero-based column)
+function columnIndex(ref) {
+  const letters = ref.match(/^[A-Z]+/i)[0].toUpperCase();
+  let index = 0;
+  for (const letter of letters) index = index * 26 + (letter.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+// Worksheet path by sheet name, in workbook order
+function listSheets(entries) {
+  const workbook = entries.get("xl/workbook.xml");
+  const rels = entries.get("xl/_rels/workbook.xml.rels");
+  if (!workbook || !rels) throw new Error("Not an .xlsx workbook (no xl/workbook.xml)");
+
+  const targets = {};
+  for (const [tag] of rels().toString("utf-8").matchAll(/<Relationship\b[^>]*>/g)) {
+    const { Id, Target } = attributes(tag);
+    targets[Id] = Target.startsWith("/") ? Target.slice(1) : `xl/${Target}`;
+  }
+  return [...workbook().toString("utf-8").matchAll(/<sheet\b[^>]*>/g)].map(([tag]) => {
+    const attrs = attributes(tag);
+    return { name: attrs.name, path: targets[attrs["r:id"]] };
+  });
+}
+
+/**
+ * Reads one worksheet of an .xlsx file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} [options]
+ * @param {string[]} [options.prefer] - Sheet names to use if present, in order (default: first sheet)
+ * @returns {{sheet: string, rows: string[][]}} Sheet name and cell text by row; rows are sheet rows 1..n
+ * @throws {Error} If the file is not a readable .xlsx workbook
+ */
+function readXLSX(buffer, { prefer = [] } = {}) {
+  const entries = readZipEntries(buffer);
+  const sheets = listSheets(entries);
+  const sheet = prefer.map((name) => sheets.find((s) => s.name === name)).find(Boolean) || sheets[0];
+  if (!sheet || !entries.has(sheet.path)) throw new Error("The .xlsx file has no worksheets");
+
+  const sharedEntry = entries.get("xl/sharedStrings.xml");
+  const shared = sharedEntry
+    ? [...sharedEntry().toString("utf-8").matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, si]) => textOf(si))
+    : [];
+  const dateStyles = readDateStyles(entries);
+
+  const rows = [];
+  const xml = entries.get(sheet.path)().toString("utf-8");
+  for (const [, rowTag, body = ""] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = Number(attributes(rowTag).r) || rows.length + 1;
+    const cells = [];
+    for (const [, cellTag, cellBody = ""] of body.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const { r, t, s } = attributes(cellTag);
+      const col = r ? columnIndex(r) : cells.length;
+      const raw = cellBody.match(/<v>([\s\S]*?)<\/v>/);
+      const v = raw ? decodeXML(raw[1]) : "";
+      let value;
+      if (t === "s") value = shared[Number(v)] ?? "";
+      else if (t === "inlineStr") value = textOf(cellBody);
+      else if (t === "b") value = v === "1" ? "TRUE" : "FALSE";
+      else if (t === "str" || t === "e") value = v;
+      else if (v !== "" && dateStyles[Number(s || 0)]) value = formatDateSerial(Number(v));
+      else value = v;
+      cells[col] = value;
+    }
+    rows[rowNumber - 1] = Array.from(cells, (cell) => cell ?? "");
+  }
+  return { sheet: sheet.name, rows: Array.from(rows, (row) => row || []) };
+}
+
+module.exports = {
+  readXLSX,
+  formatDateSerial,
+};
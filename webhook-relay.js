@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Receives Stripe webhooks and passes them on to the Apps Script web app
+ *
+ * Stripe's webhook endpoint points here, not at the Apps Script URL: the
+ * relay checks each event's Stripe-Signature and answers Stripe with a 2xx,
+ * neither of which the web app can do itself (see lib/webhook-relay.js).
+ * Run it anywhere Stripe can reach over HTTPS, e.g. behind the host's TLS.
+ *
+ * Usage:
+ *   node webhook-relay.js [--port <n>]
+ *
+ * Reads from .env (or the environment):
+ *   STRIPE_WEBHOOK_SECRET  The endpoint's signing secret (whsec_...)
+ *   APPS_SCRIPT_URL        The web app URL, as in index.html
+ *   PORT                   Port to listen on, if --port isn't given (default: 8787)
+ */
+
+require("dotenv").config();
+const { EXIT } = require("./lib/cli");
+const { createWebhookRelayServer, postToAppsScript } = require("./lib/webhook-relay");
+
+const USAGE = "Usage: node webhook-relay.js [--port <n>]";
+const DEFAULT_PORT = 8787;
+
+/**
+ * Describes what happened to one delivery, for the log
+ */
+function describeRelay(event, { code, reply }) {
+  const what = event ? `${event.id} ${event.type}` : "refused";
+  if (code === 200) return `${what}: ${reply.ignored ? "not handled" : `${reply.updatedRows} row(s) updated`}`;
+  return `${what}: ${code} ${reply?.message || "error"}`;
+}
+
+function main(args) {
+  const portIndex = args.indexOf("--port");
+  const port = portIndex === -1 ? process.env.PORT || String(DEFAULT_PORT) : args[portIndex + 1];
+  const extra = args.filter((_, i) => portIndex === -1 || (i !== portIndex && i !== portIndex + 1));
+  if (extra.length > 0 || !/^\d+$/.test(port || "")) {
+    console.error(USAGE);
+    return EXIT.USAGE;
+  }
+
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  const url = process.env.APPS_SCRIPT_URL;
+  if (!secret || !url) {
+    console.error("Error: STRIPE_WEBHOOK_SECRET and APPS_SCRIPT_URL must both be set (see .env.example)");
+    return EXIT.CONFIG;
+  }
+
+  const server = createWebhookRelayServer({ secret, forward: postToAppsScript(url) }, (event, result) => {
+    const line = `${new Date().toISOString()}  ${describeRelay(event, result)}`;
+    if (result.code === 200) console.log(line);
+    else console.error(line);
+  });
+  server.listen(Number(port), () => console.log(`Relaying Stripe webhooks to the Apps Script on port ${server.address().port}`));
+  return EXIT.OK;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Replays recorded Stripe webhook events against an orders file
+ *
+ * Posts each event to the Apps Script's own doPost (google-apps-script.js),
+ * run locally against a copy of the orders held in memory (see
+ * lib/apps-script-sandbox.js), so a change to how webhooks update rows can be
+ * tried without deploying it or waiting for Stripe. Events are posted in the
+ * order given and take the web app's whole route: the script lock, the
+ * webhook handler, and the fetch of the event back from Stripe, which is
+ * answered from the event files. Nothing goes to Stripe, and the orders file
+ * isn't changed.
+ *
+ * Usage:
+ *   node webhook-replay.js <orders file> <event.json>... [--out <file.csv>]
+ *
+ * Each event file holds one event, an array of events, or a Stripe list
+ * ({"data": [...]}), as saved from the dashboard, "stripe events list" or
+ * "stripe listen". fixtures/stripe-events/ has one of each handled type.
+ * With --out, the updated rows are written as CSV; otherwise the rows with an
+ * Invoice ID are printed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { readOrderFile } = require("./lib/sources");
+const { formatCSV } = require("./lib/csv");
+const { EXIT } = require("./lib/cli");
+const { createMemorySheet, createMemorySpreadsheet, createAppsScriptSandbox } = require("./lib/apps-script-sandbox");
+
+const USAGE = "Usage: node webhook-replay.js <orders file> <event.json>... [--out <file.csv>]";
+
+/**
+ * Reads the events in a file
+ * @param {string} file - JSON file
+ * @returns {Array<Object>} Events, in file order
+ */
+function readEvents(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const events = Array.isArray(data) ? data : Array.isArray(data?.data) ? data.data : [data];
+  for (const event of events) {
+    if (event?.object !== "event") throw new Error(`${path.basename(file)}: not a Stripe event`);
+  }
+  return events;
+}
+
+const STRIPE_EVENTS_URL = "https://api.stripe.com/v1/events/";
+
+/**
+ * Answers the web app's fetch of an event from Stripe with the recorded one
+ * @param {Array<Object>} events - Recorded events
+ * @returns {function(string): {code: number, body: string}} UrlFetchApp stand-in
+ */
+function serveEvents(events) {
+  const byId = new Map(events.map((event) => [event.id, event]));
+  return (url) => {
+    const event = url.startsWith(STRIPE_EVENTS_URL) && byId.get(decodeURIComponent(url.slice(STRIPE_EVENTS_URL.length)));
+    if (!event) return { code: 404, body: JSON.stringify({ error: { message: "No such event" } }) };
+    return { code: 200, body: JSON.stringify(event) };
+  };
+}
+
+/**
+ * Describes the web app's reply to one webhook post
+ */
+function describeReply(reply) {
+  if (reply.status !== "ok") return `error: ${reply.message}`;
+  if (reply.ignored) return "not handled";
+  return `${reply.updatedRows} row(s) updated`;
+}
+
+function main(args) {
+  const outIndex = args.indexOf("--out");
+  const outFile = outIndex === -1 ? null : args[outIndex + 1];
+  const [ordersFile, ...eventFiles] = outIndex === -1 ? args : args.filter((_, i) => i !== outIndex && i !== outIndex + 1);
+  if (!ordersFile || eventFiles.length === 0 || (outIndex !== -1 && !outFile)) {
+    console.error(USAGE);
+    return EXIT.USAGE;
+  }
+
+  let rows;
+  let firstRow;
+  let events;
+  try {
+    ({ rows, firstRow } = readOrderFile(ordersFile));
+    events = eventFiles.flatMap(readEvents);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return EXIT.CONFIG;
+  }
+
+  const headers = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const table = [headers, ...rows.map((row) => headers.map((header) => row[header] ?? ""))];
+  const sheet = createMemorySheet(table);
+  const sandbox = createAppsScriptSandbox({
+    spreadsheet: createMemorySpreadsheet([sheet]),
+    properties: { STRIPE_API_KEY: "sk_test_webhook_replay" },
+    fetch: serveEvents(events),
+  });
+
+  console.log(`Replaying ${events.length} event(s) against ${rows.length} row(s) from ${path.basename(ordersFile)}`);
+  for (const event of events) {
+    const invoice = event.data?.object;
+    const what = `${event.id} ${event.type}${invoice?.object === "invoice" ? ` ${invoice.id}` : ""}`;
+    console.log(`  ${what}: ${describeReply(sandbox.doPost(event))}`);
+  }
+
+  if (outFile) {
+    fs.writeFileSync(outFile, formatCSV(sheet.getDataRange().getValues()));
+    console.log(`Wrote ${outFile}`);
+    return EXIT.OK;
+  }
+
+  const [header] = table;
+  const col = (name) => header.indexOf(name);
+  console.log("");
+  console.log(`Row  ${"Email".padEnd(31)} ${"Invoice ID".padEnd(28)} Paid  Invoice Status`);
+  table.slice(1).forEach((row, i) => {
+    if (!row[col("Invoice ID")]) return;
+    const cells = [String(firstRow + i).padEnd(4), String(row[col("Email")] ?? "").padEnd(31), String(row[col("Invoice ID")]).padEnd(28)];
+    cells.push(String(row[col("Paid")] ?? "").padEnd(5), String(row[col("Invoice Status")] ?? ""));
+    console.log(cells.join(" ").trimEnd());
+  });
+  return EXIT.OK;
+}
+
+process.exitCode = main(process.argv.slice(2));